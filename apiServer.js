@@ -0,0 +1,351 @@
+/**
+ * HTTP API
+ * `deep-research serve` exposes DeepResearcher to other local tools as JSON
+ * over HTTP, so they no longer have to shell out and pick the results out of
+ * log output:
+ *
+ *   GET  /health        liveness check, never needs a token
+ *   GET  /providers     registered providers and whether they are configured
+ *   POST /search        {"query": "...", ...comprehensiveSearch() options}; "deep": true runs deepResearch()
+ *                       With "Accept: text/event-stream" (or application/x-ndjson) the streamSearch()
+ *                       events are sent as Server-Sent Events (or NDJSON) while providers answer
+ *   GET  /search/stream ?query=...&providers=a,b&cacheMode=refresh, as Server-Sent Events for EventSource
+ *   GET  /history       recent runs (?limit=20&q=text)
+ *   GET  /history/:id   one recorded run
+ *
+ * Search responses are the objects comprehensiveSearch() and deepResearch()
+ * return; provider failures show up in their errors array as usual. Problems
+ * with the request itself are answered as {"error": {"status", "message", "details"}}.
+ * When a token is configured every route except /health needs
+ * "Authorization: Bearer <token>".
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { describeProviders } = require('./providerRegistry');
+const { CACHE_MODES } = require('./responseCache');
+const { validateConfig } = require('./configSchema');
+
+const DEFAULT_OPTIONS = {
+    host: '127.0.0.1',
+    port: 8787,
+    maxBodyBytes: 64 * 1024
+};
+
+const MAX_QUERY_LENGTH = 500;
+
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendJson(response, status, body, headers = {}) {
+    const text = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(text),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    response.end(text);
+}
+
+function readBody(request, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                // Drain the rest so the 413 can still be sent
+                request.removeAllListeners('data');
+                request.resume();
+                reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+// 'sse' or 'ndjson' when the client asked for a stream of events
+function streamMode(request) {
+    const accept = request.headers.accept || '';
+    if (accept.includes('text/event-stream')) {
+        return 'sse';
+    }
+    return accept.includes('application/x-ndjson') ? 'ndjson' : null;
+}
+
+// The search runs to the end even if the client goes away, so it still lands in the history
+async function streamEvents(response, events, mode) {
+    let open = true;
+    response.on('close', () => {
+        open = false;
+    });
+    response.writeHead(200, {
+        'Content-Type': mode === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Cache-Control': 'no-store',
+        // Keep reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    for await (const event of events) {
+        if (open) {
+            response.write(mode === 'sse' ? `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n` : `${JSON.stringify(event)}\n`);
+        }
+    }
+    response.end();
+}
+
+// Hashing first gives equal-length buffers, so the comparison time says nothing about the token
+function tokenMatches(header, token) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match) {
+        return false;
+    }
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+function isLoopback(host) {
+    return ['127.0.0.1', '::1', 'localhost'].includes(host) || /^127\./.test(host);
+}
+
+/**
+ * Schema for POST /search bodies, built from the registered providers so every
+ * provider's include toggle and options block is accepted.
+ *
+ * @param {ProviderRegistry} registry
+ * @returns {Object}
+ */
+function searchRequestSchema(registry) {
+    const properties = {
+        query: { type: 'string', minLength: 1 },
+        providers: { type: 'array', items: { enum: registry.names() } },
+        providerOptions: { type: 'object', additionalProperties: { type: 'object' } },
+        cacheMode: { enum: CACHE_MODES },
+        extract: { type: 'boolean' },
+        summarize: { type: 'boolean' },
+        synthesize: { type: 'boolean' },
+        deep: { type: 'boolean' },
+        depth: { type: 'integer', minimum: 0, maximum: 5 },
+        breadth: { type: 'integer', minimum: 1, maximum: 10 },
+        maxResults: { type: 'integer', minimum: 1 },
+        timeBudgetMs: { type: 'integer', minimum: 1000 },
+        deadlineMs: { type: 'integer', minimum: 1 }
+    };
+    registry.list().forEach(provider => {
+        if (provider.includeOption) {
+            properties[provider.includeOption] = { type: 'boolean' };
+        }
+        if (provider.optionsKey) {
+            properties[provider.optionsKey] = { type: 'object' };
+        }
+    });
+    return { type: 'object', required: ['query'], additionalProperties: false, properties };
+}
+
+/**
+ * Check a POST /search body and split it into the query and search options.
+ *
+ * @param {*} body - Parsed JSON.
+ * @param {ProviderRegistry} registry
+ * @returns {{query: string, deep: boolean, options: Object}}
+ * @throws {HttpError} 400 with a details array when the body is invalid.
+ */
+function parseSearchRequest(body, registry) {
+    const details = validateConfig(body, searchRequestSchema(registry));
+    if (details.length === 0 && (body.query.trim() === '' || body.query.length > MAX_QUERY_LENGTH)) {
+        details.push({ path: 'query', message: `must be 1 to ${MAX_QUERY_LENGTH} characters` });
+    }
+    if (details.length > 0) {
+        throw new HttpError(400, 'Invalid search request', details);
+    }
+    const { query, deep, ...options } = body;
+    return { query: query.trim(), deep: Boolean(deep), options };
+}
+
+/**
+ * Build the HTTP server (not yet listening).
+ *
+ * @param {Object} researcher - DeepResearcher.
+ * @param {Object} [options]
+ * @param {string} [options.token] - Bearer token required on every route except /health.
+ * @param {number} [options.maxBodyBytes=65536]
+ * @param {Object} [options.logger]
+ * @param {string} [options.version]
+ * @returns {http.Server}
+ */
+function createApiServer(researcher, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const startedAt = Date.now();
+
+    const routes = [
+        {
+            method: 'GET',
+            pattern: /^\/health$/,
+            public: true,
+            handle: () => ({ status: 'ok', version: settings.version || 'unknown', uptimeMs: Date.now() - startedAt })
+        },
+        {
+            method: 'GET',
+            pattern: /^\/providers$/,
+            handle: () => ({ providers: describeProviders(researcher.providers, researcher.config) })
+        },
+        {
+            method: 'POST',
+            pattern: /^\/search$/,
+            handle: async (request, response) => {
+                const type = request.headers['content-type'] || '';
+                if (!/^application\/json\b/i.test(type)) {
+                    throw new HttpError(415, 'Send the search as Content-Type: application/json');
+                }
+                let body;
+                try {
+                    body = JSON.parse(await readBody(request, settings.maxBodyBytes));
+                } catch (error) {
+                    throw error instanceof HttpError ? error : new HttpError(400, `Request body is not valid JSON: ${error.message}`);
+                }
+                const { query, deep, options: searchOptions } = parseSearchRequest(body, researcher.providers);
+                const mode = streamMode(request);
+                if (mode && deep) {
+                    throw new HttpError(400, 'Streaming is only available for regular searches, not "deep": true');
+                }
+                if (mode) {
+                    return streamEvents(response, researcher.streamSearch(query, searchOptions), mode);
+                }
+                return deep
+                    ? researcher.deepResearch(query, searchOptions)
+                    : researcher.comprehensiveSearch(query, searchOptions);
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/search\/stream$/,
+            handle: (request, response, url) => {
+                // EventSource can only send GET, so the few options that make sense come from the query string
+                const body = { query: url.searchParams.get('query') ?? '' };
+                if (url.searchParams.get('providers')) {
+                    body.providers = url.searchParams.get('providers').split(',').map(name => name.trim()).filter(Boolean);
+                }
+                if (url.searchParams.get('cacheMode')) {
+                    body.cacheMode = url.searchParams.get('cacheMode');
+                }
+                const { query, options: searchOptions } = parseSearchRequest(body, researcher.providers);
+                return streamEvents(response, researcher.streamSearch(query, searchOptions), 'sse');
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/history$/,
+            handle: (request, response, url) => {
+                const limit = Number(url.searchParams.get('limit') || 20);
+                if (!Number.isInteger(limit) || limit < 1) {
+                    throw new HttpError(400, 'limit must be a positive integer');
+                }
+                return { entries: researcher.history.list({ limit, query: url.searchParams.get('q') || '' }) };
+            }
+        },
+        {
+            method: 'GET',
+            pattern: /^\/history\/(\d+|last)$/,
+            handle: (request, response, url, match) => {
+                const entry = researcher.history.get(match[1]);
+                if (!entry) {
+                    throw new HttpError(404, `No history entry ${match[1]}`);
+                }
+                return entry;
+            }
+        }
+    ];
+
+    return http.createServer(async (request, response) => {
+        const started = Date.now();
+        let url = null;
+        let status = 200;
+        try {
+            try {
+                url = new URL(request.url, 'http://localhost');
+            } catch (error) {
+                // A target like "http://[bad/health" must not reject the handler and take the server down
+                throw new HttpError(400, 'Malformed request target');
+            }
+            const candidates = routes.filter(route => route.pattern.test(url.pathname));
+            if (candidates.length === 0) {
+                throw new HttpError(404, `No route for ${url.pathname}`);
+            }
+            const route = candidates.find(candidate => candidate.method === request.method);
+            if (!route) {
+                throw new HttpError(405, `${request.method} is not supported on ${url.pathname}`);
+            }
+            if (settings.token && !route.public && !tokenMatches(request.headers.authorization, settings.token)) {
+                throw new HttpError(401, 'Missing or wrong bearer token');
+            }
+            // Streaming handlers write the response themselves and return nothing
+            const body = await route.handle(request, response, url, url.pathname.match(route.pattern));
+            if (body !== undefined) {
+                sendJson(response, status, body);
+            }
+        } catch (error) {
+            status = error.status || 500;
+            if (status === 500 && settings.logger) {
+                settings.logger.error(`API ${request.method} ${url ? url.pathname : request.url} failed`, error);
+            }
+            const headers = {};
+            if (status === 401) {
+                headers['WWW-Authenticate'] = 'Bearer';
+            } else if (status === 413) {
+                headers.Connection = 'close';
+            } else if (status === 405) {
+                headers.Allow = routes.filter(route => route.pattern.test(url.pathname)).map(route => route.method).join(', ');
+            }
+            const body = { error: { status, message: error.status ? error.message : 'Internal server error' } };
+            if (error.details) {
+                body.error.details = error.details;
+            }
+            if (!response.headersSent) {
+                sendJson(response, status, body, headers);
+            } else {
+                // Failed halfway through a stream
+                response.end();
+            }
+        }
+        if (settings.logger) {
+            settings.logger.info(`API ${request.method} ${url ? url.pathname : request.url} ${status} ${Date.now() - started}ms`);
+        }
+    });
+}
+
+/**
+ * Start listening.
+ *
+ * @param {http.Server} server - From createApiServer().
+ * @param {{host?: string, port?: number}} [options]
+ * @returns {Promise<{host: string, port: number}>} The bound address; port 0 picks a free one.
+ */
+function listen(server, options = {}) {
+    const host = options.host || DEFAULT_OPTIONS.host;
+    const port = options.port ?? DEFAULT_OPTIONS.port;
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            resolve({ host, port: server.address().port });
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    HttpError,
+    createApiServer,
+    parseSearchRequest,
+    listen,
+    isLoopback
+};
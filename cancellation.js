@@ -0,0 +1,146 @@
+/**
+ * Cancellation and Deadlines
+ * One AbortSignal per search run. It fires when the caller's own signal
+ * aborts (Ctrl-C in the CLI) or when the run's deadlineMs passes, and
+ * everything the run starts listens to it: provider requests, retry waits,
+ * quota deferrals and deep research steps. A stopped run still returns the
+ * providers that answered in time; the rest are reported, not waited for.
+ *
+ * The abort reason is an error whose stopReason ('cancelled' or 'deadline')
+ * is inherited by nested runs, so a deep research deadline reads as a
+ * deadline in every sub-search too.
+ */
+
+/**
+ * Error used as the abort reason. code ERR_CANCELED matches what axios throws
+ * for an aborted request, so both are recognized by isCancellation().
+ *
+ * @param {'cancelled'|'deadline'} stopReason
+ * @param {number} [deadlineMs]
+ * @returns {Error}
+ */
+function cancellationError(stopReason, deadlineMs) {
+    const error = new Error(stopReason === 'deadline' ? `Deadline of ${deadlineMs}ms exceeded` : 'Cancelled');
+    error.name = 'AbortError';
+    error.code = 'ERR_CANCELED';
+    error.stopReason = stopReason;
+    if (stopReason === 'deadline') {
+        error.deadlineMs = deadlineMs;
+    }
+    return error;
+}
+
+function isCancellation(error) {
+    return Boolean(error) && (error.code === 'ERR_CANCELED' || error.name === 'AbortError' || error.name === 'CanceledError');
+}
+
+// 'cancelled' or 'deadline' for an aborted signal, null otherwise
+function stopReasonOf(signal) {
+    if (!signal || !signal.aborted) {
+        return null;
+    }
+    return (signal.reason && signal.reason.stopReason) || 'cancelled';
+}
+
+/**
+ * Wait ms, or reject with the abort reason as soon as the signal fires.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    if (!signal) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason || cancellationError('cancelled'));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || cancellationError('cancelled'));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+class RunSignal {
+    /**
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Caller's signal; aborting it cancels the run.
+     * @param {number} [options.deadlineMs] - Stop the run this long after it starts.
+     */
+    constructor(options = {}) {
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.deadlineMs = options.deadlineMs || null;
+        this.parent = options.signal || null;
+        this.timer = null;
+        this.promise = null;
+        // Keep the parent's reason, so a nested run knows which deadline stopped it
+        this.onParentAbort = () => this.controller.abort(this.parent.reason && this.parent.reason.stopReason
+            ? this.parent.reason
+            : cancellationError('cancelled'));
+
+        if (this.parent && this.parent.aborted) {
+            this.onParentAbort();
+        } else if (this.parent) {
+            this.parent.addEventListener('abort', this.onParentAbort, { once: true });
+        }
+        if (this.deadlineMs > 0 && !this.signal.aborted) {
+            this.timer = setTimeout(() => this.abort('deadline'), this.deadlineMs);
+            // A finished run must not keep the process alive until its deadline
+            this.timer.unref();
+        }
+    }
+
+    // null while running, then 'cancelled' or 'deadline'
+    get stopReason() {
+        return stopReasonOf(this.signal);
+    }
+
+    abort(stopReason) {
+        if (!this.signal.aborted) {
+            this.controller.abort(cancellationError(stopReason, this.deadlineMs));
+        }
+    }
+
+    /**
+     * Resolves with the stop reason once the run is stopped, for racing against work in progress.
+     *
+     * @returns {Promise<{stopped: string}>}
+     */
+    stopped() {
+        if (!this.promise) {
+            this.promise = new Promise(resolve => {
+                if (this.signal.aborted) {
+                    resolve({ stopped: this.stopReason });
+                } else {
+                    this.signal.addEventListener('abort', () => resolve({ stopped: this.stopReason }), { once: true });
+                }
+            });
+        }
+        return this.promise;
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        if (this.parent) {
+            this.parent.removeEventListener('abort', this.onParentAbort);
+        }
+    }
+}
+
+module.exports = {
+    RunSignal,
+    cancellationError,
+    isCancellation,
+    stopReasonOf,
+    delay
+};
@@ -0,0 +1,1187 @@
+/**
+ * Command Line Interface
+ * Argument parsing and subcommands for deep-research (deepResearch.js).
+ * Flags map onto the options objects comprehensiveSearch() already accepts
+ * (includeBrave, braveOptions, newsOptions, ...). Commands return an exit
+ * code instead of calling process.exit so they can be tested in-process.
+ */
+
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const { getProviderConfig, describeProviders } = require('./providerRegistry');
+const { resolveCacheMode } = require('./responseCache');
+const { FORMATS, resolveFormat } = require('./formatters');
+const { validateConfig, maskSecrets, maskChannel } = require('./configSchema');
+const { createPrompt, runConfigWizard, writeConfigFile } = require('./configWizard');
+const { parseOverrides, readConfigFile, explainConfig } = require('./configLoader');
+const { SECRET_PREFIX, isSecretRef } = require('./secretStore');
+const { providerKeys, maskKey } = require('./keyPool');
+const { entryToResults } = require('./historyStore');
+const { cronLine, systemdUnits } = require('./watchManager');
+const { DEFAULT_OPTIONS: SERVER_DEFAULTS, createApiServer, listen, isLoopback } = require('./apiServer');
+const { LOG_LEVELS } = require('./structuredLogger');
+const { DEFAULT_EVENTS, NotificationDispatcher, channelProblems } = require('./notificationChannels');
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    PARTIAL: 2,
+    USAGE: 64,
+    INTERRUPTED: 130
+};
+
+const COMMANDS = ['search', 'config', 'secrets', 'cache', 'history', 'watch', 'notify', 'serve', 'providers', 'doctor', 'help'];
+
+// Flag name -> value type; booleans also accept --no-<name>, pairs may repeat
+const OPTION_SPEC = {
+    providers: 'list',
+    count: 'number',
+    lang: 'string',
+    country: 'string',
+    category: 'string',
+    sort: 'string',
+    from: 'string',
+    to: 'string',
+    site: 'string',
+    depth: 'number',
+    breadth: 'number',
+    deadline: 'number',
+    limit: 'number',
+    every: 'number',
+    digest: 'number',
+    quiet: 'string',
+    host: 'string',
+    port: 'number',
+    format: 'string',
+    set: 'pairs',
+    'log-level': 'string',
+    'log-quiet': 'boolean',
+    brave: 'boolean',
+    news: 'boolean',
+    fallback: 'boolean',
+    google: 'boolean',
+    cache: 'boolean',
+    refresh: 'boolean',
+    extract: 'boolean',
+    summarize: 'boolean',
+    synthesize: 'boolean',
+    deep: 'boolean',
+    stream: 'boolean',
+    clipboard: 'boolean',
+    json: 'boolean',
+    text: 'boolean',
+    network: 'boolean',
+    test: 'boolean',
+    systemd: 'boolean',
+    config: 'boolean',
+    help: 'boolean',
+    version: 'boolean'
+};
+
+const SHORT_FLAGS = { n: 'count', p: 'providers', f: 'format', h: 'help', v: 'version' };
+
+const PROVIDER_ALIASES = {
+    brave: 'braveSearch',
+    news: 'newsAPI',
+    newsapi: 'newsAPI',
+    newsdata: 'newsdataFallback',
+    fallback: 'newsdataFallback',
+    google: 'googleSearch'
+};
+
+const HELP_TEXT = `Usage: deep-research [command] [options]
+
+Commands:
+  search <query...>      Search all configured providers (default command)
+  config [show|path]     Show the active configuration (secrets masked) or its file path
+  config explain [key]   Show where each setting comes from: default, user, project, env or cli
+  config init [--no-test]
+                         Set up API keys interactively and write config.json
+  config validate        Check config.json against the configuration schema
+  secrets [list]         List API keys in the configured secret backend
+  secrets set <name>     Store a secret (read from the prompt or stdin); use it in config as "secret:<name>"
+  secrets delete <name>  Remove a stored secret
+  cache [stats|clear]    Inspect or clear the response cache
+  history [list [text]]  Recent searches, newest first (--limit n, filter by text in the query)
+  history show <id>      One recorded run; --format exports it (md, html, csv, jsonl, rss, atom, ...)
+  history rerun <id>     Run a recorded search again with the same options (--refresh skips the cache)
+  history diff <a> <b>   Result URLs that appeared or disappeared between two runs ("last" is the newest id)
+  watch [list]           Saved queries that alert on new results
+  watch add <name> <query...> [--every <min>] [--quiet HH:MM-HH:MM] [--digest <min>]
+                         Save a watch; search options such as -p pick its providers
+  watch remove <name>    Delete a watch
+  watch run [name]       Run watches that are due (or the named one) once; meant for cron
+  watch start            Keep running due watches until interrupted
+  watch schedule [--systemd]
+                         Print a crontab line (or systemd timer units) for "watch run"
+  notify [list]          Notification channels (webhook, ntfy, gotify, slack, email) and what they receive
+  notify test [name...]  Send a test notification to every channel (or the named ones) and report each delivery
+  serve [--host h] [--port n]
+                         HTTP API: POST /search (JSON, SSE or NDJSON), GET /search/stream, /providers, /history/:id, /health
+  providers              List search providers and whether they are configured
+  doctor [--network]     Check configuration, API keys and file permissions
+
+With no arguments the query is read from the clipboard and the summary copied back.
+
+Search options:
+  -p, --providers <list>   Comma separated providers: brave, news, newsdata, google or any registered name
+  --no-brave, --no-news, --no-fallback, --google
+                           Turn individual providers off (or Google on)
+  -n, --count <n>          Results per provider
+  --lang <code>            Language (NewsAPI, Newsdata.io, Google)
+  --country <code>         Country (Newsdata.io, Google)
+  --category <name>        Newsdata.io category
+  --sort <order>           NewsAPI sort order: publishedAt, relevancy or popularity
+  --from <date>            NewsAPI start date (YYYY-MM-DD)
+  --to <date>              NewsAPI end date (YYYY-MM-DD)
+  --site <domain>          Restrict to one site (NewsAPI domains, Google siteSearch)
+  --extract                Fetch article text for the top results
+  --summarize              Add bullet summaries and key points
+  --synthesize             Write a cited brief with the configured LLM endpoint
+  --deep                   Multi-hop research (--depth <n>, --breadth <n>)
+  --deadline <ms>          Stop after this long and return what the providers sent so far; the rest count as timed out
+  --no-cache, --refresh    Bypass or refresh the response cache
+  --clipboard              Read the query from the clipboard and copy the results back
+  --stream                 Print NDJSON events as each provider answers, ending with {"type":"done","results":...}
+  -f, --format <name>      Output format: ${FORMATS.join(', ')} (default json; md is an alias)
+  --text                   Same as --format text
+  --json                   Same as --format json
+
+General options:
+  --set <block.key=value>  Override a setting for this run (repeatable), e.g. --set braveSearch.timeout=5000
+  --log-level <level>      Least severe log records to keep: debug, info, warn or error (default info)
+  --log-quiet              No log lines on the console, only in research.log; automatic when stdout carries
+                           results (search, --json, --format, --stream), --no-log-quiet turns it off
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Ctrl-C during a search stops it and prints the results so far; press it again to quit at once.
+
+Exit codes: 0 success, 1 failure, 2 partial results (some providers failed or were skipped), 64 usage error,
+130 interrupted`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+function parseValue(name, type, raw) {
+    if (raw === undefined) {
+        throw new UsageError(`--${name} requires a value`);
+    }
+    if (type === 'number') {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new UsageError(`--${name} must be a non-negative integer, got "${raw}"`);
+        }
+        return value;
+    }
+    if (type === 'list') {
+        return raw.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (type === 'pairs' && !/^[^=]+=/.test(raw)) {
+        throw new UsageError(`--${name} expects key=value, got "${raw}"`);
+    }
+    return raw;
+}
+
+/**
+ * Parse argv into a command, positionals and flags.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{command: string, positionals: string[], flags: Object}}
+ * @throws {UsageError} On unknown flags or invalid values.
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const positionals = [];
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--') {
+            positionals.push(...argv.slice(index + 1));
+            break;
+        }
+        if (!arg.startsWith('-') || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+
+        let name;
+        let inlineValue;
+        if (arg.startsWith('--')) {
+            [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        } else {
+            name = SHORT_FLAGS[arg.slice(1)];
+            if (!name) {
+                throw new UsageError(`Unknown option: ${arg}`);
+            }
+        }
+
+        if (!(name in OPTION_SPEC) && name.startsWith('no-') && OPTION_SPEC[name.slice(3)] === 'boolean') {
+            flags[name.slice(3)] = false;
+            continue;
+        }
+        const type = OPTION_SPEC[name];
+        if (!type) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (type === 'boolean') {
+            if (inlineValue !== undefined && !['true', 'false'].includes(inlineValue)) {
+                throw new UsageError(`--${name} does not take a value`);
+            }
+            flags[name] = inlineValue !== 'false';
+        } else if (type === 'pairs') {
+            // Repeatable: --set a=1 --set b=2
+            flags[name] = [...(flags[name] || []), parseValue(name, type, inlineValue !== undefined ? inlineValue : argv[++index])];
+        } else {
+            flags[name] = parseValue(name, type, inlineValue !== undefined ? inlineValue : argv[++index]);
+        }
+    }
+
+    let command;
+    if (flags.config) {
+        // Legacy `deep-research --config`
+        command = 'config';
+    } else if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+        command = positionals.shift();
+    } else {
+        command = 'search';
+    }
+    return { command, positionals, flags };
+}
+
+function resolveProviderName(name, registry) {
+    const resolved = registry.has(name) ? name : PROVIDER_ALIASES[name.toLowerCase()];
+    if (!resolved || !registry.has(resolved)) {
+        throw new UsageError(`Unknown provider "${name}". Available: ${registry.names().join(', ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Translate CLI flags into comprehensiveSearch()/deepResearch() options.
+ *
+ * @param {Object} flags - Parsed flags.
+ * @param {Object} registry - ProviderRegistry used to validate --providers.
+ * @returns {Object}
+ */
+function buildSearchOptions(flags, registry) {
+    const options = {};
+    const braveOptions = {};
+    const newsOptions = {};
+    const fallbackOptions = {};
+    const googleOptions = {};
+
+    if (flags.providers) {
+        options.providers = [...new Set(flags.providers.map(name => resolveProviderName(name, registry)))];
+    }
+    if (flags.brave !== undefined) {
+        options.includeBrave = flags.brave;
+    }
+    if (flags.news !== undefined) {
+        options.includeNews = flags.news;
+    }
+    if (flags.fallback !== undefined) {
+        options.includeFallback = flags.fallback;
+    }
+    if (flags.google !== undefined) {
+        options.includeGoogle = flags.google;
+    }
+
+    if (flags.count !== undefined) {
+        braveOptions.count = flags.count;
+        newsOptions.pageSize = flags.count;
+        fallbackOptions.size = flags.count;
+        googleOptions.num = flags.count;
+    }
+    if (flags.lang) {
+        newsOptions.language = flags.lang;
+        fallbackOptions.language = flags.lang;
+        googleOptions.language = flags.lang;
+    }
+    if (flags.country) {
+        fallbackOptions.country = flags.country;
+        googleOptions.country = flags.country;
+    }
+    if (flags.category) {
+        fallbackOptions.category = flags.category;
+    }
+    if (flags.sort) {
+        newsOptions.sortBy = flags.sort;
+    }
+    if (flags.from) {
+        newsOptions.from = flags.from;
+    }
+    if (flags.to) {
+        newsOptions.to = flags.to;
+    }
+    if (flags.site) {
+        newsOptions.domains = flags.site;
+        googleOptions.siteSearch = flags.site;
+    }
+
+    [['braveOptions', braveOptions], ['newsOptions', newsOptions], ['fallbackOptions', fallbackOptions], ['googleOptions', googleOptions]]
+        .forEach(([key, value]) => {
+            if (Object.keys(value).length > 0) {
+                options[key] = value;
+            }
+        });
+
+    ['extract', 'summarize', 'synthesize', 'depth', 'breadth'].forEach(key => {
+        if (flags[key] !== undefined) {
+            options[key] = flags[key];
+        }
+    });
+    if (flags.deadline !== undefined) {
+        if (flags.deadline < 1) {
+            throw new UsageError('--deadline must be at least 1 (milliseconds)');
+        }
+        options.deadlineMs = flags.deadline;
+    }
+    options.cacheMode = resolveCacheMode({ noCache: flags.cache === false, refresh: flags.refresh });
+    return options;
+}
+
+// 0 when every selected provider answered, 2 when some failed or were skipped, 1 when none did,
+// 130 when Ctrl-C stopped the run
+function exitCodeForResults(results) {
+    if ((results.tree ? results.stats.stopReason : results.stopReason) === 'cancelled') {
+        return EXIT_CODES.INTERRUPTED;
+    }
+    if (results.tree) {
+        // Deep research report
+        if (results.results.length === 0) {
+            return results.errors.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        }
+        return results.errors.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    }
+    const successes = Object.keys(results.sources || {}).length;
+    const problems = (results.errors || []).length + (results.skipped || []).length;
+    if (successes === 0 && problems > 0) {
+        return EXIT_CODES.FAILURE;
+    }
+    return problems > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+// Commands
+// --format wins over the --text/--json shorthands
+function outputFormat(flags, fallback) {
+    const requested = flags.format || (flags.text ? 'text' : flags.json ? 'json' : fallback);
+    const format = requested && resolveFormat(requested);
+    if (requested && !format) {
+        throw new UsageError(`Unknown format "${requested}". Available: ${FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+async function searchCommand(context) {
+    const { researcher, flags, positionals, io } = context;
+    const options = buildSearchOptions(flags, researcher.providers);
+    if (context.signal) {
+        options.signal = context.signal;
+    }
+
+    if (positionals.length === 0 || flags.clipboard) {
+        if (flags.deep || flags.stream) {
+            throw new UsageError(`--${flags.deep ? 'deep' : 'stream'} needs a query on the command line`);
+        }
+        // The clipboard gets the requested format (text by default); the console only on request
+        const format = outputFormat(flags, null);
+        const results = await researcher.searchFromClipboard({ ...options, format: format || 'text' });
+        if (format) {
+            io.out(researcher.formatResults(results, format));
+        }
+        return exitCodeForResults(results);
+    }
+
+    const query = positionals.join(' ');
+    if (flags.stream) {
+        if (flags.deep || flags.format || flags.text) {
+            throw new UsageError('--stream prints NDJSON events and cannot be combined with --deep or --format');
+        }
+        let results;
+        for await (const event of researcher.streamSearch(query, options)) {
+            io.out(JSON.stringify(event));
+            if (event.type === 'done') {
+                results = event.results;
+            }
+        }
+        return exitCodeForResults(results);
+    }
+
+    const format = outputFormat(flags, 'json');
+    const results = flags.deep
+        ? await researcher.deepResearch(query, options)
+        : await researcher.comprehensiveSearch(query, options);
+
+    io.out(researcher.formatResults(results, format));
+    return exitCodeForResults(results);
+}
+
+async function configInit(context) {
+    const { researcher, flags, io, paths } = context;
+    const prompt = context.prompt || createPrompt();
+    try {
+        // Edit the project file itself so ${VAR} references and env-provided keys are not written out
+        const outcome = await runConfigWizard({
+            config: fs.existsSync(paths.configFile) ? readConfigFile(paths.configFile) : {},
+            effective: researcher.config,
+            providers: researcher.providers.list(),
+            prompt,
+            out: io.out,
+            testKeys: flags.test,
+            http: context.http,
+            secrets: researcher.secrets
+        });
+        if (!outcome.save) {
+            io.out(`Not saved; ${paths.configFile} is unchanged`);
+            return EXIT_CODES.FAILURE;
+        }
+        writeConfigFile(paths.configFile, outcome.config);
+        io.out(`Saved ${paths.configFile} (readable by you only)`);
+        return EXIT_CODES.OK;
+    } finally {
+        if (!context.prompt) {
+            prompt.close();
+        }
+    }
+}
+
+function configValidate(context) {
+    const { io, paths } = context;
+    if (!fs.existsSync(paths.configFile)) {
+        io.err(`${paths.configFile} not found. Run "deep-research config init" to create it.`);
+        return EXIT_CODES.FAILURE;
+    }
+    let errors;
+    try {
+        errors = validateConfig(JSON.parse(fs.readFileSync(paths.configFile, 'utf8')));
+    } catch (error) {
+        io.err(`${paths.configFile} is not valid JSON: ${error.message}`);
+        return EXIT_CODES.FAILURE;
+    }
+    if (errors.length === 0) {
+        io.out(`${paths.configFile} is valid`);
+        return EXIT_CODES.OK;
+    }
+    errors.forEach(error => io.err(`${error.path} ${error.message}`));
+    return EXIT_CODES.FAILURE;
+}
+
+function configExplain(context) {
+    const { researcher, positionals, flags, io } = context;
+    const rows = explainConfig(maskSecrets(researcher.config), researcher.configSources || {}, positionals[1]);
+    if (flags.json) {
+        io.out(JSON.stringify(rows, null, 2));
+        return EXIT_CODES.OK;
+    }
+    if (rows.length === 0) {
+        throw new UsageError(`No setting named "${positionals[1]}"`);
+    }
+    const width = Math.max(...rows.map(row => row.path.length));
+    rows.forEach(row => {
+        const source = row.origin ? `${row.layer} (${row.origin})` : row.layer;
+        io.out(`${row.path.padEnd(width)}  ${JSON.stringify(row.value)}  ← ${source}`);
+    });
+    return EXIT_CODES.OK;
+}
+
+async function configCommand(context) {
+    const { researcher, positionals, io, paths } = context;
+    const action = positionals[0] || 'show';
+    if (action === 'path') {
+        io.out(paths.configFile);
+        return EXIT_CODES.OK;
+    }
+    if (action === 'init') {
+        return configInit(context);
+    }
+    if (action === 'validate') {
+        return configValidate(context);
+    }
+    if (action === 'explain') {
+        return configExplain(context);
+    }
+    if (action !== 'show') {
+        throw new UsageError(`Unknown config action "${action}". Use: show, path, explain, init, validate`);
+    }
+    io.out('Current configuration:');
+    io.out(JSON.stringify(maskSecrets(researcher.config), null, 2));
+    return EXIT_CODES.OK;
+}
+
+// Config paths holding "secret:<name>" references, by secret name
+function secretReferences(config) {
+    const references = {};
+    explainConfig(config, {}).forEach(row => {
+        if (isSecretRef(row.value)) {
+            const name = row.value.slice(SECRET_PREFIX.length).trim();
+            references[name] = [...(references[name] || []), row.path];
+        }
+    });
+    return references;
+}
+
+async function secretsCommand(context) {
+    const { researcher, positionals, flags, io } = context;
+    const action = positionals[0] || 'list';
+    const name = positionals[1];
+    const store = researcher.secrets;
+
+    if (action === 'list') {
+        const references = secretReferences(researcher.config);
+        const names = [...new Set([...(await store.list()), ...Object.keys(references)])].sort();
+        if (flags.json) {
+            io.out(JSON.stringify({ backend: store.backend.name, secrets: names.map(secret => ({ name: secret, usedBy: references[secret] || [] })) }, null, 2));
+        } else if (names.length === 0) {
+            io.out(`No secrets in the ${store.backend.name} backend`);
+        } else {
+            io.out(`Backend: ${store.backend.name}`);
+            names.forEach(secret => io.out(`${secret.padEnd(24)} ${references[secret] ? `used by ${references[secret].join(', ')}` : 'unused'}`));
+        }
+        return EXIT_CODES.OK;
+    }
+    if (!['set', 'delete'].includes(action)) {
+        throw new UsageError(`Unknown secrets action "${action}". Use: list, set, delete`);
+    }
+    if (!name) {
+        throw new UsageError(`secrets ${action} needs a secret name`);
+    }
+
+    if (action === 'delete') {
+        const existed = await store.delete(name);
+        io.out(existed ? `Deleted ${name}` : `${name} was not stored`);
+        return existed ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    }
+
+    const prompt = context.prompt || createPrompt();
+    let value;
+    try {
+        value = await prompt.ask(`Value for ${name}: `);
+    } finally {
+        if (!context.prompt) {
+            prompt.close();
+        }
+    }
+    if (!value || !value.trim()) {
+        io.err('No value given; nothing stored');
+        return EXIT_CODES.FAILURE;
+    }
+    await store.set(name, value.trim());
+    io.out(`Stored ${name} in the ${store.backend.name} backend. Reference it in config.json as "${SECRET_PREFIX}${name}".`);
+    return EXIT_CODES.OK;
+}
+
+async function cacheCommand(context) {
+    const { researcher, positionals, io } = context;
+    const action = positionals[0] || 'stats';
+    if (action === 'stats') {
+        io.out(JSON.stringify(researcher.cache.stats(), null, 2));
+        return EXIT_CODES.OK;
+    }
+    if (action === 'clear') {
+        const { entries } = researcher.cache.stats();
+        researcher.cache.clear();
+        io.out(`Cleared ${entries} cached responses`);
+        return EXIT_CODES.OK;
+    }
+    throw new UsageError(`Unknown cache action "${action}". Use: stats, clear`);
+}
+
+function historyEntry(researcher, id) {
+    if (id === undefined) {
+        throw new UsageError('Expected a history id (see "deep-research history list")');
+    }
+    if (id !== 'last' && !/^\d+$/.test(id)) {
+        throw new UsageError(`History ids are numbers or "last", got "${id}"`);
+    }
+    const entry = researcher.history.get(id);
+    if (!entry) {
+        throw new Error(`No history entry ${id}`);
+    }
+    return entry;
+}
+
+function describeHistoryEntry(entry) {
+    const lines = [`#${entry.id}  ${entry.mode}  "${entry.query}"  ${entry.timestamp}  ${entry.durationMs}ms`];
+    Object.entries(entry.providers).forEach(([name, outcome]) => {
+        let detail = `${outcome.resultsCount} results${outcome.cacheHit ? ' (cached)' : ''}`;
+        if (outcome.status === 'skipped') {
+            detail = `skipped: ${outcome.reason}`;
+        } else if (outcome.status === 'error') {
+            detail = `failed: ${outcome.error}`;
+        }
+        lines.push(`  ${name.padEnd(18)} ${detail}`);
+    });
+    return lines.join('\n');
+}
+
+function formatHistoryDiff(diff) {
+    const lines = [`#${diff.from.id} "${diff.from.query}" (${diff.from.timestamp}) → #${diff.to.id} "${diff.to.query}" (${diff.to.timestamp})`];
+    diff.added.forEach(item => lines.push(`+ ${item.title}`, `  ${item.url}`));
+    diff.dropped.forEach(item => lines.push(`- ${item.title}`, `  ${item.url}`));
+    lines.push(`${diff.added.length} new, ${diff.dropped.length} dropped, ${diff.unchanged} unchanged`);
+    return lines.join('\n');
+}
+
+// history [list [filter]] | show <id> | rerun <id> | diff <id1> <id2>
+async function historyCommand(context) {
+    const { researcher, positionals, flags, io } = context;
+    const action = positionals[0] || 'list';
+
+    if (action === 'list') {
+        const entries = researcher.history.list({ limit: flags.limit || 20, query: positionals.slice(1).join(' ') });
+        if (flags.json) {
+            io.out(JSON.stringify(entries, null, 2));
+        } else if (entries.length === 0) {
+            io.out('No searches recorded yet');
+        } else {
+            entries.forEach(entry => io.out(`${String(entry.id).padStart(4)}  ${entry.timestamp.slice(0, 16).replace('T', ' ')}  ` +
+                `${entry.mode.padEnd(6)}  ${String(entry.totalResults).padStart(4)} results  ${entry.query}`));
+        }
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'show') {
+        const entry = historyEntry(researcher, positionals[1]);
+        const format = outputFormat(flags, 'text');
+        if (format === 'text') {
+            io.out(`${describeHistoryEntry(entry)}\n`);
+        }
+        io.out(researcher.formatResults(entryToResults(entry), format));
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'rerun') {
+        const entry = historyEntry(researcher, positionals[1]);
+        const format = outputFormat(flags, 'json');
+        const options = { ...entry.options, signal: context.signal };
+        if (flags.cache === false || flags.refresh) {
+            options.cacheMode = resolveCacheMode({ noCache: flags.cache === false, refresh: flags.refresh });
+        }
+        const results = entry.mode === 'deep'
+            ? await researcher.deepResearch(entry.query, options)
+            : await researcher.comprehensiveSearch(entry.query, options);
+        io.out(researcher.formatResults(results, format));
+        if (results.historyId !== undefined) {
+            // stderr, so the formatted results on stdout stay machine readable
+            const diff = researcher.history.diff(entry.id, results.historyId);
+            io.err(`Compared with #${entry.id}: ${diff.added.length} new, ${diff.dropped.length} dropped (history diff ${entry.id} ${results.historyId})`);
+        }
+        return exitCodeForResults(results);
+    }
+
+    if (action === 'diff') {
+        if (positionals.length < 3) {
+            throw new UsageError('Usage: deep-research history diff <id1> <id2>');
+        }
+        const [from, to] = [positionals[1], positionals[2]].map(id => historyEntry(researcher, id));
+        const diff = researcher.history.diff(from.id, to.id);
+        io.out(flags.json ? JSON.stringify(diff, null, 2) : formatHistoryDiff(diff));
+        return EXIT_CODES.OK;
+    }
+
+    throw new UsageError(`Unknown history action "${action}". Use: list, show, rerun, diff`);
+}
+
+// Resolves on Ctrl+C or SIGTERM, for commands that run until stopped
+function untilInterrupted() {
+    return new Promise(resolve => {
+        const stop = () => {
+            process.removeListener('SIGINT', stop);
+            process.removeListener('SIGTERM', stop);
+            resolve();
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+    });
+}
+
+function describeWatchOutcome(outcome) {
+    let detail;
+    if (outcome.error && outcome.resultsCount === 0) {
+        detail = `failed: ${outcome.error}`;
+    } else if (outcome.baseline) {
+        detail = `baseline of ${outcome.resultsCount} results saved; later runs alert on anything new`;
+    } else if (outcome.newItems.length === 0) {
+        detail = outcome.notified > 0 ? `no new results, sent ${outcome.notified} held` : 'no new results';
+    } else {
+        detail = `${outcome.newItems.length} new, ${outcome.notified > 0 ? `notified ${outcome.notified}` : `${outcome.held} held for quiet hours or digest`}`;
+    }
+    return `${outcome.name.padEnd(20)} ${detail}`;
+}
+
+// watch [list] | add <name> <query...> | remove <name> | run [name] | start | schedule
+async function watchCommand(context) {
+    const { researcher, positionals, flags, io, paths } = context;
+    const watches = researcher.watches;
+    const action = positionals[0] || 'list';
+
+    if (action === 'list') {
+        const list = watches.list();
+        if (flags.json) {
+            io.out(JSON.stringify(list.map(({ seen, ...watch }) => ({ ...watch, seen: seen.length })), null, 2));
+        } else if (list.length === 0) {
+            io.out('No watches yet. Add one with: deep-research watch add <name> <query>');
+        } else {
+            list.forEach(watch => {
+                const extras = [watch.quietHours && `quiet ${watch.quietHours}`, watch.digestMinutes && `digest every ${watch.digestMinutes} min`,
+                    watch.options.providers && watch.options.providers.join(',')].filter(Boolean);
+                io.out(`${watch.name.padEnd(20)} every ${watch.intervalMinutes} min  "${watch.query}"${extras.length > 0 ? `  (${extras.join('; ')})` : ''}` +
+                    `  last run: ${watch.lastAttemptAt || watch.lastRunAt || 'never'}${watch.lastError ? `, failed: ${watch.lastError}` : ''}`);
+            });
+        }
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'add') {
+        const [name, ...words] = positionals.slice(1);
+        if (!name || words.length === 0) {
+            throw new UsageError('Usage: deep-research watch add <name> <query...>');
+        }
+        const { cacheMode, ...options } = buildSearchOptions(flags, researcher.providers);
+        if (cacheMode !== 'use') {
+            options.cacheMode = cacheMode;
+        }
+        let watch;
+        try {
+            watch = watches.add({ name, query: words.join(' '), options, intervalMinutes: flags.every, quietHours: flags.quiet, digestMinutes: flags.digest });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        io.out(`Watching "${watch.query}" every ${watch.intervalMinutes} min as ${watch.name}`);
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'remove') {
+        if (!positionals[1]) {
+            throw new UsageError('Usage: deep-research watch remove <name>');
+        }
+        if (!watches.remove(positionals[1])) {
+            io.err(`No watch named "${positionals[1]}"`);
+            return EXIT_CODES.FAILURE;
+        }
+        io.out(`Removed ${positionals[1]}`);
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'run') {
+        let outcomes;
+        if (positionals[1]) {
+            const watch = watches.get(positionals[1]);
+            if (!watch) {
+                io.err(`No watch named "${positionals[1]}"`);
+                return EXIT_CODES.FAILURE;
+            }
+            outcomes = [await watches.run(watch)];
+        } else {
+            outcomes = await watches.runDue();
+        }
+        if (flags.json) {
+            io.out(JSON.stringify(outcomes, null, 2));
+        } else if (outcomes.length === 0) {
+            io.out('No watches are due');
+        } else {
+            outcomes.forEach(outcome => io.out(describeWatchOutcome(outcome)));
+        }
+        return outcomes.some(outcome => outcome.error) ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    }
+
+    if (action === 'start') {
+        if (watches.list().length === 0) {
+            io.err('No watches to run. Add one with: deep-research watch add <name> <query>');
+            return EXIT_CODES.FAILURE;
+        }
+        io.out(`Running ${watches.list().length} watches; press Ctrl+C to stop`);
+        const scheduler = watches.start({ onRun: outcomes => outcomes.forEach(outcome => io.out(describeWatchOutcome(outcome))) });
+        await untilInterrupted();
+        scheduler.stop();
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'schedule') {
+        const list = watches.list();
+        const schedule = {
+            node: process.execPath,
+            script: path.resolve(paths.script || process.argv[1]),
+            minutes: list.length > 0 ? Math.min(...list.map(watch => watch.intervalMinutes)) : 60
+        };
+        if (flags.systemd) {
+            const units = systemdUnits(schedule);
+            io.out(`# ~/.config/systemd/user/deep-research-watch.service\n${units.service}`);
+            io.out(`# ~/.config/systemd/user/deep-research-watch.timer\n${units.timer}`);
+            io.out('# then: systemctl --user daemon-reload && systemctl --user enable --now deep-research-watch.timer');
+        } else {
+            io.out('# add with: crontab -e');
+            io.out(cronLine(schedule));
+        }
+        return EXIT_CODES.OK;
+    }
+
+    throw new UsageError(`Unknown watch action "${action}". Use: list, add, remove, run, start, schedule`);
+}
+
+function describeChannel(channel) {
+    const events = (channel.events || DEFAULT_EVENTS).join(',');
+    const problems = channelProblems(channel);
+    const state = channel.enabled === false ? ' (disabled)' : problems.length > 0 ? ` ❌ ${problems.join('; ')}` : '';
+    return `${channel.name.padEnd(16)} ${channel.type.padEnd(8)} ${(channel.minSeverity || 'info').padEnd(6)} ${events}${state}`;
+}
+
+// notify [list] | test [name...]
+async function notifyCommand(context) {
+    const { researcher, positionals, flags, io } = context;
+    const action = positionals[0] || 'list';
+    const dispatcher = new NotificationDispatcher({
+        ...researcher.config.notifications,
+        secrets: researcher.secrets,
+        logger: context.logger,
+        http: context.http
+    });
+    const channels = dispatcher.channels;
+
+    if (action === 'list') {
+        if (flags.json) {
+            io.out(JSON.stringify(channels.map(maskChannel), null, 2));
+        } else if (channels.length === 0) {
+            io.out('No notification channels configured; add them under "notifications.channels" in config.json');
+        } else {
+            channels.forEach(channel => io.out(describeChannel(channel)));
+        }
+        return EXIT_CODES.OK;
+    }
+
+    if (action === 'test') {
+        const names = positionals.slice(1);
+        const unknown = names.filter(name => !channels.some(channel => channel.name === name));
+        if (unknown.length > 0) {
+            throw new UsageError(`Unknown notification channel: ${unknown.join(', ')}`);
+        }
+        const only = names.length > 0 ? names : channels.filter(channel => channel.enabled !== false).map(channel => channel.name);
+        if (only.length === 0) {
+            io.err('No notification channels to test; add them under "notifications.channels" in config.json');
+            return EXIT_CODES.FAILURE;
+        }
+        // Sent to the chosen channels whatever their minSeverity and events say
+        const outcomes = await dispatcher.send({
+            title: 'Deep Research test notification',
+            message: 'If you can read this, the channel works.',
+            type: 'info',
+            event: 'test'
+        }, { only });
+        if (flags.json) {
+            io.out(JSON.stringify(outcomes, null, 2));
+        } else {
+            outcomes.forEach(outcome => io.out(`${outcome.ok ? '✅' : '❌'} ${outcome.channel.padEnd(16)} ${outcome.type.padEnd(8)} ${outcome.ok ? 'delivered' : outcome.error}`));
+        }
+        return outcomes.every(outcome => outcome.ok) ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    }
+
+    throw new UsageError(`Unknown notify action "${action}". Use: list, test`);
+}
+
+async function serveCommand(context) {
+    const { researcher, flags, io } = context;
+    const settings = { ...SERVER_DEFAULTS, ...researcher.config.server };
+    const host = flags.host || settings.host;
+    const port = flags.port ?? settings.port;
+    // The token may be a "secret:<name>" reference like any API key
+    const token = settings.token && researcher.secrets ? await researcher.secrets.resolve(settings.token) : settings.token;
+    if (!token && !isLoopback(host)) {
+        io.err(`Warning: listening on ${host} without a token; anyone who can reach it can spend your API quota. Set server.token.`);
+    }
+
+    const server = createApiServer(researcher, { token, maxBodyBytes: settings.maxBodyBytes, logger: context.logger, version: context.version });
+    let address;
+    try {
+        address = await listen(server, { host, port });
+    } catch (error) {
+        throw new Error(`Cannot listen on ${host}:${port}: ${error.message}`);
+    }
+    const shownHost = address.host.includes(':') ? `[${address.host}]` : address.host;
+    io.out(`Listening on http://${shownHost}:${address.port}${token ? ' (bearer token required)' : ''}; press Ctrl+C to stop`);
+    await untilInterrupted();
+    await new Promise(resolve => server.close(resolve));
+    return EXIT_CODES.OK;
+}
+
+async function providersCommand(context) {
+    const { researcher, flags, io } = context;
+    const providers = describeProviders(researcher.providers, researcher.config);
+    if (flags.json) {
+        io.out(JSON.stringify(providers, null, 2));
+        return EXIT_CODES.OK;
+    }
+    providers.forEach(provider => {
+        const status = provider.configured ? '✅ configured' : provider.optional ? '➖ not configured (optional)' : '❌ not configured';
+        io.out(`${provider.name.padEnd(18)} ${provider.type.padEnd(5)} ${status}`);
+    });
+    return EXIT_CODES.OK;
+}
+
+function checkWritable(directory) {
+    try {
+        fs.mkdirSync(directory, { recursive: true });
+        const probe = path.join(directory, `.doctor-${process.pid}`);
+        fs.writeFileSync(probe, 'ok');
+        fs.unlinkSync(probe);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+async function lookupHost(hostname, timeoutMs) {
+    let timer;
+    try {
+        return await Promise.race([
+            dns.promises.lookup(hostname),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`DNS lookup timed out after ${timeoutMs}ms`)), timeoutMs);
+            })
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Run environment checks.
+ *
+ * @returns {Promise<Array<{name: string, status: 'ok'|'warn'|'fail', detail: string}>>}
+ */
+async function runDoctorChecks(researcher, paths, options = {}) {
+    const checks = [];
+    const add = (name, status, detail) => checks.push({ name, status, detail });
+
+    const nodeMajor = parseInt(process.versions.node.split('.')[0], 10);
+    add('node', nodeMajor >= 16 ? 'ok' : 'fail', `Node.js ${process.versions.node}${nodeMajor >= 16 ? '' : ' (16 or newer required)'}`);
+
+    if (!fs.existsSync(paths.configFile)) {
+        add('config', 'warn', `${paths.configFile} not found, using environment variables`);
+    } else {
+        try {
+            const errors = validateConfig(JSON.parse(fs.readFileSync(paths.configFile, 'utf8')));
+            if (errors.length > 0) {
+                add('config', 'fail', `${paths.configFile}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+            } else {
+                add('config', 'ok', paths.configFile);
+            }
+        } catch (error) {
+            add('config', 'fail', `${paths.configFile} is not valid JSON: ${error.message}`);
+        }
+        // Group or world readable keys are worth a warning on systems with Unix permissions
+        const mode = fs.statSync(paths.configFile).mode & 0o777;
+        if (process.platform !== 'win32' && (mode & 0o077) !== 0) {
+            add('config:permissions', 'warn', `${paths.configFile} is mode ${mode.toString(8)}; run chmod 600 to keep API keys private`);
+        }
+    }
+
+    const providers = describeProviders(researcher.providers, researcher.config);
+    for (const provider of providers) {
+        let providerConfig = getProviderConfig(researcher.config, researcher.providers.get(provider.name));
+        const keyCount = providerKeys(providerConfig).filter(Boolean).length;
+        const keyText = keyCount > 1 ? `${keyCount} API keys` : 'API key';
+        const hasReference = providerKeys(providerConfig).some(isSecretRef);
+        if (provider.configured && hasReference && researcher.secrets) {
+            try {
+                // Quota usage is tracked under the resolved keys
+                providerConfig = await researcher.secrets.resolveConfig(providerConfig);
+                add(`provider:${provider.name}`, 'ok', `${keyText} resolved from the ${researcher.secrets.backend.name} secret backend`);
+            } catch (error) {
+                add(`provider:${provider.name}`, 'fail', error.message);
+            }
+        } else if (provider.configured) {
+            add(`provider:${provider.name}`, 'ok', `${keyText} configured`);
+        } else {
+            add(`provider:${provider.name}`, 'warn', provider.optional ? 'Not configured (optional)' : 'API key missing');
+        }
+        const keys = providerKeys(providerConfig);
+        keys.forEach(key => {
+            const usage = researcher.quota.usage(provider.name, key);
+            if (usage.blockedUntil && Date.parse(usage.blockedUntil) > Date.now()) {
+                const which = keys.length > 1 ? `${maskKey(key)}: ` : '';
+                add(`quota:${provider.name}`, 'warn', `${which}Rate limited until ${usage.blockedUntil}`);
+            }
+        });
+    }
+    if (!providers.some(provider => provider.configured)) {
+        add('providers', 'fail', 'No search provider is configured');
+    }
+    if (researcher.breaker) {
+        researcher.breaker.list().forEach(circuit => {
+            const name = circuit.id.split(' ')[0];
+            add(`circuit:${name}`, 'warn', `${circuit.id.slice(name.length + 1)} ${circuit.state} after ${circuit.failures} ${circuit.lastError} failures (since ${circuit.openedAt || circuit.trialAt})`);
+        });
+    }
+
+    new NotificationDispatcher(researcher.config.notifications).channels.forEach(channel => {
+        const problems = channelProblems(channel);
+        add(`notify:${channel.name}`, problems.length > 0 ? 'warn' : 'ok', problems.length > 0
+            ? problems.join('; ')
+            : `${channel.type}${channel.enabled === false ? ' (disabled)' : ''}, run "notify test ${channel.name}" to try it`);
+    });
+
+    const cacheError = checkWritable(researcher.cache.directory);
+    add('cache', cacheError ? 'fail' : 'ok', cacheError || `${researcher.cache.directory} is writable`);
+    const logError = checkWritable(path.dirname(paths.logFile));
+    add('log', logError ? 'fail' : 'ok', logError || `${paths.logFile} is writable`);
+    if (researcher.history && researcher.history.enabled) {
+        // Searches still work without history, so this is only a warning
+        const historyError = checkWritable(path.dirname(researcher.history.file));
+        add('history', historyError ? 'warn' : 'ok', historyError || `${researcher.history.file} is writable`);
+    }
+
+    if (options.network) {
+        for (const provider of researcher.providers.list()) {
+            const baseUrl = getProviderConfig(researcher.config, provider).baseUrl;
+            if (!baseUrl) {
+                continue;
+            }
+            const hostname = new URL(baseUrl).hostname;
+            try {
+                await lookupHost(hostname, 5000);
+                add(`network:${provider.name}`, 'ok', `${hostname} resolves`);
+            } catch (error) {
+                add(`network:${provider.name}`, 'fail', `${hostname}: ${error.message}`);
+            }
+        }
+    }
+
+    return checks;
+}
+
+async function doctorCommand(context) {
+    const { researcher, flags, io, paths } = context;
+    const checks = await runDoctorChecks(researcher, paths, { network: flags.network });
+    if (flags.json) {
+        io.out(JSON.stringify(checks, null, 2));
+    } else {
+        const icons = { ok: '✅', warn: '⚠️ ', fail: '❌' };
+        checks.forEach(check => io.out(`${icons[check.status]} ${check.name.padEnd(26)} ${check.detail}`));
+    }
+    return checks.some(check => check.status === 'fail') ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+const HANDLERS = {
+    search: searchCommand,
+    config: configCommand,
+    secrets: secretsCommand,
+    cache: cacheCommand,
+    history: historyCommand,
+    watch: watchCommand,
+    notify: notifyCommand,
+    serve: serveCommand,
+    providers: providersCommand,
+    doctor: doctorCommand
+};
+
+// Log lines on the console would corrupt results printed to stdout, so those commands log quietly
+function loggingOverrides(command, positionals, flags) {
+    const logging = {};
+    if (flags['log-level'] !== undefined) {
+        if (!LOG_LEVELS.includes(flags['log-level'])) {
+            throw new UsageError(`--log-level must be one of: ${LOG_LEVELS.join(', ')}`);
+        }
+        logging.level = flags['log-level'];
+    }
+    const printsResults = flags.json || flags.stream || flags.format !== undefined ||
+        (command === 'search' && positionals.length > 0 && !flags.clipboard) ||
+        (command === 'history' && positionals[0] === 'rerun');
+    if (flags['log-quiet'] !== undefined || printsResults) {
+        logging.quiet = flags['log-quiet'] ?? true;
+    }
+    return logging;
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @param {Object} deps
+ * @param {function(Object): Object} deps.createResearcher - Builds a DeepResearcher from { configOverrides }.
+ * @param {{configFile: string, logFile: string, script?: string}} deps.paths - script is used in scheduler lines.
+ * @param {Object} [deps.logger]
+ * @param {{out: function(string), err: function(string)}} [deps.io]
+ * @param {{ask: function(string): Promise<string|null>, close: function()}} [deps.prompt] - Answers for `config init`.
+ * @param {function(Object): Promise<Object>} [deps.http] - Request function used to test API keys.
+ * @param {string} [deps.version]
+ * @param {AbortSignal} [deps.signal] - Aborted on Ctrl-C; searches then stop and print what they have.
+ * @returns {Promise<number>} Process exit code.
+ */
+async function runCli(argv, deps) {
+    const io = deps.io || {
+        out: text => process.stdout.write(`${text}\n`),
+        err: text => process.stderr.write(`${text}\n`)
+    };
+
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        io.err(`${error.message}\nRun "deep-research --help" for usage.`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const { command, positionals, flags } = parsed;
+    if (flags.help || command === 'help') {
+        io.out(HELP_TEXT);
+        return EXIT_CODES.OK;
+    }
+    if (flags.version) {
+        io.out(deps.version || 'unknown');
+        return EXIT_CODES.OK;
+    }
+
+    try {
+        let configOverrides;
+        try {
+            configOverrides = parseOverrides(flags.set);
+        } catch (error) {
+            throw new UsageError(`--set: ${error.message}`);
+        }
+        const logging = loggingOverrides(command, positionals, flags);
+        if (Object.keys(logging).length > 0) {
+            configOverrides.logging = { ...configOverrides.logging, ...logging };
+        }
+        const researcher = deps.createResearcher({ configOverrides });
+        return await HANDLERS[command]({
+            researcher,
+            positionals,
+            flags,
+            io,
+            paths: deps.paths,
+            prompt: deps.prompt,
+            http: deps.http,
+            logger: deps.logger,
+            version: deps.version,
+            signal: deps.signal
+        });
+    } catch (error) {
+        if (error instanceof UsageError) {
+            io.err(`${error.message}\nRun "deep-research --help" for usage.`);
+            return EXIT_CODES.USAGE;
+        }
+        if (deps.logger) {
+            deps.logger.error(`Command "${command}" failed`, error);
+        }
+        io.err(`Error: ${error.message}`);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    HELP_TEXT,
+    UsageError,
+    parseArgs,
+    buildSearchOptions,
+    exitCodeForResults,
+    runDoctorChecks,
+    runCli
+};
@@ -0,0 +1,277 @@
+/**
+ * Layered Configuration
+ * Builds the effective configuration from, lowest precedence first:
+ *   default  built-in defaults
+ *   user     global config (~/.config/deep-research/config.json)
+ *   project  config.json next to the scripts
+ *   env      environment variables (BRAVE_API_KEY, ... and DEEP_RESEARCH__block__key)
+ *   cli      --set block.key=value flags
+ * Objects merge key by key, everything else is replaced. String values in the
+ * config files may reference the environment as ${NAME} or ${NAME:-fallback}.
+ * Every effective leaf value remembers the layer it came from so
+ * `deep-research config explain` can show it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LAYERS = ['default', 'user', 'project', 'env', 'cli'];
+
+const DEFAULT_CONFIG = {
+    braveSearch: {
+        apiKey: '',
+        baseUrl: 'https://api.search.brave.com/res/v1/web/search',
+        timeout: 10000,
+        retries: 3
+    },
+    newsAPI: {
+        apiKey: '',
+        baseUrl: 'https://newsapi.org/v2/everything',
+        timeout: 10000,
+        retries: 3
+    },
+    newsdataIO: {
+        apiKey: '',
+        baseUrl: 'https://newsdata.io/api/1/news',
+        timeout: 10000,
+        retries: 3
+    },
+    googleSearch: {
+        apiKey: '',
+        searchEngineId: '',
+        baseUrl: 'https://www.googleapis.com/customsearch/v1',
+        timeout: 10000,
+        retries: 3
+    }
+};
+
+// Well-known variables and the setting each one fills
+const ENV_VARIABLES = {
+    BRAVE_API_KEY: 'braveSearch.apiKey',
+    NEWS_API_KEY: 'newsAPI.apiKey',
+    NEWSDATA_API_KEY: 'newsdataIO.apiKey',
+    GOOGLE_API_KEY: 'googleSearch.apiKey',
+    GOOGLE_SEARCH_ENGINE_ID: 'googleSearch.searchEngineId',
+    SYNTHESIS_API_KEY: 'synthesis.apiKey'
+};
+
+// Any other setting: DEEP_RESEARCH__braveSearch__timeout=5000
+const ENV_PREFIX = 'DEEP_RESEARCH__';
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function userConfigFile(env = process.env) {
+    const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(base, 'deep-research', 'config.json');
+}
+
+// Numbers, booleans and JSON literals typed into env vars or flags keep their type
+function coerceValue(raw) {
+    const text = String(raw).trim();
+    if (/^(true|false|null|-?\d+(\.\d+)?)$/.test(text) || /^[[{"]/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return raw;
+        }
+    }
+    return raw;
+}
+
+function setPath(target, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+        if (!isPlainObject(node[key])) {
+            node[key] = {};
+        }
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+    return target;
+}
+
+/**
+ * Parse `block.key=value` overrides, as given to --set.
+ *
+ * @param {string[]} pairs
+ * @returns {Object} Nested override object.
+ * @throws {Error} When a pair has no "=" or an empty path.
+ */
+function parseOverrides(pairs = []) {
+    const overrides = {};
+    pairs.forEach(pair => {
+        const separator = pair.indexOf('=');
+        const key = separator > 0 ? pair.slice(0, separator).trim() : '';
+        if (!key || key.split('.').some(part => part === '')) {
+            throw new Error(`Expected block.key=value, got "${pair}"`);
+        }
+        setPath(overrides, key, coerceValue(pair.slice(separator + 1)));
+    });
+    return overrides;
+}
+
+// Replace ${NAME} and ${NAME:-fallback} in every string value
+function interpolate(value, env, warnings, where) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+            if (env[name] !== undefined && env[name] !== '') {
+                return env[name];
+            }
+            if (fallback === undefined) {
+                warnings.push(`${where} references \${${name}}, which is not set`);
+                return '';
+            }
+            return fallback;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => interpolate(item, env, warnings, `${where}[${index}]`));
+    }
+    if (isPlainObject(value)) {
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            result[key] = interpolate(child, env, warnings, where ? `${where}.${key}` : key);
+        });
+        return result;
+    }
+    return value;
+}
+
+function envLayer(env) {
+    const layer = {};
+    const origins = {};
+    Object.entries(ENV_VARIABLES).forEach(([name, dottedPath]) => {
+        if (env[name]) {
+            setPath(layer, dottedPath, env[name]);
+            origins[dottedPath] = name;
+        }
+    });
+    Object.keys(env).filter(name => name.startsWith(ENV_PREFIX)).forEach(name => {
+        const dottedPath = name.slice(ENV_PREFIX.length).split('__').join('.');
+        if (dottedPath && env[name] !== '') {
+            setPath(layer, dottedPath, coerceValue(env[name]));
+            origins[dottedPath] = name;
+        }
+    });
+    return { layer, origins };
+}
+
+/**
+ * Deep merge override into base. Objects merge key by key; arrays and scalars
+ * replace. Empty strings count as unset, so the blank placeholders in
+ * config.example.json never hide a key configured in a lower layer.
+ *
+ * @param {Object} base
+ * @param {Object} override
+ * @param {function(string)} [onSet] - Called with the dotted path of every value taken from override.
+ * @returns {Object} New merged object.
+ */
+function mergeConfig(base, override, onSet = () => {}, prefix = '') {
+    const merged = { ...base };
+    Object.entries(override || {}).forEach(([key, value]) => {
+        const dottedPath = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            merged[key] = mergeConfig(isPlainObject(base[key]) ? base[key] : {}, value, onSet, dottedPath);
+        } else if (value !== '' || base[key] === undefined) {
+            merged[key] = value;
+            onSet(dottedPath);
+        }
+    });
+    return merged;
+}
+
+function readConfigFile(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load and merge every layer.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.defaults=DEFAULT_CONFIG]
+ * @param {Array<{layer: string, file: string}>} [options.files] - Config files, lowest precedence first.
+ * @param {Object} [options.env=process.env]
+ * @param {Object} [options.overrides] - CLI layer, e.g. from parseOverrides().
+ * @returns {{config: Object, sources: Object<string, {layer: string, origin: string|null}>, warnings: string[]}}
+ */
+function loadLayeredConfig(options = {}) {
+    const env = options.env || process.env;
+    const warnings = [];
+    const sources = {};
+    let config = {};
+
+    const apply = (layer, values, originFor) => {
+        config = mergeConfig(config, values, dottedPath => {
+            // A replaced object or array drops the provenance of its old children
+            Object.keys(sources)
+                .filter(existing => existing.startsWith(`${dottedPath}.`) || existing.startsWith(`${dottedPath}[`))
+                .forEach(existing => delete sources[existing]);
+            sources[dottedPath] = { layer, origin: originFor(dottedPath) };
+        });
+    };
+
+    apply('default', options.defaults || DEFAULT_CONFIG, () => null);
+    (options.files || []).forEach(({ layer, file }) => {
+        if (!file || !fs.existsSync(file)) {
+            return;
+        }
+        try {
+            apply(layer, interpolate(readConfigFile(file), env, warnings, ''), () => file);
+        } catch (error) {
+            warnings.push(`Ignoring ${file}: ${error.message}`);
+        }
+    });
+    const fromEnv = envLayer(env);
+    apply('env', fromEnv.layer, dottedPath => fromEnv.origins[dottedPath] ||
+        Object.entries(fromEnv.origins).find(([prefix]) => dottedPath.startsWith(`${prefix}.`))?.[1] || null);
+    apply('cli', options.overrides || {}, () => '--set');
+
+    return { config, sources, warnings };
+}
+
+function leaves(value, prefix, rows) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+        Object.entries(value).forEach(([key, child]) => leaves(child, prefix ? `${prefix}.${key}` : key, rows));
+    } else {
+        rows.push({ path: prefix, value });
+    }
+    return rows;
+}
+
+/**
+ * One row per effective leaf value with the layer it came from.
+ *
+ * @param {Object} config - Effective config.
+ * @param {Object} sources - From loadLayeredConfig().
+ * @param {string} [filter] - Only paths equal to or under this prefix.
+ * @returns {Array<{path: string, value: *, layer: string, origin: string|null}>}
+ */
+function explainConfig(config, sources, filter) {
+    return leaves(config, '', [])
+        .filter(row => !filter || row.path === filter || row.path.startsWith(`${filter}.`))
+        .map(row => {
+            const source = sources[row.path] ||
+                Object.entries(sources).filter(([dottedPath]) => row.path.startsWith(`${dottedPath}.`))
+                    .sort((a, b) => b[0].length - a[0].length)[0]?.[1] ||
+                { layer: 'default', origin: null };
+            return { ...row, layer: source.layer, origin: source.origin };
+        });
+}
+
+module.exports = {
+    LAYERS,
+    DEFAULT_CONFIG,
+    ENV_VARIABLES,
+    ENV_PREFIX,
+    userConfigFile,
+    readConfigFile,
+    parseOverrides,
+    mergeConfig,
+    interpolate,
+    loadLayeredConfig,
+    explainConfig
+};
@@ -0,0 +1,399 @@
+/**
+ * Configuration Schema
+ * JSON schema for config.json plus a small validator covering the keywords the
+ * schema uses (type, properties, required, additionalProperties, items, enum,
+ * minimum, maximum, minLength, format: uri). Unknown top-level blocks are
+ * allowed because custom providers keep their settings under their own name.
+ */
+
+const providerSchema = {
+    type: 'object',
+    properties: {
+        apiKey: { type: 'string' },
+        apiKeys: { type: 'array', items: { type: 'string', minLength: 1 } },
+        keySelection: { enum: ['round-robin', 'least-used'] },
+        baseUrl: { type: 'string', format: 'uri' },
+        timeout: { type: 'integer', minimum: 1000, maximum: 120000 },
+        retries: { type: 'integer', minimum: 0, maximum: 10 },
+        dailyLimit: { type: 'integer', minimum: 0 },
+        monthlyLimit: { type: 'integer', minimum: 0 }
+    }
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    properties: {
+        braveSearch: providerSchema,
+        newsAPI: providerSchema,
+        newsdataIO: providerSchema,
+        googleSearch: {
+            ...providerSchema,
+            properties: { ...providerSchema.properties, searchEngineId: { type: 'string' } }
+        },
+        cache: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                directory: { type: 'string' },
+                defaultTtl: { type: 'integer', minimum: 0 },
+                ttl: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+                maxEntries: { type: 'integer', minimum: 1 },
+                maxBytes: { type: 'integer', minimum: 1 }
+            }
+        },
+        quota: {
+            type: 'object',
+            properties: {
+                file: { type: 'string' },
+                maxDeferMs: { type: 'integer', minimum: 0 }
+            }
+        },
+        extraction: {
+            type: 'object',
+            properties: {
+                concurrency: { type: 'integer', minimum: 1, maximum: 20 },
+                timeout: { type: 'integer', minimum: 1000 },
+                maxBytes: { type: 'integer', minimum: 1024 },
+                maxContentLength: { type: 'integer', minimum: 100 },
+                maxArticles: { type: 'integer', minimum: 1 },
+                respectRobots: { type: 'boolean' },
+                userAgent: { type: 'string' }
+            }
+        },
+        summary: {
+            type: 'object',
+            properties: {
+                maxArticles: { type: 'integer', minimum: 1 },
+                digestBullets: { type: 'integer', minimum: 1 },
+                maxPerSource: { type: 'integer', minimum: 1 }
+            }
+        },
+        synthesis: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                backend: { enum: ['openai', 'stub'] },
+                baseUrl: { type: 'string', format: 'uri' },
+                model: { type: 'string', minLength: 1 },
+                apiKey: { type: 'string' },
+                timeout: { type: 'integer', minimum: 1000 },
+                temperature: { type: 'number', minimum: 0, maximum: 2 },
+                maxTokens: { type: 'integer', minimum: 1 },
+                maxSources: { type: 'integer', minimum: 1 },
+                maxCharsPerSource: { type: 'integer', minimum: 100 }
+            }
+        },
+        research: {
+            type: 'object',
+            properties: {
+                depth: { type: 'integer', minimum: 0, maximum: 5 },
+                breadth: { type: 'integer', minimum: 1, maximum: 10 },
+                maxResults: { type: 'integer', minimum: 1 },
+                timeBudgetMs: { type: 'integer', minimum: 1000 },
+                expansion: { enum: ['keywords', 'llm'] }
+            }
+        },
+        keys: {
+            type: 'object',
+            properties: {
+                strategy: { enum: ['round-robin', 'least-used'] },
+                quarantineAfter: { type: 'integer', minimum: 1 },
+                quarantineMs: { type: 'integer', minimum: 0 },
+                file: { type: 'string', minLength: 1 }
+            }
+        },
+        secrets: {
+            type: 'object',
+            properties: {
+                backend: { enum: ['env', 'keystore', 'secret-service'] },
+                file: { type: 'string', minLength: 1 },
+                passphraseEnv: { type: 'string', minLength: 1 },
+                command: { type: 'string', minLength: 1 }
+            }
+        },
+        history: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                file: { type: 'string', minLength: 1 },
+                maxEntries: { type: 'integer', minimum: 1 }
+            }
+        },
+        watch: {
+            type: 'object',
+            properties: {
+                file: { type: 'string', minLength: 1 }
+            }
+        },
+        logging: {
+            type: 'object',
+            properties: {
+                level: { enum: ['debug', 'info', 'warn', 'error'] },
+                quiet: { type: 'boolean' },
+                maxBytes: { type: 'integer', minimum: 0 },
+                maxAgeHours: { type: 'number', minimum: 0 },
+                maxFiles: { type: 'integer', minimum: 0 }
+            }
+        },
+        resilience: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                failureThreshold: { type: 'integer', minimum: 1 },
+                cooldownMs: { type: 'integer', minimum: 0 },
+                file: { type: 'string', minLength: 1 }
+            }
+        },
+        notifications: {
+            type: 'object',
+            properties: {
+                desktop: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        minSeverity: { enum: ['info', 'alert', 'error'] },
+                        events: { type: 'array', items: { enum: ['search', 'watch', 'provider', 'clipboard', 'test'] } }
+                    }
+                },
+                channels: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            type: { enum: ['webhook', 'ntfy', 'gotify', 'slack', 'email'] },
+                            enabled: { type: 'boolean' },
+                            url: { type: 'string', format: 'uri' },
+                            minSeverity: { enum: ['info', 'alert', 'error'] },
+                            events: { type: 'array', items: { enum: ['search', 'watch', 'provider', 'clipboard', 'test'] } },
+                            title: { type: 'string' },
+                            message: { type: 'string' },
+                            headers: { type: 'object' },
+                            token: { type: 'string', minLength: 1 },
+                            username: { type: 'string', minLength: 1 },
+                            timeout: { type: 'integer', minimum: 1000, maximum: 120000 },
+                            host: { type: 'string', minLength: 1 },
+                            port: { type: 'integer', minimum: 1, maximum: 65535 },
+                            secure: { type: 'boolean' },
+                            starttls: { type: 'boolean' },
+                            user: { type: 'string', minLength: 1 },
+                            password: { type: 'string', minLength: 1 },
+                            from: { type: 'string', minLength: 1 },
+                            to: { type: 'array', items: { type: 'string', minLength: 1 } }
+                        }
+                    }
+                }
+            }
+        },
+        http: {
+            type: 'object',
+            properties: {
+                mode: { enum: ['live', 'record', 'replay'] },
+                fixtures: { type: 'string', minLength: 1 }
+            }
+        },
+        server: {
+            type: 'object',
+            properties: {
+                host: { type: 'string', minLength: 1 },
+                port: { type: 'integer', minimum: 0, maximum: 65535 },
+                token: { type: 'string' },
+                maxBodyBytes: { type: 'integer', minimum: 1024 }
+            }
+        },
+        plugins: { type: 'array', items: { type: 'string', minLength: 1 } },
+        customProviders: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'baseUrl'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    baseUrl: { type: 'string', format: 'uri' },
+                    resultsPath: { type: 'string' },
+                    queryParam: { type: 'string' },
+                    apiKeyParam: { type: 'string' },
+                    apiKeyHeader: { type: 'string' },
+                    timeout: { type: 'integer', minimum: 1000 }
+                }
+            }
+        }
+    }
+};
+
+// Keys whose values are credentials wherever they appear
+const SECRET_KEY_PATTERN = /^(api[-_]?keys?|.*secret.*|.*token|password|authorization|x-api-key|x-subscription-token)$/i;
+const REDACTED = '[REDACTED]';
+
+// Also catches request params such as Google's plain "key", which would be too broad for config keys
+function isSecretName(name) {
+    return name.toLowerCase() === 'key' || SECRET_KEY_PATTERN.test(name);
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isUri(value) {
+    try {
+        return /^https?:$/.test(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateNode(value, schema, at, errors) {
+    const where = at || '(root)';
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push({ path: where, message: `must be ${schema.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(schema.type) ? 'n' : ''} ${schema.type}`}` });
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: where, message: `must be one of: ${schema.enum.join(', ')}` });
+        return;
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: where, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        // An empty string means "not set" for optional URLs
+        if (schema.format === 'uri' && value !== '' && !isUri(value)) {
+            errors.push({ path: where, message: 'must be an http(s) URL' });
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateNode(item, schema.items, `${at}[${index}]`, errors));
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: at ? `${at}.${key}` : key, message: 'is required' });
+            }
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = at ? `${at}.${key}` : key;
+            const childSchema = (schema.properties && schema.properties[key]) ||
+                (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (childSchema) {
+                validateNode(child, childSchema, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not a recognized setting' });
+            }
+        });
+    }
+}
+
+/**
+ * Validate a configuration object.
+ *
+ * @param {Object} config
+ * @param {Object} [schema=CONFIG_SCHEMA]
+ * @returns {Array<{path: string, message: string}>} Empty when valid.
+ */
+function validateConfig(config, schema = CONFIG_SCHEMA) {
+    const errors = [];
+    validateNode(config, schema, '', errors);
+    return errors;
+}
+
+function maskSecret(value) {
+    // Empty values, ${VAR} and secret:<name> references reveal nothing
+    if (typeof value !== 'string' || value === '' || /^\$\{[^}]+\}$/.test(value) || value.startsWith('secret:')) {
+        return value;
+    }
+    return value.length > 8 ? `••••${value.slice(-4)}` : '••••';
+}
+
+// Slack, Matrix and generic webhook URLs (and ntfy topics) carry the credential in the path or query
+function maskUrl(value) {
+    if (typeof value !== 'string' || value === '' || /^\$\{[^}]+\}$/.test(value) || value.startsWith('secret:')) {
+        return value;
+    }
+    try {
+        const url = new URL(value);
+        return url.pathname === '/' && url.search === '' ? value : `${url.origin}/••••`;
+    } catch (error) {
+        return maskSecret(value);
+    }
+}
+
+/**
+ * A notification channel safe to print: credentials, the URL's path and query
+ * and every header value (any header may hold a token) are masked.
+ *
+ * @param {Object} channel - One entry of notifications.channels.
+ * @returns {Object}
+ */
+function maskChannel(channel) {
+    const masked = maskSecrets(channel);
+    if (typeOf(masked) !== 'object') {
+        return masked;
+    }
+    if (masked.url !== undefined) {
+        masked.url = maskUrl(masked.url);
+    }
+    if (typeOf(masked.headers) === 'object') {
+        masked.headers = Object.fromEntries(Object.entries(masked.headers).map(([name, value]) => [name, maskSecret(value)]));
+    }
+    return masked;
+}
+
+/**
+ * Deep copy of a config with every credential masked, safe to print.
+ *
+ * @param {*} config
+ * @returns {*}
+ */
+function maskSecrets(config) {
+    if (Array.isArray(config)) {
+        return config.map(maskSecrets);
+    }
+    if (typeOf(config) !== 'object') {
+        return config;
+    }
+    const masked = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (SECRET_KEY_PATTERN.test(key)) {
+            masked[key] = Array.isArray(value) ? value.map(maskSecret) : maskSecret(value);
+        } else if (key === 'notifications' && typeOf(value) === 'object' && Array.isArray(value.channels)) {
+            masked[key] = { ...maskSecrets(value), channels: value.channels.map(maskChannel) };
+        } else {
+            masked[key] = maskSecrets(value);
+        }
+    });
+    return masked;
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    SECRET_KEY_PATTERN,
+    REDACTED,
+    isSecretName,
+    validateConfig,
+    maskSecret,
+    maskSecrets,
+    maskChannel
+};
@@ -0,0 +1,219 @@
+/**
+ * Configuration Wizard
+ * Interactive `deep-research config init`: walks through every registered
+ * provider asking for its API key, timeout and retries, optionally tests each
+ * key with a one-result search, and hands back a config that passes
+ * validateConfig(). Prompts go through a small { ask, close } interface so
+ * tests can script the answers.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+const { USER_AGENT, getProviderConfig } = require('./providerRegistry');
+const { validateConfig, maskSecret } = require('./configSchema');
+const { mergeConfig, interpolate } = require('./configLoader');
+
+const DEFAULT_PROVIDER_SETTINGS = { timeout: 10000, retries: 3 };
+
+// Smallest page every built-in provider accepts
+const TEST_OPTIONS = { count: 1, pageSize: 1, size: 1, num: 1 };
+
+// Typing "-" at a prompt clears the current value
+const CLEAR_ANSWER = '-';
+
+/**
+ * Line prompt on a terminal. ask() resolves to null once input is closed.
+ *
+ * @param {NodeJS.ReadableStream} [input=process.stdin]
+ * @param {NodeJS.WritableStream} [output=process.stdout]
+ * @returns {{ask: function(string): Promise<string|null>, close: function()}}
+ */
+function createPrompt(input = process.stdin, output = process.stdout) {
+    const rl = readline.createInterface({ input, output, terminal: Boolean(output.isTTY) });
+    let closed = false;
+    rl.on('close', () => {
+        closed = true;
+    });
+    return {
+        ask(question) {
+            if (closed) {
+                return Promise.resolve(null);
+            }
+            return new Promise(resolve => {
+                const onClose = () => resolve(null);
+                rl.once('close', onClose);
+                rl.question(question, answer => {
+                    rl.removeListener('close', onClose);
+                    resolve(answer);
+                });
+            });
+        },
+        close() {
+            rl.close();
+        }
+    };
+}
+
+// Ask until the answer parses; an empty answer keeps the current value
+async function askValue({ prompt, out }, question, current, parse) {
+    for (;;) {
+        const answer = await prompt.ask(`${question}${current !== undefined && current !== '' ? ` [${current}]` : ''}: `);
+        if (answer === null) {
+            throw new Error('Configuration cancelled');
+        }
+        const trimmed = answer.trim();
+        if (trimmed === '') {
+            return current;
+        }
+        try {
+            return parse(trimmed);
+        } catch (error) {
+            out(`  ${error.message}`);
+        }
+    }
+}
+
+async function askSecret(prompt, question, current, inherited) {
+    const hint = current
+        ? ` [${maskSecret(current)}, Enter keeps, - clears]`
+        : inherited ? ' [set by environment or user config, Enter keeps it there]' : '';
+    const answer = await prompt.ask(`${question}${hint}: `);
+    if (answer === null) {
+        throw new Error('Configuration cancelled');
+    }
+    const trimmed = answer.trim();
+    if (trimmed === '') {
+        return current || '';
+    }
+    return trimmed === CLEAR_ANSWER ? '' : trimmed;
+}
+
+async function askYesNo(prompt, question, defaultYes) {
+    const answer = await prompt.ask(`${question} ${defaultYes ? '[Y/n]' : '[y/N]'} `);
+    if (answer === null || answer.trim() === '') {
+        return defaultYes;
+    }
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+function integerIn(min, max) {
+    return text => {
+        const value = Number(text);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`Enter a whole number between ${min} and ${max}`);
+        }
+        return value;
+    };
+}
+
+/**
+ * Check an API key with the cheapest search the provider offers.
+ *
+ * @param {Object} provider - Registered provider.
+ * @param {Object} providerConfig - Its config block.
+ * @param {Object} [options]
+ * @param {function(Object): Promise<Object>} [options.http] - axios-compatible request function.
+ * @param {Object} [options.secrets] - SecretStore that resolves "secret:<name>" keys first.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function testProviderKey(provider, providerConfig, options = {}) {
+    const http = options.http || axios;
+    try {
+        if (options.secrets) {
+            providerConfig = await options.secrets.resolveConfig(providerConfig);
+        }
+        if (provider.validateConfig) {
+            provider.validateConfig(providerConfig);
+        }
+        const request = provider.buildRequest('test', TEST_OPTIONS, providerConfig, { userAgent: USER_AGENT, mobile: false });
+        const response = await http({ ...request, timeout: Math.min(request.timeout || 10000, 10000) });
+        if (provider.checkResponse) {
+            provider.checkResponse(response.data);
+        }
+        return { ok: true, message: 'Key accepted' };
+    } catch (error) {
+        const message = error.response && provider.classifyError ? provider.classifyError(error) : error.message;
+        return { ok: false, message };
+    }
+}
+
+/**
+ * Write config.json readable by the owner only.
+ *
+ * @param {string} file
+ * @param {Object} config
+ */
+function writeConfigFile(file, config) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+    // mode only applies to new files, so tighten explicitly before moving into place
+    fs.chmodSync(temporary, 0o600);
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Run the interactive wizard.
+ *
+ * @param {Object} options
+ * @param {Object} options.config - Project config file contents; blocks the wizard does not ask about are kept.
+ * @param {Object} [options.effective] - Effective layered config, used for defaults and key tests.
+ * @param {Array<Object>} options.providers - Registered providers to configure.
+ * @param {{ask: function(string): Promise<string|null>}} options.prompt
+ * @param {function(string)} options.out - Progress output.
+ * @param {boolean} [options.testKeys] - Test keys without asking (true) or skip testing (false).
+ * @param {function(Object): Promise<Object>} [options.http] - Request function for key tests.
+ * @param {Object} [options.env=process.env] - Variables for ${VAR} references in the file.
+ * @param {Object} [options.secrets] - SecretStore for "secret:<name>" keys in the key tests.
+ * @returns {Promise<{config: Object, tests: Array<Object>, errors: Array<Object>, save: boolean}>}
+ */
+async function runConfigWizard(options) {
+    const { prompt, out } = options;
+    const config = JSON.parse(JSON.stringify(options.config || {}));
+    const effective = options.effective || {};
+    // What the next run would use: file values win here, since the user is editing the file,
+    // with ${VAR} references expanded the way the config loader does
+    const resolved = provider => getProviderConfig(mergeConfig(effective, interpolate(config, options.env || process.env, [], '')), provider);
+
+    out('Deep Research setup. Press Enter to keep the value in brackets.\n');
+    for (const provider of options.providers) {
+        const current = { ...resolved(provider), ...config[provider.configKey] };
+        const block = { ...config[provider.configKey] };
+        const label = provider.label || provider.name;
+        out(`${label}${provider.capabilities?.optional ? ' (optional)' : ''}`);
+
+        block.apiKey = await askSecret(prompt, '  API key', block.apiKey, resolved(provider).apiKey);
+        for (const field of provider.configFields || []) {
+            block[field] = await askValue(options, `  ${field}`, current[field] || '', text => (text === CLEAR_ANSWER ? '' : text));
+        }
+        block.timeout = await askValue(options, '  Timeout (ms)', current.timeout ?? DEFAULT_PROVIDER_SETTINGS.timeout, integerIn(1000, 120000));
+        block.retries = await askValue(options, '  Retries', current.retries ?? DEFAULT_PROVIDER_SETTINGS.retries, integerIn(0, 10));
+        config[provider.configKey] = block;
+    }
+
+    const tests = [];
+    const withKeys = options.providers.filter(provider => resolved(provider).apiKey);
+    const shouldTest = withKeys.length > 0 && (options.testKeys ?? await askYesNo(prompt, '\nTest API keys now?', true));
+    if (shouldTest) {
+        for (const provider of withKeys) {
+            const result = await testProviderKey(provider, resolved(provider), { http: options.http, secrets: options.secrets });
+            tests.push({ provider: provider.name, ...result });
+            out(`${result.ok ? '✅' : '❌'} ${(provider.label || provider.name).padEnd(16)} ${result.message}`);
+        }
+    }
+
+    const errors = validateConfig(config);
+    errors.forEach(error => out(`❌ ${error.path} ${error.message}`));
+    let save = errors.length === 0;
+    if (save && tests.some(test => !test.ok)) {
+        save = await askYesNo(prompt, 'Some keys failed the test. Save anyway?', false);
+    }
+    return { config, tests, errors, save };
+}
+
+module.exports = {
+    createPrompt,
+    runConfigWizard,
+    testProviderKey,
+    writeConfigFile
+};
@@ -0,0 +1,555 @@
+/**
+ * Article Content Extractor
+ * Fetches result URLs (with a concurrency limit, size limit and robots.txt
+ * check) and pulls the readable article out of the page: boilerplate such as
+ * navigation, ads, scripts and share widgets is dropped, the densest block of
+ * paragraphs wins, and title/byline/date come from page metadata.
+ */
+
+const axios = require('axios');
+const { toIsoDate } = require('./resultSchema');
+const { canonicalizeUrl } = require('./resultMerger');
+
+const DEFAULT_OPTIONS = {
+    concurrency: 3,
+    timeout: 10000,
+    maxBytes: 2 * 1024 * 1024,
+    maxContentLength: 5000,
+    maxArticles: 10,
+    respectRobots: true,
+    userAgent: 'DeepResearchMultiApis/1.0 (+content-extractor)'
+};
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title', 'noscript', 'template']);
+const REMOVED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'embed', 'form',
+    'nav', 'header', 'footer', 'aside', 'button', 'select', 'input', 'textarea', 'menu', 'dialog'
+]);
+const BLOCK_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'pre']);
+// Tags that implicitly close an open <p>
+const CLOSES_P = new Set(['p', 'div', 'ul', 'ol', 'table', 'section', 'article', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'header', 'footer', 'aside', 'nav', 'figure']);
+
+const BOILERPLATE_PATTERN = /(^|[\s_-])(ad|ads|adv|advert|advertisement|banner|breadcrumbs?|comments?|cookie|consent|disqus|footer|masthead|menu|modal|nav|navbar|newsletter|outbrain|paywall|popup|promo|related|share|sharing|sidebar|signup|social|sponsored|subscribe|taboola|toolbar|widget)([\s_-]|$)/i;
+const CONTENT_PATTERN = /(^|[\s_-])(article|body|content|entry|main|post|story|text)([\s_-]|$)/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        const decoded = ENTITIES[entity.toLowerCase()];
+        return decoded === undefined ? match : decoded;
+    });
+}
+
+function parseAttributes(source) {
+    const attrs = {};
+    const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = attrPattern.exec(source || ''))) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+        attrs[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attrs;
+}
+
+// Tolerant HTML parser producing { tag, attrs, children, parent } nodes and { text } leaves
+function parseHtml(html) {
+    const root = { tag: '#root', attrs: {}, children: [], parent: null };
+    const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+    let current = root;
+    let lastIndex = 0;
+    let match;
+
+    const addText = text => {
+        if (text) {
+            current.children.push({ text: decodeEntities(text), parent: current });
+        }
+    };
+
+    while ((match = tagPattern.exec(html))) {
+        addText(html.slice(lastIndex, match.index));
+        lastIndex = tagPattern.lastIndex;
+
+        if (match[1]) {
+            // Closing tag: pop to the nearest matching open element, ignore strays
+            const tag = match[1].toLowerCase();
+            let node = current;
+            while (node && node.tag !== tag) {
+                node = node.parent;
+            }
+            if (node && node.parent) {
+                current = node.parent;
+            }
+        } else if (match[2]) {
+            const tag = match[2].toLowerCase();
+            if (CLOSES_P.has(tag) && current.tag === 'p') {
+                current = current.parent;
+            }
+            if (tag === 'li' && current.tag === 'li') {
+                current = current.parent;
+            }
+            const node = { tag, attrs: parseAttributes(match[3]), children: [], parent: current };
+            current.children.push(node);
+
+            if (RAW_TEXT_TAGS.has(tag)) {
+                const closeIndex = html.toLowerCase().indexOf(`</${tag}`, lastIndex);
+                const end = closeIndex === -1 ? html.length : closeIndex;
+                node.children.push({ text: tag === 'title' ? decodeEntities(html.slice(lastIndex, end)) : html.slice(lastIndex, end), parent: node });
+                const closeEnd = closeIndex === -1 ? html.length : html.indexOf('>', closeIndex) + 1;
+                tagPattern.lastIndex = closeEnd || html.length;
+                lastIndex = tagPattern.lastIndex;
+            } else if (!VOID_TAGS.has(tag) && !match[4]) {
+                current = node;
+            }
+        }
+    }
+    addText(html.slice(lastIndex));
+    return root;
+}
+
+function walk(node, visit) {
+    if (visit(node) === false || !node.children) {
+        return;
+    }
+    node.children.forEach(child => walk(child, visit));
+}
+
+function findAll(root, predicate) {
+    const found = [];
+    walk(root, node => {
+        if (node.tag && predicate(node)) {
+            found.push(node);
+        }
+    });
+    return found;
+}
+
+function textOf(node) {
+    if (node.text !== undefined) {
+        return node.text;
+    }
+    if (node.removed || (node.tag && REMOVED_TAGS.has(node.tag))) {
+        return '';
+    }
+    return node.children.map(textOf).join(node.tag && BLOCK_TAGS.has(node.tag) ? '' : ' ');
+}
+
+function cleanText(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function isBoilerplate(node) {
+    if (!node.tag || node.tag === 'body' || node.tag === 'article' || node.tag === 'main' || node.attrs.role === 'main') {
+        return false;
+    }
+    if (node.attrs.role === 'navigation' || node.attrs.role === 'complementary' || node.attrs['aria-hidden'] === 'true') {
+        return true;
+    }
+    const signature = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+    return BOILERPLATE_PATTERN.test(signature) && !CONTENT_PATTERN.test(signature);
+}
+
+// Mark navigation, ads, scripts and similar subtrees so text and scoring skip them
+function stripBoilerplate(root) {
+    walk(root, node => {
+        if (node.tag && (REMOVED_TAGS.has(node.tag) || isBoilerplate(node))) {
+            node.removed = true;
+            return false;
+        }
+        return true;
+    });
+}
+
+function linkDensity(node) {
+    const total = cleanText(textOf(node)).length;
+    if (total === 0) {
+        return 0;
+    }
+    const linked = findAll(node, child => child.tag === 'a' && !child.removed)
+        .reduce((sum, link) => sum + cleanText(textOf(link)).length, 0);
+    return linked / total;
+}
+
+function isVisible(node) {
+    for (let current = node; current; current = current.parent) {
+        if (current.removed) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Readability-style scoring: paragraphs credit their parent and grandparent
+function findMainContent(root) {
+    const scores = new Map();
+    findAll(root, node => node.tag === 'p' || node.tag === 'pre').forEach(paragraph => {
+        if (!isVisible(paragraph)) {
+            return;
+        }
+        const text = cleanText(textOf(paragraph));
+        if (text.length < 25) {
+            return;
+        }
+        const score = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+        const parent = paragraph.parent;
+        const grandparent = parent && parent.parent;
+        if (parent && parent.tag) {
+            scores.set(parent, (scores.get(parent) || 0) + score);
+        }
+        if (grandparent && grandparent.tag) {
+            scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+        }
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, node) => {
+        let adjusted = score * (1 - linkDensity(node));
+        const signature = `${node.attrs.class || ''} ${node.attrs.id || ''}`;
+        if (node.tag === 'article' || node.tag === 'main' || CONTENT_PATTERN.test(signature)) {
+            adjusted *= 1.25;
+        }
+        if (adjusted > bestScore) {
+            best = node;
+            bestScore = adjusted;
+        }
+    });
+
+    return best || findAll(root, node => node.tag === 'body')[0] || root;
+}
+
+function collectBlocks(node) {
+    const blocks = [];
+    walk(node, child => {
+        if (child.removed) {
+            return false;
+        }
+        if (child.tag && BLOCK_TAGS.has(child.tag)) {
+            const text = cleanText(textOf(child));
+            const shortAndLinky = text.length < 80 && linkDensity(child) > 0.5;
+            if (text.length > 0 && !shortAndLinky) {
+                blocks.push(text);
+            }
+            return false;
+        }
+        return true;
+    });
+    return blocks;
+}
+
+function truncate(text, maxLength) {
+    if (!maxLength || text.length <= maxLength) {
+        return text;
+    }
+    const cut = text.slice(0, maxLength);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > maxLength * 0.8 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+function readMetadata(root) {
+    const meta = {};
+    findAll(root, node => node.tag === 'meta').forEach(node => {
+        const name = (node.attrs.property || node.attrs.name || node.attrs.itemprop || '').toLowerCase();
+        if (name && node.attrs.content && meta[name] === undefined) {
+            meta[name] = node.attrs.content.trim();
+        }
+    });
+
+    const linkedData = [];
+    findAll(root, node => node.tag === 'script' && /ld\+json/i.test(node.attrs.type || '')).forEach(node => {
+        try {
+            const parsed = JSON.parse(textOf(node));
+            const items = Array.isArray(parsed) ? parsed : parsed['@graph'] || [parsed];
+            items.forEach(item => linkedData.push(item));
+        } catch (error) {
+            // Ignore malformed structured data
+        }
+    });
+    const article = linkedData.find(item => /Article|Posting|Report/i.test([].concat(item['@type'] || []).join(' '))) || {};
+    const ldAuthor = [].concat(article.author || []).map(author => (typeof author === 'string' ? author : author.name)).filter(Boolean);
+
+    const titleNode = findAll(root, node => node.tag === 'title')[0];
+    const bylineNode = findAll(root, node => /(^|\s)(author|byline)/i.test(`${node.attrs.class || ''} ${node.attrs.rel || ''} ${node.attrs.itemprop || ''}`) && node.tag !== 'meta')[0];
+    const timeNode = findAll(root, node => node.tag === 'time' && node.attrs.datetime)[0];
+    const metaAuthor = meta.author || (meta['article:author'] && !/^https?:/i.test(meta['article:author']) ? meta['article:author'] : null);
+
+    return {
+        title: meta['og:title'] || meta['twitter:title'] || article.headline ||
+            (titleNode ? cleanText(textOf(titleNode)).replace(/\s+[|–—-]\s+[^|–—-]{1,40}$/, '') : null) || null,
+        byline: metaAuthor || ldAuthor.join(', ') || (bylineNode ? cleanText(textOf(bylineNode)).replace(/^by\s+/i, '') : null) || null,
+        publishedAt: toIsoDate(meta['article:published_time'] || meta['parsely-pub-date'] || meta['pubdate'] ||
+            meta['publish-date'] || meta['date'] || meta['datepublished'] || article.datePublished ||
+            (timeNode && timeNode.attrs.datetime)),
+        siteName: meta['og:site_name'] || null
+    };
+}
+
+/**
+ * Extract the readable article from an HTML document.
+ *
+ * @param {string} html - Page markup.
+ * @param {Object} [options]
+ * @param {number} [options.maxContentLength=5000] - Truncate the text to this many characters.
+ * @returns {{title: string|null, byline: string|null, publishedAt: string|null, siteName: string|null, text: string, length: number}}
+ */
+function extractArticle(html, options = {}) {
+    const maxContentLength = options.maxContentLength === undefined ? DEFAULT_OPTIONS.maxContentLength : options.maxContentLength;
+    const root = parseHtml(html || '');
+    const metadata = readMetadata(root);
+    stripBoilerplate(root);
+
+    const container = findMainContent(root);
+    const blocks = collectBlocks(container);
+    if (!metadata.title) {
+        const heading = findAll(container, node => node.tag === 'h1')[0];
+        metadata.title = heading ? cleanText(textOf(heading)) : null;
+    }
+
+    const fullText = blocks.length > 0 ? blocks.join('\n\n') : cleanText(textOf(container));
+    const text = truncate(fullText, maxContentLength);
+    return { ...metadata, text, length: fullText.length };
+}
+
+// robots.txt
+function parseRobots(body, userAgent) {
+    const groups = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    (body || '').split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) {
+            return;
+        }
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (field === 'user-agent') {
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+        } else if (group && (field === 'allow' || field === 'disallow')) {
+            group.rules.push({ allow: field === 'allow', path: value });
+            lastWasAgent = false;
+        } else {
+            lastWasAgent = false;
+        }
+    });
+
+    const token = String(userAgent || '').split(/[\s/]/)[0].toLowerCase();
+    const specific = groups.filter(candidate => candidate.agents.some(agent => agent !== '*' && token.includes(agent)));
+    const chosen = specific.length > 0 ? specific : groups.filter(candidate => candidate.agents.includes('*'));
+    return chosen.reduce((rules, candidate) => rules.concat(candidate.rules), []);
+}
+
+function robotsPatternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins ties; an empty Disallow allows everything
+function isPathAllowed(rules, pathWithQuery) {
+    let verdict = { allow: true, length: -1 };
+    rules.forEach(rule => {
+        if (!rule.path) {
+            return;
+        }
+        if (robotsPatternToRegExp(rule.path).test(pathWithQuery)) {
+            const length = rule.path.length;
+            if (length > verdict.length || (length === verdict.length && rule.allow)) {
+                verdict = { allow: rule.allow, length };
+            }
+        }
+    });
+    return verdict.allow;
+}
+
+// Run an async worker over items with at most `limit` in flight
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+class ContentExtractor {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.http = options.http || axios;
+        this.logger = options.logger || null;
+        this.robotsCache = new Map();
+    }
+
+    log(level, message) {
+        if (this.logger) {
+            this.logger[level](message);
+        }
+    }
+
+    async robotsRules(origin) {
+        if (!this.robotsCache.has(origin)) {
+            const pending = this.http({
+                method: 'GET',
+                url: `${origin}/robots.txt`,
+                responseType: 'text',
+                timeout: Math.min(this.options.timeout, 5000),
+                maxContentLength: 512 * 1024,
+                headers: { 'User-Agent': this.options.userAgent },
+                validateStatus: () => true
+            }).then(response => {
+                if (response.status >= 200 && response.status < 300) {
+                    return parseRobots(String(response.data), this.options.userAgent);
+                }
+                // Missing robots.txt means everything is allowed; server errors mean nothing is
+                return response.status >= 400 && response.status < 500 ? [] : [{ allow: false, path: '/' }];
+            }).catch(() => [{ allow: false, path: '/' }]);
+            this.robotsCache.set(origin, pending);
+        }
+        return this.robotsCache.get(origin);
+    }
+
+    async isAllowed(url) {
+        if (!this.options.respectRobots) {
+            return true;
+        }
+        const parsed = new URL(url);
+        const rules = await this.robotsRules(parsed.origin);
+        return isPathAllowed(rules, `${parsed.pathname}${parsed.search}`);
+    }
+
+    async extract(url) {
+        const started = Date.now();
+        try {
+            if (!/^https?:\/\//i.test(url || '')) {
+                throw new Error('Only http(s) URLs can be extracted');
+            }
+            // Redirects are followed here rather than by axios, so robots.txt is checked on every hop
+            let target = url;
+            let response;
+            for (let redirects = 0; ; redirects++) {
+                if (!(await this.isAllowed(target))) {
+                    this.log('info', `Content extraction skipped by robots.txt: ${target === url ? url : `${url} (redirected to ${target})`}`);
+                    return { url, status: 'blocked', error: 'Disallowed by robots.txt' };
+                }
+                response = await this.http({
+                    method: 'GET',
+                    url: target,
+                    responseType: 'text',
+                    timeout: this.options.timeout,
+                    maxContentLength: this.options.maxBytes,
+                    maxRedirects: 0,
+                    validateStatus: status => (status >= 200 && status < 300) || REDIRECT_STATUSES.includes(status),
+                    headers: {
+                        'User-Agent': this.options.userAgent,
+                        'Accept': 'text/html,application/xhtml+xml'
+                    }
+                });
+                if (!REDIRECT_STATUSES.includes(response.status)) {
+                    break;
+                }
+                const location = response.headers && response.headers.location;
+                if (!location) {
+                    throw new Error(`Redirect (HTTP ${response.status}) without a Location header`);
+                }
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+                }
+                target = new URL(location, target).href;
+                if (!/^https?:\/\//i.test(target)) {
+                    throw new Error(`Redirect to a non-http(s) URL: ${target}`);
+                }
+            }
+
+            const contentType = String((response.headers && response.headers['content-type']) || 'text/html');
+            if (!/html|xml/i.test(contentType)) {
+                return { url, status: 'unsupported', error: `Unsupported content type: ${contentType}` };
+            }
+
+            const article = extractArticle(String(response.data), this.options);
+            this.log('debug', `Extracted ${article.length} characters from ${url} in ${Date.now() - started}ms`);
+            return { url, status: 'ok', ...article };
+        } catch (error) {
+            this.log('warn', `Content extraction failed for ${url}: ${error.message}`);
+            return { url, status: 'error', error: error.message };
+        }
+    }
+
+    async extractMany(urls) {
+        return mapWithConcurrency(urls, this.options.concurrency, url => this.extract(url));
+    }
+
+    /**
+     * Extract the top results and attach the text to every copy of each result.
+     *
+     * @param {Array<Object>} ranked - Results in priority order (e.g. results.merged).
+     * @param {Array<Object>} [others] - Further result objects to annotate (e.g. per-source items).
+     * @returns {Promise<number>} Number of articles extracted successfully.
+     */
+    async attachToResults(ranked, others = []) {
+        const targets = ranked.filter(result => result && result.url).slice(0, this.options.maxArticles);
+        const extractions = await this.extractMany(targets.map(result => result.url));
+        const byUrl = new Map();
+        extractions.forEach(extraction => byUrl.set(canonicalizeUrl(extraction.url), extraction));
+
+        ranked.concat(others).forEach(result => {
+            const extraction = result && byUrl.get(canonicalizeUrl(result.url));
+            if (extraction) {
+                applyExtraction(result, extraction);
+            }
+        });
+        return extractions.filter(extraction => extraction.status === 'ok').length;
+    }
+}
+
+function applyExtraction(result, extraction) {
+    result.extraction = {
+        status: extraction.status,
+        title: extraction.title || null,
+        byline: extraction.byline || null,
+        publishedAt: extraction.publishedAt || null,
+        length: extraction.length || 0,
+        error: extraction.error || null
+    };
+    if (extraction.status !== 'ok') {
+        return;
+    }
+    if (extraction.text && extraction.text.length > (result.content || '').length) {
+        result.content = extraction.text;
+    }
+    if (Array.isArray(result.authors) && result.authors.length === 0 && extraction.byline) {
+        result.authors = extraction.byline.split(/,\s*|\s+and\s+/).filter(Boolean);
+    }
+    if (!result.publishedAt && extraction.publishedAt) {
+        result.publishedAt = extraction.publishedAt;
+    }
+}
+
+module.exports = {
+    ContentExtractor,
+    extractArticle,
+    parseHtml,
+    parseRobots,
+    isPathAllowed,
+    mapWithConcurrency
+};
@@ -1,626 +1,533 @@
 #!/usr/bin/env node
 
-const axios = require('axios');
 const clipboardy = require('node-clipboardy');
 const notifier = require('node-notifier');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
+// quiet: dotenv's banner would otherwise land in the JSON on stdout
+require('dotenv').config({ quiet: true });
+const {
+    ProviderRegistry,
+    executeProvider,
+    selectProviders,
+    getProviderOptions,
+    parseResponseSafely
+} = require('./providerRegistry');
+const { mergeResults } = require('./resultMerger');
+const { ResponseCache } = require('./responseCache');
+const { QuotaTracker } = require('./quotaTracker');
+const { ContentExtractor } = require('./contentExtractor');
+const { summarizeResearch } = require('./summarizer');
+const { Synthesizer, formatBrief } = require('./synthesizer');
+const { ResearchLoop, formatTree } = require('./researchLoop');
+const { formatResults } = require('./formatters');
+const { validateConfig } = require('./configSchema');
+const { loadLayeredConfig, userConfigFile } = require('./configLoader');
+const { SecretStore } = require('./secretStore');
+const { KeyPool } = require('./keyPool');
+const { HistoryStore } = require('./historyStore');
+const { WatchManager } = require('./watchManager');
+const { createHttpClient } = require('./httpRecorder');
+const { StructuredLogger, collectSecrets } = require('./structuredLogger');
+const { withRetry, CircuitBreaker } = require('./resilience');
+const { RunSignal } = require('./cancellation');
+const { NotificationDispatcher, accepts } = require('./notificationChannels');
+const { writeConfigFile } = require('./configWizard');
+const { runCli, EXIT_CODES } = require('./cli');
 
 // Configuration
 const CONFIG_FILE = path.join(__dirname, 'config.json');
 const LOG_FILE = path.join(__dirname, 'research.log');
-
-// Logger utility
+const CACHE_DIR = path.join(path.dirname(CONFIG_FILE), 'research-cache');
+const QUOTA_FILE = path.join(path.dirname(CONFIG_FILE), 'quota-usage.json');
+const HISTORY_FILE = path.join(path.dirname(CONFIG_FILE), 'research-history.jsonl');
+const WATCH_FILE = path.join(path.dirname(CONFIG_FILE), 'watches.json');
+const FIXTURE_DIR = path.join(path.dirname(CONFIG_FILE), 'fixtures', 'http');
+const CIRCUIT_FILE = path.join(path.dirname(CONFIG_FILE), 'circuit-state.json');
+const KEY_HEALTH_FILE = path.join(path.dirname(CONFIG_FILE), 'key-health.json');
+const MAX_RETRY_AFTER_WAIT = 30000;
+const MAX_BACKOFF_DELAY = 10000;
+
+// Logger utility: JSON records in research.log, readable lines on the console (see structuredLogger.js)
 class Logger {
-    static log(level, message, error = null) {
-        const timestamp = new Date().toISOString();
-        const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-        // Use appropriate console method based on log level
-        if (level === 'error') {
-            console.error(logEntry);
-        } else if (level === 'warn') {
-            console.warn(logEntry);
-        } else if (level === 'debug' && console.debug) {
-            console.debug(logEntry);
-        } else {
-            console.log(logEntry);
-        }
-        
-        // Append to log file
-        try {
-            fs.appendFileSync(LOG_FILE, logEntry + (error ? `\nError: ${error.message}\nStack: ${error.stack}` : '') + '\n');
-        } catch (e) {
-            console.error('Failed to write to log file:', e.message);
-        }
+    static log(level, message, error = null, fields = {}) {
+        this.instance.log(level, message, error, fields);
+    }
+
+    // Applies a "logging" config block: level, quiet, rotation and the values to redact
+    static configure(options = {}) {
+        this.instance.configure(options);
     }
 
-    static info(message) { this.log('info', message); }
-    static warn(message) { this.log('warn', message); }
-    static error(message, error = null) { this.log('error', message, error); }
-    static debug(message) { this.log('debug', message); }
+    // Values resolved from a secret backend, redacted like the ones in the config
+    static addSecrets(secrets) {
+        this.instance.addSecrets(secrets);
+    }
+
+    static info(message, fields) { this.log('info', message, null, fields); }
+    static warn(message, fields) { this.log('warn', message, null, fields); }
+    static error(message, error = null, fields) { this.log('error', message, error, fields); }
+    static debug(message, fields) { this.log('debug', message, null, fields); }
 }
+Logger.instance = new StructuredLogger({ file: LOG_FILE });
 
 // Configuration manager
 class ConfigManager {
-    static loadConfig() {
-        try {
-            if (fs.existsSync(CONFIG_FILE)) {
-                const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
-                return config;
-            }
-        } catch (error) {
-            Logger.error('Failed to load config file', error);
-        }
-        
-        // Return default config with environment variables
-        return {
-            braveSearch: {
-                apiKey: process.env.BRAVE_API_KEY || '',
-                baseUrl: 'https://api.search.brave.com/res/v1/web/search',
-                timeout: 10000,
-                retries: 3
-            },
-            newsAPI: {
-                apiKey: process.env.NEWS_API_KEY || '',
-                baseUrl: 'https://newsapi.org/v2/everything',
-                timeout: 10000,
-                retries: 3
-            },
-            newsdataIO: {
-                apiKey: process.env.NEWSDATA_API_KEY || '',
-                baseUrl: 'https://newsdata.io/api/1/news',
-                timeout: 10000,
-                retries: 3
-            },
-            googleSearch: {
-                apiKey: process.env.GOOGLE_API_KEY || '',
-                searchEngineId: process.env.GOOGLE_SEARCH_ENGINE_ID || '',
-                baseUrl: 'https://www.googleapis.com/customsearch/v1',
-                timeout: 10000,
-                retries: 3
-            }
-        };
+    // Effective config plus where each value came from (see configLoader.js for the layers)
+    static load(overrides = {}) {
+        const layered = loadLayeredConfig({
+            files: [
+                { layer: 'user', file: userConfigFile() },
+                { layer: 'project', file: CONFIG_FILE }
+            ],
+            overrides
+        });
+        Logger.configure({ ...layered.config.logging, secrets: collectSecrets(layered.config) });
+        layered.warnings.forEach(warning => Logger.warn(`Config: ${warning}`));
+        validateConfig(layered.config).forEach(problem => Logger.warn(`Config: ${problem.path} ${problem.message}`));
+        return layered;
+    }
+
+    static loadConfig(overrides = {}) {
+        return this.load(overrides).config;
+    }
+
+    // Resolves "secret:<name>" config values; the keystore lives next to the user config by default
+    static createSecretStore(config = {}) {
+        return new SecretStore({
+            file: path.join(path.dirname(userConfigFile()), 'keystore.json'),
+            ...config.secrets
+        });
     }
 
     static saveConfig(config) {
         try {
-            fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+            writeConfigFile(CONFIG_FILE, config);
             Logger.info('Configuration saved successfully');
+            return true;
         } catch (error) {
             Logger.error('Failed to save config file', error);
+            return false;
         }
     }
 }
 
-// Notification utility
+// Notification utility: desktop popups plus the channels in notificationChannels.js
 class NotificationManager {
-    static notify(title, message, type = 'info') {
-        try {
-            notifier.notify({
-                title: title,
-                message: message,
-                sound: true,
-                wait: false
-            });
-            Logger.info(`Notification sent: ${title} - ${message}`);
-        } catch (error) {
-            Logger.error('Failed to send notification', error);
-        }
+    /**
+     * Apply a "notifications" config block.
+     *
+     * @param {Object} [options] - desktop {enabled, minSeverity, events} and channels.
+     * @param {Object} [deps]
+     * @param {Object} [deps.secrets] - SecretStore for "secret:<name>" channel values.
+     */
+    static configure(options = {}, deps = {}) {
+        this.desktop = { enabled: true, minSeverity: 'info', ...options.desktop };
+        this.dispatcher = new NotificationDispatcher({ ...options, logger: Logger, secrets: deps.secrets });
     }
-}
 
-// Retry utility with exponential backoff
-class RetryUtility {
-    static async withRetry(fn, maxRetries = 3, baseDelay = 1000) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    /**
+     * @param {string} title
+     * @param {string} message
+     * @param {string} [type='info'] - info, alert or error; channels filter on it with minSeverity.
+     * @param {Object} [details] - event (search, watch, provider, clipboard) and template fields such as query.
+     * @returns {Promise<Array<Object>>} Per-channel outcomes; delivery never throws.
+     */
+    static notify(title, message, type = 'info', details = {}) {
+        const notification = { ...details, title, message, type };
+        if (this.desktop.enabled !== false && accepts(this.desktop, notification)) {
             try {
-                return await fn();
+                notifier.notify({
+                    title: title,
+                    message: message,
+                    sound: true,
+                    wait: false
+                });
+                Logger.info(`Notification sent: ${title} - ${message}`);
             } catch (error) {
-                lastError = error;
-                Logger.warn(`Attempt ${attempt} failed: ${error.message}`);
-                
-                if (attempt === maxRetries) {
-                    throw lastError;
-                }
-                
-                // Exponential backoff with jitter
-                const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000;
-                Logger.info(`Retrying in ${Math.round(delay)}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
+                Logger.error('Failed to send notification', error);
             }
         }
+        return this.dispatcher.send(notification);
+    }
+
+    // Waits for channel deliveries still in flight, e.g. before a one-shot command exits
+    static flush() {
+        return this.dispatcher.flush();
+    }
+}
+NotificationManager.configure();
+
+// Stand-in for runs that report through their own channel, such as watch alerts
+const SILENT_NOTIFIER = { notify() {} };
+
+// Retry utility with capped, jittered backoff; see resilience.js for which errors are retried
+class RetryUtility {
+    // options.signal stops the retries when the search is cancelled
+    static async withRetry(fn, maxRetries = 3, baseDelay = 1000, options = {}) {
+        return withRetry(fn, { maxRetries, baseDelay, maxDelay: MAX_BACKOFF_DELAY, maxRetryAfter: MAX_RETRY_AFTER_WAIT, logger: Logger, signal: options.signal });
     }
 }
 
 // Main Research Class
 class DeepResearcher {
     constructor(options = {}) {
-        this.config = ConfigManager.loadConfig();
+        const layered = ConfigManager.load(options.configOverrides);
+        this.config = layered.config;
+        this.configSources = layered.sources;
+        this.secrets = options.secrets || ConfigManager.createSecretStore(this.config);
+        this.secrets.onResolve(secret => Logger.addSecrets([secret]));
+        NotificationManager.configure(this.config.notifications, { secrets: this.secrets });
+        this.providers = options.registry || ProviderRegistry.createDefault(this.config, path.dirname(CONFIG_FILE));
+        this.cache = new ResponseCache({ ...this.config.cache, directory: this.config.cache?.directory || CACHE_DIR });
+        this.cacheMode = options.cacheMode || 'use';
+        this.quota = new QuotaTracker({ file: this.config.quota?.file || QUOTA_FILE });
+        this.keyPool = new KeyPool({ ...this.config.keys, file: this.config.keys?.file || KEY_HEALTH_FILE });
+        this.breaker = new CircuitBreaker({ ...this.config.resilience, file: this.config.resilience?.file || CIRCUIT_FILE });
+        // http.mode "record" or "replay" routes provider requests through fixture files
+        this.http = options.http || createHttpClient({ ...this.config.http, fixtures: this.config.http?.fixtures || FIXTURE_DIR });
+        this.history = options.history || new HistoryStore({ ...this.config.history, file: this.config.history?.file || HISTORY_FILE });
+        this.watches = options.watches || new WatchManager({
+            file: this.config.watch?.file || WATCH_FILE,
+            search: (query, searchOptions) => this.comprehensiveSearch(query, searchOptions),
+            notifier: NotificationManager,
+            logger: Logger
+        });
+        this.extract = options.extract || false;
+        this.extractor = options.extractor || new ContentExtractor({ ...this.config.extraction, logger: Logger });
+        this.summarize = options.summarize || false;
+        this.synthesizer = options.synthesizer || Synthesizer.fromConfig(this.config.synthesis, Logger, { secrets: this.secrets });
+        this.synthesize = options.synthesize ?? this.synthesizer.enabled;
         this.summaryResultsLimit = options.summaryResultsLimit || parseInt(process.env.SUMMARY_RESULTS_LIMIT, 10) || 10;
         Logger.info('DeepResearcher initialized');
     }
 
-    // Brave Search API implementation with robust error handling
-    async braveSearch(query, options = {}) {
-        const functionName = 'braveSearch';
-        Logger.info(`${functionName}: Starting search for query: "${query}"`);
-        
-        try {
-            // Validate inputs
-            if (!query || typeof query !== 'string' || query.trim().length === 0) {
-                throw new Error('Query must be a non-empty string');
-            }
-
-            if (!this.config.braveSearch.apiKey) {
-                throw new Error('Brave Search API key not configured');
-            }
-
-            // Prepare request parameters
-            const params = {
-                q: query.trim(),
-                count: options.count || 10,
-                offset: options.offset || 0,
-                mkt: options.market || 'en-US',
-                safesearch: options.safesearch || 'moderate',
-                ...options.extra
-            };
-
-            const requestConfig = {
-                method: 'GET',
-                url: this.config.braveSearch.baseUrl,
-                params: params,
-                headers: {
-                    'Accept': 'application/json',
-                    'Accept-Encoding': 'gzip',
-                    'X-Subscription-Token': this.config.braveSearch.apiKey
-                },
-                timeout: this.config.braveSearch.timeout
-            };
-
-            Logger.debug(`${functionName}: Making request with params: ${JSON.stringify(params)}`);
-
-            // Execute with retry logic
-            const response = await RetryUtility.withRetry(
-                async () => {
-                    const result = await axios(requestConfig);
-                    if (!result.data) {
-                        throw new Error('Empty response from Brave Search API');
-                    }
-                    return result;
-                },
-                this.config.braveSearch.retries
-            );
-
-            // Validate and process response
-            const results = this.processBraveSearchResponse(response.data);
-            
-            Logger.info(`${functionName}: Successfully retrieved ${results.length} results`);
-            NotificationManager.notify('Brave Search', `Found ${results.length} results for "${query}"`);
-            
-            return {
-                success: true,
-                source: 'braveSearch',
-                query: query,
-                resultsCount: results.length,
-                results: results,
-                timestamp: new Date().toISOString()
-            };
-
-        } catch (error) {
-            Logger.error(`${functionName}: Failed for query "${query}"`, error);
-            
-            // Handle different error types
-            if (error.code === 'ECONNABORTED') {
-                NotificationManager.notify('Brave Search Error', 'Request timeout', 'error');
-            } else if (error.response?.status === 401) {
-                NotificationManager.notify('Brave Search Error', 'Invalid API key', 'error');
-            } else if (error.response?.status === 429) {
-                NotificationManager.notify('Brave Search Error', 'Rate limit exceeded', 'error');
-            } else {
-                NotificationManager.notify('Brave Search Error', error.message, 'error');
-            }
+    // Run any registered provider and return the standard result envelope
+    // runOptions.cacheMode: 'use' (default), 'refresh' (skip reads, still store) or 'off'
+    // runOptions.notifier replaces NotificationManager for this call
+    // runOptions.queryId labels the provider's log records with the search they belong to
+    // runOptions.signal (AbortSignal) aborts the request and its retries
+    async runProvider(name, query, options = {}, runOptions = {}) {
+        return executeProvider(this.providers.get(name), query, options, {
+            config: this.config,
+            logger: Logger,
+            notifier: runOptions.notifier || NotificationManager,
+            retry: RetryUtility,
+            cache: this.cache,
+            cacheMode: runOptions.cacheMode || this.cacheMode,
+            quota: this.quota,
+            keyPool: this.keyPool,
+            secrets: this.secrets,
+            http: this.http,
+            breaker: this.breaker,
+            queryId: runOptions.queryId,
+            signal: runOptions.signal,
+            maxDeferMs: this.config.quota?.maxDeferMs ?? 5000
+        });
+    }
 
-            return {
-                success: false,
-                source: 'braveSearch',
-                query: query,
-                error: error.message,
-                errorCode: error.response?.status || error.code,
-                timestamp: new Date().toISOString()
-            };
-        }
+    // Brave Search API
+    async braveSearch(query, options = {}) {
+        return this.runProvider('braveSearch', query, options);
     }
 
     processBraveSearchResponse(data) {
-        const results = [];
-        
-        try {
-            if (data.web && data.web.results) {
-                data.web.results.forEach(item => {
-                    results.push({
-                        title: item.title || 'No title',
-                        url: item.url || '',
-                        description: item.description || 'No description',
-                        published: item.published || null
-                    });
-                });
-            }
-        } catch (error) {
-            Logger.error('Error processing Brave Search response', error);
-        }
-        
-        return results;
+        return parseResponseSafely(this.providers.get('braveSearch'), data, Logger).results;
     }
 
-    // NewsAPI implementation with robust error handling
+    // NewsAPI
     async newsAPI(query, options = {}) {
-        const functionName = 'newsAPI';
-        Logger.info(`${functionName}: Starting news search for query: "${query}"`);
-        
-        try {
-            // Validate inputs
-            if (!query || typeof query !== 'string' || query.trim().length === 0) {
-                throw new Error('Query must be a non-empty string');
-            }
-
-            if (!this.config.newsAPI.apiKey) {
-                throw new Error('NewsAPI key not configured');
-            }
-
-            // Prepare request parameters
-            const params = {
-                q: query.trim(),
-                pageSize: Math.min(options.pageSize || 20, 100), // NewsAPI max is 100
-                page: options.page || 1,
-                sortBy: options.sortBy || 'publishedAt',
-                language: options.language || 'en',
-                from: options.from || null,
-                to: options.to || null,
-                domains: options.domains || null,
-                excludeDomains: options.excludeDomains || null
-            };
-
-            // Remove null values
-            Object.keys(params).forEach(key => {
-                if (params[key] === null || params[key] === undefined) {
-                    delete params[key];
-                }
-            });
-
-            const requestConfig = {
-                method: 'GET',
-                url: this.config.newsAPI.baseUrl,
-                params: params,
-                headers: {
-                    'X-Api-Key': this.config.newsAPI.apiKey,
-                    'User-Agent': 'DeepResearchMultiApis/1.0'
-                },
-                timeout: this.config.newsAPI.timeout
-            };
-
-            Logger.debug(`${functionName}: Making request with params: ${JSON.stringify(params)}`);
-
-            // Execute with retry logic
-            const response = await RetryUtility.withRetry(
-                async () => {
-                    const result = await axios(requestConfig);
-                    if (!result.data) {
-                        throw new Error('Empty response from NewsAPI');
-                    }
-                    if (result.data.status !== 'ok') {
-                        throw new Error(result.data.message || 'NewsAPI returned error status');
-                    }
-                    return result;
-                },
-                this.config.newsAPI.retries
-            );
-
-            // Process response
-            const results = this.processNewsAPIResponse(response.data);
-            
-            Logger.info(`${functionName}: Successfully retrieved ${results.length} articles`);
-            NotificationManager.notify('NewsAPI', `Found ${results.length} articles for "${query}"`);
-            
-            return {
-                success: true,
-                source: 'newsAPI',
-                query: query,
-                resultsCount: results.length,
-                totalResults: response.data.totalResults || results.length,
-                results: results,
-                timestamp: new Date().toISOString()
-            };
-
-        } catch (error) {
-            Logger.error(`${functionName}: Failed for query "${query}"`, error);
-            
-            // Handle different error types
-            if (error.code === 'ECONNABORTED') {
-                NotificationManager.notify('NewsAPI Error', 'Request timeout', 'error');
-            } else if (error.response?.status === 401) {
-                NotificationManager.notify('NewsAPI Error', 'Invalid API key', 'error');
-            } else if (error.response?.status === 429) {
-                NotificationManager.notify('NewsAPI Error', 'Rate limit exceeded', 'error');
-            } else if (error.response?.status === 426) {
-                NotificationManager.notify('NewsAPI Error', 'Upgrade required', 'error');
-            } else {
-                NotificationManager.notify('NewsAPI Error', error.message, 'error');
-            }
-
-            return {
-                success: false,
-                source: 'newsAPI',
-                query: query,
-                error: error.message,
-                errorCode: error.response?.status || error.code,
-                timestamp: new Date().toISOString()
-            };
-        }
+        return this.runProvider('newsAPI', query, options);
     }
 
     processNewsAPIResponse(data) {
-        const results = [];
-        
-        try {
-            if (data.articles) {
-                data.articles.forEach(article => {
-                    results.push({
-                        title: article.title || 'No title',
-                        url: article.url || '',
-                        description: article.description || 'No description',
-                        content: article.content || '',
-                        author: article.author || 'Unknown author',
-                        source: article.source?.name || 'Unknown source',
-                        publishedAt: article.publishedAt || null,
-                        urlToImage: article.urlToImage || null
-                    });
-                });
-            }
-        } catch (error) {
-            Logger.error('Error processing NewsAPI response', error);
-        }
-        
-        return results;
+        return parseResponseSafely(this.providers.get('newsAPI'), data, Logger).results;
     }
 
-    // Newsdata.io fallback implementation with robust error handling
+    // Newsdata.io fallback
     async newsdataFallback(query, options = {}) {
-        const functionName = 'newsdataFallback';
-        Logger.info(`${functionName}: Starting fallback news search for query: "${query}"`);
-        
-        try {
-            // Validate inputs
-            if (!query || typeof query !== 'string' || query.trim().length === 0) {
-                throw new Error('Query must be a non-empty string');
-            }
-
-            if (!this.config.newsdataIO.apiKey) {
-                throw new Error('Newsdata.io API key not configured');
-            }
-
-            // Prepare request parameters
-            const params = {
-                apikey: this.config.newsdataIO.apiKey,
-                q: query.trim(),
-                language: options.language || 'en',
-                country: options.country || null,
-                category: options.category || null,
-                domain: options.domain || null,
-                size: Math.min(options.size || 10, 50), // Newsdata.io max varies by plan
-                page: options.page || null
-            };
-
-            // Remove null values
-            Object.keys(params).forEach(key => {
-                if (params[key] === null || params[key] === undefined) {
-                    delete params[key];
-                }
-            });
-
-            const requestConfig = {
-                method: 'GET',
-                url: this.config.newsdataIO.baseUrl,
-                params: params,
-                headers: {
-                    'User-Agent': 'DeepResearchMultiApis/1.0'
-                },
-                timeout: this.config.newsdataIO.timeout
-            };
-
-            Logger.debug(`${functionName}: Making request with params: ${JSON.stringify(params)}`);
-
-            // Execute with retry logic
-            const response = await RetryUtility.withRetry(
-                async () => {
-                    const result = await axios(requestConfig);
-                    if (!result.data) {
-                        throw new Error('Empty response from Newsdata.io');
-                    }
-                    if (result.data.status !== 'success') {
-                        throw new Error(result.data.message || 'Newsdata.io returned error status');
-                    }
-                    return result;
-                },
-                this.config.newsdataIO.retries
-            );
+        return this.runProvider('newsdataFallback', query, options);
+    }
 
-            // Process response
-            const results = this.processNewsdataResponse(response.data);
-            
-            Logger.info(`${functionName}: Successfully retrieved ${results.length} articles`);
-            NotificationManager.notify('Newsdata.io', `Found ${results.length} articles for "${query}"`);
-            
-            return {
-                success: true,
-                source: 'newsdataFallback',
-                query: query,
-                resultsCount: results.length,
-                totalResults: response.data.totalResults || results.length,
-                results: results,
-                nextPage: response.data.nextPage || null,
-                timestamp: new Date().toISOString()
-            };
+    processNewsdataResponse(data) {
+        return parseResponseSafely(this.providers.get('newsdataFallback'), data, Logger).results;
+    }
 
-        } catch (error) {
-            Logger.error(`${functionName}: Failed for query "${query}"`, error);
-            
-            // Handle different error types
-            if (error.code === 'ECONNABORTED') {
-                NotificationManager.notify('Newsdata.io Error', 'Request timeout', 'error');
-            } else if (error.response?.status === 401) {
-                NotificationManager.notify('Newsdata.io Error', 'Invalid API key', 'error');
-            } else if (error.response?.status === 429) {
-                NotificationManager.notify('Newsdata.io Error', 'Rate limit exceeded', 'error');
-            } else if (error.response?.status === 403) {
-                NotificationManager.notify('Newsdata.io Error', 'Access forbidden', 'error');
-            } else {
-                NotificationManager.notify('Newsdata.io Error', error.message, 'error');
-            }
+    // Google Custom Search
+    async googleSearch(query, options = {}) {
+        return this.runProvider('googleSearch', query, options);
+    }
 
-            return {
-                success: false,
-                source: 'newsdataFallback',
-                query: query,
-                error: error.message,
-                errorCode: error.response?.status || error.code,
-                timestamp: new Date().toISOString()
-            };
-        }
+    processGoogleSearchResponse(data) {
+        return parseResponseSafely(this.providers.get('googleSearch'), data, Logger).results;
     }
 
-    processNewsdataResponse(data) {
-        const results = [];
-        
-        try {
-            if (data.results) {
-                data.results.forEach(article => {
-                    const creator = Array.isArray(article.creator)
-                        ? article.creator.join(', ')
-                        : (article.creator || 'Unknown creator');
-                    const category = Array.isArray(article.category)
-                        ? article.category.join(', ')
-                        : article.category || null;
-                    const country = Array.isArray(article.country)
-                        ? article.country.join(', ')
-                        : article.country || null;
-                    results.push({
-                        title: article.title || 'No title',
-                        url: article.link || '',
-                        description: article.description || 'No description',
-                        content: article.content || '',
-                        creator: creator,
-                        source: article.source_id || 'Unknown source',
-                        publishedAt: article.pubDate || null,
-                        imageUrl: article.image_url || null,
-                        category: category,
-                        country: country,
-                        language: article.language || null
-                    });
-                });
+    // Comprehensive search with fallback strategies
+    // options.history: false keeps the run out of the search history, options.notify: false silences notifications
+    // options.signal (AbortSignal) cancels and options.deadlineMs bounds the run; either way the providers that
+    // answered in time are returned, the rest are listed in errors and results.stopReason says why
+    async comprehensiveSearch(query, options = {}) {
+        let results;
+        for await (const event of this.streamSearch(query, options)) {
+            if (event.type === 'done') {
+                results = event.results;
             }
-        } catch (error) {
-            Logger.error('Error processing Newsdata.io response', error);
         }
-        
         return results;
     }
 
-    // Comprehensive search with fallback strategies
-    async comprehensiveSearch(query, options = {}) {
-        Logger.info(`Starting comprehensive search for query: "${query}"`);
+    /**
+     * comprehensiveSearch() as a stream of events, in the order things happen:
+     *   {type: 'start', query, providers}
+     *   {type: 'provider', api, result}       a provider answered (standard envelope)
+     *   {type: 'error', api, error}           a provider failed; timedOut or cancelled is set when the
+     *                                         run stopped before it answered
+     *   {type: 'skipped', api, reason, ...}   a provider was not called (quota, rate limit)
+     *   {type: 'merged', merged, totalResults, completed, pending}
+     *                                         merged view of every answer so far, after each 'provider'
+     *   {type: 'done', results}               what comprehensiveSearch() returns, after extraction,
+     *                                         summaries and synthesis
+     * Notifications and the history entry happen just before 'done', so stopping
+     * early skips them, and aborts the provider calls still in flight.
+     *
+     * @param {string} query
+     * @param {Object} [options] - Same as comprehensiveSearch().
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *streamSearch(query, options = {}) {
+        const queryId = crypto.randomBytes(4).toString('hex');
+        Logger.info(`Starting comprehensive search for query: "${query}"`, { queryId });
+        const startedAt = Date.now();
+        const run = new RunSignal({ signal: options.signal, deadlineMs: options.deadlineMs });
+        const notifier = options.notify === false ? SILENT_NOTIFIER : NotificationManager;
         const results = {
             query: query,
             timestamp: new Date().toISOString(),
             sources: {},
             totalResults: 0,
-            errors: []
+            errors: [],
+            skipped: []
         };
 
         // Try all APIs concurrently but handle failures gracefully
-        const apiCalls = [];
-
-        // Brave Search
-        if (options.includeBrave !== false) {
-            apiCalls.push(
-                this.braveSearch(query, options.braveOptions)
-                    .then(result => ({ api: 'braveSearch', result }))
-                    .catch(error => ({ api: 'braveSearch', error: error.message }))
-            );
-        }
+        const selected = selectProviders(this.providers, this.config, options);
+        const pending = new Map(selected.map(provider => [provider.name,
+            this.runProvider(provider.name, query, getProviderOptions(provider, options), { cacheMode: options.cacheMode, notifier, queryId, signal: run.signal })
+                .then(result => ({ api: provider.name, result }))
+                .catch(error => ({ api: provider.name, error: error.message }))
+        ]));
+        try {
+            yield { type: 'start', query, providers: selected.map(provider => provider.name) };
+
+            // Report each provider as soon as it settles instead of waiting for the slowest
+            while (pending.size > 0) {
+                const settled = await Promise.race([...pending.values(), run.stopped()]);
+                if (settled.stopped) {
+                    // Unanswered providers are reported now rather than waited for
+                    for (const api of pending.keys()) {
+                        const stopped = this.stoppedProvider(api, run);
+                        results.errors.push(stopped);
+                        yield { type: 'error', ...stopped };
+                    }
+                    pending.clear();
+                    break;
+                }
+                const { api, result, error } = settled;
+                pending.delete(api);
+
+                if (result && result.cancelled) {
+                    const stopped = this.stoppedProvider(api, run);
+                    results.errors.push(stopped);
+                    yield { type: 'error', ...stopped };
+                } else if (result && result.success) {
+                    results.sources[api] = result;
+                    results.totalResults += result.resultsCount || 0;
+                    yield { type: 'provider', api, result };
+                    yield {
+                        type: 'merged',
+                        merged: mergeResults(results.sources),
+                        totalResults: results.totalResults,
+                        completed: selected.length - pending.size,
+                        pending: pending.size
+                    };
+                } else if (result && result.skipped) {
+                    // Budget exhausted or rate limited: not an error, just not attempted
+                    results.skipped.push({ api, ...result.skipReason });
+                    yield { type: 'skipped', api, ...result.skipReason };
+                } else if (result && !result.success) {
+                    results.errors.push({ api, error: result.error });
+                    Logger.warn(`${api} returned an unsuccessful result: ${result.error}`);
+                    yield { type: 'error', api, error: result.error };
+                } else if (error) {
+                    results.errors.push({ api, error });
+                    yield { type: 'error', api, error };
+                }
+            }
 
-        // NewsAPI
-        if (options.includeNews !== false) {
-            apiCalls.push(
-                this.newsAPI(query, options.newsOptions)
-                    .then(result => ({ api: 'newsAPI', result }))
-                    .catch(error => ({ api: 'newsAPI', error: error.message }))
-            );
-        }
+            // Deduplicated, rank-fused view across providers
+            results.merged = mergeResults(results.sources);
+            if (run.stopReason) {
+                results.stopReason = run.stopReason;
+                Logger.warn(`Search stopped (${run.stopReason}) with ${Object.keys(results.sources).length} of ${selected.length} providers answered`, { queryId });
+            }
 
-        // Newsdata.io as fallback
-        if (options.includeFallback !== false) {
-            apiCalls.push(
-                this.newsdataFallback(query, options.fallbackOptions)
-                    .then(result => ({ api: 'newsdataFallback', result }))
-                    .catch(error => ({ api: 'newsdataFallback', error: error.message }))
-            );
-        }
+            // Extraction and synthesis make more network calls, which a stopped run has no time for
+            if ((options.extract ?? this.extract) && !run.stopReason) {
+                results.extracted = await this.extractContent(results);
+            }
 
-        try {
-            const apiResults = await Promise.allSettled(apiCalls);
-            
-            apiResults.forEach(promiseResult => {
-                if (promiseResult.status === 'fulfilled') {
-                    const { api, result, error } = promiseResult.value;
-                    
-                    if (result && result.success) {
-                        results.sources[api] = result;
-                        results.totalResults += result.resultsCount || 0;
-                    } else if (result && !result.success) {
-                        results.errors.push({ api, error: result.error });
-                        Logger.warn(`${api} returned an unsuccessful result: ${result.error}`);
-                    } else if (error) {
-                        results.errors.push({ api, error });
-                    }
-                } else {
-                    results.errors.push({ api: 'unknown', error: promiseResult.reason.message });
+            if (options.summarize ?? this.summarize) {
+                results.summary = summarizeResearch(results.merged, { ...this.config.summary, query });
+            }
+
+            if ((options.synthesize ?? this.synthesize) && results.merged.length > 0 && !run.stopReason) {
+                try {
+                    results.brief = await this.synthesizer.synthesize(query, results.merged);
+                } catch (error) {
+                    Logger.error('Synthesis failed', error);
+                    results.errors.push({ api: 'synthesis', error: error.message });
                 }
-            });
+            }
 
             // Final notification
             const successCount = Object.keys(results.sources).length;
             const errorCount = results.errors.length;
+            const skippedCount = results.skipped.length;
             
             if (successCount > 0) {
-                NotificationManager.notify(
+                notifier.notify(
                     'Comprehensive Search Complete',
-                    `${successCount} APIs succeeded, ${errorCount} failed. Total: ${results.totalResults} results`
+                    `${successCount} APIs succeeded, ${errorCount} failed` +
+                    `${skippedCount > 0 ? `, ${skippedCount} skipped` : ''}. Total: ${results.totalResults} results`,
+                    'info',
+                    { event: 'search', query, queryId, totalResults: results.totalResults }
                 );
             } else {
-                NotificationManager.notify(
+                notifier.notify(
                     'Comprehensive Search Failed',
                     'All APIs failed. Check your configuration and network connection.',
-                    'error'
+                    'error',
+                    { event: 'search', query, queryId }
                 );
             }
 
-            Logger.info(`Comprehensive search completed: ${successCount} successes, ${errorCount} failures`);
-            return results;
+            Logger.info(`Comprehensive search completed: ${successCount} successes, ${errorCount} failures, ${skippedCount} skipped`,
+                { queryId, durationMs: Date.now() - startedAt, totalResults: results.totalResults });
 
         } catch (error) {
-            Logger.error('Comprehensive search failed completely', error);
-            NotificationManager.notify('Search Error', 'Comprehensive search failed completely', 'error');
+            Logger.error('Comprehensive search failed completely', error, { queryId });
+            notifier.notify('Search Error', 'Comprehensive search failed completely', 'error', { event: 'search', query, queryId });
             
             results.errors.push({ api: 'comprehensive', error: error.message });
-            return results;
+        } finally {
+            // Also reached when the consumer stops early (break, return()): abort whatever is still in flight
+            run.abort('cancelled');
+            run.dispose();
+        }
+        this.recordHistory('search', results, options, startedAt);
+        yield { type: 'done', results };
+    }
+
+    // Error entry for a provider that had not answered when the run was stopped
+    stoppedProvider(api, run) {
+        if (run.stopReason === 'deadline') {
+            return { api, error: `No answer within the ${run.signal.reason.deadlineMs}ms deadline`, timedOut: true };
         }
+        return { api, error: 'Cancelled before it answered', cancelled: true };
+    }
+
+    // Fetch the top merged results and attach the article text to every copy of them
+    async extractContent(results) {
+        const perSource = Object.values(results.sources).flatMap(source => source.results || []);
+        const extracted = await this.extractor.attachToResults(results.merged || [], perSource);
+        Logger.info(`Extracted article content for ${extracted} results`);
+        return extracted;
+    }
+
+    // Multi-hop research: follow-up queries derived from each round's results
+    // options: depth, breadth, maxResults, timeBudgetMs, expansion ('keywords' | 'llm'), plus search options
+    // options.signal and options.deadlineMs stop the whole run, including the sub-search in flight
+    async deepResearch(query, options = {}) {
+        const { extract, summarize, synthesize, signal, deadlineMs, ...searchOptions } = options;
+        const startedAt = Date.now();
+        const run = new RunSignal({ signal, deadlineMs });
+        const loop = new ResearchLoop({
+            ...this.config.research,
+            search: (subQuery, stepOptions) => this.comprehensiveSearch(subQuery, {
+                ...stepOptions,
+                extract: false,
+                summarize: false,
+                synthesize: false,
+                // The report is recorded once, not every sub-query
+                history: false
+            }),
+            backend: this.synthesizer.backend,
+            logger: Logger
+        });
+
+        let report;
+        try {
+            report = await loop.run(query, { ...searchOptions, signal: run.signal });
+        } finally {
+            run.dispose();
+        }
+        Logger.info(`Deep research finished: ${report.stats.queriesRun} queries, ${report.stats.uniqueResults} unique results (${report.stats.stopReason})`);
+
+        // Post-processing runs once over the consolidated set instead of per sub-query
+        if ((extract ?? this.extract) && !run.stopReason) {
+            report.extracted = await this.extractor.attachToResults(report.results);
+        }
+        if (summarize ?? this.summarize) {
+            report.summary = summarizeResearch(report.results, { ...this.config.summary, query });
+        }
+        if ((synthesize ?? this.synthesize) && report.results.length > 0 && !run.stopReason) {
+            try {
+                report.brief = await this.synthesizer.synthesize(query, report.results);
+            } catch (error) {
+                Logger.error('Synthesis failed', error);
+                report.errors.push({ api: 'synthesis', error: error.message });
+            }
+        }
+        this.recordHistory('deep', report, options, startedAt);
+        return report;
+    }
+
+    // Best effort: a history file that cannot be written must not fail the search
+    recordHistory(mode, run, options, startedAt) {
+        if (!this.history.enabled || options.history === false) {
+            return;
+        }
+        try {
+            run.historyId = this.history.record(run, { mode, options, startedAt }).id;
+        } catch (error) {
+            Logger.warn(`Could not record search history: ${error.message}`);
+        }
+    }
+
+    generateDeepResearchSummary(report) {
+        let summary = `Deep Research Report for: "${report.query}"\n`;
+        summary += `Queries: ${report.stats.queriesRun} run, stopped by ${report.stats.stopReason} after ${report.stats.elapsedMs}ms\n`;
+        summary += `Unique Results: ${report.results.length}\n\n`;
+
+        if (report.brief) {
+            summary += `=== BRIEF ===\n${formatBrief(report.brief)}\n`;
+        }
+
+        summary += `=== QUERY TREE ===\n${formatTree(report.tree)}\n`;
+
+        summary += `=== RESULTS ===\n`;
+        report.results.slice(0, this.summaryResultsLimit).forEach((item, index) => {
+            summary += `${index + 1}. ${item.title}\n`;
+            summary += `   ${item.url}\n`;
+            summary += `   Queries: ${item.queries.join(', ')} | Sources: ${item.providers.join(', ')}\n\n`;
+        });
+
+        return summary;
     }
 
     // Clipboard integration
-    async searchFromClipboard() {
+    async searchFromClipboard(options = {}) {
         try {
             const query = await clipboardy.read();
             if (!query || query.trim().length === 0) {
@@ -628,11 +535,11 @@ class DeepResearcher {
             }
 
             Logger.info(`Searching for clipboard content: "${query}"`);
-            const results = await this.comprehensiveSearch(query);
+            const results = await this.comprehensiveSearch(query, options);
             
             // Optionally copy results back to clipboard
             if (results.totalResults > 0) {
-                const summary = this.generateResultsSummary(results);
+                const summary = this.formatResults(results, options.format);
                 await clipboardy.write(summary);
                 Logger.info('Results summary copied to clipboard');
             }
@@ -640,25 +547,74 @@ class DeepResearcher {
             return results;
         } catch (error) {
             Logger.error('Failed to search from clipboard', error);
-            NotificationManager.notify('Clipboard Search Error', error.message, 'error');
+            NotificationManager.notify('Clipboard Search Error', error.message, 'error', { event: 'clipboard' });
             throw error;
         }
     }
 
+    // Render results (or a deep research report) as text, json, markdown, html, csv, jsonl, rss or atom
+    formatResults(results, format = 'text') {
+        if (format === 'text') {
+            return results.tree ? this.generateDeepResearchSummary(results) : this.generateResultsSummary(results);
+        }
+        const labels = {};
+        this.providers.list().forEach(provider => {
+            labels[provider.name] = provider.label || provider.name;
+        });
+        return formatResults(results, format, { labels });
+    }
+
     generateResultsSummary(results) {
         let summary = `Deep Research Results for: "${results.query}"\n`;
         summary += `Generated: ${results.timestamp}\n`;
         summary += `Total Results: ${results.totalResults}\n\n`;
 
-        Object.entries(results.sources).forEach(([api, data]) => {
-            summary += `=== ${api.toUpperCase()} (${data.resultsCount} results) ===\n`;
-            
-            data.results.slice(0, this.summaryResultsLimit).forEach((item, index) => {
+        if (results.brief) {
+            summary += `=== BRIEF ===\n${formatBrief(results.brief)}\n`;
+        }
+
+        if (results.summary && results.summary.digest.length > 0) {
+            summary += `=== KEY POINTS ===\n`;
+            results.summary.digest.forEach(point => {
+                summary += `• ${point.text} [${point.sources.join(', ')}]\n`;
+            });
+            summary += '\n';
+        }
+
+        if (results.merged && results.merged.length > 0) {
+            // Each article once, ranked across all providers
+            summary += `=== MERGED (${results.merged.length} unique results) ===\n`;
+
+            results.merged.slice(0, this.summaryResultsLimit).forEach((item, index) => {
                 summary += `${index + 1}. ${item.title}\n`;
                 summary += `   ${item.url}\n`;
-                summary += `   ${item.description}\n\n`;
+                summary += `   ${item.snippet || 'No description'}\n`;
+                const article = results.summary && results.summary.articles[index];
+                if (article && article.bullets.length > 0) {
+                    article.bullets.forEach(bullet => {
+                        summary += `   - ${bullet}\n`;
+                    });
+                }
+                summary += `   Sources: ${item.providers.join(', ')}\n\n`;
             });
-        });
+        } else {
+            Object.entries(results.sources).forEach(([api, data]) => {
+                summary += `=== ${api.toUpperCase()} (${data.resultsCount} results) ===\n`;
+
+                data.results.slice(0, this.summaryResultsLimit).forEach((item, index) => {
+                    summary += `${index + 1}. ${item.title}\n`;
+                    summary += `   ${item.url}\n`;
+                    summary += `   ${item.snippet || 'No description'}\n\n`;
+                });
+            });
+        }
+
+        if (results.skipped && results.skipped.length > 0) {
+            summary += `\n=== SKIPPED ===\n`;
+            results.skipped.forEach(skip => {
+                summary += `${skip.api}: ${skip.reason} until ${skip.retryAt}\n`;
+            });
+        }
 
         if (results.errors.length > 0) {
             summary += `\n=== ERRORS ===\n`;
@@ -673,35 +629,35 @@ class DeepResearcher {
 
 // CLI Interface
 async function main() {
-    const args = process.argv.slice(2);
-    const researcher = new DeepResearcher();
-
-    try {
-        if (args.length === 0) {
-            // No arguments - search from clipboard
-            Logger.info('No arguments provided, searching from clipboard');
-            await researcher.searchFromClipboard();
-        } else if (args[0] === '--config') {
-            // Configuration mode
-            console.log('Current configuration:');
-            console.log(JSON.stringify(researcher.config, null, 2));
-        } else {
-            // Search with provided query
-            const query = args.join(' ');
-            Logger.info(`Searching for: "${query}"`);
-            const results = await researcher.comprehensiveSearch(query);
-            
-            // Output results to console
-            console.log(JSON.stringify(results, null, 2));
+    // First Ctrl-C stops the search gracefully so the results so far are printed and saved; a second one
+    // quits once notifications already on their way are delivered, and a third quits at once
+    const interrupt = new AbortController();
+    let quitting = false;
+    const onInterrupt = () => {
+        if (quitting) {
+            process.exit(EXIT_CODES.INTERRUPTED);
         }
-    } catch (error) {
-        Logger.error('Main execution failed', error);
-        process.exit(1);
-    }
+        if (interrupt.signal.aborted) {
+            quitting = true;
+            NotificationManager.flush().finally(() => process.exit(EXIT_CODES.INTERRUPTED));
+            return;
+        }
+        process.stderr.write('\nInterrupted, finishing up (press Ctrl-C again to quit now)\n');
+        interrupt.abort();
+    };
+    process.on('SIGINT', onInterrupt);
+    process.exitCode = await runCli(process.argv.slice(2), {
+        createResearcher: options => new DeepResearcher(options),
+        paths: { configFile: CONFIG_FILE, logFile: LOG_FILE, script: __filename },
+        logger: Logger,
+        version: require('./package.json').version,
+        signal: interrupt.signal
+    });
+    process.removeListener('SIGINT', onInterrupt);
 }
 
 // Export for testing
-module.exports = { DeepResearcher, Logger, ConfigManager, NotificationManager, RetryUtility };
+module.exports = { DeepResearcher, Logger, ConfigManager, NotificationManager, RetryUtility, ProviderRegistry, ResponseCache };
 
 // Run if called directly
 if (require.main === module) {
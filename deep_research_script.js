@@ -1,5 +1,10 @@
 const params = typeof args !== 'undefined' ? args.shortcutParameter : undefined;
 
+// Shared result schema: copy resultSchema.js into the Scriptable folder next to this script
+const ResultSchema = importModule('resultSchema');
+// Shared extractive summarizer (summarizer.js), used when CONFIG.SUMMARIZE is on
+const Summarizer = importModule('summarizer');
+
 /**
  * Retrieves a value from the Keychain by key.
  * Returns undefined if the Keychain is not available or if an error occurs.
@@ -190,13 +195,7 @@ async function newsdataFallback(searchQuery, fetchFn) {
       return null;
     }
     return {
-      articles: data.results.map(article => ({
-        title: article.title || 'No title',
-        url: article.link || '',
-        description: article.description || 'No description available',
-        publishedAt: article.pubDate || null,
-        source: { name: article.source_id || 'Unknown source' }
-      }))
+      results: data.results.map((article, index) => ResultSchema.fromNewsdataArticle(article, index + 1))
     };
   } catch (error) {
     console.log('❌ Newsdata.io fallback failed:', error.message);
@@ -246,9 +245,9 @@ async function run(searchQuery, timestamp) {
     if (shouldUseFallback(newsResult, newsResults)) {
       console.log('🔄 NewsAPI unavailable or empty. Attempting Newsdata.io fallback...');
       newsResults = await newsdataFallback(searchQuery, fetchWithRetry);
-      if (newsResults && newsResults.articles && newsResults.articles.length > 0) {
+      if (newsResults && newsResults.results && newsResults.results.length > 0) {
         usedFallback = true;
-        console.log(`✅ Newsdata.io fallback succeeded with ${newsResults.articles.length} articles.`);
+        console.log(`✅ Newsdata.io fallback succeeded with ${newsResults.results.length} articles.`);
       } else {
         console.log('❌ Newsdata.io fallback failed or returned no articles.');
       }
@@ -258,6 +257,10 @@ async function run(searchQuery, timestamp) {
     if (usedFallback) {
       processedResults.sources.news.fallback = true;
     }
+    if (CONFIG.SUMMARIZE) {
+      const allResults = processedResults.sources.brave.results.concat(processedResults.sources.news.results);
+      processedResults.summary = Summarizer.summarizeResearch(allResults, { query: decodeURIComponent(searchQuery) });
+    }
     displayResults(processedResults);
 
     // Add clipboard copying functionality (PR #18)
@@ -276,7 +279,7 @@ async function run(searchQuery, timestamp) {
       }
     }
 
-    const successCount = (braveResults ? 1 : 0) + (newsResults && newsResults.articles && newsResults.articles.length > 0 ? 1 : 0);
+    const successCount = (braveResults ? 1 : 0) + (processedResults.sources.news.count > 0 ? 1 : 0);
     console.log(`Search completed with ${successCount}/2 APIs successful at`, timestamp);
     if (usedFallback) {
       console.log('ℹ️ Newsdata.io fallback was used for news results.');
@@ -311,13 +314,7 @@ function processResults(brave, news) {
     processed.sources.brave = {
       available: true,
       count: brave.web.results.length,
-      results: brave.web.results.slice(0, CONFIG.MAX_RESULTS).map((result, index) => ({
-        position: index + 1,
-        title: result.title || 'No title',
-        url: result.url || '',
-        description: result.description || 'No description available',
-        published: result.published || null
-      }))
+      results: brave.web.results.slice(0, CONFIG.MAX_RESULTS).map((result, index) => ResultSchema.fromBraveResult(result, index + 1))
     };
     processed.totalResults += processed.sources.brave.count;
   } else {
@@ -325,18 +322,16 @@ function processResults(brave, news) {
     processed.hasPartialFailure = true;
   }
 
-  if (news && news.articles) {
+  // NewsAPI returns raw articles; the Newsdata.io fallback is already normalized
+  const newsItems = news && news.articles
+    ? news.articles.map((article, index) => ResultSchema.fromNewsAPIArticle(article, index + 1))
+    : news && news.results;
+
+  if (newsItems) {
     processed.sources.news = {
       available: true,
-      count: news.articles.length,
-      results: news.articles.slice(0, CONFIG.MAX_RESULTS).map((article, index) => ({
-        position: index + 1,
-        title: article.title || 'No title',
-        url: article.url || '',
-        description: article.description || 'No description available',
-        published: article.publishedAt || null,
-        source: article.source?.name || 'Unknown source'
-      }))
+      count: newsItems.length,
+      results: newsItems.slice(0, CONFIG.MAX_RESULTS)
     };
     processed.totalResults += processed.sources.news.count;
   } else {
@@ -360,14 +355,21 @@ function displayResults(results) {
     console.log("✅ Status: All APIs successful");
   }
 
+  if (results.summary && results.summary.digest.length > 0) {
+    console.log("\n💡 KEY POINTS:");
+    results.summary.digest.forEach(point => {
+      console.log(`   • ${point.text} [${point.sources.join(', ')}]`);
+    });
+  }
+
   console.log("\n🔍 WEB SEARCH RESULTS (Brave Search):");
   if (results.sources.brave.available && results.sources.brave.results.length > 0) {
     results.sources.brave.results.forEach(result => {
-      console.log(`\n${result.position}. ${result.title}`);
+      console.log(`\n${result.rank}. ${result.title}`);
       console.log(`   🔗 ${result.url}`);
-      console.log(`   📝 ${result.description}`);
-      if (result.published) {
-        console.log(`   📅 Published: ${result.published}`);
+      console.log(`   📝 ${result.snippet || 'No description available'}`);
+      if (result.publishedAt) {
+        console.log(`   📅 Published: ${result.publishedAt}`);
       }
     });
   } else {
@@ -380,12 +382,12 @@ function displayResults(results) {
   }
   if (results.sources.news.available && results.sources.news.results.length > 0) {
     results.sources.news.results.forEach(result => {
-      console.log(`\n${result.position}. ${result.title}`);
+      console.log(`\n${result.rank}. ${result.title}`);
       console.log(`   🔗 ${result.url}`);
-      console.log(`   📝 ${result.description}`);
-      console.log(`   📰 Source: ${result.source}`);
-      if (result.published) {
-        console.log(`   📅 Published: ${new Date(result.published).toLocaleDateString()}`);
+      console.log(`   📝 ${result.snippet || 'No description available'}`);
+      console.log(`   📰 Source: ${result.publisher || 'Unknown source'}`);
+      if (result.publishedAt) {
+        console.log(`   📅 Published: ${new Date(result.publishedAt).toLocaleDateString()}`);
       }
     });
   } else {
@@ -0,0 +1,317 @@
+/**
+ * Result Formatters
+ * Render search results or a deep research report as Markdown, a standalone
+ * HTML report, CSV, JSON Lines, RSS 2.0 or Atom, for pasting into docs,
+ * spreadsheets and feed readers. Every formatter takes the object returned by
+ * comprehensiveSearch() or deepResearch() and returns a string.
+ */
+
+const FORMAT_ALIASES = {
+    md: 'markdown',
+    htm: 'html',
+    ndjson: 'jsonl'
+};
+
+const CSV_COLUMNS = ['rank', 'title', 'url', 'publisher', 'publishedAt', 'providers', 'snippet'];
+
+// Results in display order: merged when available, otherwise every source in turn
+function resultItems(results) {
+    if (Array.isArray(results.results) && results.tree) {
+        return results.results;
+    }
+    if (Array.isArray(results.merged) && results.merged.length > 0) {
+        return results.merged;
+    }
+    return Object.values(results.sources || {}).flatMap(source => source.results || []);
+}
+
+function providersOf(item) {
+    return item.providers || [item.provider].filter(Boolean);
+}
+
+// Keep item order but group under the provider that ranked each item first
+function groupBySource(items) {
+    const groups = new Map();
+    items.forEach(item => {
+        const source = providersOf(item)[0] || 'unknown';
+        if (!groups.has(source)) {
+            groups.set(source, []);
+        }
+        groups.get(source).push(item);
+    });
+    return groups;
+}
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeXml(text) {
+    return escapeHtml(text)
+        // Characters XML 1.0 does not allow at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function escapeMarkdown(text) {
+    return String(text || '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+function safeHref(url) {
+    return /^https?:\/\//i.test(url || '') ? url : '#';
+}
+
+// Link target for Markdown: parentheses, whitespace and angle brackets would end or break it
+function markdownHref(url) {
+    return safeHref(url).replace(/[()<>\s]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+function label(source, options) {
+    return (options.labels && options.labels[source]) || source;
+}
+
+function shortDate(iso) {
+    return iso ? iso.slice(0, 10) : '';
+}
+
+function byline(item) {
+    return [item.publisher, shortDate(item.publishedAt)].filter(Boolean).join(', ');
+}
+
+// Markdown
+function toMarkdown(results, options = {}) {
+    const items = resultItems(results);
+    const lines = [`# Research: ${escapeMarkdown(results.query)}`, '', `_Generated ${results.timestamp || new Date().toISOString()} · ${items.length} results_`, ''];
+
+    if (results.brief) {
+        lines.push('## Brief', '', results.brief.summary, '');
+        results.brief.findings.forEach(finding => lines.push(`- ${finding.text}`));
+        if (results.brief.findings.length > 0) {
+            lines.push('');
+        }
+        results.brief.citations.forEach(citation => lines.push(`[${citation.id}]: ${markdownHref(citation.url)} "${citation.title.replace(/"/g, "'")}"`));
+        lines.push('');
+    }
+
+    if (results.summary && results.summary.digest.length > 0) {
+        lines.push('## Key Points', '');
+        results.summary.digest.forEach(point => lines.push(`- ${point.text} (${point.sources.map(n => `#${n}`).join(', ')})`));
+        lines.push('');
+    }
+
+    groupBySource(items).forEach((groupItems, source) => {
+        lines.push(`## ${escapeMarkdown(label(source, options))}`, '');
+        groupItems.forEach(item => {
+            const meta = byline(item);
+            const others = providersOf(item).slice(1);
+            lines.push(`${item.rank || ''}. [${escapeMarkdown(item.title)}](${markdownHref(item.url)})${meta ? ` — ${escapeMarkdown(meta)}` : ''}`);
+            if (item.snippet) {
+                lines.push(`   > ${escapeMarkdown(item.snippet)}`);
+            }
+            if (others.length > 0) {
+                lines.push(`   _Also in: ${others.map(other => escapeMarkdown(label(other, options))).join(', ')}_`);
+            }
+        });
+        lines.push('');
+    });
+
+    if ((results.errors || []).length > 0) {
+        lines.push('## Errors', '');
+        results.errors.forEach(error => lines.push(`- **${escapeMarkdown(error.api)}**: ${escapeMarkdown(error.error)}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+// Standalone HTML
+function toHtml(results, options = {}) {
+    const items = resultItems(results);
+    const sections = [];
+
+    if (results.brief) {
+        sections.push(`<section class="brief"><h2>Brief</h2><p>${escapeHtml(results.brief.summary)}</p>` +
+            (results.brief.findings.length > 0 ? `<ul>${results.brief.findings.map(finding => `<li>${escapeHtml(finding.text)}</li>`).join('')}</ul>` : '') +
+            `<ol class="citations">${results.brief.citations.map(citation =>
+                `<li value="${citation.id}"><a href="${escapeHtml(safeHref(citation.url))}">${escapeHtml(citation.title)}</a></li>`).join('')}</ol></section>`);
+    }
+    if (results.summary && results.summary.digest.length > 0) {
+        sections.push(`<section class="key-points"><h2>Key Points</h2><ul>${results.summary.digest.map(point =>
+            `<li>${escapeHtml(point.text)} <span class="refs">[${point.sources.join(', ')}]</span></li>`).join('')}</ul></section>`);
+    }
+    groupBySource(items).forEach((groupItems, source) => {
+        sections.push(`<section class="source"><h2>${escapeHtml(label(source, options))}</h2><ol>${groupItems.map(item => {
+            const meta = byline(item);
+            return `<li value="${item.rank || ''}"><a href="${escapeHtml(safeHref(item.url))}">${escapeHtml(item.title)}</a>` +
+                (meta ? ` <span class="meta">${escapeHtml(meta)}</span>` : '') +
+                (item.snippet ? `<p>${escapeHtml(item.snippet)}</p>` : '') + '</li>';
+        }).join('')}</ol></section>`);
+    });
+    if ((results.errors || []).length > 0) {
+        sections.push(`<section class="errors"><h2>Errors</h2><ul>${results.errors.map(error =>
+            `<li><strong>${escapeHtml(error.api)}</strong>: ${escapeHtml(error.error)}</li>`).join('')}</ul></section>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Research: ${escapeHtml(results.query)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 52rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+h1 { margin-bottom: 0.2rem; }
+.generated, .meta, .refs { color: #666; font-size: 0.9em; }
+li { margin-bottom: 0.8rem; }
+li p { margin: 0.2rem 0 0; }
+.brief, .key-points { background: #f6f8fa; padding: 0.5rem 1rem; border-radius: 6px; }
+.errors { color: #a00; }
+</style>
+</head>
+<body>
+<h1>Research: ${escapeHtml(results.query)}</h1>
+<p class="generated">Generated ${escapeHtml(results.timestamp || new Date().toISOString())} · ${items.length} results</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// CSV (RFC 4180); cells that a spreadsheet would run as formulas are prefixed with '
+function csvCell(value) {
+    let text = Array.isArray(value) ? value.join('; ') : String(value === null || value === undefined ? '' : value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(results) {
+    const rows = resultItems(results).map(item => CSV_COLUMNS.map(column =>
+        csvCell(column === 'providers' ? providersOf(item) : item[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// JSON Lines: one result per line with the query it answers
+function toJsonl(results) {
+    return resultItems(results)
+        .map(item => JSON.stringify({ query: results.query, ...item }))
+        .join('\n') + '\n';
+}
+
+function rfc822(iso) {
+    const date = new Date(iso);
+    return isNaN(date.getTime()) ? null : date.toUTCString();
+}
+
+function toRss(results, options = {}) {
+    const items = resultItems(results);
+    const built = rfc822(results.timestamp) || new Date().toUTCString();
+    const entries = items.map(item => {
+        const pubDate = rfc822(item.publishedAt);
+        // Feed readers follow these links too, so anything but http(s) is left out as in toHtml()
+        const link = safeHref(item.url) === '#' ? null : item.url;
+        return [
+            '    <item>',
+            `      <title>${escapeXml(item.title)}</title>`,
+            link ? `      <link>${escapeXml(link)}</link>` : null,
+            link ? `      <guid isPermaLink="true">${escapeXml(link)}</guid>` : null,
+            item.snippet ? `      <description>${escapeXml(item.snippet)}</description>` : null,
+            pubDate ? `      <pubDate>${pubDate}</pubDate>` : null,
+            item.publisher && link ? `      <source url="${escapeXml(link)}">${escapeXml(item.publisher)}</source>` : null,
+            ...providersOf(item).map(source => `      <category>${escapeXml(label(source, options))}</category>`),
+            '    </item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>Deep Research: ${escapeXml(results.query)}</title>
+    <link>${escapeXml(options.link || (items[0] && safeHref(items[0].url) !== '#' ? items[0].url : ''))}</link>
+    <description>${items.length} results for "${escapeXml(results.query)}"</description>
+    <lastBuildDate>${built}</lastBuildDate>
+    <generator>DeepResearchMultiApis</generator>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function toAtom(results, options = {}) {
+    const items = resultItems(results);
+    const updated = results.timestamp || new Date().toISOString();
+    const feedId = `urn:deep-research:${escapeXml(encodeURIComponent(results.query))}:${escapeXml(updated)}`;
+    const entries = items.map((item, index) => {
+        // As in toRss(), only http(s) links go out; every entry still needs an id
+        const link = safeHref(item.url) === '#' ? null : item.url;
+        return [
+            '  <entry>',
+            `    <title>${escapeXml(item.title)}</title>`,
+            link ? `    <link href="${escapeXml(link)}"/>` : null,
+            `    <id>${link ? escapeXml(link) : `${feedId}:${index + 1}`}</id>`,
+            `    <updated>${escapeXml(item.publishedAt || updated)}</updated>`,
+            ...(item.authors || []).map(author => `    <author><name>${escapeXml(author)}</name></author>`),
+            item.snippet ? `    <summary>${escapeXml(item.snippet)}</summary>` : null,
+            ...providersOf(item).map(source => `    <category term="${escapeXml(source)}" label="${escapeXml(label(source, options))}"/>`),
+            '  </entry>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Deep Research: ${escapeXml(results.query)}</title>
+  <id>${feedId}</id>
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>DeepResearchMultiApis</name></author>
+  <generator>DeepResearchMultiApis</generator>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+const FORMATTERS = {
+    json: results => JSON.stringify(results, null, 2),
+    markdown: toMarkdown,
+    html: toHtml,
+    csv: toCsv,
+    jsonl: toJsonl,
+    rss: toRss,
+    atom: toAtom
+};
+
+function resolveFormat(name) {
+    const format = FORMAT_ALIASES[String(name || '').toLowerCase()] || String(name || '').toLowerCase();
+    return format in FORMATTERS || format === 'text' ? format : null;
+}
+
+/**
+ * Render results in the given format.
+ *
+ * @param {Object} results - comprehensiveSearch() results or a deepResearch() report.
+ * @param {string} format - json, markdown (md), html, csv, jsonl, rss or atom.
+ * @param {{labels?: Object<string, string>, link?: string}} [options] - Provider display names, feed link.
+ * @returns {string}
+ */
+function formatResults(results, format, options = {}) {
+    const resolved = resolveFormat(format);
+    if (!resolved || resolved === 'text') {
+        throw new Error(`Unsupported format "${format}". Available: text, ${Object.keys(FORMATTERS).join(', ')}`);
+    }
+    return FORMATTERS[resolved](results, options);
+}
+
+module.exports = {
+    FORMATS: ['text', ...Object.keys(FORMATTERS)],
+    formatResults,
+    resolveFormat,
+    toMarkdown,
+    toHtml,
+    toCsv,
+    toJsonl,
+    toRss,
+    toAtom
+};
@@ -0,0 +1,241 @@
+/**
+ * Search History
+ * Every comprehensiveSearch() and deepResearch() run is appended to a JSON
+ * Lines file: the query, the options it ran with, how each provider fared, the
+ * merged results and how long it took. Entries get increasing numeric ids so
+ * `deep-research history show 12` is easy to type, and the oldest entries are
+ * dropped once maxEntries is exceeded. A stored entry renders through the same
+ * formatters as a live run, and diff() compares two runs by canonical URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { canonicalizeUrl } = require('./resultMerger');
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    maxEntries: 200
+};
+
+// Options that only steer a single run and say nothing about the search
+const TRANSIENT_OPTIONS = ['history', 'format', 'signal'];
+
+// Article text from --extract is large and can be fetched again
+function withoutContent(items = []) {
+    return items.map(({ content, ...item }) => item);
+}
+
+// Deep research tree without the per-query result lists; the consolidated list is kept
+function treeOutline(node) {
+    const { results, ...outline } = node;
+    return { ...outline, children: (node.children || []).map(treeOutline) };
+}
+
+// JSON round trip drops functions and undefined values
+function storableOptions(options = {}) {
+    const stored = JSON.parse(JSON.stringify(options));
+    TRANSIENT_OPTIONS.forEach(key => delete stored[key]);
+    return stored;
+}
+
+function providerOutcomes(run) {
+    const outcomes = {};
+    if (run.tree) {
+        (run.results || []).forEach(item => (item.providers || []).forEach(name => {
+            outcomes[name] = outcomes[name] || { status: 'ok', resultsCount: 0 };
+            outcomes[name].resultsCount++;
+        }));
+    } else {
+        Object.entries(run.sources || {}).forEach(([name, source]) => {
+            outcomes[name] = { status: 'ok', resultsCount: source.resultsCount || 0, cacheHit: Boolean(source.cacheHit) };
+        });
+    }
+    (run.skipped || []).forEach(({ api, reason, retryAt }) => {
+        outcomes[api] = { status: 'skipped', reason, retryAt };
+    });
+    // In deep research a provider may fail on one sub-query and answer another
+    (run.errors || []).forEach(({ api, error }) => {
+        if (!outcomes[api] || outcomes[api].status !== 'ok') {
+            outcomes[api] = { status: 'error', error };
+        }
+    });
+    return outcomes;
+}
+
+function urlKey(item) {
+    return canonicalizeUrl(item.url) || item.title;
+}
+
+/**
+ * Rebuild the object comprehensiveSearch() or deepResearch() returned, so a
+ * stored entry can go through formatResults() and exitCodeForResults().
+ *
+ * @param {Object} entry - History entry.
+ * @returns {Object}
+ */
+function entryToResults(entry) {
+    const common = { query: entry.query, timestamp: entry.timestamp, errors: entry.errors || [] };
+    ['summary', 'brief'].forEach(key => {
+        if (entry[key]) {
+            common[key] = entry[key];
+        }
+    });
+    if (entry.mode === 'deep') {
+        return { ...common, tree: entry.tree, results: entry.results, stats: entry.stats };
+    }
+    const sources = {};
+    Object.entries(entry.providers || {})
+        .filter(([, outcome]) => outcome.status === 'ok')
+        .forEach(([name, outcome]) => {
+            sources[name] = { success: true, source: name, resultsCount: outcome.resultsCount, results: [], cacheHit: outcome.cacheHit };
+        });
+    return { ...common, sources, totalResults: entry.totalResults, skipped: entry.skipped || [], merged: entry.results };
+}
+
+class HistoryStore {
+    /**
+     * @param {Object} [options] - The "history" config block.
+     * @param {string} [options.file] - JSON Lines file; without one nothing is recorded.
+     * @param {boolean} [options.enabled=true]
+     * @param {number} [options.maxEntries=200] - Oldest entries beyond this are dropped.
+     * @param {function(): number} [options.now]
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        this.now = options.now || (() => Date.now());
+    }
+
+    get enabled() {
+        return Boolean(this.file) && this.options.enabled;
+    }
+
+    // Oldest first; a line cut short by a crash is skipped rather than failing every read
+    entries() {
+        if (!this.file || !fs.existsSync(this.file)) {
+            return [];
+        }
+        return fs.readFileSync(this.file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim() !== '')
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(entry => entry && Number.isInteger(entry.id));
+    }
+
+    /**
+     * Append one run.
+     *
+     * @param {Object} run - What comprehensiveSearch() or deepResearch() returned.
+     * @param {Object} details
+     * @param {'search'|'deep'} details.mode
+     * @param {Object} [details.options] - Options the run was started with.
+     * @param {number} details.startedAt - Epoch ms.
+     * @returns {Object} The stored entry.
+     */
+    record(run, details) {
+        const existing = this.entries();
+        const entry = {
+            id: existing.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+            timestamp: new Date(details.startedAt).toISOString(),
+            mode: details.mode,
+            query: run.query,
+            options: storableOptions(details.options),
+            durationMs: this.now() - details.startedAt,
+            providers: providerOutcomes(run),
+            totalResults: run.tree ? run.results.length : run.totalResults || 0,
+            results: withoutContent(run.tree ? run.results : run.merged),
+            errors: run.errors || [],
+            skipped: run.skipped || []
+        };
+        if (run.tree) {
+            entry.tree = treeOutline(run.tree);
+            entry.stats = run.stats;
+        }
+        // stopReason marks a run cut short by Ctrl-C or its deadline
+        ['summary', 'brief', 'stopReason'].forEach(key => {
+            if (run[key]) {
+                entry[key] = run[key];
+            }
+        });
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        if (existing.length + 1 > this.options.maxEntries) {
+            const kept = [...existing, entry].slice(-this.options.maxEntries);
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, kept.map(item => `${JSON.stringify(item)}\n`).join(''));
+            fs.renameSync(temporary, this.file);
+        } else {
+            fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+        }
+        return entry;
+    }
+
+    /**
+     * Newest first, without the stored results.
+     *
+     * @param {{limit?: number, query?: string}} [options] - query matches case-insensitively anywhere in the query.
+     * @returns {Array<Object>}
+     */
+    list(options = {}) {
+        const needle = (options.query || '').toLowerCase();
+        return this.entries()
+            .filter(entry => !needle || String(entry.query).toLowerCase().includes(needle))
+            .reverse()
+            .slice(0, options.limit || 20)
+            .map(({ id, timestamp, mode, query, durationMs, totalResults, providers, errors }) =>
+                ({ id, timestamp, mode, query, durationMs, totalResults, providers, errors: errors.length }));
+    }
+
+    /**
+     * @param {number|string} id - Entry id, or "last".
+     * @returns {Object|null}
+     */
+    get(id) {
+        const entries = this.entries();
+        if (id === 'last') {
+            return entries[entries.length - 1] || null;
+        }
+        return entries.find(entry => entry.id === Number(id)) || null;
+    }
+
+    /**
+     * URLs that appeared or disappeared between two runs.
+     *
+     * @param {number|string} fromId
+     * @param {number|string} toId
+     * @returns {{from: Object, to: Object, added: Array<Object>, dropped: Array<Object>, unchanged: number}}
+     * @throws {Error} When either entry does not exist.
+     */
+    diff(fromId, toId) {
+        const [from, to] = [fromId, toId].map(id => {
+            const entry = this.get(id);
+            if (!entry) {
+                throw new Error(`No history entry ${id}`);
+            }
+            return entry;
+        });
+        const fromKeys = new Set(from.results.map(urlKey));
+        const toKeys = new Set(to.results.map(urlKey));
+        const pick = ({ title, url, providers }) => ({ title, url, providers });
+        return {
+            from: { id: from.id, timestamp: from.timestamp, query: from.query },
+            to: { id: to.id, timestamp: to.timestamp, query: to.query },
+            added: to.results.filter(item => !fromKeys.has(urlKey(item))).map(pick),
+            dropped: from.results.filter(item => !toKeys.has(urlKey(item))).map(pick),
+            unchanged: to.results.filter(item => fromKeys.has(urlKey(item))).length
+        };
+    }
+}
+
+module.exports = { HistoryStore, entryToResults };
@@ -0,0 +1,228 @@
+/**
+ * Recorded HTTP Fixtures
+ * Record/replay layer for the provider requests made by executeProvider(), so
+ * the test suite and demos can run without network access or API keys. The
+ * mode comes from the "http" config block (or DEEP_RESEARCH__http__mode):
+ *
+ *   live     plain axios (default)
+ *   record   axios, and every response or failure is also written to a fixture file
+ *   replay   answered from the fixture files only; nothing leaves the machine
+ *
+ * Fixtures are keyed on method, URL and request params without credentials,
+ * normalized the same way as response cache keys. Keys never reach the files:
+ * credential params are stored as [REDACTED], headers are not stored at all,
+ * and any echo of a key in a response is replaced as well. Credentials are
+ * recognized by name (apiKey, token, ...) and by the secretNames that
+ * executeProvider() passes for the provider, such as a custom apiKeyParam.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeRequest } = require('./responseCache');
+const { REDACTED, isSecretName } = require('./configSchema');
+
+const HTTP_MODES = ['live', 'record', 'replay'];
+const FIXTURE_VERSION = 1;
+// Response headers that change what the providers do (quota and rate-limit handling)
+const KEPT_HEADERS = /^(content-type|retry-after|x-ratelimit-.+|ratelimit-.+)$/i;
+
+function isCredential(name, secretNames = []) {
+    return isSecretName(name) || secretNames.some(secretName => secretName.toLowerCase() === name.toLowerCase());
+}
+
+// Credential values sent with a request, longest first so one key inside another is fully masked
+function secretValues(request, secretNames) {
+    const values = [];
+    [request.params, request.headers].forEach(fields => Object.entries(fields || {}).forEach(([name, value]) => {
+        if (isCredential(name, secretNames) && typeof value === 'string' && value !== '') {
+            values.push(value);
+        }
+    }));
+    return values.sort((a, b) => b.length - a.length);
+}
+
+function redact(value, secrets) {
+    if (value === undefined || secrets.length === 0) {
+        return value;
+    }
+    let text = JSON.stringify(value);
+    secrets.forEach(secret => {
+        // Match the key as it appears inside a JSON string
+        text = text.split(JSON.stringify(secret).slice(1, -1)).join(REDACTED);
+    });
+    return JSON.parse(text);
+}
+
+function keptHeaders(headers) {
+    const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : headers || {};
+    const kept = {};
+    Object.entries(plain).forEach(([name, value]) => {
+        if (KEPT_HEADERS.test(name)) {
+            kept[name.toLowerCase()] = String(value);
+        }
+    });
+    return kept;
+}
+
+/**
+ * Fixture identity of a request: same method, URL and non-secret params means same fixture.
+ *
+ * @param {Object} request - axios request config.
+ * @param {string[]} [secretNames] - Further param names that carry credentials.
+ * @returns {string} sha256 hex.
+ */
+function fixtureKey(request, secretNames) {
+    const secretParams = Object.keys(request.params || {}).filter(name => isCredential(name, secretNames));
+    const payload = JSON.stringify({ method: (request.method || 'GET').toUpperCase(), ...normalizeRequest(request, secretParams) });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Reads like an axios failure, so classifyError(), quota tracking and key failover behave as they do live
+function replayError(fixture, request) {
+    const error = new Error(fixture.error.message);
+    error.name = 'AxiosError';
+    error.isAxiosError = true;
+    error.code = fixture.error.code;
+    error.config = request;
+    if (fixture.response) {
+        error.response = { ...fixture.response, config: request };
+    }
+    return error;
+}
+
+class HttpRecorder {
+    /**
+     * @param {Object} options - The "http" config block.
+     * @param {'record'|'replay'} options.mode
+     * @param {string} options.fixtures - Fixture directory.
+     * @param {function(Object): Promise<Object>} [options.transport] - Client for record mode, defaults to axios.
+     * @param {function(): number} [options.now]
+     */
+    constructor(options) {
+        if (!['record', 'replay'].includes(options.mode)) {
+            throw new Error(`HttpRecorder needs mode "record" or "replay", got "${options.mode}"`);
+        }
+        if (!options.fixtures) {
+            throw new Error('HttpRecorder needs a fixtures directory');
+        }
+        this.mode = options.mode;
+        this.directory = options.fixtures;
+        this.transport = options.transport || axios;
+        this.now = options.now || (() => Date.now());
+    }
+
+    fixtureFile(request, secretNames) {
+        let host = 'request';
+        try {
+            host = new URL(request.url).host.replace(/[^A-Za-z0-9.-]/g, '_');
+        } catch (error) {
+            // Relative or missing URL; the hash still tells fixtures apart
+        }
+        return path.join(this.directory, `${host}-${fixtureKey(request, secretNames).slice(0, 16)}.json`);
+    }
+
+    /**
+     * Send (record) or look up (replay) one request, axios style: resolves with
+     * a response for 2xx and rejects with an error carrying error.response otherwise.
+     *
+     * @param {Object} request - axios request config.
+     * @param {{secretNames?: string[]}} [meta] - Param and header names that carry credentials.
+     * @returns {Promise<Object>}
+     */
+    async request(request, meta = {}) {
+        return this.mode === 'replay' ? this.replay(request, meta.secretNames) : this.record(request, meta.secretNames);
+    }
+
+    async replay(request, secretNames) {
+        const file = this.fixtureFile(request, secretNames);
+        if (!fs.existsSync(file)) {
+            const error = new Error(`No recorded fixture for ${(request.method || 'GET').toUpperCase()} ${request.url} (expected ${file}); record it with http.mode=record`);
+            error.code = 'ENOFIXTURE';
+            throw error;
+        }
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (fixture.error) {
+            throw replayError(fixture, request);
+        }
+        return { ...fixture.response, config: request };
+    }
+
+    async record(request, secretNames) {
+        const secrets = secretValues(request, secretNames);
+        const fixture = {
+            version: FIXTURE_VERSION,
+            recordedAt: new Date(this.now()).toISOString(),
+            request: {
+                method: (request.method || 'GET').toUpperCase(),
+                url: request.url,
+                params: Object.fromEntries(Object.entries(request.params || {})
+                    .map(([name, value]) => [name, isCredential(name, secretNames) ? REDACTED : value]))
+            }
+        };
+        const storeResponse = response => ({
+            status: response.status,
+            statusText: response.statusText || '',
+            headers: keptHeaders(response.headers),
+            data: redact(response.data, secrets)
+        });
+        try {
+            const response = await this.transport(request);
+            fixture.response = storeResponse(response);
+            this.write(request, fixture, secretNames);
+            return response;
+        } catch (error) {
+            // An aborted request says nothing about the API
+            if (error.code === 'ERR_CANCELED') {
+                throw error;
+            }
+            // Timeouts and refused connections are worth replaying too
+            fixture.error = { message: redact(error.message, secrets), code: error.code || null };
+            if (error.response) {
+                fixture.response = storeResponse(error.response);
+            }
+            this.write(request, fixture, secretNames);
+            throw error;
+        }
+    }
+
+    write(request, fixture, secretNames) {
+        const file = this.fixtureFile(request, secretNames);
+        fs.mkdirSync(this.directory, { recursive: true });
+        const temporary = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, `${JSON.stringify(fixture, null, 2)}\n`);
+        fs.renameSync(temporary, file);
+    }
+}
+
+/**
+ * axios-compatible request function for the configured mode.
+ *
+ * @param {Object} [options] - The "http" config block.
+ * @param {'live'|'record'|'replay'} [options.mode='live']
+ * @param {string} [options.fixtures] - Fixture directory, needed for record and replay.
+ * @param {function(Object): Promise<Object>} [options.transport] - Client for live and record mode, defaults to axios.
+ * @returns {function(Object): Promise<Object>}
+ */
+function createHttpClient(options = {}) {
+    const mode = options.mode || 'live';
+    if (!HTTP_MODES.includes(mode)) {
+        throw new Error(`Unknown http mode "${mode}"; expected one of: ${HTTP_MODES.join(', ')}`);
+    }
+    if (mode === 'live') {
+        return options.transport || axios;
+    }
+    const recorder = new HttpRecorder(options);
+    const client = (request, meta) => recorder.request(request, meta);
+    client.recorder = recorder;
+    return client;
+}
+
+module.exports = {
+    HTTP_MODES,
+    REDACTED,
+    HttpRecorder,
+    createHttpClient,
+    fixtureKey
+};
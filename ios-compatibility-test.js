@@ -34,6 +34,9 @@ function testInfo(message) {
 
 if (typeof global !== 'undefined') {
   // Running in Node.js for demo - create mock environment
+  // Requests are answered in process by the same mock APIs the Node test suite uses
+  const { mockResponse } = require('./mockApiServer');
+
   global.Request = class MockRequest {
     constructor(url) {
       this.url = url;
@@ -43,35 +46,12 @@ if (typeof global !== 'undefined') {
     
     async loadJSON() {
       testInfo(`Mock API call to: ${this.url}`);
-      
-      // Simulate API responses based on URL
-      if (this.url.includes('brave')) {
-        return {
-          web: {
-            results: [
-              { title: "Test Brave Result 1", url: "https://example.com/1", description: "Mock Brave search result" },
-              { title: "Test Brave Result 2", url: "https://example.com/2", description: "Another mock result" }
-            ]
-          }
-        };
-      } else if (this.url.includes('newsapi')) {
-        return {
-          status: "ok",
-          articles: [
-            { title: "Test News Article", url: "https://news.example.com/1", description: "Mock news article", source: { name: "Test News" } },
-            { title: "Another News Article", url: "https://news.example.com/2", description: "Another mock article", source: { name: "Test Source" } }
-          ]
-        };
-      } else if (this.url.includes('newsdata')) {
-        return {
-          status: "success",
-          results: [
-            { title: "Test Newsdata Article", link: "https://newsdata.example.com/1", description: "Mock newsdata article", source_id: "test_source" }
-          ]
-        };
-      }
-      
-      throw new Error("Mock network error");
+      const headers = {};
+      Object.entries(this.headers || {}).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+      });
+      // Like Scriptable, hand back the body whatever the status; callers check its shape
+      return mockResponse({ url: this.url, headers }).body;
     }
   };
   
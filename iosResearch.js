@@ -6,11 +6,44 @@
  * Focuses on clipboard-to-clipboard workflow
  */
 
-const axios = require('axios');
 const clipboardy = require('node-clipboardy');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
+const {
+    ProviderRegistry,
+    IOS_USER_AGENT,
+    executeProvider,
+    selectProviders,
+    getProviderOptions,
+    parseResponseSafely
+} = require('./providerRegistry');
+const { mergeResults } = require('./resultMerger');
+const { ResponseCache, resolveCacheMode } = require('./responseCache');
+const { QuotaTracker } = require('./quotaTracker');
+const { ContentExtractor } = require('./contentExtractor');
+const { summarizeResearch } = require('./summarizer');
+const { Synthesizer, formatBrief } = require('./synthesizer');
+const { ResearchLoop, formatTree } = require('./researchLoop');
+const { maskSecrets } = require('./configSchema');
+const { DEFAULT_CONFIG, loadLayeredConfig, userConfigFile } = require('./configLoader');
+const { SecretStore } = require('./secretStore');
+const { KeyPool } = require('./keyPool');
+const { createHttpClient } = require('./httpRecorder');
+const { StructuredLogger, collectSecrets } = require('./structuredLogger');
+const { withRetry, CircuitBreaker } = require('./resilience');
+const { NotificationDispatcher } = require('./notificationChannels');
+
+const MAX_RETRY_AFTER_WAIT = 10000;
+const MAX_BACKOFF_DELAY = 4000;
+const IOS_LOG_MAX_BYTES = 1024 * 1024;
+
+// Longer timeouts for mobile networks, fewer retries
+const IOS_DEFAULT_CONFIG = {};
+Object.entries(DEFAULT_CONFIG).forEach(([block, settings]) => {
+    IOS_DEFAULT_CONFIG[block] = { ...settings, timeout: 15000, retries: 2 };
+});
 
 // iOS Environment Detection
 class IOSDetector {
@@ -45,79 +78,59 @@ class IOSDetector {
 
 // iOS-Compatible Logger
 class IOSLogger {
-    static log(level, message, error = null) {
-        const timestamp = new Date().toISOString();
-        const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
-
-        // Log to console using appropriate level
-        if (level === 'error') {
-            console.error(logEntry);
-        } else if (level === 'warn') {
-            console.warn(logEntry);
-        } else {
-            console.log(logEntry);
-        }
-        
+    static log(level, message, error = null, fields = {}) {
         // Only log to file if not in iOS or if explicitly enabled
-        if (!IOSDetector.isIOS() || process.env.IOS_FILE_LOGGING === 'true') {
-            try {
-                const logFile = IOSDetector.getIOSCompatiblePath('research.log');
-                fs.appendFileSync(logFile, logEntry + (error ? `\nError: ${error.message}` : '') + '\n');
-            } catch (e) {
-                // Silently fail on iOS if file logging is not available
-                if (!IOSDetector.isIOS()) {
-                    console.error('Failed to write to log file:', e.message);
-                }
-            }
-        }
+        this.instance.file = !IOSDetector.isIOS() || process.env.IOS_FILE_LOGGING === 'true'
+            ? IOSDetector.getIOSCompatiblePath('research.log')
+            : null;
+        this.instance.log(level, message, error, fields);
     }
 
-    static info(message) { this.log('info', message); }
-    static warn(message) { this.log('warn', message); }
-    static error(message, error = null) { this.log('error', message, error); }
-    static debug(message) { this.log('debug', message); }
+    // Phone storage is tight, so rotate sooner than on the desktop unless the config says otherwise
+    static configure(options = {}) {
+        this.instance.configure({ maxBytes: IOS_LOG_MAX_BYTES, ...options });
+    }
+
+    static addSecrets(secrets) {
+        this.instance.addSecrets(secrets);
+    }
+
+    static info(message, fields) { this.log('info', message, null, fields); }
+    static warn(message, fields) { this.log('warn', message, null, fields); }
+    static error(message, error = null, fields) { this.log('error', message, error, fields); }
+    static debug(message, fields) { this.log('debug', message, null, fields); }
 }
+IOSLogger.instance = new StructuredLogger({ includeStack: false, maxBytes: IOS_LOG_MAX_BYTES });
 
 // iOS-Compatible Configuration Manager
 class IOSConfigManager {
-    static loadConfig() {
-        try {
-            const configFile = IOSDetector.getIOSCompatiblePath('config.json');
-            if (fs.existsSync(configFile)) {
-                const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
-                return config;
-            }
-        } catch (error) {
-            IOSLogger.warn('Config file not found or invalid, using environment variables');
-        }
-        
-        // Return default config with environment variables
-        return {
-            braveSearch: {
-                apiKey: process.env.BRAVE_API_KEY || '',
-                baseUrl: 'https://api.search.brave.com/res/v1/web/search',
-                timeout: 15000, // Longer timeout for mobile networks
-                retries: 2 // Fewer retries on mobile
-            },
-            newsAPI: {
-                apiKey: process.env.NEWS_API_KEY || '',
-                baseUrl: 'https://newsapi.org/v2/everything',
-                timeout: 15000,
-                retries: 2
-            },
-            newsdataIO: {
-                apiKey: process.env.NEWSDATA_API_KEY || '',
-                baseUrl: 'https://newsdata.io/api/1/news',
-                timeout: 15000,
-                retries: 2
-            }
-        };
+    static load(overrides = {}) {
+        const layered = loadLayeredConfig({
+            defaults: IOS_DEFAULT_CONFIG,
+            files: [
+                { layer: 'user', file: userConfigFile() },
+                { layer: 'project', file: IOSDetector.getIOSCompatiblePath('config.json') }
+            ],
+            overrides
+        });
+        IOSLogger.configure({ ...layered.config.logging, secrets: collectSecrets(layered.config) });
+        layered.warnings.forEach(warning => IOSLogger.warn(`Config: ${warning}`));
+        return layered;
+    }
+
+    static loadConfig(overrides = {}) {
+        return this.load(overrides).config;
     }
 }
 
-// iOS-Compatible Notification Manager (no desktop notifications)
+// iOS-Compatible Notification Manager (no desktop notifications; ntfy or Gotify reach the phone instead)
 class IOSNotificationManager {
-    static notify(title, message, type = 'info') {
+    // Apply a "notifications" config block; only its channels matter here
+    static configure(options = {}, deps = {}) {
+        this.dispatcher = new NotificationDispatcher({ ...options, logger: IOSLogger, secrets: deps.secrets });
+    }
+
+    static notify(title, message, type = 'info', details = {}) {
         // On iOS, just log notifications instead of showing desktop notifications
         IOSLogger.info(`NOTIFICATION: ${title} - ${message}`);
         
@@ -125,391 +138,269 @@ class IOSNotificationManager {
         if (process.env.IOS_SHORTCUTS_MODE === 'true') {
             console.log(`📱 ${title}: ${message}`);
         }
+        return this.dispatcher.send({ ...details, title, message, type });
+    }
+
+    static flush() {
+        return this.dispatcher.flush();
     }
 }
+IOSNotificationManager.configure();
 
 // Simplified Retry Utility for iOS
 class IOSRetryUtility {
-    static async withRetry(fn, maxRetries = 2, baseDelay = 1000) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                return await fn();
-            } catch (error) {
-                lastError = error;
-                IOSLogger.warn(`Attempt ${attempt} failed: ${error.message}`);
-                
-                if (attempt === maxRetries) {
-                    throw lastError;
-                }
-                
-                // Simple delay for iOS
-                const delay = baseDelay * attempt;
-                IOSLogger.info(`Retrying in ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            }
-        }
+    // Shorter waits than the desktop so a Shortcut never stalls for long
+    static async withRetry(fn, maxRetries = 2, baseDelay = 1000, options = {}) {
+        return withRetry(fn, { maxRetries, baseDelay, maxDelay: MAX_BACKOFF_DELAY, maxRetryAfter: MAX_RETRY_AFTER_WAIT, logger: IOSLogger, signal: options.signal });
     }
 }
 
 // iOS-Optimized Deep Researcher
 class IOSDeepResearcher {
-    constructor() {
+    constructor(options = {}) {
         this.config = IOSConfigManager.loadConfig();
+        this.providers = options.registry || ProviderRegistry.createDefault(this.config, path.dirname(IOSDetector.getIOSCompatiblePath('config.json')));
         this.isIOS = IOSDetector.isIOS();
+        this.secrets = options.secrets || new SecretStore({
+            file: IOSDetector.getIOSCompatiblePath('keystore.json'),
+            ...this.config.secrets
+        });
+        this.secrets.onResolve(secret => IOSLogger.addSecrets([secret]));
+        IOSNotificationManager.configure(this.config.notifications, { secrets: this.secrets });
+        this.cache = new ResponseCache({
+            ...this.config.cache,
+            directory: this.config.cache?.directory || IOSDetector.getIOSCompatiblePath('research-cache')
+        });
+        this.cacheMode = options.cacheMode || 'use';
+        this.quota = new QuotaTracker({
+            file: this.config.quota?.file || IOSDetector.getIOSCompatiblePath('quota-usage.json')
+        });
+        this.keyPool = new KeyPool({
+            ...this.config.keys,
+            file: this.config.keys?.file || IOSDetector.getIOSCompatiblePath('key-health.json')
+        });
+        this.breaker = new CircuitBreaker({
+            ...this.config.resilience,
+            file: this.config.resilience?.file || IOSDetector.getIOSCompatiblePath('circuit-state.json')
+        });
+        this.http = options.http || createHttpClient({
+            ...this.config.http,
+            fixtures: this.config.http?.fixtures || IOSDetector.getIOSCompatiblePath(path.join('fixtures', 'http'))
+        });
+        this.extract = options.extract || false;
+        // Fewer parallel fetches and shorter articles on mobile networks
+        this.extractor = options.extractor || new ContentExtractor({
+            concurrency: 2,
+            timeout: 15000,
+            maxContentLength: 3000,
+            maxArticles: 5,
+            userAgent: IOS_USER_AGENT,
+            ...this.config.extraction,
+            logger: IOSLogger
+        });
+        this.summarize = options.summarize || false;
+        // Fewer, shorter sources keep prompts small over mobile connections
+        this.synthesizer = options.synthesizer || Synthesizer.fromConfig(this.config.synthesis, IOSLogger, {
+            maxSources: 5,
+            maxCharsPerSource: 800,
+            secrets: this.secrets
+        });
+        this.synthesize = options.synthesize ?? this.synthesizer.enabled;
         IOSLogger.info(`iOS Deep Researcher initialized (iOS: ${this.isIOS})`);
     }
 
+    // Run any registered provider with iOS request limits
+    async runProvider(name, query, options = {}, runOptions = {}) {
+        return executeProvider(this.providers.get(name), query, options, {
+            config: this.config,
+            logger: IOSLogger,
+            notifier: IOSNotificationManager,
+            retry: IOSRetryUtility,
+            context: { mobile: true, userAgent: IOS_USER_AGENT },
+            cache: this.cache,
+            cacheMode: runOptions.cacheMode || this.cacheMode,
+            quota: this.quota,
+            keyPool: this.keyPool,
+            secrets: this.secrets,
+            http: this.http,
+            breaker: this.breaker,
+            queryId: runOptions.queryId,
+            maxDeferMs: this.config.quota?.maxDeferMs ?? 2000
+        });
+    }
+
     // Brave Search optimized for iOS
     async braveSearch(query, options = {}) {
-        const functionName = 'braveSearch';
-        IOSLogger.info(`${functionName}: Starting search for query: "${query}"`);
-        
-        try {
-            if (!query || typeof query !== 'string' || query.trim().length === 0) {
-                throw new Error('Query must be a non-empty string');
-            }
-
-            if (!this.config.braveSearch.apiKey) {
-                throw new Error('Brave Search API key not configured');
-            }
-
-            const params = {
-                q: query.trim(),
-                count: Math.min(options.count || 5, 10), // Limit results on iOS
-                mkt: options.market || 'en-US',
-                safesearch: options.safesearch || 'moderate'
-            };
-
-            const requestConfig = {
-                method: 'GET',
-                url: this.config.braveSearch.baseUrl,
-                params: params,
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Subscription-Token': this.config.braveSearch.apiKey,
-                    'User-Agent': 'iOS-DeepResearch/1.0'
-                },
-                timeout: this.config.braveSearch.timeout
-            };
-
-            const response = await IOSRetryUtility.withRetry(
-                async () => {
-                    const result = await axios(requestConfig);
-                    if (!result.data) {
-                        throw new Error('Empty response from Brave Search API');
-                    }
-                    return result;
-                },
-                this.config.braveSearch.retries
-            );
-
-            const results = this.processBraveSearchResponse(response.data);
-            
-            IOSLogger.info(`${functionName}: Successfully retrieved ${results.length} results`);
-            IOSNotificationManager.notify('Brave Search', `Found ${results.length} results`);
-            
-            return {
-                success: true,
-                source: 'braveSearch',
-                query: query,
-                resultsCount: results.length,
-                results: results,
-                timestamp: new Date().toISOString()
-            };
-
-        } catch (error) {
-            IOSLogger.error(`${functionName}: Failed for query "${query}"`, error);
-            IOSNotificationManager.notify('Brave Search Error', error.message, 'error');
-
-            return {
-                success: false,
-                source: 'braveSearch',
-                query: query,
-                error: error.message,
-                errorCode: error.response?.status || error.code,
-                timestamp: new Date().toISOString()
-            };
-        }
+        return this.runProvider('braveSearch', query, options);
     }
 
     processBraveSearchResponse(data) {
-        const results = [];
-        
-        try {
-            if (data.web && data.web.results) {
-                data.web.results.forEach(item => {
-                    results.push({
-                        title: item.title || 'No title',
-                        url: item.url || '',
-                        description: item.description || 'No description',
-                        published: item.published || null
-                    });
-                });
-            }
-        } catch (error) {
-            IOSLogger.error('Error processing Brave Search response', error);
-        }
-        
-        return results;
+        return parseResponseSafely(this.providers.get('braveSearch'), data, IOSLogger).results;
     }
 
     // NewsAPI optimized for iOS
     async newsAPI(query, options = {}) {
-        const functionName = 'newsAPI';
-        IOSLogger.info(`${functionName}: Starting news search for query: "${query}"`);
-        
-        try {
-            if (!query || typeof query !== 'string' || query.trim().length === 0) {
-                throw new Error('Query must be a non-empty string');
-            }
-
-            if (!this.config.newsAPI.apiKey) {
-                throw new Error('NewsAPI key not configured');
-            }
-
-            const params = {
-                q: query.trim(),
-                pageSize: Math.min(options.pageSize || 10, 20), // Limit for iOS
-                sortBy: options.sortBy || 'publishedAt',
-                language: options.language || 'en'
-            };
-
-            const requestConfig = {
-                method: 'GET',
-                url: this.config.newsAPI.baseUrl,
-                params: params,
-                headers: {
-                    'X-Api-Key': this.config.newsAPI.apiKey,
-                    'User-Agent': 'iOS-DeepResearch/1.0'
-                },
-                timeout: this.config.newsAPI.timeout
-            };
-
-            const response = await IOSRetryUtility.withRetry(
-                async () => {
-                    const result = await axios(requestConfig);
-                    if (!result.data || result.data.status !== 'ok') {
-                        throw new Error(result.data?.message || 'NewsAPI returned error');
-                    }
-                    return result;
-                },
-                this.config.newsAPI.retries
-            );
-
-            const results = this.processNewsAPIResponse(response.data);
-            
-            IOSLogger.info(`${functionName}: Successfully retrieved ${results.length} articles`);
-            IOSNotificationManager.notify('NewsAPI', `Found ${results.length} articles`);
-            
-            return {
-                success: true,
-                source: 'newsAPI',
-                query: query,
-                resultsCount: results.length,
-                results: results,
-                timestamp: new Date().toISOString()
-            };
-
-        } catch (error) {
-            IOSLogger.error(`${functionName}: Failed for query "${query}"`, error);
-            IOSNotificationManager.notify('NewsAPI Error', error.message, 'error');
-
-            return {
-                success: false,
-                source: 'newsAPI',
-                query: query,
-                error: error.message,
-                errorCode: error.response?.status || error.code,
-                timestamp: new Date().toISOString()
-            };
-        }
+        return this.runProvider('newsAPI', query, options);
     }
 
     processNewsAPIResponse(data) {
-        const results = [];
-        
-        try {
-            if (data.articles) {
-                data.articles.forEach(article => {
-                    results.push({
-                        title: article.title || 'No title',
-                        url: article.url || '',
-                        description: article.description || 'No description',
-                        author: article.author || 'Unknown author',
-                        source: article.source?.name || 'Unknown source',
-                        publishedAt: article.publishedAt || null
-                    });
-                });
-            }
-        } catch (error) {
-            IOSLogger.error('Error processing NewsAPI response', error);
-        }
-        
-        return results;
+        return parseResponseSafely(this.providers.get('newsAPI'), data, IOSLogger).results;
     }
 
     // Newsdata.io fallback optimized for iOS
     async newsdataFallback(query, options = {}) {
-        const functionName = 'newsdataFallback';
-        IOSLogger.info(`${functionName}: Starting fallback news search for query: "${query}"`);
-        
-        try {
-            if (!query || typeof query !== 'string' || query.trim().length === 0) {
-                throw new Error('Query must be a non-empty string');
-            }
-
-            if (!this.config.newsdataIO.apiKey) {
-                throw new Error('Newsdata.io API key not configured');
-            }
-
-            const params = {
-                apikey: this.config.newsdataIO.apiKey,
-                q: query.trim(),
-                language: options.language || 'en',
-                size: Math.min(options.size || 10, 10) // Conservative limit for iOS
-            };
-
-            const requestConfig = {
-                method: 'GET',
-                url: this.config.newsdataIO.baseUrl,
-                params: params,
-                headers: {
-                    'User-Agent': 'iOS-DeepResearch/1.0'
-                },
-                timeout: this.config.newsdataIO.timeout
-            };
-
-            const response = await IOSRetryUtility.withRetry(
-                async () => {
-                    const result = await axios(requestConfig);
-                    if (!result.data || result.data.status !== 'success') {
-                        throw new Error(result.data?.message || 'Newsdata.io returned error');
-                    }
-                    return result;
-                },
-                this.config.newsdataIO.retries
-            );
-
-            const results = this.processNewsdataResponse(response.data);
-            
-            IOSLogger.info(`${functionName}: Successfully retrieved ${results.length} articles`);
-            IOSNotificationManager.notify('Newsdata.io', `Found ${results.length} articles`);
-            
-            return {
-                success: true,
-                source: 'newsdataFallback',
-                query: query,
-                resultsCount: results.length,
-                results: results,
-                timestamp: new Date().toISOString()
-            };
+        return this.runProvider('newsdataFallback', query, options);
+    }
 
-        } catch (error) {
-            IOSLogger.error(`${functionName}: Failed for query "${query}"`, error);
-            IOSNotificationManager.notify('Newsdata.io Error', error.message, 'error');
+    processNewsdataResponse(data) {
+        return parseResponseSafely(this.providers.get('newsdataFallback'), data, IOSLogger).results;
+    }
 
-            return {
-                success: false,
-                source: 'newsdataFallback',
-                query: query,
-                error: error.message,
-                errorCode: error.response?.status || error.code,
-                timestamp: new Date().toISOString()
-            };
-        }
+    // Google Custom Search optimized for iOS
+    async googleSearch(query, options = {}) {
+        return this.runProvider('googleSearch', query, options);
     }
 
-    processNewsdataResponse(data) {
-        const results = [];
-        
-        try {
-            if (data.results) {
-                data.results.forEach(article => {
-                    const creator = Array.isArray(article.creator)
-                        ? article.creator.join(', ')
-                        : (article.creator || 'Unknown creator');
-                    results.push({
-                        title: article.title || 'No title',
-                        url: article.link || '',
-                        description: article.description || 'No description',
-                        creator: creator,
-                        source: article.source_id || 'Unknown source',
-                        publishedAt: article.pubDate || null
-                    });
-                });
-            }
-        } catch (error) {
-            IOSLogger.error('Error processing Newsdata.io response', error);
-        }
-        
-        return results;
+    processGoogleSearchResponse(data) {
+        return parseResponseSafely(this.providers.get('googleSearch'), data, IOSLogger).results;
     }
 
     // iOS-optimized comprehensive search
     async iosComprehensiveSearch(query, options = {}) {
-        IOSLogger.info(`Starting iOS comprehensive search for query: "${query}"`);
+        const queryId = crypto.randomBytes(4).toString('hex');
+        const startedAt = Date.now();
+        IOSLogger.info(`Starting iOS comprehensive search for query: "${query}"`, { queryId });
         const results = {
             query: query,
             timestamp: new Date().toISOString(),
             sources: {},
             totalResults: 0,
             errors: [],
+            skipped: [],
             ios: true
         };
 
-        // Try APIs sequentially on iOS to manage resources better
-        const apiList = [];
-        
-        if (options.includeBrave !== false && this.config.braveSearch.apiKey) {
-            apiList.push('brave');
-        }
-        if (options.includeNews !== false && this.config.newsAPI.apiKey) {
-            apiList.push('news');
-        }
-        if (options.includeFallback !== false && this.config.newsdataIO.apiKey) {
-            apiList.push('fallback');
-        }
+        // Try APIs sequentially on iOS to manage resources better; unconfigured providers are skipped
+        const providerList = selectProviders(this.providers, this.config, options, { requireConfigured: true });
 
-        for (const api of apiList) {
+        for (const provider of providerList) {
             try {
-                let result;
-                switch (api) {
-                    case 'brave':
-                        result = await this.braveSearch(query, options.braveOptions);
-                        break;
-                    case 'news':
-                        result = await this.newsAPI(query, options.newsOptions);
-                        break;
-                    case 'fallback':
-                        result = await this.newsdataFallback(query, options.fallbackOptions);
-                        break;
-                }
+                const result = await this.runProvider(provider.name, query, getProviderOptions(provider, options), {
+                    cacheMode: options.cacheMode,
+                    queryId
+                });
 
                 if (result.success) {
                     results.sources[result.source] = result;
                     results.totalResults += result.resultsCount || 0;
+                } else if (result.skipped) {
+                    results.skipped.push({ api: result.source, ...result.skipReason });
                 } else {
                     results.errors.push({ api: result.source, error: result.error });
                 }
             } catch (error) {
-                IOSLogger.error(`API ${api} failed completely`, error);
-                results.errors.push({ api: api, error: error.message });
+                IOSLogger.error(`API ${provider.name} failed completely`, error);
+                results.errors.push({ api: provider.name, error: error.message });
+            }
+        }
+
+        // Deduplicated, rank-fused view across providers
+        results.merged = mergeResults(results.sources);
+
+        if (options.extract ?? this.extract) {
+            const perSource = Object.values(results.sources).flatMap(source => source.results || []);
+            results.extracted = await this.extractor.attachToResults(results.merged, perSource);
+            IOSLogger.info(`Extracted article content for ${results.extracted} results`);
+        }
+
+        if (options.summarize ?? this.summarize) {
+            // Shorter digest for the clipboard on a phone
+            results.summary = summarizeResearch(results.merged, { digestBullets: 3, maxArticles: 5, ...this.config.summary, query });
+        }
+
+        if ((options.synthesize ?? this.synthesize) && results.merged.length > 0) {
+            try {
+                results.brief = await this.synthesizer.synthesize(query, results.merged);
+            } catch (error) {
+                IOSLogger.error('Synthesis failed', error);
+                results.errors.push({ api: 'synthesis', error: error.message });
             }
         }
 
         const successCount = Object.keys(results.sources).length;
-        IOSLogger.info(`iOS comprehensive search completed: ${successCount} successes, ${results.errors.length} failures`);
+        IOSLogger.info(`iOS comprehensive search completed: ${successCount} successes, ${results.errors.length} failures`,
+            { queryId, durationMs: Date.now() - startedAt, totalResults: results.totalResults });
         
         IOSNotificationManager.notify(
             'Search Complete',
-            `${successCount} APIs succeeded. Total: ${results.totalResults} results`
+            `${successCount} APIs succeeded. Total: ${results.totalResults} results`,
+            successCount > 0 ? 'info' : 'error',
+            { event: 'search', query, queryId, totalResults: results.totalResults }
         );
 
         return results;
     }
 
+    // Multi-hop research with tighter budgets for mobile networks and battery
+    async iosDeepResearch(query, options = {}) {
+        const { extract, summarize, synthesize, ...searchOptions } = options;
+        const loop = new ResearchLoop({
+            depth: 1,
+            breadth: 2,
+            maxResults: 20,
+            timeBudgetMs: 30000,
+            ...this.config.research,
+            search: (subQuery, stepOptions) => this.iosComprehensiveSearch(subQuery, {
+                ...stepOptions,
+                extract: false,
+                summarize: false,
+                synthesize: false
+            }),
+            backend: this.synthesizer.backend,
+            logger: IOSLogger
+        });
+
+        const report = await loop.run(query, searchOptions);
+        IOSLogger.info(`iOS deep research finished: ${report.stats.queriesRun} queries, ${report.stats.uniqueResults} unique results (${report.stats.stopReason})`);
+
+        if (extract ?? this.extract) {
+            report.extracted = await this.extractor.attachToResults(report.results);
+        }
+        if (summarize ?? this.summarize) {
+            report.summary = summarizeResearch(report.results, { digestBullets: 3, maxArticles: 5, ...this.config.summary, query });
+        }
+        if ((synthesize ?? this.synthesize) && report.results.length > 0) {
+            try {
+                report.brief = await this.synthesizer.synthesize(query, report.results);
+            } catch (error) {
+                IOSLogger.error('Synthesis failed', error);
+                report.errors.push({ api: 'synthesis', error: error.message });
+            }
+        }
+        return report;
+    }
+
+    generateIOSDeepResearchSummary(report) {
+        let summary = `🔍 Deep Research Report\n`;
+        summary += `Query: "${report.query}"\n`;
+        summary += `🌳 ${report.stats.queriesRun} queries, ${report.results.length} unique results\n\n`;
+
+        if (report.brief) {
+            summary += `🧠 BRIEF\n${formatBrief(report.brief)}\n`;
+        }
+
+        summary += `🌳 QUERIES\n${formatTree(report.tree)}\n`;
+
+        summary += `🧩 TOP RESULTS\n`;
+        summary += `${'='.repeat(40)}\n`;
+        report.results.slice(0, 5).forEach((item, index) => {
+            summary += `${index + 1}. ${item.title}\n`;
+            summary += `   🔗 ${item.url}\n\n`;
+        });
+
+        return summary;
+    }
+
     // iOS Shortcuts-optimized clipboard workflow
     async iosClipboardWorkflow() {
         try {
@@ -549,7 +440,7 @@ class IOSDeepResearcher {
                 await clipboardy.write(summary);
                 clipboardUpdated = true;
                 IOSLogger.info('Results summary written to clipboard');
-                IOSNotificationManager.notify('Clipboard Updated', 'Search results copied to clipboard');
+                IOSNotificationManager.notify('Clipboard Updated', 'Search results copied to clipboard', 'info', { event: 'clipboard' });
             } catch (error) {
                 IOSLogger.error('Failed to write to clipboard', error);
                 success = false; // Propagate failure
@@ -571,7 +462,7 @@ class IOSDeepResearcher {
 
         } catch (error) {
             IOSLogger.error('iOS clipboard workflow failed', error);
-            IOSNotificationManager.notify('Workflow Error', error.message, 'error');
+            IOSNotificationManager.notify('Workflow Error', error.message, 'error', { event: 'clipboard' });
             
             // Try to write error to clipboard for shortcuts
             try {
@@ -594,23 +485,62 @@ class IOSDeepResearcher {
         const sourceIcons = {
             braveSearch: '🦁',
             newsAPI: '📰', 
-            newsdataFallback: '📡'
+            newsdataFallback: '📡',
+            googleSearch: '🔎'
+        };
+
+        const describe = item => {
+            let text = `   🔗 ${item.url}\n`;
+            if (item.snippet) {
+                text += `   📝 ${item.snippet.substring(0, 100)}${item.snippet.length > 100 ? '...' : ''}\n`;
+            }
+            return text;
         };
 
-        Object.entries(results.sources).forEach(([api, data]) => {
-            const icon = sourceIcons[api] || '🔍';
-            summary += `${icon} ${api.toUpperCase()} (${data.resultsCount} results)\n`;
+        if (results.brief) {
+            summary += `🧠 BRIEF\n${formatBrief(results.brief)}\n`;
+        }
+
+        if (results.summary && results.summary.digest.length > 0) {
+            summary += `💡 KEY POINTS\n`;
+            results.summary.digest.forEach(point => {
+                summary += `• ${point.text} [${point.sources.join(', ')}]\n`;
+            });
+            summary += '\n';
+        }
+
+        if (results.merged && results.merged.length > 0) {
+            // Each article once, ranked across all providers
+            summary += `🧩 TOP RESULTS (${results.merged.length} unique)\n`;
             summary += `${'='.repeat(40)}\n`;
-            
-            data.results.slice(0, 3).forEach((item, index) => {
+
+            results.merged.slice(0, 5).forEach((item, index) => {
+                const icons = item.providers.map(api => sourceIcons[api] || '🔍').join('');
                 summary += `${index + 1}. ${item.title}\n`;
-                summary += `   🔗 ${item.url}\n`;
-                if (item.description && item.description !== 'No description') {
-                    summary += `   📝 ${item.description.substring(0, 100)}${item.description.length > 100 ? '...' : ''}\n`;
-                }
-                summary += '\n';
+                summary += describe(item);
+                summary += `   ${icons} ${item.providers.join(', ')}\n\n`;
             });
-        });
+        } else {
+            Object.entries(results.sources).forEach(([api, data]) => {
+                const icon = sourceIcons[api] || '🔍';
+                summary += `${icon} ${api.toUpperCase()} (${data.resultsCount} results)\n`;
+                summary += `${'='.repeat(40)}\n`;
+
+                data.results.slice(0, 3).forEach((item, index) => {
+                    summary += `${index + 1}. ${item.title}\n`;
+                    summary += describe(item);
+                    summary += '\n';
+                });
+            });
+        }
+
+        if (results.skipped && results.skipped.length > 0) {
+            summary += `\n⏸️ SKIPPED\n`;
+            summary += `${'='.repeat(40)}\n`;
+            results.skipped.forEach(skip => {
+                summary += `• ${skip.api}: ${skip.reason} until ${new Date(skip.retryAt).toLocaleString()}\n`;
+            });
+        }
 
         if (results.errors.length > 0) {
             summary += `\n❌ ERRORS\n`;
@@ -627,8 +557,14 @@ class IOSDeepResearcher {
 
 // iOS CLI Interface
 async function iosMain() {
-    const args = process.argv.slice(2);
-    const researcher = new IOSDeepResearcher();
+    const rawArgs = process.argv.slice(2);
+    const cacheMode = resolveCacheMode({ noCache: rawArgs.includes('--no-cache'), refresh: rawArgs.includes('--refresh') });
+    const extract = rawArgs.includes('--extract');
+    const summarize = rawArgs.includes('--summarize');
+    const synthesize = rawArgs.includes('--synthesize') || undefined;
+    const deep = rawArgs.includes('--deep');
+    const args = rawArgs.filter(arg => !['--no-cache', '--refresh', '--extract', '--summarize', '--synthesize', '--deep'].includes(arg));
+    const researcher = new IOSDeepResearcher({ cacheMode, extract, summarize, synthesize });
 
     try {
         // Check if running on iOS
@@ -643,7 +579,7 @@ async function iosMain() {
         } else if (args[0] === '--config') {
             // Configuration mode
             console.log('📱 iOS Deep Research Configuration:');
-            console.log(JSON.stringify(researcher.config, null, 2));
+            console.log(JSON.stringify(maskSecrets(researcher.config), null, 2));
         } else if (args[0] === '--test-clipboard') {
             // Test clipboard access
             try {
@@ -660,11 +596,15 @@ async function iosMain() {
             // Search with provided query
             const query = args.join(' ');
             IOSLogger.info(`iOS search for: "${query}"`);
-            const results = await researcher.iosComprehensiveSearch(query);
+            const results = deep
+                ? await researcher.iosDeepResearch(query)
+                : await researcher.iosComprehensiveSearch(query);
             
             // Output results
             if (process.env.IOS_SHORTCUTS_MODE === 'true') {
-                const summary = researcher.generateIOSResultsSummary(results);
+                const summary = deep
+                    ? researcher.generateIOSDeepResearchSummary(results)
+                    : researcher.generateIOSResultsSummary(results);
                 console.log(summary);
                 
                 // Also copy to clipboard for shortcuts
@@ -685,6 +625,8 @@ async function iosMain() {
             console.log(`❌ Error: ${error.message}`);
         }
         
+        // Let the failure alert reach its channels before the process goes
+        await IOSNotificationManager.flush();
         process.exit(1);
     }
 }
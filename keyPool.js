@@ -0,0 +1,169 @@
+/**
+ * API Key Pools
+ * A provider block may list several keys ("apiKeys": [...]) instead of one
+ * apiKey. The pool decides which key a request tries first (round-robin or
+ * least-used by today's quota count), executeProvider() fails over to the next
+ * key on HTTP 401/403/429, and a key that keeps failing authentication is
+ * quarantined for a while. Quarantine state is persisted, keyed by the same
+ * short hash the quota file uses, so a one-shot CLI run counts toward it too.
+ * Keys are only ever logged as a short hash.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { keyId } = require('./quotaTracker');
+
+const DEFAULT_OPTIONS = {
+    strategy: 'round-robin',
+    quarantineAfter: 3,
+    quarantineMs: 15 * 60 * 1000
+};
+
+const AUTH_FAILURE_STATUSES = [401, 403];
+const FAILOVER_STATUSES = [...AUTH_FAILURE_STATUSES, 429];
+
+/**
+ * Keys configured for a provider block, in config order.
+ *
+ * @param {Object} providerConfig
+ * @returns {Array<string>} apiKeys when set, otherwise the single apiKey (which may be empty).
+ */
+function providerKeys(providerConfig = {}) {
+    const keys = (Array.isArray(providerConfig.apiKeys) ? providerConfig.apiKeys : [])
+        .filter(key => typeof key === 'string' && key !== '');
+    return keys.length > 0 ? [...new Set(keys)] : [providerConfig.apiKey];
+}
+
+// Safe to log: the same short hash the quota file uses
+function maskKey(apiKey) {
+    return `key ${keyId(apiKey).slice(0, 8)}`;
+}
+
+class KeyPool {
+    /**
+     * @param {Object} [options]
+     * @param {'round-robin'|'least-used'} [options.strategy='round-robin'] - Default when a provider block sets no keySelection.
+     * @param {number} [options.quarantineAfter=3] - Consecutive 401/403 responses before a key is set aside.
+     * @param {number} [options.quarantineMs=900000]
+     * @param {string} [options.file] - Where key health is kept; in memory only without one.
+     * @param {function(): number} [options.now]
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        this.file = options.file || null;
+        this.now = options.now || (() => Date.now());
+        this.cursors = new Map();
+        this.health = null;
+    }
+
+    load() {
+        if (this.health) {
+            return this.health;
+        }
+        try {
+            this.health = this.file && fs.existsSync(this.file)
+                ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+                : {};
+        } catch (error) {
+            this.health = {};
+        }
+        return this.health;
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(this.health, null, 2));
+            fs.renameSync(temporary, this.file);
+        } catch (error) {
+            // Persistence is best effort; quarantine still works for this run
+        }
+    }
+
+    // Healthy keys have no entry, so the file only lists keys that have failed
+    healthOf(providerName, apiKey) {
+        return this.load()[`${providerName}:${keyId(apiKey)}`] || { authFailures: 0, quarantinedUntil: null };
+    }
+
+    isQuarantined(providerName, apiKey) {
+        const health = this.healthOf(providerName, apiKey);
+        return health.quarantinedUntil !== null && health.quarantinedUntil > this.now();
+    }
+
+    /**
+     * Keys to try for the next request, best first. Quarantined keys are left out.
+     *
+     * @param {string} providerName
+     * @param {Array<string>} keys - From providerKeys().
+     * @param {{strategy?: string, quota?: Object}} [options] - quota is needed for 'least-used'.
+     * @returns {Array<string>}
+     */
+    order(providerName, keys, options = {}) {
+        const strategy = options.strategy || this.options.strategy;
+        let ordered;
+        if (strategy === 'least-used' && options.quota) {
+            const used = new Map(keys.map(key => [key, options.quota.usage(providerName, key).today]));
+            ordered = keys.map((key, index) => ({ key, index }))
+                .sort((a, b) => used.get(a.key) - used.get(b.key) || a.index - b.index)
+                .map(entry => entry.key);
+        } else {
+            const cursor = this.cursors.get(providerName) || 0;
+            this.cursors.set(providerName, cursor + 1);
+            const start = cursor % keys.length;
+            ordered = [...keys.slice(start), ...keys.slice(0, start)];
+        }
+        return ordered.filter(key => !this.isQuarantined(providerName, key));
+    }
+
+    reportSuccess(providerName, apiKey) {
+        const id = `${providerName}:${keyId(apiKey)}`;
+        if (this.load()[id]) {
+            delete this.health[id];
+            this.save();
+        }
+    }
+
+    /**
+     * Record a failed request.
+     *
+     * @returns {boolean} True when this failure put the key into quarantine.
+     */
+    reportFailure(providerName, apiKey, status) {
+        if (!AUTH_FAILURE_STATUSES.includes(status)) {
+            return false;
+        }
+        const health = { ...this.healthOf(providerName, apiKey) };
+        health.authFailures++;
+        const quarantined = health.authFailures >= this.options.quarantineAfter;
+        if (quarantined) {
+            health.authFailures = 0;
+            health.quarantinedUntil = this.now() + this.options.quarantineMs;
+        }
+        this.load()[`${providerName}:${keyId(apiKey)}`] = health;
+        this.save();
+        return quarantined;
+    }
+
+    // Per-key state for diagnostics, with keys masked
+    status(providerName, keys) {
+        return keys.map(key => {
+            const health = this.healthOf(providerName, key);
+            return {
+                key: maskKey(key),
+                authFailures: health.authFailures,
+                quarantinedUntil: this.isQuarantined(providerName, key) ? new Date(health.quarantinedUntil).toISOString() : null
+            };
+        });
+    }
+}
+
+module.exports = { KeyPool, providerKeys, maskKey, FAILOVER_STATUSES };
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Search APIs
+ * Local stand-in for Brave Search, NewsAPI, Newsdata.io and Google Custom
+ * Search, answering on the same paths and in the same response shapes, so the
+ * test suite and demos work without network access or real keys. The API key
+ * a request carries picks the scenario:
+ *
+ *   mock-401 / mock-403 / mock-426 / mock-429   that HTTP error, in the API's own error format
+ *                                               (429 also sends Retry-After)
+ *   mock-timeout                                no answer until hangMs has passed
+ *   any other key                               up to three results derived from the query
+ *   no key                                      401, like the real APIs
+ *
+ * `node mockApiServer.js [port]` runs it standalone and prints the
+ * DEEP_RESEARCH__ variables that point the CLI at it.
+ */
+
+const http = require('http');
+
+const SCENARIO_STATUSES = { 'mock-401': 401, 'mock-403': 403, 'mock-426': 426, 'mock-429': 429 };
+const TIMEOUT_KEY = 'mock-timeout';
+const RESULTS_PER_QUERY = 3;
+const RETRY_AFTER_SECONDS = 1;
+
+const ERRORS = {
+    401: { code: 'apiKeyInvalid', message: 'Your API key is invalid or missing.' },
+    403: { code: 'accessDenied', message: 'Your plan does not include access to this endpoint.' },
+    404: { code: 'notFound', message: 'Unknown endpoint.' },
+    426: { code: 'upgradeRequired', message: 'Requests from this origin need a paid plan.' },
+    429: { code: 'rateLimited', message: 'You have made too many requests recently.' }
+};
+
+function slugify(query) {
+    return String(query || 'query').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'query';
+}
+
+// Web providers share URLs, as do news providers, so merging has duplicates to fold
+function mockItems(kind, query, requested) {
+    const count = Math.max(0, Math.min(Number(requested) || RESULTS_PER_QUERY, RESULTS_PER_QUERY));
+    return Array.from({ length: count }, (unused, index) => ({
+        title: `${query} (${kind} result ${index + 1})`,
+        url: `https://${kind}.example.com/${slugify(query)}/${index + 1}`,
+        description: `Mock ${kind} result ${index + 1} about ${query}.`,
+        publishedAt: new Date(Date.UTC(2024, 0, index + 1)).toISOString()
+    }));
+}
+
+// One entry per emulated API: where it listens, where its key goes and its response shapes
+const MOCK_APIS = [
+    {
+        configKey: 'braveSearch',
+        path: '/res/v1/web/search',
+        apiKey: (params, headers) => headers['x-subscription-token'],
+        success: params => ({
+            type: 'search',
+            query: { original: params.get('q') },
+            web: {
+                type: 'search',
+                results: mockItems('web', params.get('q'), params.get('count')).map(item => ({
+                    title: item.title,
+                    url: item.url,
+                    description: item.description,
+                    page_age: item.publishedAt
+                }))
+            }
+        }),
+        failure: (status, error) => ({ type: 'ErrorResponse', error: { status, code: error.code, detail: error.message } })
+    },
+    {
+        configKey: 'newsAPI',
+        path: '/v2/everything',
+        apiKey: (params, headers) => headers['x-api-key'] || params.get('apiKey'),
+        success: params => {
+            const articles = mockItems('news', params.get('q'), params.get('pageSize')).map(item => ({
+                source: { id: null, name: 'Mock News' },
+                author: 'Mock Author',
+                title: item.title,
+                description: item.description,
+                url: item.url,
+                publishedAt: item.publishedAt
+            }));
+            return { status: 'ok', totalResults: articles.length, articles };
+        },
+        failure: (status, error) => ({ status: 'error', code: error.code, message: error.message })
+    },
+    {
+        configKey: 'newsdataIO',
+        path: '/api/1/news',
+        apiKey: params => params.get('apikey'),
+        success: params => {
+            const results = mockItems('news', params.get('q'), params.get('size')).map((item, index) => ({
+                article_id: `mock-${index + 1}`,
+                title: item.title,
+                link: item.url,
+                description: item.description,
+                pubDate: item.publishedAt.replace('T', ' ').slice(0, 19),
+                source_id: 'mock_news'
+            }));
+            return { status: 'success', totalResults: results.length, results, nextPage: null };
+        },
+        failure: (status, error) => ({ status: 'error', results: { code: error.code, message: error.message } })
+    },
+    {
+        configKey: 'googleSearch',
+        path: '/customsearch/v1',
+        apiKey: params => params.get('key'),
+        success: params => ({
+            kind: 'customsearch#search',
+            items: mockItems('web', params.get('q'), params.get('num')).map(item => ({
+                title: item.title,
+                link: item.url,
+                snippet: item.description,
+                displayLink: new URL(item.url).host
+            }))
+        }),
+        failure: (status, error) => ({ error: { code: status, message: error.message, errors: [{ reason: error.code }] } })
+    }
+];
+
+/**
+ * Answer one request the way the emulated API would. Pure, so it also serves
+ * in-process mocks that never open a socket.
+ *
+ * @param {Object} request
+ * @param {string} request.url - Path and query string, or an absolute URL.
+ * @param {Object} [request.headers] - Lower-case header names.
+ * @returns {{status: number, headers: Object, body: Object, hang: boolean}}
+ */
+function mockResponse(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const headers = request.headers || {};
+    const api = MOCK_APIS.find(candidate => url.pathname.endsWith(candidate.path));
+    const respond = (status, body, extraHeaders = {}) =>
+        ({ status, headers: { 'content-type': 'application/json; charset=utf-8', ...extraHeaders }, body, hang: false });
+    if (!api) {
+        return respond(404, { status: 'error', code: ERRORS[404].code, message: `${ERRORS[404].message} (${url.pathname})` });
+    }
+    const apiKey = api.apiKey(url.searchParams, headers);
+    if (apiKey === TIMEOUT_KEY) {
+        return { ...respond(504, api.failure(504, { code: 'timeout', message: 'Gateway timeout' })), hang: true };
+    }
+    const status = apiKey ? SCENARIO_STATUSES[apiKey] : 401;
+    if (status) {
+        const extraHeaders = status === 429 ? { 'retry-after': String(RETRY_AFTER_SECONDS), 'x-ratelimit-remaining': '0' } : {};
+        return respond(status, api.failure(status, ERRORS[status]), extraHeaders);
+    }
+    return respond(200, api.success(url.searchParams));
+}
+
+/**
+ * Config blocks that send every built-in provider to a mock server.
+ *
+ * @param {string} baseUrl - e.g. http://127.0.0.1:8790
+ * @param {string} [apiKey] - Scenario key for every provider; omitted to keep the configured keys.
+ * @returns {Object}
+ */
+function mockConfig(baseUrl, apiKey) {
+    const config = {};
+    MOCK_APIS.forEach(api => {
+        config[api.configKey] = { baseUrl: `${baseUrl}${api.path}` };
+        if (apiKey !== undefined) {
+            config[api.configKey].apiKey = apiKey;
+        }
+    });
+    if (apiKey !== undefined) {
+        config.googleSearch.searchEngineId = 'mock-engine';
+    }
+    return config;
+}
+
+/**
+ * Start the mock on a local port.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.port=0] - 0 picks a free port.
+ * @param {number} [options.hangMs=60000] - How long mock-timeout requests wait before answering 504.
+ * @returns {Promise<{url: string, port: number, requests: Array<Object>, config: function(string=): Object, close: function(): Promise<void>}>}
+ */
+function startMockApiServer(options = {}) {
+    const host = options.host || '127.0.0.1';
+    const hangMs = options.hangMs ?? 60000;
+    const timers = new Set();
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ method: request.method, url: request.url });
+        const answer = mockResponse({ url: request.url, headers: request.headers });
+        const send = () => {
+            response.writeHead(answer.status, answer.headers);
+            response.end(JSON.stringify(answer.body));
+        };
+        if (!answer.hang) {
+            send();
+            return;
+        }
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            send();
+        }, hangMs);
+        timers.add(timer);
+    });
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port || 0, host, () => {
+            server.removeListener('error', reject);
+            const url = `http://${host}:${server.address().port}`;
+            resolve({
+                url,
+                port: server.address().port,
+                requests,
+                config: apiKey => mockConfig(url, apiKey),
+                close: () => new Promise(done => {
+                    timers.forEach(clearTimeout);
+                    timers.clear();
+                    // Hanging requests would otherwise keep close() waiting
+                    server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 8790;
+    startMockApiServer({ port }).then(mock => {
+        console.log(`Mock search APIs listening on ${mock.url}`);
+        console.log('Point deep-research at them with:');
+        Object.entries(mock.config('mock-key')).forEach(([block, settings]) => {
+            Object.entries(settings).forEach(([key, value]) => {
+                console.log(`  export DEEP_RESEARCH__${block}__${key}=${value}`);
+            });
+        });
+        console.log('Use mock-401, mock-403, mock-426, mock-429 or mock-timeout as a key to get that failure.');
+    }).catch(error => {
+        console.error(`Could not start the mock server: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    MOCK_APIS,
+    SCENARIO_STATUSES,
+    TIMEOUT_KEY,
+    mockResponse,
+    mockConfig,
+    startMockApiServer
+};
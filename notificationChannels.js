@@ -0,0 +1,433 @@
+/**
+ * Notification Channels
+ * Delivers NotificationManager.notify() calls beyond the desktop popup, so
+ * search completions and watch alerts can reach a phone, a chat room or a
+ * mailbox. The "notifications" config block lists the channels:
+ *
+ *   webhook   POST {title, message, type, event, time, host, ...details} as JSON
+ *   ntfy      ntfy-style push to a topic URL: the message as body, Title/Priority/Tags headers
+ *   gotify    Gotify-style push: JSON {title, message, priority} with the app token
+ *   slack     Slack-compatible incoming webhook, {"text": ...}; Mattermost, Rocket.Chat
+ *             and Matrix hookshot webhooks accept the same shape
+ *   email     plain-text mail over SMTP (implicit TLS or STARTTLS, AUTH PLAIN/LOGIN)
+ *
+ * Each channel picks what it receives with minSeverity (info < alert < error,
+ * taken from notify()'s type argument) and events (search, watch, provider,
+ * clipboard), and shapes it with title and message templates: {{title}},
+ * {{message}}, {{type}}, {{event}}, {{time}}, {{host}} and any detail such as
+ * {{query}}, {{watch}} or {{count}}. Delivery is best effort: a failing
+ * channel is logged and never fails the search that triggered it.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const CHANNEL_TYPES = ['webhook', 'ntfy', 'gotify', 'slack', 'email'];
+const SEVERITIES = ['info', 'alert', 'error'];
+const EVENTS = ['search', 'watch', 'provider', 'clipboard', 'test'];
+// Per-provider "found n results" chatter stays on the desktop unless a channel asks for it
+const DEFAULT_EVENTS = ['search', 'watch', 'test'];
+const DEFAULT_TIMEOUT = 10000;
+
+const NTFY_PRIORITIES = { info: 3, alert: 4, error: 5 };
+const NTFY_TAGS = { info: 'mag', alert: 'bell', error: 'warning' };
+const GOTIFY_PRIORITIES = { info: 5, alert: 7, error: 8 };
+
+/**
+ * Severity of a notify() type: error, alert (also warning/warn) or info for anything else.
+ *
+ * @param {string} [type]
+ * @returns {'info'|'alert'|'error'}
+ */
+function severityOf(type) {
+    if (type === 'error' || type === 'failure') {
+        return 'error';
+    }
+    if (type === 'alert' || type === 'warning' || type === 'warn') {
+        return 'alert';
+    }
+    return 'info';
+}
+
+/**
+ * Whether a channel (or the desktop) wants a notification.
+ *
+ * @param {{minSeverity?: string, events?: string[]}} settings - events defaults to every event when omitted.
+ * @param {{type?: string, event?: string}} notification
+ * @returns {boolean}
+ */
+function accepts(settings, notification) {
+    const minimum = SEVERITIES.indexOf(settings.minSeverity || 'info');
+    if (SEVERITIES.indexOf(severityOf(notification.type)) < minimum) {
+        return false;
+    }
+    return !Array.isArray(settings.events) || settings.events.includes(notification.event || 'search');
+}
+
+/**
+ * Fill {{name}} placeholders; unknown names become empty.
+ *
+ * @param {string} template
+ * @param {Object} fields
+ * @returns {string}
+ */
+function renderTemplate(template, fields) {
+    return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, name) => {
+        const value = fields[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// RFC 2047 encoded-word for header values that are not plain ASCII (ntfy and mail both read it)
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Problems that keep a channel from working, for `notify list` and `doctor`.
+ *
+ * @param {Object} channel
+ * @returns {string[]}
+ */
+function channelProblems(channel) {
+    const problems = [];
+    if (!CHANNEL_TYPES.includes(channel.type)) {
+        problems.push(`type must be one of: ${CHANNEL_TYPES.join(', ')}`);
+        return problems;
+    }
+    if (channel.type === 'email') {
+        ['host', 'from'].forEach(key => {
+            if (!channel[key]) {
+                problems.push(`${key} is required for email`);
+            }
+        });
+        if ([].concat(channel.to || []).length === 0) {
+            problems.push('to is required for email');
+        }
+    } else if (!channel.url) {
+        problems.push(`url is required for ${channel.type}`);
+    }
+    if (channel.type === 'gotify' && !channel.token) {
+        problems.push('token (the Gotify app token) is required for gotify');
+    }
+    return problems;
+}
+
+// Line-oriented SMTP conversation over a socket that can be upgraded to TLS
+class SmtpSession {
+    constructor(socket, timeout) {
+        this.buffer = '';
+        this.waiting = null;
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error(`SMTP server did not answer within ${this.timeout}ms`)));
+        socket.on('data', chunk => {
+            this.buffer += chunk.toString('utf8');
+            this.drain();
+        });
+        socket.on('error', error => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    fail(error) {
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(error);
+        }
+    }
+
+    // A reply is complete at a "250 text" line; "250-text" lines continue it
+    drain() {
+        const lines = this.buffer.split('\r\n');
+        const last = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last === -1 || !this.waiting) {
+            return;
+        }
+        const reply = lines.slice(0, last + 1);
+        this.buffer = lines.slice(last + 1).join('\r\n');
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code: Number(reply[last].slice(0, 3)), lines: reply.map(line => line.slice(4)) });
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.drain();
+        });
+    }
+
+    /**
+     * Send one command (or nothing, for the greeting) and check the reply code.
+     *
+     * @param {string|null} line
+     * @param {number[]} expected
+     * @param {string} [shown] - What to put in an error instead of the line, for credentials.
+     * @returns {Promise<{code: number, lines: string[]}>}
+     */
+    async command(line, expected, shown) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${shown || line || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+}
+
+function connectSocket(settings) {
+    return new Promise((resolve, reject) => {
+        const options = { host: settings.host, port: settings.port, servername: settings.host };
+        const socket = settings.secure ? tls.connect(options) : net.connect(options);
+        socket.once(settings.secure ? 'secureConnect' : 'connect', () => {
+            socket.removeListener('error', reject);
+            resolve(socket);
+        });
+        socket.once('error', reject);
+    });
+}
+
+function upgradeSocket(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, servername: host }, () => {
+            secure.removeListener('error', reject);
+            resolve(secure);
+        });
+        secure.once('error', reject);
+    });
+}
+
+function mailMessage(settings, recipients, subject, text, now) {
+    const body = Buffer.from(text.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${settings.from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date(now).toUTCString()}`,
+        `Message-ID: <${crypto.randomBytes(8).toString('hex')}@${os.hostname() || 'localhost'}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+/**
+ * Send one plain-text mail. Without secure, STARTTLS is used whenever the
+ * server offers it; starttls: false turns that off.
+ *
+ * @param {Object} settings - An email channel: host, port, secure, starttls, user, password, from, to, timeout.
+ * @param {{subject: string, text: string}} mail
+ * @param {number} [now]
+ * @returns {Promise<void>}
+ */
+async function sendMail(settings, mail, now = Date.now()) {
+    const recipients = [].concat(settings.to || []);
+    const port = settings.port || (settings.secure ? 465 : 587);
+    const socket = await connectSocket({ ...settings, port });
+    const session = new SmtpSession(socket, settings.timeout || DEFAULT_TIMEOUT);
+    const helo = `EHLO ${os.hostname() || 'localhost'}`;
+    try {
+        await session.command(null, [220]);
+        let capabilities = (await session.command(helo, [250])).lines;
+        const offersTls = capabilities.some(line => /^STARTTLS\b/i.test(line));
+        if (!settings.secure && settings.starttls !== false && offersTls) {
+            await session.command('STARTTLS', [220]);
+            session.attach(await upgradeSocket(socket, settings.host));
+            capabilities = (await session.command(helo, [250])).lines;
+        }
+        if (settings.user) {
+            const auth = capabilities.find(line => /^AUTH\b/i.test(line)) || '';
+            if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+                const token = Buffer.from(`\0${settings.user}\0${settings.password || ''}`).toString('base64');
+                await session.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+            } else {
+                await session.command('AUTH LOGIN', [334]);
+                await session.command(Buffer.from(settings.user).toString('base64'), [334], 'AUTH LOGIN user');
+                await session.command(Buffer.from(settings.password || '').toString('base64'), [235], 'AUTH LOGIN password');
+            }
+        }
+        await session.command(`MAIL FROM:<${settings.from}>`, [250]);
+        for (const recipient of recipients) {
+            await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await session.command('DATA', [354]);
+        // Base64 lines never start with a dot, so no dot-stuffing is needed
+        await session.command(`${mailMessage(settings, recipients, mail.subject, mail.text, now)}\r\n.`, [250], 'DATA');
+        await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+        session.socket.destroy();
+    }
+}
+
+class NotificationDispatcher {
+    /**
+     * @param {Object} [options] - The "notifications" config block, plus:
+     * @param {Array<Object>} [options.channels]
+     * @param {Object} [options.logger]
+     * @param {Object} [options.secrets] - SecretStore for "secret:<name>" values in channels.
+     * @param {function(Object): Promise<Object>} [options.http] - Request function, defaults to axios.
+     * @param {function(Object, Object): Promise<void>} [options.mailer] - Defaults to sendMail().
+     * @param {function(): number} [options.now]
+     */
+    constructor(options = {}) {
+        this.channels = (options.channels || []).map((channel, index) => ({
+            name: channel.name || `${channel.type}-${index + 1}`,
+            ...channel
+        }));
+        this.logger = options.logger || null;
+        this.secrets = options.secrets || null;
+        this.http = options.http || axios;
+        this.mailer = options.mailer || sendMail;
+        this.now = options.now || (() => Date.now());
+        this.host = os.hostname();
+        this.inFlight = new Set();
+    }
+
+    get enabled() {
+        return this.channels.some(channel => channel.enabled !== false);
+    }
+
+    // Channels that take this notification; events default to DEFAULT_EVENTS for remote channels
+    recipients(notification) {
+        return this.channels.filter(channel => channel.enabled !== false &&
+            accepts({ events: DEFAULT_EVENTS, ...channel }, notification));
+    }
+
+    /**
+     * Deliver a notification to every channel that accepts it.
+     *
+     * @param {Object} notification
+     * @param {string} notification.title
+     * @param {string} notification.message
+     * @param {string} [notification.type='info']
+     * @param {string} [notification.event='search']
+     * @param {Object} [options]
+     * @param {string[]} [options.only] - Channel names to use, ignoring their filters (for `notify test`).
+     * @returns {Promise<Array<{channel: string, type: string, ok: boolean, error?: string}>>}
+     */
+    send(notification, options = {}) {
+        const channels = options.only
+            ? this.channels.filter(channel => options.only.includes(channel.name))
+            : this.recipients(notification);
+        if (channels.length === 0) {
+            return Promise.resolve([]);
+        }
+        const delivery = Promise.all(channels.map(channel => this.deliver(channel, notification)));
+        this.inFlight.add(delivery);
+        delivery.then(() => this.inFlight.delete(delivery));
+        return delivery;
+    }
+
+    // Resolves once every delivery started so far has finished
+    async flush() {
+        await Promise.all([...this.inFlight]);
+    }
+
+    fieldsFor(notification) {
+        const { title, message, type, event, ...details } = notification;
+        return {
+            ...details,
+            title: title || '',
+            message: message || '',
+            type: severityOf(type),
+            event: event || 'search',
+            time: new Date(this.now()).toISOString(),
+            host: this.host
+        };
+    }
+
+    async deliver(channel, notification) {
+        const outcome = { channel: channel.name, type: channel.type, ok: true };
+        try {
+            const problems = channelProblems(channel);
+            if (problems.length > 0) {
+                throw new Error(problems.join('; '));
+            }
+            const settings = this.secrets ? await this.secrets.resolveConfig(channel) : channel;
+            const fields = this.fieldsFor(notification);
+            const title = renderTemplate(settings.title || '{{title}}', fields);
+            const message = renderTemplate(settings.message || '{{message}}', fields);
+            await this.transport(settings, { ...fields, title, message });
+        } catch (error) {
+            outcome.ok = false;
+            outcome.error = error.response ? `HTTP ${error.response.status}` : error.message;
+            if (this.logger) {
+                this.logger.warn(`Notification channel "${channel.name}" (${channel.type}) failed: ${outcome.error}`);
+            }
+        }
+        return outcome;
+    }
+
+    async transport(settings, fields) {
+        const { title, message, type } = fields;
+        const timeout = settings.timeout || DEFAULT_TIMEOUT;
+        const headers = { ...settings.headers };
+        if (settings.type === 'email') {
+            return this.mailer(settings, { subject: title, text: message }, this.now());
+        }
+        if (settings.type === 'ntfy') {
+            if (settings.token) {
+                headers.Authorization = `Bearer ${settings.token}`;
+            }
+            return this.http({
+                method: 'POST',
+                url: settings.url,
+                data: message,
+                timeout,
+                headers: {
+                    'Content-Type': 'text/plain; charset=utf-8',
+                    Title: encodeHeader(title),
+                    Priority: String(NTFY_PRIORITIES[type]),
+                    Tags: NTFY_TAGS[type],
+                    ...headers
+                }
+            });
+        }
+        if (settings.type === 'gotify') {
+            const url = /\/message\/?$/.test(settings.url) ? settings.url : `${settings.url.replace(/\/+$/, '')}/message`;
+            return this.http({
+                method: 'POST',
+                url,
+                data: { title, message, priority: GOTIFY_PRIORITIES[type] },
+                timeout,
+                headers: { 'X-Gotify-Key': settings.token, ...headers }
+            });
+        }
+        if (settings.type === 'slack') {
+            const data = { text: `*${title}*\n${message}` };
+            if (settings.username) {
+                data.username = settings.username;
+            }
+            return this.http({ method: 'POST', url: settings.url, data, timeout, headers });
+        }
+        if (settings.token) {
+            headers.Authorization = `Bearer ${settings.token}`;
+        }
+        return this.http({ method: 'POST', url: settings.url, data: { source: 'deep-research', ...fields }, timeout, headers });
+    }
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    SEVERITIES,
+    EVENTS,
+    DEFAULT_EVENTS,
+    severityOf,
+    accepts,
+    renderTemplate,
+    channelProblems,
+    sendMail,
+    NotificationDispatcher
+};
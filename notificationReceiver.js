@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Test Receiver
+ * Local endpoint for every notification channel type, so channel settings,
+ * templates and severity filters can be checked without a real ntfy server,
+ * Slack workspace or mailbox. HTTP POSTs on any path are accepted (webhook,
+ * ntfy, Gotify and Slack-compatible channels) and a minimal SMTP server on a
+ * second port accepts mail, with any credentials. Everything received is kept
+ * in `messages`, with email subjects and bodies already decoded.
+ *
+ * `node notificationReceiver.js [httpPort] [smtpPort]` runs it standalone,
+ * prints a "notifications" config block that points one channel of each type
+ * at it and then prints each notification as it arrives.
+ */
+
+const http = require('http');
+const net = require('net');
+
+function decodeHeader(value) {
+    return String(value || '').replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+// Headers and decoded text of a mail as the channels send it (base64 text/plain)
+function parseMail(raw) {
+    const split = raw.indexOf('\r\n\r\n');
+    const head = split === -1 ? raw : raw.slice(0, split);
+    const body = split === -1 ? '' : raw.slice(split + 4);
+    const headers = {};
+    head.replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    });
+    const text = /base64/i.test(headers['content-transfer-encoding'] || '')
+        ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+        : body;
+    return { headers, subject: decodeHeader(headers.subject), text: text.replace(/\r\n/g, '\n') };
+}
+
+function parseBody(headers, text) {
+    if (/json/i.test(headers['content-type'] || '')) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            // Fall through and keep the text
+        }
+    }
+    return text;
+}
+
+function startHttp(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port || 0, host, () => {
+            server.removeListener('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+// Enough SMTP for one client at a time to deliver mail: EHLO, AUTH, MAIL, RCPT, DATA, QUIT
+function smtpServer(record) {
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        const session = { from: null, to: [], user: null, data: null, pending: null };
+        let buffer = '';
+        const reply = line => socket.write(`${line}\r\n`);
+        const handle = line => {
+            if (session.data !== null) {
+                if (line === '.') {
+                    const mail = parseMail(session.data.join('\r\n'));
+                    record({ kind: 'smtp', from: session.from, to: session.to, user: session.user, ...mail });
+                    session.data = null;
+                    session.to = [];
+                    reply('250 OK queued');
+                } else {
+                    session.data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                return;
+            }
+            if (session.pending) {
+                const decoded = Buffer.from(line, 'base64').toString('utf8');
+                if (session.pending === 'user') {
+                    session.user = decoded;
+                    session.pending = 'password';
+                    reply('334 UGFzc3dvcmQ6');
+                } else {
+                    session.pending = null;
+                    reply('235 Authentication succeeded');
+                }
+                return;
+            }
+            const verb = line.split(' ')[0].toUpperCase();
+            if (verb === 'EHLO') {
+                reply('250-localhost');
+                reply('250-AUTH PLAIN LOGIN');
+                reply('250 8BITMIME');
+            } else if (verb === 'HELO' || verb === 'RSET' || verb === 'NOOP') {
+                reply('250 OK');
+            } else if (verb === 'AUTH') {
+                const [, mechanism, initial] = line.split(' ');
+                if (/^PLAIN$/i.test(mechanism) && initial) {
+                    session.user = Buffer.from(initial, 'base64').toString('utf8').split('\0')[1] || null;
+                    reply('235 Authentication succeeded');
+                } else {
+                    session.pending = 'user';
+                    reply('334 VXNlcm5hbWU6');
+                }
+            } else if (verb === 'MAIL') {
+                session.from = (/<([^>]*)>/.exec(line) || [])[1] || null;
+                reply('250 OK');
+            } else if (verb === 'RCPT') {
+                session.to.push((/<([^>]*)>/.exec(line) || [])[1]);
+                reply('250 OK');
+            } else if (verb === 'DATA') {
+                session.data = [];
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (verb === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        };
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                handle(line);
+            }
+        });
+        socket.on('error', () => {});
+        reply('220 localhost deep-research notification receiver');
+    });
+    server.closeAllConnections = () => sockets.forEach(socket => socket.destroy());
+    return server;
+}
+
+/**
+ * Channels of every type pointed at a running receiver.
+ *
+ * @param {string} url - The receiver's HTTP address.
+ * @param {string} host
+ * @param {number} smtpPort
+ * @returns {Array<Object>} Entries for the "notifications.channels" config.
+ */
+function receiverChannels(url, host, smtpPort) {
+    return [
+        { name: 'webhook', type: 'webhook', url: `${url}/webhook` },
+        { name: 'ntfy', type: 'ntfy', url: `${url}/ntfy/deep-research` },
+        { name: 'gotify', type: 'gotify', url: `${url}/gotify`, token: 'receiver-app-token' },
+        { name: 'slack', type: 'slack', url: `${url}/slack` },
+        {
+            name: 'email',
+            type: 'email',
+            host,
+            port: smtpPort,
+            user: 'receiver',
+            password: 'receiver-password',
+            from: 'deep-research@localhost',
+            to: ['you@localhost']
+        }
+    ];
+}
+
+/**
+ * Start the receiver on local ports.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.port=0] - HTTP port; 0 picks a free port.
+ * @param {number} [options.smtpPort=0] - SMTP port; 0 picks a free port.
+ * @param {function(Object): void} [options.onMessage] - Called with each message as it arrives.
+ * @returns {Promise<{url: string, smtpPort: number, messages: Array<Object>, channels: function(): Array<Object>,
+ *   waitFor: function(number, number=): Promise<Array<Object>>, close: function(): Promise<void>}>}
+ */
+async function startNotificationReceiver(options = {}) {
+    const host = options.host || '127.0.0.1';
+    const messages = [];
+    const waiters = [];
+    const record = message => {
+        messages.push({ ...message, receivedAt: new Date().toISOString() });
+        if (options.onMessage) {
+            options.onMessage(messages[messages.length - 1]);
+        }
+        waiters.filter(waiter => messages.length >= waiter.count).forEach(waiter => waiter.resolve());
+    };
+
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            record({
+                kind: 'http',
+                method: request.method,
+                path: request.url,
+                headers: request.headers,
+                body: parseBody(request.headers, text)
+            });
+            // Gotify answers with the stored message, Slack with "ok"; both clients only check the status
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ ok: true, id: messages.length }));
+        });
+    });
+    const mail = smtpServer(record);
+    const port = await startHttp(server, options.port, host);
+    let smtpPort;
+    try {
+        smtpPort = await startHttp(mail, options.smtpPort, host);
+    } catch (error) {
+        server.close();
+        throw error;
+    }
+    const url = `http://${host}:${port}`;
+
+    return {
+        url,
+        port,
+        smtpPort,
+        messages,
+        channels: () => receiverChannels(url, host, smtpPort),
+        // Resolves once count messages have arrived in total
+        waitFor: (count, timeoutMs = 5000) => new Promise((resolve, reject) => {
+            if (messages.length >= count) {
+                resolve(messages);
+                return;
+            }
+            const timer = setTimeout(() => reject(new Error(`Received ${messages.length} of ${count} notifications within ${timeoutMs}ms`)), timeoutMs);
+            waiters.push({
+                count,
+                resolve: () => {
+                    clearTimeout(timer);
+                    resolve(messages);
+                }
+            });
+        }),
+        close: () => new Promise(done => {
+            server.closeAllConnections();
+            mail.closeAllConnections();
+            server.close(() => mail.close(() => done()));
+        })
+    };
+}
+
+function describe(message) {
+    if (message.kind === 'smtp') {
+        return `email to ${message.to.join(', ')}: ${message.subject}\n${message.text}`;
+    }
+    const body = typeof message.body === 'string' ? message.body : JSON.stringify(message.body, null, 2);
+    const title = message.headers.title ? ` (Title: ${decodeHeader(message.headers.title)}, Priority: ${message.headers.priority})` : '';
+    return `${message.method} ${message.path}${title}\n${body}`;
+}
+
+if (require.main === module) {
+    const port = Number(process.argv[2]) || 8791;
+    const smtpPort = Number(process.argv[3]) || 2525;
+    startNotificationReceiver({
+        port,
+        smtpPort,
+        onMessage: message => console.log(`\n[${message.receivedAt}] ${describe(message)}`)
+    }).then(receiver => {
+        console.log(`Notification receiver listening on ${receiver.url} (HTTP) and port ${receiver.smtpPort} (SMTP)`);
+        console.log('Add this to config.json, then run `deep-research notify test`:');
+        console.log(JSON.stringify({ notifications: { channels: receiver.channels() } }, null, 2));
+    }).catch(error => {
+        console.error(`Could not start the notification receiver: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseMail,
+    receiverChannels,
+    startNotificationReceiver
+};
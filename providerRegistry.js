@@ -0,0 +1,788 @@
+/**
+ * Search Provider Registry
+ * Shared provider definitions for DeepResearcher and IOSDeepResearcher.
+ * A provider only describes how to talk to one search API; executeProvider()
+ * runs it with the caller's logger, notifier and retry utility so the desktop
+ * and iOS entry points share one implementation of every source.
+ *
+ * Provider interface:
+ *   name            unique key, also used as the result envelope `source`
+ *   label           human readable name used in logs and notifications
+ *   configKey       block in config.json holding apiKey/baseUrl/timeout/retries
+ *   includeOption   comprehensiveSearch() toggle, e.g. 'includeBrave'
+ *   optionsKey      comprehensiveSearch() per-provider options, e.g. 'braveOptions'
+ *   capabilities    { type, paging, maxResults, optional }
+ *   configFields    optional extra config keys the setup wizard asks for, e.g. ['searchEngineId']
+ *   validateConfig(config)                          throws when the provider cannot run
+ *   buildRequest(query, options, config, context)   returns an axios request config
+ *   checkResponse(data)                             optional, throws on API-level errors
+ *   parseResponse(data)                             returns { results, totalResults?, nextPage? }
+ *   classifyError(error)                            returns a short user-facing message
+ */
+
+const axios = require('axios');
+const path = require('path');
+const {
+    createResult,
+    fromBraveResult,
+    fromNewsAPIArticle,
+    fromNewsdataArticle,
+    fromGoogleItem
+} = require('./resultSchema');
+const { KeyPool, providerKeys, maskKey, FAILOVER_STATUSES } = require('./keyPool');
+const { classifyError } = require('./resilience');
+const { cancellationError, isCancellation, delay } = require('./cancellation');
+
+const USER_AGENT = 'DeepResearchMultiApis/1.0';
+const IOS_USER_AGENT = 'iOS-DeepResearch/1.0';
+
+function removeEmptyParams(params) {
+    Object.keys(params).forEach(key => {
+        if (params[key] === null || params[key] === undefined) {
+            delete params[key];
+        }
+    });
+    return params;
+}
+
+function classifyCommonError(error, statusMessages = {}) {
+    const status = error.response?.status;
+    if (error.code === 'ECONNABORTED') {
+        return 'Request timeout';
+    }
+    if (status && statusMessages[status]) {
+        return statusMessages[status];
+    }
+    if (status === 401) {
+        return 'Invalid API key';
+    }
+    if (status === 429) {
+        return 'Rate limit exceeded';
+    }
+    return error.message;
+}
+
+// Built-in providers
+const braveSearchProvider = {
+    name: 'braveSearch',
+    label: 'Brave Search',
+    configKey: 'braveSearch',
+    includeOption: 'includeBrave',
+    optionsKey: 'braveOptions',
+    itemNoun: 'results',
+    capabilities: { type: 'web', paging: true, maxResults: 20, optional: false },
+
+    validateConfig(config) {
+        if (!config.apiKey) {
+            throw new Error('Brave Search API key not configured');
+        }
+    },
+
+    buildRequest(query, options, config, context) {
+        const count = context.mobile
+            ? Math.min(options.count || 5, 10) // Limit results on iOS
+            : options.count || 10;
+        return {
+            method: 'GET',
+            url: config.baseUrl,
+            params: {
+                q: query,
+                count: count,
+                offset: options.offset || 0,
+                mkt: options.market || 'en-US',
+                safesearch: options.safesearch || 'moderate',
+                ...options.extra
+            },
+            headers: {
+                'Accept': 'application/json',
+                'Accept-Encoding': 'gzip',
+                'X-Subscription-Token': config.apiKey,
+                'User-Agent': context.userAgent
+            },
+            timeout: config.timeout
+        };
+    },
+
+    parseResponse(data) {
+        const items = (data.web && data.web.results) || [];
+        return { results: items.map((item, index) => fromBraveResult(item, index + 1)) };
+    },
+
+    classifyError(error) {
+        return classifyCommonError(error);
+    }
+};
+
+const newsAPIProvider = {
+    name: 'newsAPI',
+    label: 'NewsAPI',
+    configKey: 'newsAPI',
+    includeOption: 'includeNews',
+    optionsKey: 'newsOptions',
+    itemNoun: 'articles',
+    capabilities: { type: 'news', paging: true, maxResults: 100, optional: false },
+
+    validateConfig(config) {
+        if (!config.apiKey) {
+            throw new Error('NewsAPI key not configured');
+        }
+    },
+
+    buildRequest(query, options, config, context) {
+        const pageSize = context.mobile
+            ? Math.min(options.pageSize || 10, 20) // Limit for iOS
+            : Math.min(options.pageSize || 20, 100); // NewsAPI max is 100
+        return {
+            method: 'GET',
+            url: config.baseUrl,
+            params: removeEmptyParams({
+                q: query,
+                pageSize: pageSize,
+                page: options.page || 1,
+                sortBy: options.sortBy || 'publishedAt',
+                language: options.language || 'en',
+                from: options.from || null,
+                to: options.to || null,
+                domains: options.domains || null,
+                excludeDomains: options.excludeDomains || null
+            }),
+            headers: {
+                'X-Api-Key': config.apiKey,
+                'User-Agent': context.userAgent
+            },
+            timeout: config.timeout
+        };
+    },
+
+    checkResponse(data) {
+        if (data.status !== 'ok') {
+            throw new Error(data.message || 'NewsAPI returned error status');
+        }
+    },
+
+    parseResponse(data) {
+        const results = (data.articles || []).map((article, index) => fromNewsAPIArticle(article, index + 1));
+        return { results, totalResults: data.totalResults || results.length };
+    },
+
+    classifyError(error) {
+        return classifyCommonError(error, { 426: 'Upgrade required' });
+    }
+};
+
+const newsdataProvider = {
+    name: 'newsdataFallback',
+    label: 'Newsdata.io',
+    configKey: 'newsdataIO',
+    includeOption: 'includeFallback',
+    optionsKey: 'fallbackOptions',
+    itemNoun: 'articles',
+    secretParams: ['apikey'],
+    capabilities: { type: 'news', paging: true, maxResults: 50, optional: false },
+
+    validateConfig(config) {
+        if (!config.apiKey) {
+            throw new Error('Newsdata.io API key not configured');
+        }
+    },
+
+    buildRequest(query, options, config, context) {
+        const size = context.mobile
+            ? Math.min(options.size || 10, 10) // Conservative limit for iOS
+            : Math.min(options.size || 10, 50); // Newsdata.io max varies by plan
+        return {
+            method: 'GET',
+            url: config.baseUrl,
+            params: removeEmptyParams({
+                apikey: config.apiKey,
+                q: query,
+                language: options.language || 'en',
+                country: options.country || null,
+                category: options.category || null,
+                domain: options.domain || null,
+                size: size,
+                page: options.page || null
+            }),
+            headers: {
+                'User-Agent': context.userAgent
+            },
+            timeout: config.timeout
+        };
+    },
+
+    checkResponse(data) {
+        if (data.status !== 'success') {
+            throw new Error(data.message || 'Newsdata.io returned error status');
+        }
+    },
+
+    parseResponse(data) {
+        const results = (data.results || []).map((article, index) => fromNewsdataArticle(article, index + 1));
+        return {
+            results,
+            totalResults: data.totalResults || results.length,
+            nextPage: data.nextPage || null
+        };
+    },
+
+    classifyError(error) {
+        return classifyCommonError(error, { 403: 'Access forbidden' });
+    }
+};
+
+const googleSearchProvider = {
+    name: 'googleSearch',
+    label: 'Google Search',
+    configKey: 'googleSearch',
+    includeOption: 'includeGoogle',
+    optionsKey: 'googleOptions',
+    itemNoun: 'results',
+    secretParams: ['key'],
+    configFields: ['searchEngineId'],
+    capabilities: { type: 'web', paging: true, maxResults: 10, optional: true },
+
+    validateConfig(config) {
+        if (!config.apiKey) {
+            throw new Error('Google Search API key not configured');
+        }
+        if (!config.searchEngineId) {
+            throw new Error('Google Search engine ID not configured');
+        }
+    },
+
+    buildRequest(query, options, config, context) {
+        return {
+            method: 'GET',
+            url: config.baseUrl || 'https://www.googleapis.com/customsearch/v1',
+            params: removeEmptyParams({
+                key: config.apiKey,
+                cx: config.searchEngineId,
+                q: query,
+                num: Math.min(options.num || (context.mobile ? 5 : 10), 10), // Google returns at most 10 per page
+                start: Math.min(options.start || 1, 91), // start + num may not exceed 100
+                dateRestrict: options.dateRestrict || null, // e.g. 'd7', 'w2', 'm6', 'y1'
+                siteSearch: options.siteSearch || null,
+                siteSearchFilter: options.siteSearch ? (options.siteSearchFilter || 'i') : null,
+                lr: options.language ? `lang_${options.language}` : null,
+                gl: options.country || null,
+                safe: options.safe || 'active'
+            }),
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': context.userAgent
+            },
+            timeout: config.timeout || 10000
+        };
+    },
+
+    parseResponse(data) {
+        const results = (data.items || []).map((item, index) => fromGoogleItem(item, index + 1));
+        return {
+            results,
+            totalResults: parseInt(data.searchInformation?.totalResults, 10) || results.length,
+            nextPage: data.queries?.nextPage?.[0]?.startIndex || null
+        };
+    },
+
+    errorMessage(error) {
+        return error.response?.data?.error?.message || error.message;
+    },
+
+    classifyError(error) {
+        return classifyCommonError(error, {
+            400: 'Invalid request or API key',
+            403: 'Access forbidden or daily quota exceeded'
+        });
+    }
+};
+
+// Read a dotted path such as 'data.items' from a response body
+function getPath(object, dottedPath) {
+    if (!dottedPath) {
+        return object;
+    }
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// Build a provider from a declarative JSON definition in config.json
+function createJsonProvider(definition) {
+    if (!definition || !definition.name || !definition.baseUrl) {
+        throw new Error('Custom provider definitions require a name and baseUrl');
+    }
+    const fields = { title: 'title', url: 'url', snippet: 'description', ...definition.fields };
+
+    return {
+        name: definition.name,
+        label: definition.label || definition.name,
+        configKey: definition.configKey || definition.name,
+        includeOption: definition.includeOption || null,
+        optionsKey: definition.optionsKey || null,
+        itemNoun: definition.itemNoun || 'results',
+        secretParams: definition.apiKeyParam ? [definition.apiKeyParam] : [],
+        defaultConfig: definition,
+        capabilities: { type: 'web', paging: false, optional: false, ...definition.capabilities },
+
+        validateConfig(config) {
+            if ((config.apiKeyParam || config.apiKeyHeader) && !config.apiKey) {
+                throw new Error(`${this.label} API key not configured`);
+            }
+        },
+
+        buildRequest(query, options, config, context) {
+            const params = { ...config.params, ...options.extra, [config.queryParam || 'q']: query };
+            const headers = { 'Accept': 'application/json', 'User-Agent': context.userAgent, ...config.headers };
+            if (config.apiKeyParam) {
+                params[config.apiKeyParam] = config.apiKey;
+            }
+            if (config.apiKeyHeader) {
+                headers[config.apiKeyHeader] = config.apiKey;
+            }
+            return {
+                method: 'GET',
+                url: config.baseUrl,
+                params: params,
+                headers: headers,
+                timeout: config.timeout || 10000
+            };
+        },
+
+        parseResponse(data) {
+            const items = getPath(data, definition.resultsPath) || [];
+            const results = (Array.isArray(items) ? items : []).map((item, index) => {
+                const mapped = { provider: definition.name, rank: index + 1 };
+                Object.entries(fields).forEach(([field, fieldPath]) => {
+                    mapped[field] = fieldPath ? getPath(item, fieldPath) : undefined;
+                });
+                return createResult(mapped);
+            });
+            return { results };
+        },
+
+        classifyError(error) {
+            return classifyCommonError(error);
+        }
+    };
+}
+
+const REQUIRED_MEMBERS = ['name', 'buildRequest', 'parseResponse'];
+
+class ProviderRegistry {
+    constructor(providers = []) {
+        this.providers = new Map();
+        providers.forEach(provider => this.register(provider));
+    }
+
+    register(provider) {
+        REQUIRED_MEMBERS.forEach(member => {
+            if (!provider || !provider[member]) {
+                throw new Error(`Provider is missing required member "${member}"`);
+            }
+        });
+        this.providers.set(provider.name, {
+            label: provider.name,
+            configKey: provider.name,
+            itemNoun: 'results',
+            capabilities: {},
+            classifyError: error => classifyCommonError(error),
+            ...provider
+        });
+        return this;
+    }
+
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    get(name) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new Error(`Unknown provider: ${name}`);
+        }
+        return provider;
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    names() {
+        return Array.from(this.providers.keys());
+    }
+
+    // Register plugin files and declarative providers listed in config.json:
+    //   "plugins": ["./plugins/hackerNews.js"]
+    //   "customProviders": [{ "name": "...", "baseUrl": "...", "resultsPath": "hits" }]
+    loadFromConfig(config = {}, baseDir = process.cwd()) {
+        (config.plugins || []).forEach(pluginPath => {
+            const plugin = require(path.resolve(baseDir, pluginPath));
+            if (typeof plugin === 'function') {
+                plugin(this);
+            } else {
+                (Array.isArray(plugin) ? plugin : [plugin]).forEach(provider => this.register(provider));
+            }
+        });
+
+        (config.customProviders || []).forEach(definition => {
+            this.register(createJsonProvider(definition));
+        });
+
+        return this;
+    }
+
+    static createDefault(config = {}, baseDir = process.cwd()) {
+        return new ProviderRegistry(BUILTIN_PROVIDERS).loadFromConfig(config, baseDir);
+    }
+}
+
+const BUILTIN_PROVIDERS = [braveSearchProvider, newsAPIProvider, newsdataProvider, googleSearchProvider];
+
+function getProviderConfig(config, provider) {
+    const providerConfig = { ...provider.defaultConfig, ...(config && config[provider.configKey]) };
+    // With a key list, apiKey stands for the first key so validateConfig() and callers keep working
+    if (!providerConfig.apiKey && Array.isArray(providerConfig.apiKeys) && providerConfig.apiKeys.length > 0) {
+        providerConfig.apiKey = providerKeys(providerConfig)[0];
+    }
+    return providerConfig;
+}
+
+function endpointHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return String(url || '');
+    }
+}
+
+// Of several quota verdicts, the one that clears first
+function soonestVerdict(verdicts) {
+    return verdicts.reduce((best, verdict) => (Date.parse(verdict.retryAt) < Date.parse(best.retryAt) ? verdict : best));
+}
+
+function isProviderConfigured(provider, providerConfig) {
+    try {
+        if (provider.validateConfig) {
+            provider.validateConfig(providerConfig);
+        }
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Summary of every registered provider, as shown by `deep-research providers` and GET /providers.
+ *
+ * @param {ProviderRegistry} registry
+ * @param {Object} config
+ * @returns {Array<{name: string, label: string, type: string, optional: boolean, configured: boolean, toggle: string|null}>}
+ */
+function describeProviders(registry, config) {
+    return registry.list().map(provider => ({
+        name: provider.name,
+        label: provider.label || provider.name,
+        type: provider.capabilities?.type || 'web',
+        optional: Boolean(provider.capabilities?.optional),
+        configured: isProviderConfigured(provider, getProviderConfig(config, provider)),
+        toggle: provider.includeOption || null
+    }));
+}
+
+// Decide which providers a comprehensive search should run.
+// An explicit options.providers list wins; otherwise each provider's include toggle
+// is honored, and optional providers only run by default when configured.
+function selectProviders(registry, config, options = {}, { requireConfigured = false } = {}) {
+    if (Array.isArray(options.providers)) {
+        return options.providers.map(name => registry.get(name));
+    }
+
+    return registry.list().filter(provider => {
+        const include = provider.includeOption ? options[provider.includeOption] : undefined;
+        if (include === false) {
+            return false;
+        }
+        const configured = isProviderConfigured(provider, getProviderConfig(config, provider));
+        if (include === true) {
+            return !requireConfigured || configured;
+        }
+        if (provider.capabilities.optional || requireConfigured) {
+            return configured;
+        }
+        return true;
+    });
+}
+
+function getProviderOptions(provider, options = {}) {
+    return (provider.optionsKey && options[provider.optionsKey]) ||
+        (options.providerOptions && options.providerOptions[provider.name]) ||
+        {};
+}
+
+function parseResponseSafely(provider, data, logger) {
+    try {
+        return provider.parseResponse(data);
+    } catch (error) {
+        logger.error(`Error processing ${provider.label} response`, error);
+        return { results: [] };
+    }
+}
+
+function loggableParams(provider, params = {}) {
+    const copy = { ...params };
+    (provider.secretParams || []).forEach(key => delete copy[key]);
+    return copy;
+}
+
+// Param and header names that carry the key, for the fixture recorder to scrub whatever they are called
+function credentialNames(provider, config = {}) {
+    return [...(provider.secretParams || []), config.apiKeyParam, config.apiKeyHeader].filter(Boolean);
+}
+
+function buildEnvelope(provider, query, parsed, cacheHit) {
+    const results = parsed.results || [];
+    const envelope = {
+        success: true,
+        source: provider.name,
+        query: query,
+        resultsCount: results.length
+    };
+    if (parsed.totalResults !== undefined) {
+        envelope.totalResults = parsed.totalResults;
+    }
+    envelope.results = results;
+    if (parsed.nextPage !== undefined) {
+        envelope.nextPage = parsed.nextPage;
+    }
+    envelope.cacheHit = cacheHit;
+    envelope.timestamp = new Date().toISOString();
+    return envelope;
+}
+
+function skippedEnvelope(provider, query, verdict) {
+    return {
+        success: false,
+        skipped: true,
+        source: provider.name,
+        query: query,
+        skipReason: { reason: verdict.reason, retryAt: verdict.retryAt, detail: verdict.detail },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Run one provider and return the standard success/error envelope.
+// deps: { config, logger, notifier, retry, context, cache?, cacheMode?, quota?, maxDeferMs?, http?, breaker?, queryId?, signal? }
+// deps.http replaces axios, e.g. with the fixture recorder from httpRecorder.js; it also gets
+// { secretNames } as a second argument, which axios ignores
+// deps.breaker (a resilience.js CircuitBreaker) skips endpoints that keep failing
+// deps.signal aborts the request and any retry wait; the envelope then has cancelled: true
+// deps.queryId ties the log records of one search together
+async function executeProvider(provider, query, options = {}, deps) {
+    const { logger, notifier, retry, cache, quota, breaker, signal } = deps;
+    const http = deps.http || axios;
+    const keyPool = deps.keyPool || new KeyPool();
+    const cacheMode = cache && cache.enabled ? deps.cacheMode || 'use' : 'off';
+    const context = { mobile: false, userAgent: USER_AGENT, ...deps.context };
+    let providerConfig = getProviderConfig(deps.config, provider);
+    const functionName = provider.name;
+    const logFields = { provider: provider.name, queryId: deps.queryId };
+    const startedAt = Date.now();
+    let circuitId = null;
+    logger.info(`${functionName}: Starting search for query: "${query}"`, logFields);
+
+    try {
+        // Validate inputs
+        if (!query || typeof query !== 'string' || query.trim().length === 0) {
+            throw new Error('Query must be a non-empty string');
+        }
+        if (signal && signal.aborted) {
+            throw signal.reason || cancellationError('cancelled');
+        }
+        // "secret:<name>" values are looked up only now, when the provider actually runs
+        if (deps.secrets) {
+            providerConfig = await deps.secrets.resolveConfig(providerConfig);
+        }
+        if (provider.validateConfig) {
+            provider.validateConfig(providerConfig);
+        }
+
+        const requestConfig = provider.buildRequest(query.trim(), options || {}, providerConfig, context);
+        const cacheKey = cacheMode !== 'off' ? cache.keyFor(provider.name, requestConfig, provider.secretParams) : null;
+        const cached = cacheMode === 'use' ? cache.get(cacheKey) : null;
+
+        if (cached) {
+            const envelope = buildEnvelope(provider, query, parseResponseSafely(provider, cached.data, logger), true);
+            logger.info(`${functionName}: Cache hit with ${envelope.resultsCount} ${provider.itemNoun} (stored ${new Date(cached.storedAt).toISOString()})`,
+                { ...logFields, durationMs: Date.now() - startedAt, cacheHit: true, resultsCount: envelope.resultsCount });
+            notifier.notify(provider.label, `Found ${envelope.resultsCount} cached ${provider.itemNoun} for "${query}"`, 'info',
+                { event: 'provider', provider: provider.name, query });
+            return envelope;
+        }
+
+        // One circuit per provider endpoint, so a custom baseUrl gets its own
+        if (breaker) {
+            circuitId = `${provider.name} ${endpointHost(requestConfig.url)}`;
+            const circuit = breaker.check(circuitId);
+            if (!circuit.allowed) {
+                logger.warn(`${functionName}: Skipped (circuit_open) until ${circuit.retryAt}`, { ...logFields, status: 'skipped', reason: 'circuit_open' });
+                return skippedEnvelope(provider, query, {
+                    reason: 'circuit_open',
+                    retryAt: circuit.retryAt,
+                    detail: `${circuit.failures} consecutive ${circuit.lastError} failures`
+                });
+            }
+            if (circuit.state === 'half-open') {
+                logger.info(`${functionName}: Circuit half-open, sending a trial request`, logFields);
+            }
+        }
+
+        let keys = keyPool.order(provider.name, providerKeys(providerConfig), { strategy: providerConfig.keySelection, quota });
+        if (keys.length === 0) {
+            throw new Error(`All ${provider.label} API keys are quarantined after repeated authentication failures`);
+        }
+
+        // Respect known quota and rate-limit windows per key; wait out short ones, skip the rest
+        if (quota) {
+            const usableKeys = () => keys.filter(key => quota.check(provider.name, key, providerConfig).allowed);
+            let usable = usableKeys();
+            if (usable.length === 0) {
+                const verdict = soonestVerdict(keys.map(key => quota.check(provider.name, key, providerConfig)));
+                const waitMs = verdict.retryAt ? Date.parse(verdict.retryAt) - Date.now() : Infinity;
+                if (waitMs <= (deps.maxDeferMs || 0)) {
+                    logger.info(`${functionName}: Deferring ${waitMs}ms until the rate limit window resets`);
+                    await delay(waitMs, signal);
+                    usable = usableKeys();
+                }
+            }
+            if (usable.length === 0) {
+                const verdict = soonestVerdict(keys.map(key => quota.check(provider.name, key, providerConfig)));
+                logger.warn(`${functionName}: Skipped (${verdict.reason}) until ${verdict.retryAt}`, { ...logFields, status: 'skipped', reason: verdict.reason });
+                return skippedEnvelope(provider, query, verdict);
+            }
+            keys = usable;
+        }
+
+        logger.debug(`${functionName}: Making request with params: ${JSON.stringify(loggableParams(provider, requestConfig.params))}`, logFields);
+
+        // Execute with retry logic; within an attempt a rejected or rate-limited key fails over to the next one
+        let keyIndex = 0;
+        const response = await retry.withRetry(
+            async () => {
+                let result;
+                let apiKey;
+                for (;;) {
+                    apiKey = keys[keyIndex];
+                    const request = apiKey === providerConfig.apiKey
+                        ? requestConfig
+                        : provider.buildRequest(query.trim(), options || {}, { ...providerConfig, apiKey }, context);
+                    try {
+                        result = await http(signal ? { ...request, signal } : request, { secretNames: credentialNames(provider, providerConfig) });
+                        break;
+                    } catch (error) {
+                        if (isCancellation(error)) {
+                            throw error;
+                        }
+                        const status = error.response?.status;
+                        if (quota && error.response) {
+                            quota.record(provider.name, apiKey, error.response);
+                        }
+                        if (keyPool.reportFailure(provider.name, apiKey, status)) {
+                            logger.warn(`${functionName}: Quarantining ${maskKey(apiKey)} after repeated authentication failures`);
+                        }
+                        if (!FAILOVER_STATUSES.includes(status) || keyIndex >= keys.length - 1) {
+                            throw error;
+                        }
+                        keyIndex++;
+                        logger.warn(`${functionName}: HTTP ${status} for ${maskKey(apiKey)}, trying ${maskKey(keys[keyIndex])}`);
+                    }
+                }
+                keyPool.reportSuccess(provider.name, apiKey);
+                if (quota) {
+                    quota.record(provider.name, apiKey, result);
+                }
+                if (!result.data) {
+                    throw new Error(`Empty response from ${provider.label}`);
+                }
+                if (provider.checkResponse) {
+                    provider.checkResponse(result.data);
+                }
+                return result;
+            },
+            providerConfig.retries,
+            undefined,
+            { signal }
+        );
+
+        if (cacheKey) {
+            try {
+                cache.set(cacheKey, provider, response.data);
+            } catch (error) {
+                logger.warn(`${functionName}: Failed to write response cache: ${error.message}`);
+            }
+        }
+
+        if (circuitId) {
+            breaker.recordSuccess(circuitId);
+        }
+
+        const envelope = buildEnvelope(provider, query, parseResponseSafely(provider, response.data, logger), false);
+
+        logger.info(`${functionName}: Successfully retrieved ${envelope.resultsCount} ${provider.itemNoun}`,
+            { ...logFields, durationMs: Date.now() - startedAt, status: response.status, resultsCount: envelope.resultsCount });
+        notifier.notify(provider.label, `Found ${envelope.resultsCount} ${provider.itemNoun} for "${query}"`, 'info',
+            { event: 'provider', provider: provider.name, query });
+
+        return envelope;
+
+    } catch (error) {
+        // Stopped by the caller: not the provider's fault, so no error notification or circuit count
+        if (isCancellation(error)) {
+            logger.info(`${functionName}: Stopped (${error.stopReason || 'cancelled'})`, { ...logFields, durationMs: Date.now() - startedAt, status: 'cancelled' });
+            return {
+                success: false,
+                cancelled: true,
+                source: provider.name,
+                query: query,
+                error: error.message,
+                errorCode: 'ERR_CANCELED',
+                errorKind: 'cancelled',
+                timestamp: new Date().toISOString()
+            };
+        }
+        const failure = classifyError(error);
+        logger.error(`${functionName}: Failed for query "${query}"`, error,
+            { ...logFields, durationMs: Date.now() - startedAt, status: error.response?.status || error.code, errorKind: failure.kind });
+        notifier.notify(`${provider.label} Error`, provider.classifyError(error), 'error',
+            { event: 'provider', provider: provider.name, query });
+        if (circuitId && breaker.recordFailure(circuitId, failure) === 'open') {
+            logger.warn(`${functionName}: Circuit open after repeated ${failure.kind} failures; skipping it for a while`, logFields);
+        }
+
+        return {
+            success: false,
+            source: provider.name,
+            query: query,
+            error: provider.errorMessage ? provider.errorMessage(error) : error.message,
+            errorCode: error.response?.status || error.code,
+            errorKind: failure.kind,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = {
+    ProviderRegistry,
+    BUILTIN_PROVIDERS,
+    USER_AGENT,
+    IOS_USER_AGENT,
+    createJsonProvider,
+    executeProvider,
+    selectProviders,
+    getProviderConfig,
+    getProviderOptions,
+    isProviderConfigured,
+    describeProviders,
+    parseResponseSafely
+};
@@ -0,0 +1,236 @@
+/**
+ * Provider Quota Tracker
+ * Counts requests per provider and API key (daily and monthly), reads the
+ * rate-limit headers each API returns and remembers Retry-After windows, all
+ * persisted to disk so separate runs share one budget. Providers whose budget
+ * is exhausted are skipped with a structured reason instead of being called.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const DEFAULT_BLOCK_MS = 60 * 1000;
+const MAX_RETRY_AFTER_MS = 60 * 60 * 1000;
+
+function headerValue(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    if (typeof headers.get === 'function') {
+        const value = headers.get(name);
+        if (value !== undefined && value !== null) {
+            return String(value);
+        }
+    }
+    const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+    return match === undefined ? undefined : String(headers[match]);
+}
+
+// Brave sends one value per window, e.g. "X-RateLimit-Remaining: 1, 1999"
+function parseNumberList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return value.split(',').map(part => parseFloat(part.trim())).filter(number => !isNaN(number));
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ *
+ * @param {Object} headers - Response headers.
+ * @returns {number|null} Delay in ms, or null when the header is absent or invalid.
+ */
+function parseRetryAfter(headers) {
+    const value = headerValue(headers, 'retry-after');
+    if (value === undefined || value.trim() === '') {
+        return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(value.trim())) {
+        return Math.round(parseFloat(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Retry-After of a failed axios request, in ms
+function retryAfterFromError(error) {
+    return error && error.response ? parseRetryAfter(error.response.headers) : null;
+}
+
+// X-RateLimit-Reset may be delta seconds or an epoch timestamp
+function resetToTimestamp(value, now) {
+    if (value > 1e12) {
+        return value;
+    }
+    if (value > 1e9) {
+        return value * 1000;
+    }
+    return now + value * 1000;
+}
+
+function keyId(apiKey) {
+    if (!apiKey) {
+        return 'anonymous';
+    }
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12);
+}
+
+function dayStamp(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function monthStamp(now) {
+    return new Date(now).toISOString().slice(0, 7);
+}
+
+class QuotaTracker {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.maxRetryAfterMs = options.maxRetryAfterMs || MAX_RETRY_AFTER_MS;
+        this.state = null;
+    }
+
+    load() {
+        if (this.state) {
+            return this.state;
+        }
+        try {
+            this.state = this.file && fs.existsSync(this.file)
+                ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+                : {};
+        } catch (error) {
+            this.state = {};
+        }
+        return this.state;
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2));
+        } catch (error) {
+            // Quota persistence is best effort; in-memory tracking still applies
+        }
+    }
+
+    entry(providerName, apiKey) {
+        const state = this.load();
+        const id = `${providerName}:${keyId(apiKey)}`;
+        if (!state[id]) {
+            state[id] = { provider: providerName, key: keyId(apiKey), daily: {}, monthly: {} };
+        }
+        return state[id];
+    }
+
+    // Record one request attempt and whatever rate-limit headers came back
+    record(providerName, apiKey, response, now = Date.now()) {
+        const entry = this.entry(providerName, apiKey);
+        const day = dayStamp(now);
+        const month = monthStamp(now);
+
+        // Keep only the current windows so the file does not grow forever
+        entry.daily = { [day]: (entry.daily[day] || 0) + 1 };
+        entry.monthly = { [month]: (entry.monthly[month] || 0) + 1 };
+        entry.lastRequestAt = new Date(now).toISOString();
+
+        const headers = response && response.headers;
+        const remaining = parseNumberList(headerValue(headers, 'x-ratelimit-remaining'));
+        const limits = parseNumberList(headerValue(headers, 'x-ratelimit-limit'));
+        const resets = parseNumberList(headerValue(headers, 'x-ratelimit-reset'));
+
+        if (remaining.length > 0) {
+            // Track the most constrained window
+            const tightest = remaining.indexOf(Math.min(...remaining));
+            entry.remaining = remaining[tightest];
+            entry.limit = limits[tightest] !== undefined ? limits[tightest] : entry.limit;
+            entry.resetAt = resets[tightest] !== undefined
+                ? new Date(resetToTimestamp(resets[tightest], now)).toISOString()
+                : null;
+        }
+
+        const retryAfter = parseRetryAfter(headers);
+        if (response && response.status === 429) {
+            const blockMs = Math.min(retryAfter !== null ? retryAfter : DEFAULT_BLOCK_MS, this.maxRetryAfterMs);
+            entry.blockedUntil = new Date(now + blockMs).toISOString();
+        } else if (retryAfter !== null && response && response.status >= 500) {
+            entry.blockedUntil = new Date(now + Math.min(retryAfter, this.maxRetryAfterMs)).toISOString();
+        }
+
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Decide whether a provider may be called now.
+     *
+     * @param {string} providerName - Provider name.
+     * @param {string} apiKey - Key the request would use.
+     * @param {{dailyLimit?: number, monthlyLimit?: number}} [limits] - Configured budgets.
+     * @returns {{allowed: boolean, reason?: string, retryAt?: string, detail?: string}}
+     */
+    check(providerName, apiKey, limits = {}, now = Date.now()) {
+        const entry = this.entry(providerName, apiKey);
+
+        if (entry.blockedUntil && Date.parse(entry.blockedUntil) > now) {
+            return {
+                allowed: false,
+                reason: 'rate_limited',
+                retryAt: entry.blockedUntil,
+                detail: 'Provider asked us to back off (HTTP 429 / Retry-After)'
+            };
+        }
+
+        if (entry.remaining === 0 && entry.resetAt && Date.parse(entry.resetAt) > now) {
+            return {
+                allowed: false,
+                reason: 'quota_exhausted',
+                retryAt: entry.resetAt,
+                detail: `Rate-limit headers report 0 of ${entry.limit || '?'} requests remaining`
+            };
+        }
+
+        const usedToday = entry.daily[dayStamp(now)] || 0;
+        if (limits.dailyLimit && usedToday >= limits.dailyLimit) {
+            const tomorrow = new Date(now);
+            tomorrow.setUTCHours(24, 0, 0, 0);
+            return {
+                allowed: false,
+                reason: 'daily_quota_exhausted',
+                retryAt: tomorrow.toISOString(),
+                detail: `${usedToday}/${limits.dailyLimit} requests used today`
+            };
+        }
+
+        const usedThisMonth = entry.monthly[monthStamp(now)] || 0;
+        if (limits.monthlyLimit && usedThisMonth >= limits.monthlyLimit) {
+            const nextMonth = new Date(now);
+            nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1, 1);
+            nextMonth.setUTCHours(0, 0, 0, 0);
+            return {
+                allowed: false,
+                reason: 'monthly_quota_exhausted',
+                retryAt: nextMonth.toISOString(),
+                detail: `${usedThisMonth}/${limits.monthlyLimit} requests used this month`
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    usage(providerName, apiKey, now = Date.now()) {
+        const entry = this.entry(providerName, apiKey);
+        return {
+            provider: providerName,
+            key: entry.key,
+            today: entry.daily[dayStamp(now)] || 0,
+            thisMonth: entry.monthly[monthStamp(now)] || 0,
+            remaining: entry.remaining !== undefined ? entry.remaining : null,
+            resetAt: entry.resetAt || null,
+            blockedUntil: entry.blockedUntil || null
+        };
+    }
+}
+
+module.exports = { QuotaTracker, parseRetryAfter, retryAfterFromError, keyId };
@@ -0,0 +1,324 @@
+/**
+ * Iterative Research Loop
+ * Multi-hop "deep" research: run the user's query, derive follow-up
+ * sub-queries from what came back (entity/keyword extraction on titles and
+ * snippets, or the optional LLM backend), run those, and repeat breadth-first
+ * until the depth, breadth, result or time budget is spent. Returns the tree of
+ * queries with their results plus one deduplicated result set.
+ */
+
+const { mergeResults, canonicalizeUrl } = require('./resultMerger');
+const { STOP_WORDS, contentWords } = require('./summarizer');
+const { stopReasonOf } = require('./cancellation');
+
+const DEFAULT_OPTIONS = {
+    depth: 2,
+    breadth: 3,
+    maxResults: 50,
+    timeBudgetMs: 60000,
+    expansion: 'keywords'
+};
+
+// Words that are capitalized in headlines without naming anything
+const GENERIC_CAPITALIZED = new Set([
+    'new', 'how', 'why', 'what', 'when', 'who', 'where', 'here', 'this', 'that', 'these', 'top', 'best',
+    'after', 'before', 'over', 'under', 'live', 'update', 'updates', 'breaking', 'news', 'report',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'today', 'watch'
+]);
+
+const ENTITY_PATTERN = /\b(?:[A-Z][\p{L}\p{N}'’-]*(?:\s+(?:of|the|for|de|van|von)\s+|\s+)?){1,4}|\b[A-Z]{2,6}s?\b/gu;
+
+function stripPublisher(title) {
+    return String(title || '').replace(/\s+[-|–—]\s+[^-|–—]{1,40}$/, '');
+}
+
+function normalizeQuery(query) {
+    return contentWords(query).sort().join(' ');
+}
+
+function entitiesIn(text) {
+    const entities = [];
+    String(text || '').split(/(?<=[.!?:;])\s+|\s+[-|–—]\s+/).forEach(segment => {
+        for (const match of segment.matchAll(ENTITY_PATTERN)) {
+            let entity = match[0].trim().replace(/\s+(of|the|for|de|van|von)$/i, '');
+            const words = entity.split(/\s+/);
+            // A lone capitalized word opening a sentence is usually just grammar
+            if (words.length === 1 && match.index === 0 && !/^[A-Z]{2,}s?$/.test(entity)) {
+                continue;
+            }
+            while (words.length > 0 && (GENERIC_CAPITALIZED.has(words[0].toLowerCase()) || /^[a-z]/.test(words[0]))) {
+                words.shift();
+            }
+            entity = words.join(' ');
+            if (entity.length > 1 && !STOP_WORDS.has(entity.toLowerCase()) && !GENERIC_CAPITALIZED.has(entity.toLowerCase())) {
+                entities.push(entity);
+            }
+        }
+    });
+    return entities;
+}
+
+/**
+ * Rank follow-up terms mentioned across result titles and snippets.
+ * Named entities outweigh plain keywords, terms seen in several results
+ * outweigh terms seen once, and anything already in the query is skipped.
+ *
+ * @param {Array<Object>} results - ResearchResults.
+ * @param {string} query - Query the results answer.
+ * @param {number} [limit=5]
+ * @returns {string[]}
+ */
+function extractKeyTerms(results, query, limit = 5) {
+    const queryWords = new Set(contentWords(query));
+    const terms = new Map();
+    let order = 0;
+
+    const add = (term, weight, documentIndex) => {
+        const key = term.toLowerCase();
+        const words = contentWords(term);
+        if (words.length === 0 || words.every(word => queryWords.has(word))) {
+            return;
+        }
+        if (!terms.has(key)) {
+            terms.set(key, { term, weight, documents: new Set(), order: order++ });
+        }
+        const entry = terms.get(key);
+        if (weight > entry.weight) {
+            // Prefer the entity's capitalization over the lowercased keyword
+            entry.term = term;
+            entry.weight = weight;
+        }
+        entry.documents.add(documentIndex);
+    };
+
+    (results || []).forEach((result, index) => {
+        const publisher = String(result.publisher || '').toLowerCase();
+        const text = `${stripPublisher(result.title)}. ${result.snippet || ''}`;
+        entitiesIn(text)
+            .filter(entity => entity.toLowerCase() !== publisher)
+            .forEach(entity => add(entity, entity.includes(' ') ? 3 : 2, index));
+        contentWords(text)
+            .filter(word => word.length >= 4 && !/^\d+$/.test(word))
+            .forEach(word => add(word, 1, index));
+    });
+
+    const ranked = [...terms.values()]
+        .map(entry => ({ ...entry, score: entry.weight * entry.documents.size }))
+        .filter(entry => entry.documents.size > 1 || entry.weight > 1)
+        .sort((a, b) => b.score - a.score || a.order - b.order);
+
+    // Drop keywords already covered by a higher ranked entity
+    const chosen = [];
+    ranked.forEach(entry => {
+        const covered = chosen.some(existing => existing.term.toLowerCase().split(/\s+/).includes(entry.term.toLowerCase()));
+        if (!covered && chosen.length < limit) {
+            chosen.push(entry);
+        }
+    });
+    return chosen.map(entry => entry.term);
+}
+
+// Ask the chat backend for follow-up queries, one per line
+async function expandWithBackend(backend, query, results, breadth) {
+    const listing = results.slice(0, 10)
+        .map(result => `- ${result.title}${result.snippet ? `: ${result.snippet.slice(0, 200)}` : ''}`)
+        .join('\n');
+    const reply = await backend.complete([
+        {
+            role: 'system',
+            content: 'You plan web research. Suggest follow-up search queries that explore different aspects of the topic. ' +
+                'Reply with one query per line and nothing else.'
+        },
+        { role: 'user', content: `Query: ${query}\n\nResults so far:\n${listing}\n\nSuggest up to ${breadth} follow-up queries.` }
+    ]);
+    return String(reply)
+        .split('\n')
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/^["']|["']$/g, '').trim())
+        .filter(line => line.length > 1 && line.length <= 200)
+        .slice(0, breadth);
+}
+
+class ResearchLoop {
+    /**
+     * @param {Object} options
+     * @param {function(string, Object): Promise<Object>} options.search - Runs one query, e.g. comprehensiveSearch.
+     * @param {Object} [options.backend] - Chat backend for 'llm' expansion (see synthesizer.js).
+     * @param {Object} [options.logger]
+     */
+    constructor(options = {}) {
+        if (typeof options.search !== 'function') {
+            throw new Error('ResearchLoop requires a search function');
+        }
+        this.search = options.search;
+        this.backend = options.backend || null;
+        this.logger = options.logger || null;
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        this.now = options.now || (() => Date.now());
+    }
+
+    log(level, message) {
+        if (this.logger) {
+            this.logger[level](message);
+        }
+    }
+
+    async expand(node, budget) {
+        const results = node.results || [];
+        if (budget.expansion === 'llm' && this.backend) {
+            try {
+                const queries = await expandWithBackend(this.backend, node.query, results, budget.breadth);
+                if (queries.length > 0) {
+                    return queries;
+                }
+            } catch (error) {
+                this.log('warn', `LLM query expansion failed, using keywords: ${error.message}`);
+            }
+        }
+        return extractKeyTerms(results, node.query, budget.breadth * 2).map(term => `${node.query} ${term}`);
+    }
+
+    /**
+     * Run the research loop.
+     *
+     * @param {string} query - Starting query.
+     * @param {Object} [options] - Budget overrides (depth, breadth, maxResults, timeBudgetMs, expansion);
+     *   everything else is passed to the search function. An aborted options.signal ends the loop
+     *   with stopReason 'cancelled' or 'deadline'.
+     * @returns {Promise<{query: string, tree: Object, results: Array<Object>, errors: Array<Object>, stats: Object}>}
+     */
+    async run(query, options = {}) {
+        const budget = { ...this.options };
+        const searchOptions = {};
+        Object.entries(options).forEach(([key, value]) => {
+            if (key in DEFAULT_OPTIONS) {
+                if (value !== undefined) {
+                    budget[key] = value;
+                }
+            } else {
+                searchOptions[key] = value;
+            }
+        });
+
+        const started = this.now();
+        const root = { id: '0', query, depth: 0, parentId: null, children: [] };
+        const queue = [root];
+        const seen = new Set([normalizeQuery(query)]);
+        const nodes = [];
+        const uniqueUrls = new Set();
+        let stopReason = 'exhausted';
+
+        while (queue.length > 0) {
+            if (this.now() - started >= budget.timeBudgetMs) {
+                stopReason = 'time_budget';
+                break;
+            }
+            if (stopReasonOf(searchOptions.signal)) {
+                stopReason = stopReasonOf(searchOptions.signal);
+                break;
+            }
+
+            const node = queue.shift();
+            this.log('info', `Research step ${node.id} (depth ${node.depth}): "${node.query}"`);
+            const response = await this.search(node.query, searchOptions);
+            node.results = response.merged || [];
+            node.resultsCount = node.results.length;
+            node.errors = response.errors || [];
+            node.skipped = response.skipped || [];
+            nodes.push(node);
+
+            const knownBefore = uniqueUrls.size;
+            node.results.forEach(result => uniqueUrls.add(canonicalizeUrl(result.url) || result.title));
+            node.newResults = uniqueUrls.size - knownBefore;
+
+            if (uniqueUrls.size >= budget.maxResults) {
+                stopReason = 'result_budget';
+                break;
+            }
+            if (node.depth >= budget.depth) {
+                continue;
+            }
+
+            const followUps = [];
+            for (const candidate of await this.expand(node, budget)) {
+                const key = normalizeQuery(candidate);
+                if (key && !seen.has(key)) {
+                    seen.add(key);
+                    followUps.push(candidate);
+                }
+                if (followUps.length >= budget.breadth) {
+                    break;
+                }
+            }
+            followUps.forEach((subQuery, index) => {
+                const child = { id: `${node.id}.${index + 1}`, query: subQuery, depth: node.depth + 1, parentId: node.id, children: [] };
+                node.children.push(child);
+                queue.push(child);
+            });
+        }
+
+        // Stopped during the last step: its search came back short
+        if (stopReason === 'exhausted' && stopReasonOf(searchOptions.signal)) {
+            stopReason = stopReasonOf(searchOptions.signal);
+        }
+
+        // Queries that were planned but never run stay in the tree, marked pending
+        queue.forEach(node => {
+            node.pending = true;
+        });
+
+        return {
+            query,
+            tree: root,
+            results: consolidate(nodes),
+            errors: nodes.flatMap(node => node.errors.map(error => ({ ...error, queryId: node.id }))),
+            stats: {
+                queriesRun: nodes.length,
+                queriesPending: queue.length,
+                maxDepthReached: nodes.reduce((max, node) => Math.max(max, node.depth), 0),
+                uniqueResults: uniqueUrls.size,
+                elapsedMs: this.now() - started,
+                stopReason
+            }
+        };
+    }
+}
+
+// One deduplicated list across every query, ranked by fusion over the query lists
+function consolidate(nodes) {
+    const providersByUrl = new Map();
+    const lists = {};
+    nodes.forEach(node => {
+        lists[node.id] = { results: node.results };
+        node.results.forEach(result => {
+            const key = canonicalizeUrl(result.url);
+            const providers = providersByUrl.get(key) || new Set();
+            (result.providers || [result.provider]).filter(Boolean).forEach(provider => providers.add(provider));
+            providersByUrl.set(key, providers);
+        });
+    });
+
+    // mergeResults treats each query as a "provider"; restore the real providers afterwards
+    return mergeResults(lists).map(({ providers, ranks, ...result }) => ({
+        ...result,
+        providers: [...(providersByUrl.get(result.canonicalUrl) || [])],
+        queries: providers,
+        queryRanks: ranks
+    }));
+}
+
+// Indented text outline of the query tree
+function formatTree(node, indent = '') {
+    const status = node.pending ? 'not run' : `${node.resultsCount} results${node.newResults !== undefined && node.depth > 0 ? `, ${node.newResults} new` : ''}`;
+    let text = `${indent}${node.id} "${node.query}" (${status})\n`;
+    node.children.forEach(child => {
+        text += formatTree(child, `${indent}  `);
+    });
+    return text;
+}
+
+module.exports = { ResearchLoop, extractKeyTerms, consolidate, formatTree };
@@ -0,0 +1,305 @@
+/**
+ * Retry Policy and Circuit Breaker
+ * Shared by RetryUtility and IOSRetryUtility. classifyError() sorts a failed
+ * request into auth, quota, client, server, network, timeout or unknown;
+ * withRetry() only retries the kinds a second attempt can fix, waits for
+ * Retry-After when the server sends one and otherwise backs off with full
+ * jitter up to a cap. CircuitBreaker counts consecutive server, network and
+ * timeout failures per provider endpoint. Once a provider trips, it is skipped
+ * until a cooldown passes, then a single trial request decides whether the
+ * circuit closes again. Breaker state is persisted so a dead provider stays
+ * skipped across CLI runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { retryAfterFromError } = require('./quotaTracker');
+const { isCancellation, delay } = require('./cancellation');
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_NETWORK'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+// Failures that say the provider itself is unwell; auth, quota and bad queries do not
+const TRIPPING_KINDS = ['server', 'network', 'timeout'];
+
+const DEFAULT_RETRY_OPTIONS = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 10000,
+    maxRetryAfter: 30000
+};
+
+const DEFAULT_BREAKER_OPTIONS = {
+    enabled: true,
+    failureThreshold: 3,
+    cooldownMs: 5 * 60 * 1000
+};
+
+/**
+ * Sort a failed request into a kind and decide whether retrying can help.
+ * Errors without an HTTP status or a known code, such as a provider's own
+ * "returned error status", stay retryable as they always were.
+ *
+ * @param {Error} error
+ * @returns {{kind: string, retryable: boolean, status: (number|undefined)}}
+ *   kind is auth, quota, client, server, network, timeout, cancelled or unknown.
+ */
+function classifyError(error) {
+    const status = error && error.response ? error.response.status : undefined;
+    const code = error && error.code;
+    const verdict = (kind, retryable) => ({ kind, retryable, status });
+    if (isCancellation(error)) {
+        return verdict('cancelled', false);
+    }
+    if (TIMEOUT_CODES.includes(code) || status === 408 || status === 504) {
+        return verdict('timeout', true);
+    }
+    if (status === 401 || status === 403) {
+        return verdict('auth', false);
+    }
+    if (status === 429) {
+        return verdict('quota', true);
+    }
+    if (status === 402) {
+        return verdict('quota', false);
+    }
+    if (status >= 500) {
+        return verdict('server', true);
+    }
+    if (status >= 400) {
+        return verdict('client', false);
+    }
+    if (NETWORK_CODES.includes(code)) {
+        return verdict('network', true);
+    }
+    // Replay mode without a recorded answer will not find one on the next attempt either
+    if (code === 'ENOFIXTURE') {
+        return verdict('client', false);
+    }
+    return verdict('unknown', true);
+}
+
+/**
+ * Full-jitter exponential backoff: a random delay between 0 and
+ * min(maxDelay, baseDelay * 2^(attempt - 1)).
+ *
+ * @param {number} attempt - 1 for the first retry.
+ * @param {{baseDelay?: number, maxDelay?: number}} [options]
+ * @param {function(): number} [random=Math.random]
+ * @returns {number} Delay in ms.
+ */
+function backoffDelay(attempt, options = {}, random = Math.random) {
+    const baseDelay = options.baseDelay ?? DEFAULT_RETRY_OPTIONS.baseDelay;
+    const maxDelay = options.maxDelay ?? DEFAULT_RETRY_OPTIONS.maxDelay;
+    return random() * Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+}
+
+/**
+ * Call fn until it succeeds, the error is not worth retrying or the attempts run out.
+ *
+ * @param {function(): Promise<*>} fn
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries=3] - Total attempts.
+ * @param {number} [options.baseDelay=1000]
+ * @param {number} [options.maxDelay=10000] - Backoff cap.
+ * @param {number} [options.maxRetryAfter=30000] - A longer Retry-After gives up instead of waiting.
+ * @param {Object} [options.logger]
+ * @param {function(): number} [options.random]
+ * @param {function(number): Promise<void>} [options.sleep]
+ * @param {AbortSignal} [options.signal] - Stops retrying, and cuts a wait short, once aborted.
+ * @returns {Promise<*>} What fn resolved with.
+ * @throws The last error, or the abort reason.
+ */
+async function withRetry(fn, options = {}) {
+    const settings = { ...DEFAULT_RETRY_OPTIONS };
+    Object.keys(DEFAULT_RETRY_OPTIONS).forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) {
+            settings[key] = options[key];
+        }
+    });
+    const logger = options.logger || null;
+    const signal = options.signal || null;
+    const sleep = options.sleep || (ms => delay(ms, signal));
+    const attempts = Math.max(1, settings.maxRetries);
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            const failure = classifyError(error);
+            if (failure.kind === 'cancelled' || (signal && signal.aborted)) {
+                throw error;
+            }
+            if (logger) {
+                logger.warn(`Attempt ${attempt} failed: ${error.message}`);
+            }
+            if (!failure.retryable) {
+                if (logger && attempt < attempts) {
+                    logger.warn(`Not retrying a ${failure.kind} error${failure.status ? ` (HTTP ${failure.status})` : ''}`);
+                }
+                throw error;
+            }
+            if (attempt >= attempts) {
+                throw error;
+            }
+
+            // Honor the server's Retry-After instead of hammering a rate-limited API
+            const retryAfter = retryAfterFromError(error);
+            if (retryAfter !== null && retryAfter > settings.maxRetryAfter) {
+                if (logger) {
+                    logger.warn(`Retry-After of ${retryAfter}ms exceeds ${settings.maxRetryAfter}ms, not retrying`);
+                }
+                throw error;
+            }
+            const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, settings, options.random);
+            if (logger) {
+                logger.info(`Retrying in ${Math.round(delay)}ms...`);
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {Object} [options] - The "resilience" config block.
+     * @param {string} [options.file] - Where circuit state is kept; in memory only without one.
+     * @param {boolean} [options.enabled=true]
+     * @param {number} [options.failureThreshold=3] - Consecutive failed calls that open the circuit.
+     * @param {number} [options.cooldownMs=300000] - How long an open circuit skips the provider.
+     * @param {function(): number} [options.now]
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.options = { ...DEFAULT_BREAKER_OPTIONS };
+        Object.keys(DEFAULT_BREAKER_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        this.now = options.now || (() => Date.now());
+        this.state = null;
+    }
+
+    get enabled() {
+        return this.options.enabled !== false;
+    }
+
+    load() {
+        if (this.state) {
+            return this.state;
+        }
+        try {
+            this.state = this.file && fs.existsSync(this.file)
+                ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+                : {};
+        } catch (error) {
+            this.state = {};
+        }
+        return this.state;
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(this.state, null, 2));
+            fs.renameSync(temporary, this.file);
+        } catch (error) {
+            // Persistence is best effort; the breaker still works for this run
+        }
+    }
+
+    /**
+     * Whether a provider may be called now. An open circuit whose cooldown has
+     * passed turns half-open and lets exactly one trial call through.
+     *
+     * @param {string} id - Provider endpoint, see executeProvider().
+     * @returns {{allowed: boolean, state: string, retryAt?: string, failures?: number, lastError?: string}}
+     */
+    check(id) {
+        const circuit = this.enabled ? this.load()[id] : null;
+        if (!circuit || circuit.state === 'closed') {
+            return { allowed: true, state: 'closed' };
+        }
+        const now = this.now();
+        const since = Date.parse(circuit.state === 'open' ? circuit.openedAt : circuit.trialAt);
+        // A half-open trial that never reported back (crashed run) gets replaced after another cooldown
+        if (now - since >= this.options.cooldownMs) {
+            circuit.state = 'half-open';
+            circuit.trialAt = new Date(now).toISOString();
+            this.save();
+            return { allowed: true, state: 'half-open' };
+        }
+        return {
+            allowed: false,
+            state: circuit.state,
+            retryAt: new Date(since + this.options.cooldownMs).toISOString(),
+            failures: circuit.failures,
+            lastError: circuit.lastError
+        };
+    }
+
+    recordSuccess(id) {
+        if (this.enabled && this.load()[id]) {
+            delete this.state[id];
+            this.save();
+        }
+    }
+
+    /**
+     * Count a failed call.
+     *
+     * @param {string} id
+     * @param {{kind: string}} failure - From classifyError().
+     * @returns {string} The circuit state afterwards: closed, open or half-open.
+     */
+    recordFailure(id, failure) {
+        const state = this.load();
+        if (!this.enabled || !TRIPPING_KINDS.includes(failure.kind)) {
+            return state[id] ? state[id].state : 'closed';
+        }
+        const circuit = state[id] || { state: 'closed', failures: 0 };
+        circuit.failures++;
+        circuit.lastError = failure.kind;
+        if (circuit.state === 'half-open' || circuit.failures >= this.options.failureThreshold) {
+            circuit.state = 'open';
+            circuit.openedAt = new Date(this.now()).toISOString();
+            delete circuit.trialAt;
+        }
+        state[id] = circuit;
+        this.save();
+        return circuit.state;
+    }
+
+    /**
+     * Circuits that are not closed, for `doctor`.
+     *
+     * @returns {Array<{id: string, state: string, failures: number, lastError: string, openedAt: string}>}
+     */
+    list() {
+        return Object.entries(this.load())
+            .filter(([, circuit]) => circuit.state !== 'closed')
+            .map(([id, circuit]) => ({ id, ...circuit }));
+    }
+
+    reset(id) {
+        const state = this.load();
+        if (id === undefined) {
+            this.state = {};
+        } else {
+            delete state[id];
+        }
+        this.save();
+    }
+}
+
+module.exports = {
+    TRIPPING_KINDS,
+    classifyError,
+    backoffDelay,
+    withRetry,
+    CircuitBreaker
+};
@@ -0,0 +1,229 @@
+/**
+ * Persistent Response Cache
+ * Stores raw provider responses on disk so repeated queries within a TTL do not
+ * spend API quota. Entries are keyed on provider + normalized request params
+ * (API keys excluded), expire per provider and are evicted least-recently-used
+ * once the entry or byte limits are exceeded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CACHE_MODES = ['use', 'refresh', 'off'];
+
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    defaultTtl: 30 * 60 * 1000,
+    // Per-provider TTLs in ms; falls back to the provider type, then defaultTtl
+    ttl: {},
+    typeTtl: {
+        web: 60 * 60 * 1000,
+        news: 15 * 60 * 1000
+    },
+    maxEntries: 500,
+    maxBytes: 20 * 1024 * 1024
+};
+
+// Stable, key-free representation of a request for hashing
+function normalizeRequest(request = {}, secretParams = []) {
+    const params = {};
+    Object.keys(request.params || {}).sort().forEach(name => {
+        if (secretParams.includes(name)) {
+            return;
+        }
+        let value = request.params[name];
+        if (typeof value === 'string') {
+            value = value.trim().replace(/\s+/g, ' ');
+            if (name === 'q' || name === 'query') {
+                value = value.toLowerCase();
+            }
+        }
+        params[name] = value;
+    });
+    return { url: request.url || '', params };
+}
+
+class ResponseCache {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            ttl: { ...DEFAULT_OPTIONS.ttl, ...options.ttl },
+            typeTtl: { ...DEFAULT_OPTIONS.typeTtl, ...options.typeTtl }
+        };
+        this.directory = options.directory;
+        this.indexFile = path.join(this.directory, 'index.json');
+        this.index = null;
+        this.lastAccess = 0;
+    }
+
+    static keyFor(providerName, request, secretParams = []) {
+        const payload = JSON.stringify({ provider: providerName, ...normalizeRequest(request, secretParams) });
+        return crypto.createHash('sha256').update(payload).digest('hex');
+    }
+
+    keyFor(providerName, request, secretParams = []) {
+        return ResponseCache.keyFor(providerName, request, secretParams);
+    }
+
+    get enabled() {
+        return this.options.enabled !== false;
+    }
+
+    ttlFor(provider) {
+        const name = typeof provider === 'string' ? provider : provider.name;
+        const type = typeof provider === 'string' ? null : provider.capabilities?.type;
+        return this.options.ttl[name] || (type && this.options.typeTtl[type]) || this.options.defaultTtl;
+    }
+
+    loadIndex() {
+        if (this.index) {
+            return this.index;
+        }
+        try {
+            this.index = fs.existsSync(this.indexFile)
+                ? JSON.parse(fs.readFileSync(this.indexFile, 'utf8'))
+                : {};
+        } catch (error) {
+            // A corrupt index only costs us the cached entries
+            this.index = {};
+        }
+        this.lastAccess = Math.max(0, ...Object.values(this.index).map(entry => entry.lastAccess));
+        return this.index;
+    }
+
+    saveIndex() {
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this.indexFile, JSON.stringify(this.index));
+    }
+
+    // Monotonic access time so LRU order is exact even within one millisecond
+    touch() {
+        const now = Date.now();
+        this.lastAccess = now > this.lastAccess ? now : this.lastAccess + 1;
+        return this.lastAccess;
+    }
+
+    entryFile(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    get(key) {
+        if (!this.enabled) {
+            return null;
+        }
+        const index = this.loadIndex();
+        const entry = index[key];
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.delete(key);
+            return null;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.entryFile(key), 'utf8'));
+            entry.lastAccess = this.touch();
+            this.saveIndex();
+            return { data, storedAt: entry.storedAt, expiresAt: entry.expiresAt };
+        } catch (error) {
+            this.delete(key);
+            return null;
+        }
+    }
+
+    set(key, provider, data) {
+        if (!this.enabled) {
+            return;
+        }
+        const index = this.loadIndex();
+        const body = JSON.stringify(data);
+        const now = Date.now();
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this.entryFile(key), body);
+        index[key] = {
+            provider: typeof provider === 'string' ? provider : provider.name,
+            size: Buffer.byteLength(body),
+            storedAt: now,
+            lastAccess: this.touch(),
+            expiresAt: now + this.ttlFor(provider)
+        };
+        this.prune();
+        this.saveIndex();
+    }
+
+    delete(key) {
+        this.loadIndex();
+        this.removeEntry(key);
+        if (fs.existsSync(this.directory)) {
+            this.saveIndex();
+        }
+    }
+
+    // Drop expired entries, then evict least recently used until within limits
+    prune() {
+        const index = this.loadIndex();
+        const now = Date.now();
+        Object.keys(index).forEach(key => {
+            if (index[key].expiresAt <= now) {
+                this.removeEntry(key);
+            }
+        });
+
+        const byAge = Object.keys(index).sort((a, b) => index[a].lastAccess - index[b].lastAccess);
+        let totalBytes = byAge.reduce((sum, key) => sum + index[key].size, 0);
+        while (byAge.length > 0 && (byAge.length > this.options.maxEntries || totalBytes > this.options.maxBytes)) {
+            const key = byAge.shift();
+            totalBytes -= index[key].size;
+            this.removeEntry(key);
+        }
+    }
+
+    removeEntry(key) {
+        delete this.index[key];
+        try {
+            fs.unlinkSync(this.entryFile(key));
+        } catch (error) {
+            // Already gone
+        }
+    }
+
+    clear() {
+        const index = this.loadIndex();
+        Object.keys(index).forEach(key => this.removeEntry(key));
+        if (fs.existsSync(this.directory)) {
+            this.saveIndex();
+        }
+    }
+
+    stats() {
+        const index = this.loadIndex();
+        const entries = Object.values(index);
+        const byProvider = {};
+        entries.forEach(entry => {
+            byProvider[entry.provider] = (byProvider[entry.provider] || 0) + 1;
+        });
+        return {
+            directory: this.directory,
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            byProvider
+        };
+    }
+}
+
+// Translate --no-cache / --refresh style flags into a cache mode
+function resolveCacheMode(flags = {}) {
+    if (flags.noCache) {
+        return 'off';
+    }
+    if (flags.refresh) {
+        return 'refresh';
+    }
+    return 'use';
+}
+
+module.exports = { ResponseCache, CACHE_MODES, normalizeRequest, resolveCacheMode };
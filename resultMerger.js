@@ -0,0 +1,187 @@
+/**
+ * Cross-Provider Result Merger
+ * Collapses the per-source buckets produced by comprehensiveSearch() into one
+ * deduplicated list: URLs are canonicalized, near-duplicate titles are folded
+ * together and rankings are fused with reciprocal rank fusion (RRF).
+ */
+
+// Query parameters that only carry tracking or referral information
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid',
+    'ref', 'ref_src', 'ref_url', 'referrer', 'cmpid', 'ocid', 'smid', 'sr_share',
+    'spm', 'share', 'via', '_ga', '_gl', 'guccounter', 'guce_referrer', 'guce_referrer_sig',
+    'outputtype', 'amp', 'amp_js_v', 'usqp'
+]);
+
+const RRF_K = 60;
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+
+function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return lower.startsWith('utm_') || TRACKING_PARAMS.has(lower);
+}
+
+// Reduce a URL to a stable identity: no scheme, www/m/amp host prefixes,
+// tracking params, fragments, AMP path variants or trailing slashes.
+function canonicalizeUrl(rawUrl) {
+    if (!rawUrl || typeof rawUrl !== 'string') {
+        return '';
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(rawUrl.trim());
+    } catch (error) {
+        return rawUrl.trim().toLowerCase();
+    }
+
+    let host = parsed.hostname.toLowerCase();
+    let pathname = parsed.pathname;
+
+    // Google AMP cache: https://example-com.cdn.ampproject.org/c/s/example.com/story
+    if (host.endsWith('.cdn.ampproject.org')) {
+        const match = pathname.match(/^\/[a-z]\/(?:s\/)?([^/]+)(\/.*)?$/i);
+        if (match) {
+            host = match[1].toLowerCase();
+            pathname = match[2] || '/';
+        }
+    }
+
+    host = host.replace(/^(www\d*|m|mobile|amp)\./, '');
+
+    pathname = pathname
+        .replace(/\/amp(\.html)?\/?$/i, '/')
+        .replace(/^\/amp\//i, '/')
+        .replace(/\.amp(\.html)?$/i, '')
+        .replace(/\/index\.(html?|php)$/i, '/')
+        .replace(/\/{2,}/g, '/');
+    if (pathname.length > 1 && pathname.endsWith('/')) {
+        pathname = pathname.slice(0, -1);
+    }
+
+    const params = [];
+    parsed.searchParams.forEach((value, name) => {
+        if (!isTrackingParam(name)) {
+            params.push([name, value]);
+        }
+    });
+    params.sort((a, b) => (a[0] === b[0] ? a[1].localeCompare(b[1]) : a[0].localeCompare(b[0])));
+    const query = params.length > 0
+        ? '?' + params.map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&')
+        : '';
+
+    const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+    return `${host}${port}${pathname === '/' ? '' : pathname}${query}`;
+}
+
+// Lowercase, drop a trailing " - Publisher" / " | Site" suffix and punctuation
+function normalizeTitle(title) {
+    if (!title || typeof title !== 'string') {
+        return '';
+    }
+    return title
+        .toLowerCase()
+        .replace(/\s+[-|–—]\s+[^-|–—]{1,40}$/, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function titleTokens(title) {
+    return new Set(normalizeTitle(title).split(' ').filter(token => token.length > 1));
+}
+
+// Jaccard similarity of two titles' word sets (0..1)
+function titleSimilarity(a, b) {
+    const tokensA = a instanceof Set ? a : titleTokens(a);
+    const tokensB = b instanceof Set ? b : titleTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    tokensA.forEach(token => {
+        if (tokensB.has(token)) {
+            shared++;
+        }
+    });
+    return shared / (tokensA.size + tokensB.size - shared);
+}
+
+// Prefer the copy of a result that carries the most information
+function richness(item) {
+    return Object.values(item).filter(value => value !== null && value !== undefined && value !== '' &&
+        value !== 'No title' && !(Array.isArray(value) && value.length === 0)).length;
+}
+
+/**
+ * Merge per-provider result buckets into a single ranked, deduplicated list.
+ *
+ * @param {Object} sources - results.sources from comprehensiveSearch(), keyed by provider name.
+ * @param {Object} [options]
+ * @param {number} [options.k=60] - RRF damping constant.
+ * @param {number} [options.titleThreshold=0.8] - Jaccard similarity above which titles are duplicates.
+ * @returns {Array<Object>} merged items with providers, ranks, score and canonicalUrl.
+ */
+function mergeResults(sources = {}, options = {}) {
+    const k = options.k || RRF_K;
+    const titleThreshold = options.titleThreshold || TITLE_SIMILARITY_THRESHOLD;
+    const groups = [];
+    const byUrl = new Map();
+
+    Object.entries(sources).forEach(([provider, data]) => {
+        const items = (data && data.results) || [];
+        items.forEach((item, index) => {
+            const rank = index + 1;
+            const canonicalUrl = canonicalizeUrl(item.url);
+            const tokens = titleTokens(item.title);
+
+            let group = canonicalUrl ? byUrl.get(canonicalUrl) : undefined;
+            if (!group && tokens.size >= 3) {
+                group = groups.find(candidate => titleSimilarity(candidate.tokens, tokens) >= titleThreshold);
+            }
+
+            if (!group) {
+                group = { item, canonicalUrl, tokens, providers: [], ranks: {}, score: 0, bestRank: rank, duplicates: 0 };
+                groups.push(group);
+            } else {
+                group.duplicates++;
+                if (richness(item) > richness(group.item)) {
+                    group.item = item;
+                }
+            }
+
+            if (canonicalUrl) {
+                byUrl.set(canonicalUrl, group);
+            }
+            if (!(provider in group.ranks)) {
+                group.providers.push(provider);
+                group.ranks[provider] = rank;
+                group.score += 1 / (k + rank);
+            }
+            group.bestRank = Math.min(group.bestRank, rank);
+        });
+    });
+
+    return groups
+        .map((group, order) => ({ group, order }))
+        .sort((a, b) => (b.group.score - a.group.score) ||
+            (a.group.bestRank - b.group.bestRank) ||
+            (a.order - b.order))
+        .map(({ group }, index) => ({
+            ...group.item,
+            rank: index + 1,
+            canonicalUrl: group.canonicalUrl,
+            providers: group.providers,
+            ranks: group.ranks,
+            score: Number(group.score.toFixed(6)),
+            duplicates: group.duplicates
+        }));
+}
+
+module.exports = {
+    canonicalizeUrl,
+    normalizeTitle,
+    titleSimilarity,
+    mergeResults,
+    TRACKING_PARAMS
+};
@@ -0,0 +1,212 @@
+/**
+ * Unified Result Schema
+ * Every provider maps its raw API items into the same result shape so that
+ * deepResearch.js, iosResearch.js and the Scriptable script (via importModule)
+ * never have to special-case a source. This file has no dependencies so it can
+ * be copied next to deep_research_script.js in Scriptable.
+ */
+
+/**
+ * @typedef {Object} ResearchResult
+ * @property {string} title - Headline or page title.
+ * @property {string} url - Link to the article or page.
+ * @property {string} snippet - Short description returned by the provider.
+ * @property {string} content - Longer body text when the provider (or extraction) supplies it.
+ * @property {string[]} authors - Individual author names, empty when unknown.
+ * @property {string|null} publisher - Publication or site name.
+ * @property {string|null} publishedAt - Publication time as an ISO 8601 string.
+ * @property {string|null} image - Lead image URL.
+ * @property {string|null} language - Language code, e.g. 'en'.
+ * @property {string|null} country - Country code(s), comma separated when several.
+ * @property {string[]} categories - Topic categories.
+ * @property {string} provider - Name of the provider that returned the result.
+ * @property {number} rank - 1-based position within that provider's results.
+ */
+
+const RESULT_FIELDS = [
+    'title', 'url', 'snippet', 'content', 'authors', 'publisher', 'publishedAt',
+    'image', 'language', 'country', 'categories', 'provider', 'rank'
+];
+
+function toText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function toNullableText(value) {
+    const text = toText(value);
+    return text.length > 0 ? text : null;
+}
+
+// Accept arrays or comma separated strings and return a clean string array
+function toList(value) {
+    if (!value) {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items
+        .map(item => (typeof item === 'string' ? item.trim() : ''))
+        .filter(item => item.length > 0);
+}
+
+// Normalize provider dates to ISO 8601; Newsdata.io sends "YYYY-MM-DD HH:mm:ss" in UTC
+function toIsoDate(value) {
+    if (!value) {
+        return null;
+    }
+    let text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2})?$/.test(text)) {
+        text = text.replace(' ', 'T') + 'Z';
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a result with every schema field present.
+ *
+ * @param {Object} fields - Partial result values.
+ * @returns {ResearchResult}
+ */
+function createResult(fields = {}) {
+    const rank = parseInt(fields.rank, 10);
+    return {
+        title: toText(fields.title) || 'No title',
+        url: toText(fields.url),
+        snippet: toText(fields.snippet),
+        content: toText(fields.content),
+        authors: toList(fields.authors),
+        publisher: toNullableText(fields.publisher),
+        publishedAt: toIsoDate(fields.publishedAt),
+        image: toNullableText(fields.image),
+        language: toNullableText(fields.language),
+        country: toList(fields.country).join(', ') || null,
+        categories: toList(fields.categories),
+        provider: toText(fields.provider) || 'unknown',
+        rank: rank > 0 ? rank : 1
+    };
+}
+
+/**
+ * Check a value against the ResearchResult schema.
+ *
+ * @param {*} result - Value to check.
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateResult(result) {
+    const errors = [];
+    if (!result || typeof result !== 'object') {
+        return { valid: false, errors: ['result must be an object'] };
+    }
+
+    ['title', 'url', 'snippet', 'content', 'provider'].forEach(field => {
+        if (typeof result[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    });
+    ['publisher', 'publishedAt', 'image', 'language', 'country'].forEach(field => {
+        if (result[field] !== null && typeof result[field] !== 'string') {
+            errors.push(`${field} must be a string or null`);
+        }
+    });
+    ['authors', 'categories'].forEach(field => {
+        if (!Array.isArray(result[field]) || result[field].some(item => typeof item !== 'string')) {
+            errors.push(`${field} must be an array of strings`);
+        }
+    });
+
+    if (typeof result.title === 'string' && result.title.length === 0) {
+        errors.push('title must not be empty');
+    }
+    if (typeof result.url === 'string' && result.url.length > 0 && !/^https?:\/\//i.test(result.url)) {
+        errors.push('url must be an http(s) URL');
+    }
+    if (typeof result.publishedAt === 'string' && toIsoDate(result.publishedAt) !== result.publishedAt) {
+        errors.push('publishedAt must be an ISO 8601 timestamp');
+    }
+    if (!Number.isInteger(result.rank) || result.rank < 1) {
+        errors.push('rank must be a positive integer');
+    }
+
+    RESULT_FIELDS.forEach(field => {
+        if (!(field in result)) {
+            errors.push(`${field} is missing`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+// Provider mappings
+function fromBraveResult(item, rank, provider = 'braveSearch') {
+    return createResult({
+        title: item.title,
+        url: item.url,
+        snippet: item.description,
+        publisher: item.profile?.name || item.meta_url?.hostname,
+        publishedAt: item.published || item.page_age,
+        image: item.thumbnail?.src,
+        language: item.language,
+        provider,
+        rank
+    });
+}
+
+function fromNewsAPIArticle(article, rank, provider = 'newsAPI') {
+    return createResult({
+        title: article.title,
+        url: article.url,
+        snippet: article.description,
+        content: article.content,
+        authors: article.author,
+        publisher: article.source?.name,
+        publishedAt: article.publishedAt,
+        image: article.urlToImage,
+        provider,
+        rank
+    });
+}
+
+function fromNewsdataArticle(article, rank, provider = 'newsdataFallback') {
+    return createResult({
+        title: article.title,
+        url: article.link,
+        snippet: article.description,
+        content: article.content,
+        authors: article.creator,
+        publisher: article.source_name || article.source_id,
+        publishedAt: article.pubDate,
+        image: article.image_url,
+        language: article.language,
+        country: article.country,
+        categories: article.category,
+        provider,
+        rank
+    });
+}
+
+function fromGoogleItem(item, rank, provider = 'googleSearch') {
+    const metatags = item.pagemap?.metatags?.[0] || {};
+    return createResult({
+        title: item.title,
+        url: item.link,
+        snippet: item.snippet,
+        authors: metatags.author,
+        publisher: metatags['og:site_name'] || item.displayLink,
+        publishedAt: metatags['article:published_time'],
+        image: item.pagemap?.cse_image?.[0]?.src,
+        provider,
+        rank
+    });
+}
+
+module.exports = {
+    RESULT_FIELDS,
+    createResult,
+    validateResult,
+    toIsoDate,
+    toList,
+    fromBraveResult,
+    fromNewsAPIArticle,
+    fromNewsdataArticle,
+    fromGoogleItem
+};
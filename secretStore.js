@@ -0,0 +1,380 @@
+/**
+ * Secret Storage
+ * Keeps API keys out of config.json. A config value of the form
+ * "secret:<name>" is a reference that is only looked up when a provider is
+ * about to run, through one of these backends (config.json "secrets.backend"):
+ *
+ *   env             process.env[<name>] (default)
+ *   keystore        AES-256-GCM encrypted JSON file; the key is derived from a
+ *                   passphrase with scrypt, read from DEEP_RESEARCH_PASSPHRASE
+ *   secret-service  freedesktop Secret Service (GNOME Keyring, KWallet) through
+ *                   the `secret-tool` command from libsecret
+ *
+ * This is the desktop counterpart of getKeychainValue() in the Scriptable script.
+ *
+ * Backend interface:
+ *   name                 label used in messages
+ *   get(name)            resolves to the secret, or null when it is not stored
+ *   set(name, value)     stores a secret
+ *   delete(name)         removes a secret, resolves to true when one existed
+ *   list()               resolves to the stored names, when the backend can enumerate them
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const SECRET_PREFIX = 'secret:';
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const SERVICE_ATTRIBUTE = 'deep-research';
+const KEYSTORE_VERSION = 1;
+// scrypt cost; N=2^15 needs 32 MB, so raise maxmem above Node's 32 MB default
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function isSecretRef(value) {
+    return typeof value === 'string' && value.startsWith(SECRET_PREFIX);
+}
+
+function secretName(reference) {
+    return reference.slice(SECRET_PREFIX.length).trim();
+}
+
+function checkName(name) {
+    if (!SECRET_NAME_PATTERN.test(name || '')) {
+        throw new Error(`Invalid secret name "${name}": use letters, digits, "_", "." or "-"`);
+    }
+}
+
+class EnvSecretBackend {
+    constructor(options = {}) {
+        this.name = 'env';
+        this.env = options.env || process.env;
+    }
+
+    async get(name) {
+        return this.env[name] || null;
+    }
+
+    async set() {
+        throw new Error('The env secret backend is read-only; export the variable or add it to .env');
+    }
+
+    async delete() {
+        throw new Error('The env secret backend is read-only');
+    }
+
+    async list() {
+        return [];
+    }
+}
+
+class KeystoreSecretBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Keystore path.
+     * @param {string|function(): string} [options.passphrase] - Defaults to env[passphraseEnv].
+     * @param {string} [options.passphraseEnv='DEEP_RESEARCH_PASSPHRASE']
+     */
+    constructor(options = {}) {
+        if (!options.file) {
+            throw new Error('The keystore secret backend needs a file');
+        }
+        this.name = 'keystore';
+        this.file = options.file;
+        this.passphraseEnv = options.passphraseEnv || 'DEEP_RESEARCH_PASSPHRASE';
+        this.passphrase = options.passphrase || (() => (options.env || process.env)[this.passphraseEnv]);
+        this.scryptParams = { ...SCRYPT_PARAMS, ...options.scrypt };
+        this.key = null;
+    }
+
+    read() {
+        if (!fs.existsSync(this.file)) {
+            return null;
+        }
+        const store = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        if (store.version !== KEYSTORE_VERSION || store.kdf !== 'scrypt') {
+            throw new Error(`Unsupported keystore format in ${this.file}`);
+        }
+        return store;
+    }
+
+    write(store) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, `${JSON.stringify(store, null, 2)}\n`, { mode: 0o600 });
+        fs.chmodSync(temporary, 0o600);
+        fs.renameSync(temporary, this.file);
+    }
+
+    deriveKey(store) {
+        if (!this.key) {
+            const passphrase = typeof this.passphrase === 'function' ? this.passphrase() : this.passphrase;
+            if (!passphrase) {
+                throw new Error(`Keystore ${this.file} is locked: set ${this.passphraseEnv}`);
+            }
+            const { N, r, p } = store.scrypt;
+            this.key = crypto.scryptSync(String(passphrase), Buffer.from(store.salt, 'base64'), 32, { N, r, p, maxmem: this.scryptParams.maxmem });
+        }
+        return this.key;
+    }
+
+    createStore() {
+        const { N, r, p } = this.scryptParams;
+        return {
+            version: KEYSTORE_VERSION,
+            kdf: 'scrypt',
+            scrypt: { N, r, p },
+            salt: crypto.randomBytes(16).toString('base64'),
+            // Encrypted known value so a wrong passphrase fails loudly instead of yielding garbage
+            check: null,
+            entries: {}
+        };
+    }
+
+    encrypt(key, plaintext) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+        return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+    }
+
+    decrypt(key, entry) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+        try {
+            return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error(`Cannot decrypt ${this.file}: wrong passphrase or corrupted keystore`);
+        }
+    }
+
+    unlock(store) {
+        const key = this.deriveKey(store);
+        if (store.check) {
+            try {
+                this.decrypt(key, store.check);
+            } catch (error) {
+                this.key = null;
+                throw error;
+            }
+        }
+        return key;
+    }
+
+    async get(name) {
+        const store = this.read();
+        if (!store || !store.entries[name]) {
+            return null;
+        }
+        return this.decrypt(this.unlock(store), store.entries[name]);
+    }
+
+    async set(name, value) {
+        checkName(name);
+        const store = this.read() || this.createStore();
+        const key = this.unlock(store);
+        if (!store.check) {
+            store.check = this.encrypt(key, 'deep-research');
+        }
+        store.entries[name] = this.encrypt(key, String(value));
+        this.write(store);
+    }
+
+    async delete(name) {
+        const store = this.read();
+        if (!store || !store.entries[name]) {
+            return false;
+        }
+        this.unlock(store);
+        delete store.entries[name];
+        this.write(store);
+        return true;
+    }
+
+    async list() {
+        const store = this.read();
+        return store ? Object.keys(store.entries).sort() : [];
+    }
+}
+
+// Promise wrapper around execFile that can feed stdin
+function runCommand(command, args, input) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(command, args, { timeout: 10000 }, (error, stdout, stderr) => {
+            if (error) {
+                error.stderr = stderr;
+                reject(error);
+            } else {
+                resolve(stdout);
+            }
+        });
+        if (input !== undefined) {
+            child.stdin.end(input);
+        }
+    });
+}
+
+class SecretServiceBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.command='secret-tool']
+     * @param {function(string, string[], string=): Promise<string>} [options.run] - Command runner, for tests.
+     */
+    constructor(options = {}) {
+        this.name = 'secret-service';
+        this.command = options.command || 'secret-tool';
+        this.run = options.run || runCommand;
+    }
+
+    attributes(name) {
+        return ['service', SERVICE_ATTRIBUTE, 'key', name];
+    }
+
+    async exec(args, input) {
+        try {
+            return await this.run(this.command, args, input);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`${this.command} not found; install libsecret-tools (Debian/Ubuntu) or libsecret (Fedora/Arch)`);
+            }
+            throw error;
+        }
+    }
+
+    async get(name) {
+        try {
+            const value = await this.exec(['lookup', ...this.attributes(name)]);
+            return value.replace(/\n$/, '') || null;
+        } catch (error) {
+            // secret-tool exits 1 with no output when nothing matches
+            if (error.code === 1 && !String(error.stderr || '').trim()) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async set(name, value) {
+        checkName(name);
+        await this.exec(['store', `--label=Deep Research: ${name}`, ...this.attributes(name)], String(value));
+    }
+
+    async delete(name) {
+        const existed = (await this.get(name)) !== null;
+        if (existed) {
+            await this.exec(['clear', ...this.attributes(name)]);
+        }
+        return existed;
+    }
+
+    async list() {
+        const output = await this.exec(['search', '--all', 'service', SERVICE_ATTRIBUTE]).catch(() => '');
+        return [...output.matchAll(/^attribute\.key = (.+)$/gm)].map(match => match[1]).sort();
+    }
+}
+
+function createSecretBackend(options = {}) {
+    const backend = options.backend || 'env';
+    if (backend === 'env') {
+        return new EnvSecretBackend(options);
+    }
+    if (backend === 'keystore') {
+        return new KeystoreSecretBackend(options);
+    }
+    if (backend === 'secret-service') {
+        return new SecretServiceBackend(options);
+    }
+    throw new Error(`Unknown secrets backend: ${backend}`);
+}
+
+class SecretStore {
+    /**
+     * @param {Object} [options] - The "secrets" config block: backend, file, passphraseEnv, command.
+     *   backendInstance replaces the configured backend.
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.backendInstance = options.backendInstance || null;
+        this.resolved = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Call fn with every value this store resolves, including those resolved
+     * already, so a logger can redact keys that never appear in the config.
+     *
+     * @param {function(string): void} fn
+     */
+    onResolve(fn) {
+        this.listeners.push(fn);
+        this.resolved.forEach(secret => fn(secret));
+    }
+
+    // Created on first use so an unused keystore or missing secret-tool costs nothing
+    get backend() {
+        if (!this.backendInstance) {
+            this.backendInstance = createSecretBackend(this.options);
+        }
+        return this.backendInstance;
+    }
+
+    /**
+     * Look up one "secret:<name>" reference; other values pass through unchanged.
+     *
+     * @param {*} value
+     * @returns {Promise<*>}
+     */
+    async resolve(value) {
+        if (!isSecretRef(value)) {
+            return value;
+        }
+        const name = secretName(value);
+        if (!this.resolved.has(name)) {
+            const secret = await this.backend.get(name);
+            if (secret === null || secret === undefined || secret === '') {
+                throw new Error(`Secret "${name}" not found in the ${this.backend.name} secret backend`);
+            }
+            this.resolved.set(name, secret);
+            this.listeners.forEach(fn => fn(secret));
+        }
+        return this.resolved.get(name);
+    }
+
+    /**
+     * Copy of a provider config block with every secret reference resolved,
+     * including references inside lists such as apiKeys.
+     *
+     * @param {Object} providerConfig
+     * @returns {Promise<Object>}
+     */
+    async resolveConfig(providerConfig) {
+        const entries = await Promise.all(Object.entries(providerConfig || {}).map(async ([key, value]) =>
+            [key, Array.isArray(value) ? await Promise.all(value.map(item => this.resolve(item))) : await this.resolve(value)]));
+        return Object.fromEntries(entries);
+    }
+
+    async set(name, value) {
+        await this.backend.set(name, value);
+        this.resolved.delete(name);
+    }
+
+    async delete(name) {
+        this.resolved.delete(name);
+        return this.backend.delete(name);
+    }
+
+    async list() {
+        return this.backend.list();
+    }
+}
+
+module.exports = {
+    SECRET_PREFIX,
+    SecretStore,
+    EnvSecretBackend,
+    KeystoreSecretBackend,
+    SecretServiceBackend,
+    createSecretBackend,
+    isSecretRef
+};
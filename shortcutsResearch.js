@@ -6,7 +6,7 @@
  * Simplified entry point with clipboard-to-clipboard workflow
  */
 
-const { IOSDeepResearcher, IOSLogger } = require('./iosResearch');
+const { IOSDeepResearcher, IOSLogger, IOSNotificationManager } = require('./iosResearch');
 
 async function shortcutsMain() {
     // Set iOS shortcuts mode
@@ -27,11 +27,13 @@ async function shortcutsMain() {
             console.log(`📊 Total Results: ${result.results.totalResults}`);
             console.log('📋 Results copied to clipboard');
             
-            // Return success code
+            // Return success code once the completion notification is out
+            await IOSNotificationManager.flush();
             process.exit(0);
         } else {
             console.log('❌ DEEP RESEARCH FAILED');
             console.log('Check your API keys and network connection');
+            await IOSNotificationManager.flush();
             process.exit(1);
         }
         
@@ -47,6 +49,8 @@ async function shortcutsMain() {
             console.log('💡 Tip: Configure your API keys in the .env file');
         }
         
+        // The workflow error notification is the one most worth waiting for
+        await IOSNotificationManager.flush();
         process.exit(1);
     }
 }
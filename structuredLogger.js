@@ -0,0 +1,279 @@
+/**
+ * Structured Logging
+ * Shared implementation behind Logger and IOSLogger. Every record goes to the
+ * log file as one JSON line (time, level, message plus fields such as
+ * provider, queryId, durationMs and status) and to the console as the familiar
+ * "[time] LEVEL: message" line. Records below the configured level are
+ * dropped, quiet mode keeps the console clean for commands whose stdout is
+ * data, credentials are redacted before anything is written, and the file is
+ * rotated by size and age with a bounded number of old files kept.
+ *
+ * Options (config.json "logging" block):
+ *   level        debug, info (default), warn or error
+ *   quiet        no console output; the file still gets every record
+ *   maxBytes     rotate once the file would grow past this (default 5 MB, 0 = never)
+ *   maxAgeHours  rotate once the oldest record is this old (default 24, 0 = never)
+ *   maxFiles     rotated files to keep: research.log.1 is the newest (default 7)
+ */
+
+const fs = require('fs');
+const { REDACTED, isSecretName } = require('./configSchema');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_OPTIONS = {
+    level: 'info',
+    quiet: false,
+    maxBytes: 5 * 1024 * 1024,
+    maxAgeHours: 24,
+    maxFiles: 7
+};
+
+// key=value, "key": "value" and key: value for credential-like names, as in URLs, JSON and headers
+const SECRET_ASSIGNMENT = /(?<![\w.-])(api[-_]?keys?|key|access[-_]?token|token|secret|password|x-api-key|x-subscription-token)(["']?\s*[:=]\s*["']?)([^\s"'&,;)}\]]+)/gi;
+const AUTH_SCHEME = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+// Shorter values would mask ordinary words
+const MIN_SECRET_LENGTH = 6;
+
+/**
+ * Mask credentials in free text: known secret values, credential-looking
+ * assignments and Authorization schemes.
+ *
+ * @param {string} text
+ * @param {string[]} [secrets] - Literal values to mask, longest first.
+ * @returns {string}
+ */
+function redactText(text, secrets = []) {
+    let redacted = String(text);
+    secrets.forEach(secret => {
+        redacted = redacted.split(secret).join(REDACTED);
+    });
+    return redacted
+        .replace(SECRET_ASSIGNMENT, (match, name, separator) => `${name}${separator}${REDACTED}`)
+        .replace(AUTH_SCHEME, (match, scheme) => `${scheme} ${REDACTED}`);
+}
+
+/**
+ * Deep copy with credential-named fields replaced and every string passed through redactText().
+ *
+ * @param {*} value
+ * @param {string[]} [secrets]
+ * @returns {*}
+ */
+function redactValue(value, secrets = []) {
+    if (typeof value === 'string') {
+        return redactText(value, secrets);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactValue(item, secrets));
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        Object.entries(value).forEach(([key, item]) => {
+            copy[key] = isSecretName(key) && item ? REDACTED : redactValue(item, secrets);
+        });
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Credential values written directly into a config (or filled in from the
+ * environment), so they can be masked even where no field name gives them away.
+ * "secret:<name>" and ${VAR} references are not secrets themselves.
+ *
+ * @param {Object} config
+ * @returns {string[]}
+ */
+function collectSecrets(config) {
+    const found = new Set();
+    const visit = (value, key) => {
+        if (Array.isArray(value)) {
+            value.forEach(item => visit(item, key));
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([childKey, child]) => visit(child, childKey));
+        } else if (typeof value === 'string' && key && isSecretName(key) && value.length >= MIN_SECRET_LENGTH &&
+            !value.startsWith('secret:') && !/^\$\{[^}]+\}$/.test(value)) {
+            found.add(value);
+        }
+    };
+    visit(config, null);
+    return [...found];
+}
+
+function consoleMethod(level) {
+    if (level === 'error') {
+        return 'error';
+    }
+    if (level === 'warn') {
+        return 'warn';
+    }
+    return level === 'debug' && console.debug ? 'debug' : 'log';
+}
+
+class StructuredLogger {
+    /**
+     * @param {Object} [options] - The "logging" config block, plus:
+     * @param {string} [options.file] - JSON Lines log file; without one only the console is used.
+     * @param {boolean} [options.includeStack=true] - Keep error stacks in file records.
+     * @param {string[]} [options.secrets] - Literal values to redact.
+     * @param {function(): number} [options.now]
+     */
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.includeStack = options.includeStack !== false;
+        this.now = options.now || (() => Date.now());
+        this.openedAt = null;
+        this.registeredSecrets = new Set();
+        this.configure(options);
+    }
+
+    /**
+     * Apply a "logging" config block. Settings it leaves out go back to their
+     * defaults, so each loaded config fully decides how logging behaves.
+     *
+     * @param {Object} [options]
+     */
+    configure(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS };
+        Object.keys(DEFAULT_OPTIONS).forEach(key => {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        });
+        if (!LOG_LEVELS.includes(this.options.level)) {
+            this.options.level = DEFAULT_OPTIONS.level;
+        }
+        if (options.file) {
+            this.file = options.file;
+        }
+        this.configSecrets = options.secrets || [];
+        this.updateSecrets();
+    }
+
+    /**
+     * Redact more values from now on, such as keys resolved from a secret
+     * backend after the config was loaded. They outlive later configure() calls.
+     *
+     * @param {string[]} secrets
+     */
+    addSecrets(secrets) {
+        secrets.forEach(secret => this.registeredSecrets.add(secret));
+        this.updateSecrets();
+    }
+
+    updateSecrets() {
+        this.secrets = [...new Set([...this.configSecrets, ...this.registeredSecrets])]
+            .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+            .sort((a, b) => b.length - a.length);
+    }
+
+    enabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.options.level);
+    }
+
+    /**
+     * @param {string} level - debug, info, warn or error.
+     * @param {string} message
+     * @param {Error} [error]
+     * @param {Object} [fields] - Extra record fields, e.g. { provider, queryId, durationMs, status }.
+     */
+    log(level, message, error = null, fields = {}) {
+        if (!this.enabled(level)) {
+            return;
+        }
+        const time = new Date(this.now()).toISOString();
+        const text = redactText(message, this.secrets);
+        if (!this.options.quiet) {
+            console[consoleMethod(level)](`[${time}] ${level.toUpperCase()}: ${text}`);
+        }
+        if (!this.file) {
+            return;
+        }
+
+        const record = { time, level, message: text };
+        Object.entries(redactValue(fields || {}, this.secrets)).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                record[key] = value;
+            }
+        });
+        if (error) {
+            record.error = redactValue({ message: error.message, code: error.code, stack: this.includeStack ? error.stack : undefined }, this.secrets);
+        }
+        const line = `${JSON.stringify(record)}\n`;
+        try {
+            this.rotateIfNeeded(Buffer.byteLength(line));
+            fs.appendFileSync(this.file, line);
+        } catch (e) {
+            if (!this.options.quiet) {
+                console.error('Failed to write to log file:', e.message);
+            }
+        }
+    }
+
+    // When the current file was started: its first record's time (JSON or the older text lines)
+    startedAt(stat) {
+        try {
+            const descriptor = fs.openSync(this.file, 'r');
+            const buffer = Buffer.alloc(256);
+            const bytes = fs.readSync(descriptor, buffer, 0, buffer.length, 0);
+            fs.closeSync(descriptor);
+            const head = buffer.toString('utf8', 0, bytes);
+            const match = /^\{"time":"([^"]+)"/.exec(head) || /^\[([^\]]+)\]/.exec(head);
+            const parsed = match ? Date.parse(match[1]) : NaN;
+            return Number.isNaN(parsed) ? stat.mtimeMs : parsed;
+        } catch (error) {
+            return stat.mtimeMs;
+        }
+    }
+
+    rotateIfNeeded(incomingBytes) {
+        let stat;
+        try {
+            stat = fs.statSync(this.file);
+        } catch (error) {
+            this.openedAt = this.now();
+            return;
+        }
+        if (stat.size === 0) {
+            return;
+        }
+        if (this.openedAt === null) {
+            this.openedAt = this.startedAt(stat);
+        }
+        const { maxBytes, maxAgeHours } = this.options;
+        const tooBig = maxBytes > 0 && stat.size + incomingBytes > maxBytes;
+        const tooOld = maxAgeHours > 0 && this.now() - this.openedAt >= maxAgeHours * 60 * 60 * 1000;
+        if (tooBig || tooOld) {
+            this.rotate();
+        }
+    }
+
+    // research.log -> research.log.1 -> research.log.2 ...; files beyond maxFiles are deleted
+    rotate() {
+        const { maxFiles } = this.options;
+        const rotated = index => `${this.file}.${index}`;
+        if (fs.existsSync(rotated(maxFiles || 1))) {
+            fs.unlinkSync(rotated(maxFiles || 1));
+        }
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            if (fs.existsSync(rotated(index))) {
+                fs.renameSync(rotated(index), rotated(index + 1));
+            }
+        }
+        if (maxFiles > 0) {
+            fs.renameSync(this.file, rotated(1));
+        } else {
+            fs.unlinkSync(this.file);
+        }
+        this.openedAt = this.now();
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    StructuredLogger,
+    redactText,
+    redactValue,
+    collectSecrets
+};
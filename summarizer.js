@@ -0,0 +1,313 @@
+/**
+ * Extractive Summarizer
+ * Picks the most informative sentences from result text: per-article bullet
+ * summaries plus a cross-source digest for the whole query. Scoring follows
+ * ENHANCED-FEATURES.md (position, keyword presence, 50-200 character length
+ * preference, 3-5 bullets) and is fully deterministic. Like resultSchema.js
+ * this file has no dependencies so Scriptable can load it with importModule.
+ */
+
+const DEFAULT_OPTIONS = {
+    minBullets: 3,
+    maxBullets: 5,
+    digestBullets: 5,
+    maxPerSource: 2,
+    duplicateThreshold: 0.6
+};
+
+const IMPORTANT_KEYWORDS = [
+    'important', 'significant', 'significantly', 'breakthrough', 'key', 'major', 'critical',
+    'first', 'new', 'announced', 'discovered', 'found', 'shows', 'revealed', 'according',
+    'study', 'research', 'results', 'percent', 'million', 'billion', 'increase', 'decrease',
+    'because', 'however', 'conclusion', 'overall'
+];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do',
+    'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into',
+    'is', 'it', 'its', 'may', 'more', 'most', 'not', 'of', 'on', 'or', 'our', 'said', 'she', 'so',
+    'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to',
+    'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Abbreviations that end in a period without ending the sentence
+const ABBREVIATIONS = ['mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'inc', 'ltd', 'co', 'corp', 'no', 'fig', 'e.g', 'i.e', 'u.s', 'u.k', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'];
+
+function words(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+        .map(word => word.replace(/'s$/, ''));
+}
+
+function contentWords(text) {
+    return words(text).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Split text into sentences, keeping abbreviations and decimals intact.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+    const normalized = String(text || '')
+        // NewsAPI truncates content with "[+1234 chars]"
+        .replace(/\[\+\d+ chars\]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!normalized) {
+        return [];
+    }
+
+    const sentences = [];
+    let start = 0;
+    const boundary = /[.!?]+["'”’)\]]*\s+(?=["'“‘(\[]?[A-Z0-9])/g;
+    let match;
+    while ((match = boundary.exec(normalized))) {
+        const candidate = normalized.slice(start, match.index + match[0].length).trim();
+        const lastWord = (candidate.match(/([A-Za-z.]+)[.!?]+["'”’)\]]*$/) || [])[1] || '';
+        const isAbbreviation = ABBREVIATIONS.includes(lastWord.toLowerCase().replace(/\.$/, '')) ||
+            /^[A-Z]$/.test(lastWord);
+        if (!isAbbreviation) {
+            sentences.push(candidate);
+            start = match.index + match[0].length;
+        }
+    }
+    const rest = normalized.slice(start).trim();
+    if (rest) {
+        sentences.push(rest);
+    }
+    return sentences.filter(sentence => words(sentence).length >= 3);
+}
+
+function similarity(a, b) {
+    const setA = new Set(contentWords(a));
+    const setB = new Set(contentWords(b));
+    if (setA.size === 0 || setB.size === 0) {
+        return 0;
+    }
+    let shared = 0;
+    setA.forEach(word => {
+        if (setB.has(word)) {
+            shared++;
+        }
+    });
+    return shared / (setA.size + setB.size - shared);
+}
+
+function termFrequencies(sentences) {
+    const frequencies = new Map();
+    sentences.forEach(sentence => {
+        new Set(contentWords(sentence)).forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    });
+    return frequencies;
+}
+
+/**
+ * Score one sentence. Higher is better.
+ *
+ * @param {string} sentence
+ * @param {number} index - Position within its document.
+ * @param {number} total - Number of sentences in the document.
+ * @param {{queryTerms?: string[], frequencies?: Map<string, number>}} [context]
+ * @returns {number}
+ */
+function scoreSentence(sentence, index, total, context = {}) {
+    let score = 0;
+
+    // Position: introductions and conclusions carry the point of an article
+    if (index === 0) {
+        score += 2;
+    } else if (index === 1) {
+        score += 1;
+    } else if (index === total - 1 && total > 2) {
+        score += 1;
+    }
+
+    const sentenceWords = words(sentence);
+    const keywordHits = IMPORTANT_KEYWORDS.filter(keyword => sentenceWords.includes(keyword)).length;
+    score += Math.min(keywordHits, 3) * 0.75;
+    if (/\d/.test(sentence)) {
+        score += 0.5;
+    }
+
+    const length = sentence.length;
+    if (length >= 50 && length <= 200) {
+        score += 1.5;
+    } else if (length < 30 || length > 300) {
+        score -= 1.5;
+    }
+
+    const queryTerms = context.queryTerms || [];
+    if (queryTerms.length > 0) {
+        const matched = queryTerms.filter(term => sentenceWords.includes(term)).length;
+        score += (matched / queryTerms.length) * 2;
+    }
+
+    // Centrality: sentences built from frequently repeated terms
+    if (context.frequencies) {
+        const terms = contentWords(sentence);
+        if (terms.length > 0) {
+            const weight = terms.reduce((sum, term) => sum + (context.frequencies.get(term) || 0) - 1, 0);
+            score += Math.min(weight / terms.length, 2);
+        }
+    }
+
+    return Math.round(score * 1000) / 1000;
+}
+
+function bulletCount(sentenceCount, options) {
+    const target = Math.round(sentenceCount / 3);
+    return Math.min(sentenceCount, Math.max(options.minBullets, Math.min(options.maxBullets, target)));
+}
+
+/**
+ * Summarize a block of text into bullet sentences, in original order.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.query] - Query whose terms boost matching sentences.
+ * @param {number} [options.minBullets=3]
+ * @param {number} [options.maxBullets=5]
+ * @returns {string[]}
+ */
+function summarizeText(text, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const sentences = splitSentences(text);
+    if (sentences.length === 0) {
+        return [];
+    }
+
+    const context = { queryTerms: contentWords(settings.query), frequencies: termFrequencies(sentences) };
+    const ranked = sentences
+        .map((sentence, index) => ({ sentence, index, score: scoreSentence(sentence, index, sentences.length, context) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const chosen = [];
+    for (const candidate of ranked) {
+        if (chosen.length >= bulletCount(sentences.length, settings)) {
+            break;
+        }
+        if (!chosen.some(existing => similarity(existing.sentence, candidate.sentence) >= settings.duplicateThreshold)) {
+            chosen.push(candidate);
+        }
+    }
+    return chosen.sort((a, b) => a.index - b.index).map(candidate => candidate.sentence);
+}
+
+function textForResult(result) {
+    const content = result.content || '';
+    const snippet = result.snippet || '';
+    if (!content) {
+        return snippet;
+    }
+    // Snippets are often the article's lede; keep it when the body does not repeat it
+    return snippet && !content.includes(snippet.slice(0, 40)) ? `${snippet} ${content}` : content;
+}
+
+/**
+ * Bullet summary for one result.
+ *
+ * @param {Object} result - A ResearchResult (or merged result).
+ * @param {Object} [options] - See summarizeText.
+ * @returns {{title: string, url: string, bullets: string[]}}
+ */
+function summarizeResult(result, options = {}) {
+    return {
+        title: result.title,
+        url: result.url,
+        bullets: summarizeText(textForResult(result), options)
+    };
+}
+
+/**
+ * Cross-source digest: the strongest sentences across all results, with
+ * near-duplicates collapsed into one bullet that lists every source saying it.
+ *
+ * @param {Array<Object>} results - ResearchResults, best first.
+ * @param {Object} [options]
+ * @param {string} [options.query]
+ * @param {number} [options.digestBullets=5]
+ * @param {number} [options.maxPerSource=2] - Cap on bullets taken from one article.
+ * @returns {Array<{text: string, sources: number[]}>} sources are 1-based indexes into results.
+ */
+function buildDigest(results, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const documents = results.map(result => splitSentences(textForResult(result)));
+    const frequencies = new Map();
+    // Document frequency: a term mentioned by several sources is central to the query
+    documents.forEach(sentences => {
+        new Set(sentences.flatMap(contentWords)).forEach(word => frequencies.set(word, (frequencies.get(word) || 0) + 1));
+    });
+    const queryTerms = contentWords(settings.query);
+
+    const candidates = [];
+    documents.forEach((sentences, sourceIndex) => {
+        sentences.forEach((sentence, index) => {
+            const score = scoreSentence(sentence, index, sentences.length, { queryTerms, frequencies }) -
+                sourceIndex * 0.1;
+            candidates.push({ sentence, sourceIndex, index, score });
+        });
+    });
+    candidates.sort((a, b) => b.score - a.score || a.sourceIndex - b.sourceIndex || a.index - b.index);
+
+    const digest = [];
+    const perSource = new Map();
+    for (const candidate of candidates) {
+        const duplicate = digest.find(bullet => similarity(bullet.text, candidate.sentence) >= settings.duplicateThreshold);
+        if (duplicate) {
+            if (!duplicate.sources.includes(candidate.sourceIndex + 1)) {
+                duplicate.sources.push(candidate.sourceIndex + 1);
+            }
+            continue;
+        }
+        if (digest.length >= settings.digestBullets || (perSource.get(candidate.sourceIndex) || 0) >= settings.maxPerSource) {
+            continue;
+        }
+        digest.push({ text: candidate.sentence, sources: [candidate.sourceIndex + 1] });
+        perSource.set(candidate.sourceIndex, (perSource.get(candidate.sourceIndex) || 0) + 1);
+    }
+    digest.forEach(bullet => bullet.sources.sort((a, b) => a - b));
+    return digest;
+}
+
+/**
+ * Summaries for a whole research run.
+ *
+ * @param {Array<Object>} results - Usually results.merged.
+ * @param {Object} [options] - query, bullet limits and maxArticles (default 10).
+ * @returns {{query: string, articles: Array<{title: string, url: string, bullets: string[]}>, digest: Array<{text: string, sources: number[]}>}}
+ */
+function summarizeResearch(results, options = {}) {
+    const articles = (results || []).slice(0, options.maxArticles || 10);
+    return {
+        query: options.query || '',
+        articles: articles.map(result => summarizeResult(result, options)),
+        digest: buildDigest(articles, options)
+    };
+}
+
+// Plain-text rendering shared by the clipboard summaries
+function formatSummary(summary, options = {}) {
+    const bullet = options.bullet || '•';
+    let text = '';
+    if (summary.digest.length > 0) {
+        text += 'Key points:\n';
+        summary.digest.forEach(point => {
+            text += `${bullet} ${point.text} [${point.sources.join(', ')}]\n`;
+        });
+    }
+    return text;
+}
+
+module.exports = {
+    IMPORTANT_KEYWORDS,
+    STOP_WORDS,
+    contentWords,
+    splitSentences,
+    scoreSentence,
+    summarizeText,
+    summarizeResult,
+    buildDigest,
+    summarizeResearch,
+    formatSummary
+};
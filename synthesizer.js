@@ -0,0 +1,285 @@
+/**
+ * Research Brief Synthesizer
+ * Optional stage after comprehensiveSearch(): the merged results (with
+ * extracted article text where available) are numbered and sent to an
+ * OpenAI-compatible chat endpoint, and the reply is parsed into a brief whose
+ * [n] citations map back to result URLs. Any server speaking the
+ * /chat/completions protocol works, including llama.cpp and Ollama.
+ *
+ * Backend interface:
+ *   name                         label stored on the brief
+ *   model                        model identifier, or null
+ *   complete(messages, options)  resolves to the assistant's reply text
+ */
+
+const axios = require('axios');
+
+const DEFAULT_OPTIONS = {
+    enabled: false,
+    backend: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    apiKey: '',
+    timeout: 60000,
+    temperature: 0.2,
+    maxTokens: 800,
+    maxSources: 8,
+    maxCharsPerSource: 1500
+};
+
+const SYSTEM_PROMPT = [
+    'You are a research assistant writing a short, neutral research brief.',
+    'Use only the numbered sources provided. Cite every claim with the source numbers in square brackets, e.g. [1] or [2, 3].',
+    'Never invent sources or cite numbers that were not provided.',
+    'Respond in exactly this format:',
+    'SUMMARY: <two to four sentences answering the query, with citations>',
+    'FINDINGS:',
+    '- <one finding per line, with citations>'
+].join('\n');
+
+class OpenAICompatibleBackend {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.baseUrl = (options.baseUrl || DEFAULT_OPTIONS.baseUrl).replace(/\/+$/, '');
+        this.model = options.model || DEFAULT_OPTIONS.model;
+        this.apiKey = options.apiKey || '';
+        this.timeout = options.timeout || DEFAULT_OPTIONS.timeout;
+        this.temperature = options.temperature ?? DEFAULT_OPTIONS.temperature;
+        this.maxTokens = options.maxTokens || DEFAULT_OPTIONS.maxTokens;
+        this.headers = options.headers || {};
+        this.http = options.http || axios;
+    }
+
+    async complete(messages, options = {}) {
+        const response = await this.http({
+            method: 'POST',
+            url: `${this.baseUrl}/chat/completions`,
+            timeout: this.timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+                ...this.headers
+            },
+            data: {
+                model: this.model,
+                messages,
+                temperature: options.temperature ?? this.temperature,
+                max_tokens: options.maxTokens || this.maxTokens,
+                stream: false
+            }
+        });
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string' || content.trim() === '') {
+            throw new Error('Chat completion returned no content');
+        }
+        return content;
+    }
+}
+
+// Deterministic offline backend for tests and dry runs
+class StubBackend {
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.model = null;
+        this.reply = options.reply || null;
+        this.calls = [];
+    }
+
+    async complete(messages, options = {}) {
+        this.calls.push({ messages, options });
+        if (typeof this.reply === 'function') {
+            return this.reply(messages, options);
+        }
+        if (typeof this.reply === 'string') {
+            return this.reply;
+        }
+
+        // Echo one finding per numbered source from the prompt
+        const prompt = messages[messages.length - 1].content;
+        const sources = [...prompt.matchAll(/^\[(\d+)\] (.+)$/gm)].map(match => ({ id: match[1], title: match[2] }));
+        const query = (prompt.match(/^Query: (.+)$/m) || [])[1] || '';
+        if (sources.length === 0) {
+            return `SUMMARY: No sources were available for "${query}".\nFINDINGS:`;
+        }
+        return [
+            `SUMMARY: ${sources.length} sources were found for "${query}" [${sources.map(source => source.id).join(', ')}].`,
+            'FINDINGS:',
+            ...sources.map(source => `- ${source.title} [${source.id}]`)
+        ].join('\n');
+    }
+}
+
+function createBackend(options = {}) {
+    if (options.backend === 'stub') {
+        return new StubBackend(options);
+    }
+    if (!options.backend || options.backend === 'openai') {
+        return new OpenAICompatibleBackend(options);
+    }
+    throw new Error(`Unknown synthesis backend: ${options.backend}`);
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength).trim()}…` : text;
+}
+
+/**
+ * Build the chat messages for a query and its numbered sources.
+ *
+ * @param {string} query
+ * @param {Array<Object>} sources - ResearchResults; source [n] is sources[n - 1].
+ * @param {{maxCharsPerSource?: number}} [options]
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildMessages(query, sources, options = {}) {
+    const maxChars = options.maxCharsPerSource || DEFAULT_OPTIONS.maxCharsPerSource;
+    const blocks = sources.map((result, index) => {
+        const body = truncate((result.content || result.snippet || '').replace(/\s+/g, ' ').trim(), maxChars);
+        const meta = [result.publisher, result.publishedAt ? result.publishedAt.slice(0, 10) : null].filter(Boolean).join(', ');
+        return `[${index + 1}] ${result.title}\nURL: ${result.url}${meta ? `\nPublished: ${meta}` : ''}\n${body || '(no text available)'}`;
+    });
+
+    return [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: `Query: ${query}\n\nSources:\n\n${blocks.join('\n\n')}` }
+    ];
+}
+
+function citationsIn(text) {
+    const ids = [];
+    for (const match of text.matchAll(/\[(\d+(?:\s*[,;–-]\s*\d+)*)\]/g)) {
+        match[1].split(/\s*[,;]\s*/).forEach(part => {
+            const range = part.split(/\s*[–-]\s*/).map(number => parseInt(number, 10));
+            const [from, to] = range.length === 2 && range[1] >= range[0] && range[1] - range[0] < 20 ? range : [range[0], range[0]];
+            for (let id = from; id <= to; id++) {
+                if (!ids.includes(id)) {
+                    ids.push(id);
+                }
+            }
+        });
+    }
+    return ids;
+}
+
+/**
+ * Parse a model reply into a structured brief.
+ *
+ * @param {string} text - Reply in the SUMMARY/FINDINGS format (free text is tolerated).
+ * @param {Array<Object>} sources - The numbered sources that were sent.
+ * @returns {{summary: string, findings: Array<{text: string, citations: number[]}>, citations: Array<Object>, unresolvedCitations: number[]}}
+ */
+function parseBrief(text, sources) {
+    const reply = String(text || '').replace(/\r/g, '').trim();
+    const summaryMatch = reply.match(/SUMMARY:\s*([\s\S]*?)(?=\n\s*FINDINGS:|$)/i);
+    const findingsMatch = reply.match(/FINDINGS:\s*([\s\S]*)$/i);
+
+    const summary = (summaryMatch ? summaryMatch[1] : findingsMatch ? '' : reply).replace(/\s+/g, ' ').trim();
+    const findings = (findingsMatch ? findingsMatch[1].split('\n') : [])
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+        .filter(line => line.length > 0)
+        .map(line => ({ text: line, citations: citationsIn(line) }));
+
+    const cited = citationsIn(`${summary}\n${findings.map(finding => finding.text).join('\n')}`).sort((a, b) => a - b);
+    const citations = cited
+        .filter(id => id >= 1 && id <= sources.length)
+        .map(id => ({
+            id,
+            title: sources[id - 1].title,
+            url: sources[id - 1].url,
+            providers: sources[id - 1].providers || [sources[id - 1].provider].filter(Boolean)
+        }));
+
+    return {
+        summary,
+        findings,
+        citations,
+        unresolvedCitations: cited.filter(id => id < 1 || id > sources.length)
+    };
+}
+
+class Synthesizer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.backend = options.backendInstance || createBackend(this.options);
+        this.logger = options.logger || null;
+        this.secrets = options.secrets || null;
+    }
+
+    static fromConfig(config = {}, logger = null, overrides = {}) {
+        return new Synthesizer({
+            apiKey: process.env.SYNTHESIS_API_KEY || '',
+            ...overrides,
+            ...config,
+            logger,
+            secrets: overrides.secrets
+        });
+    }
+
+    get enabled() {
+        return this.options.enabled === true;
+    }
+
+    /**
+     * Write a cited brief for the query from ranked results.
+     *
+     * @param {string} query
+     * @param {Array<Object>} results - Ranked results, usually results.merged.
+     * @returns {Promise<Object>} Brief with query, summary, findings, citations, backend and model.
+     */
+    async synthesize(query, results) {
+        const sources = (results || []).filter(result => result && result.url).slice(0, this.options.maxSources);
+        if (sources.length === 0) {
+            throw new Error('No results to synthesize');
+        }
+
+        // A "secret:<name>" apiKey is looked up on first use
+        if (this.secrets && this.backend.apiKey) {
+            this.backend.apiKey = await this.secrets.resolve(this.backend.apiKey);
+        }
+
+        const started = Date.now();
+        const reply = await this.backend.complete(buildMessages(query, sources, this.options));
+        const brief = parseBrief(reply, sources);
+        if (this.logger) {
+            this.logger.info(`Synthesized brief from ${sources.length} sources in ${Date.now() - started}ms (${brief.citations.length} cited)`);
+            if (brief.unresolvedCitations.length > 0) {
+                this.logger.warn(`Brief cites unknown sources: ${brief.unresolvedCitations.join(', ')}`);
+            }
+        }
+
+        return {
+            query,
+            ...brief,
+            sourceCount: sources.length,
+            backend: this.backend.name,
+            model: this.backend.model,
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
+
+// Plain-text rendering for clipboard summaries
+function formatBrief(brief) {
+    let text = `${brief.summary}\n`;
+    brief.findings.forEach(finding => {
+        text += `• ${finding.text}\n`;
+    });
+    if (brief.citations.length > 0) {
+        text += 'Sources:\n';
+        brief.citations.forEach(citation => {
+            text += `[${citation.id}] ${citation.title} - ${citation.url}\n`;
+        });
+    }
+    return text;
+}
+
+module.exports = {
+    Synthesizer,
+    OpenAICompatibleBackend,
+    StubBackend,
+    createBackend,
+    buildMessages,
+    parseBrief,
+    formatBrief
+};
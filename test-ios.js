@@ -249,7 +249,7 @@ class IOSTestRunner {
                         results: [{
                             title: 'Test Result',
                             url: 'https://example.com',
-                            description: 'Test description'
+                            snippet: 'Test description'
                         }]
                     }
                 },
@@ -1,6 +1,35 @@
 #!/usr/bin/env node
 
-const { DeepResearcher, Logger, ConfigManager, RetryUtility } = require('./deepResearch');
+const { DeepResearcher, Logger, ConfigManager, NotificationManager, RetryUtility } = require('./deepResearch');
+const { ProviderRegistry, createJsonProvider, selectProviders, executeProvider } = require('./providerRegistry');
+const { canonicalizeUrl, mergeResults } = require('./resultMerger');
+const { validateResult, RESULT_FIELDS } = require('./resultSchema');
+const { ResponseCache } = require('./responseCache');
+const { QuotaTracker, parseRetryAfter } = require('./quotaTracker');
+const { ContentExtractor, extractArticle, parseRobots, isPathAllowed } = require('./contentExtractor');
+const { splitSentences, summarizeText, summarizeResearch } = require('./summarizer');
+const { Synthesizer, OpenAICompatibleBackend, parseBrief } = require('./synthesizer');
+const { ResearchLoop, extractKeyTerms } = require('./researchLoop');
+const { parseArgs, buildSearchOptions, exitCodeForResults, runCli, EXIT_CODES } = require('./cli');
+const { formatResults } = require('./formatters');
+const { validateConfig, maskSecrets } = require('./configSchema');
+const { loadLayeredConfig, explainConfig, parseOverrides } = require('./configLoader');
+const { SecretStore, KeystoreSecretBackend, SecretServiceBackend, EnvSecretBackend } = require('./secretStore');
+const { KeyPool } = require('./keyPool');
+const { HistoryStore } = require('./historyStore');
+const { WatchManager, isQuietTime, cronLine, systemdUnits } = require('./watchManager');
+const { createApiServer, listen } = require('./apiServer');
+const { createHttpClient, REDACTED } = require('./httpRecorder');
+const { startMockApiServer } = require('./mockApiServer');
+const { StructuredLogger } = require('./structuredLogger');
+const { classifyError, backoffDelay, withRetry, CircuitBreaker } = require('./resilience');
+const { NotificationDispatcher, severityOf, renderTemplate } = require('./notificationChannels');
+const { startNotificationReceiver } = require('./notificationReceiver');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
 
 // Simple test runner
 class TestRunner {
@@ -33,7 +62,7 @@ class TestRunner {
         console.log(`   Total: ${this.passed + this.failed}`);
         
         if (this.failed > 0) {
-            console.log(`\n❌ Some tests failed. Check your API configuration.`);
+            console.log(`\n❌ Some tests failed. See the errors above.`);
             process.exit(1);
         } else {
             console.log(`\n✅ All tests passed!`);
@@ -43,6 +72,25 @@ class TestRunner {
 
 async function runTests() {
     const runner = new TestRunner();
+    // Every built-in provider talks to a local mock, so the suite needs neither network access nor keys
+    const mockApis = await startMockApiServer();
+    const mockEnv = Object.entries(mockApis.config()).map(([block, settings]) => {
+        const name = `DEEP_RESEARCH__${block}__baseUrl`;
+        process.env[name] = settings.baseUrl;
+        return name;
+    });
+    // Circuits, history, quota counts and cached responses from the tests must not follow the user into real runs
+    const stateDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-state-'));
+    Object.entries({
+        DEEP_RESEARCH__resilience__file: 'circuit-state.json',
+        DEEP_RESEARCH__history__file: 'research-history.jsonl',
+        DEEP_RESEARCH__quota__file: 'quota-usage.json',
+        DEEP_RESEARCH__keys__file: 'key-health.json',
+        DEEP_RESEARCH__cache__directory: 'research-cache'
+    }).forEach(([name, file]) => {
+        process.env[name] = path.join(stateDirectory, file);
+        mockEnv.push(name);
+    });
     const researcher = new DeepResearcher();
 
     // Test 1: Configuration loading
@@ -205,15 +253,2164 @@ async function runTests() {
             ]
         };
         const normalized = researcher.processNewsdataResponse(mockData);
-        if (normalized[0].creator !== 'A, B') {
+        if (normalized[0].authors.join('|') !== 'A|B') {
             throw new Error('Creator array not normalized');
         }
-        if (normalized[0].category !== 'tech, ai') {
+        if (normalized[0].categories.join('|') !== 'tech|ai') {
             throw new Error('Category array not normalized');
         }
         if (normalized[0].country !== 'us, gb') {
             throw new Error('Country array not normalized');
         }
+        if (normalized[0].publishedAt !== '2024-01-01T00:00:00.000Z' || normalized[0].publisher !== 'source') {
+            throw new Error('Publish date or publisher not normalized');
+        }
+    });
+
+    // Test 8a: Unified result schema across providers
+    await runner.test('Unified Result Schema', async () => {
+        const samples = [
+            ...researcher.processBraveSearchResponse({ web: { results: [{ title: 'B', url: 'https://b.com', description: 'd' }] } }),
+            ...researcher.processNewsAPIResponse({ articles: [{ title: 'N', url: 'https://n.com', author: 'X, Y', source: { name: 'Wire' }, publishedAt: '2024-02-03T04:05:06Z' }] }),
+            ...researcher.processNewsdataResponse({ results: [{ title: 'D', link: 'https://d.com', pubDate: '2024-02-03 04:05:06' }] }),
+            ...researcher.processGoogleSearchResponse({ items: [{ title: 'G', link: 'https://g.com', snippet: 's' }] })
+        ];
+        samples.forEach(result => {
+            const { valid, errors } = validateResult(result);
+            if (!valid) {
+                throw new Error(`${result.provider} result invalid: ${errors.join(', ')}`);
+            }
+            if (Object.keys(result).sort().join() !== [...RESULT_FIELDS].sort().join()) {
+                throw new Error(`${result.provider} result has non-schema fields`);
+            }
+        });
+        if (samples[1].authors.length !== 2 || samples[2].publishedAt !== '2024-02-03T04:05:06.000Z') {
+            throw new Error('Authors or dates not normalized');
+        }
+        if (validateResult({ title: 'x' }).valid) {
+            throw new Error('Validator should reject incomplete results');
+        }
+    });
+
+    // Test 8b: GoogleSearch function (without credentials - should fail gracefully)
+    await runner.test('GoogleSearch Error Handling', async () => {
+        const googleResearcher = new DeepResearcher();
+        googleResearcher.config.googleSearch = { apiKey: 'test-key', searchEngineId: '' };
+        const result = await googleResearcher.googleSearch('test query');
+        if (result.success !== false || result.source !== 'googleSearch') {
+            throw new Error('googleSearch should fail when the search engine ID is missing');
+        }
+        if (!result.error.includes('engine ID not configured')) {
+            throw new Error('Expected search engine ID error message not found');
+        }
+    });
+
+    // Test 8c: Google response normalization
+    await runner.test('Google Response Normalization', async () => {
+        const normalized = researcher.processGoogleSearchResponse({
+            items: [{
+                title: 'Google Result',
+                link: 'https://example.com/g',
+                snippet: 'snippet',
+                displayLink: 'example.com',
+                pagemap: { metatags: [{ 'article:published_time': '2024-01-01T00:00:00Z' }] }
+            }]
+        });
+        if (normalized.length !== 1 || normalized[0].url !== 'https://example.com/g') {
+            throw new Error('Google items not mapped to results');
+        }
+        if (normalized[0].snippet !== 'snippet' || normalized[0].publishedAt !== '2024-01-01T00:00:00.000Z') {
+            throw new Error('Google snippet or publish date not normalized');
+        }
+    });
+
+    // Test 8d: Provider registry selection and custom providers
+    await runner.test('Provider Registry', async () => {
+        const registry = ProviderRegistry.createDefault({});
+        const expected = ['braveSearch', 'newsAPI', 'newsdataFallback', 'googleSearch'];
+        if (expected.some(name => !registry.has(name))) {
+            throw new Error('Built-in providers should be registered by default');
+        }
+
+        const config = { googleSearch: { apiKey: '', searchEngineId: '' } };
+        const selected = selectProviders(registry, config, { includeNews: false }).map(p => p.name);
+        if (selected.join(',') !== 'braveSearch,newsdataFallback') {
+            throw new Error(`Unexpected provider selection: ${selected.join(',')}`);
+        }
+
+        registry.register(createJsonProvider({
+            name: 'hackerNews',
+            baseUrl: 'https://hn.algolia.com/api/v1/search',
+            queryParam: 'query',
+            resultsPath: 'hits',
+            fields: { title: 'title', url: 'url', snippet: 'story_text' }
+        }));
+        const parsed = registry.get('hackerNews').parseResponse({
+            hits: [{ title: 'HN Story', url: 'https://news.example.com', story_text: 'text' }]
+        });
+        if (parsed.results[0].title !== 'HN Story' || parsed.results[0].snippet !== 'text') {
+            throw new Error('Declarative provider did not map fields');
+        }
+    });
+
+    // Test 8e: Registered providers are used by comprehensiveSearch
+    await runner.test('Custom Provider In Comprehensive Search', async () => {
+        const registry = new ProviderRegistry([{
+            name: 'offlineSource',
+            label: 'Offline Source',
+            validateConfig() { throw new Error('Offline Source API key not configured'); },
+            buildRequest() { throw new Error('should not build a request'); },
+            parseResponse() { return { results: [] }; }
+        }]);
+        const customResearcher = new DeepResearcher({ registry });
+        const result = await customResearcher.comprehensiveSearch('test query');
+        if (result.errors.length !== 1 || result.errors[0].api !== 'offlineSource') {
+            throw new Error('Custom provider should run as part of comprehensiveSearch');
+        }
+    });
+
+    // Test 8f: URL canonicalization
+    await runner.test('URL Canonicalization', async () => {
+        const variants = [
+            'https://www.example.com/news/story/?utm_source=x&utm_medium=y#comments',
+            'http://example.com/news/story',
+            'https://amp.example.com/news/story/amp/',
+            'https://example-com.cdn.ampproject.org/c/s/example.com/news/story?fbclid=abc'
+        ];
+        const canonical = variants.map(canonicalizeUrl);
+        if (new Set(canonical).size !== 1 || canonical[0] !== 'example.com/news/story') {
+            throw new Error(`URL variants not canonicalized: ${canonical.join(' | ')}`);
+        }
+        if (canonicalizeUrl('https://example.com/a?id=2') === canonicalizeUrl('https://example.com/a?id=3')) {
+            throw new Error('Meaningful query parameters must be preserved');
+        }
+    });
+
+    // Test 8g: Cross-provider merge with reciprocal rank fusion
+    await runner.test('Cross-Provider Result Merge', async () => {
+        const merged = mergeResults({
+            newsAPI: { results: [
+                { title: 'Rust 2.0 released with new borrow checker - The Verge', url: 'https://www.theverge.com/rust?utm_source=newsapi', snippet: 'd1' },
+                { title: 'Unrelated story', url: 'https://other.com/a', snippet: 'd2' }
+            ] },
+            newsdataFallback: { results: [
+                { title: 'Rust 2.0 Released With New Borrow Checker', url: 'https://syndicated.example.com/rust-2', snippet: 'd3' }
+            ] },
+            braveSearch: { results: [
+                { title: 'Rust 2.0 is out', url: 'https://theverge.com/rust', snippet: 'd4' }
+            ] }
+        });
+        if (merged.length !== 2) {
+            throw new Error(`Expected 2 unique results, got ${merged.length}`);
+        }
+        const top = merged[0];
+        if (top.providers.join(',') !== 'newsAPI,newsdataFallback,braveSearch') {
+            throw new Error(`Providers not recorded on merged item: ${top.providers.join(',')}`);
+        }
+        if (top.ranks.braveSearch !== 1 || top.duplicates !== 2) {
+            throw new Error('Per-provider ranks or duplicate count missing');
+        }
+    });
+
+    // Test 8h: Response cache TTL and LRU eviction
+    await runner.test('Response Cache TTL And Eviction', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-cache-'));
+        try {
+            const cache = new ResponseCache({ directory, maxEntries: 2, ttl: { shortLived: -1 } });
+            const keyA = cache.keyFor('braveSearch', { url: 'u', params: { q: 'AI  News', apikey: 'secret' } }, ['apikey']);
+            const keyB = cache.keyFor('braveSearch', { url: 'u', params: { q: 'ai news', apikey: 'other' } }, ['apikey']);
+            if (keyA !== keyB) {
+                throw new Error('Cache keys should ignore API keys and query case/whitespace');
+            }
+
+            cache.set('first', 'braveSearch', { n: 1 });
+            cache.set('second', 'braveSearch', { n: 2 });
+            cache.get('first');
+            cache.set('third', 'braveSearch', { n: 3 });
+            if (cache.get('second') !== null || !cache.get('first') || !cache.get('third')) {
+                throw new Error('Least recently used entry should be evicted');
+            }
+
+            cache.set('expired', 'shortLived', { n: 4 });
+            if (cache.get('expired') !== null) {
+                throw new Error('Expired entries should not be returned');
+            }
+            if (new ResponseCache({ directory }).stats().entries !== 2) {
+                throw new Error('Cache index should persist across instances');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8i: Cached responses are served without a network call
+    await runner.test('Provider Cache Hit', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-cache-'));
+        try {
+            const cachedResearcher = new DeepResearcher();
+            cachedResearcher.config.braveSearch = { ...cachedResearcher.config.braveSearch, apiKey: 'cached-key', retries: 1 };
+            cachedResearcher.cache = new ResponseCache({ directory });
+            const provider = cachedResearcher.providers.get('braveSearch');
+            const request = provider.buildRequest('cached query', {}, cachedResearcher.config.braveSearch, { mobile: false });
+            cachedResearcher.cache.set(cachedResearcher.cache.keyFor('braveSearch', request, provider.secretParams), provider,
+                { web: { results: [{ title: 'Cached', url: 'https://cached.example.com', description: 'd' }] } });
+
+            const hit = await cachedResearcher.braveSearch('cached query');
+            if (!hit.success || hit.cacheHit !== true || hit.results[0].title !== 'Cached') {
+                throw new Error('Expected a cache hit envelope');
+            }
+            const bypass = await cachedResearcher.runProvider('braveSearch', 'cached query', {}, { cacheMode: 'off' });
+            if (bypass.cacheHit === true) {
+                throw new Error('cacheMode "off" should bypass the cache');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8j: Quota tracking from rate-limit headers and configured budgets
+    await runner.test('Quota Tracker', async () => {
+        const quota = new QuotaTracker();
+        const now = Date.parse('2024-05-10T12:00:00Z');
+        quota.record('braveSearch', 'key-1', {
+            status: 200,
+            headers: { 'X-RateLimit-Limit': '1, 2000', 'X-RateLimit-Remaining': '0, 1500', 'X-RateLimit-Reset': '1, 86400' }
+        }, now);
+        const throttled = quota.check('braveSearch', 'key-1', {}, now);
+        if (throttled.allowed || throttled.reason !== 'quota_exhausted' || throttled.retryAt !== '2024-05-10T12:00:01.000Z') {
+            throw new Error(`Rate-limit headers not honored: ${JSON.stringify(throttled)}`);
+        }
+        if (!quota.check('braveSearch', 'key-1', {}, now + 2000).allowed) {
+            throw new Error('Provider should be allowed once the window resets');
+        }
+
+        quota.record('newsAPI', 'key-2', { status: 429, headers: { 'retry-after': '120' } }, now);
+        if (quota.check('newsAPI', 'key-2', {}, now).reason !== 'rate_limited') {
+            throw new Error('429 with Retry-After should block the provider');
+        }
+        if (quota.check('newsAPI', 'key-2', { dailyLimit: 1 }, now + 121000).reason !== 'daily_quota_exhausted') {
+            throw new Error('Configured daily budget should be enforced');
+        }
+        if (!quota.check('newsAPI', 'other-key', { dailyLimit: 1 }, now).allowed) {
+            throw new Error('Usage should be tracked per API key');
+        }
+        if (parseRetryAfter({ 'Retry-After': '2' }) !== 2000) {
+            throw new Error('Retry-After seconds not parsed');
+        }
+    });
+
+    // Test 8k: Exhausted providers are skipped with a structured reason
+    await runner.test('Quota Skip In Comprehensive Search', async () => {
+        const quotaResearcher = new DeepResearcher();
+        quotaResearcher.config.braveSearch = { ...quotaResearcher.config.braveSearch, apiKey: 'exhausted-key' };
+        quotaResearcher.quota = new QuotaTracker();
+        quotaResearcher.quota.record('braveSearch', 'exhausted-key', { status: 429, headers: { 'retry-after': '3600' } });
+
+        const result = await quotaResearcher.comprehensiveSearch('test query', { includeNews: false, includeFallback: false });
+        if (result.skipped.length !== 1 || result.skipped[0].api !== 'braveSearch' || result.skipped[0].reason !== 'rate_limited') {
+            throw new Error('Exhausted provider should be reported in skipped');
+        }
+        if (result.errors.length !== 0) {
+            throw new Error('Skipped providers must not be reported as errors');
+        }
+    });
+
+    // Test 8l: Retry loop honors Retry-After
+    await runner.test('Retry-After Handling', async () => {
+        const rateLimited = () => Object.assign(new Error('Too many requests'), {
+            response: { status: 429, headers: { 'retry-after': '0' } }
+        });
+        let attempts = 0;
+        const started = Date.now();
+        const result = await RetryUtility.withRetry(async () => {
+            attempts++;
+            if (attempts < 3) {
+                throw rateLimited();
+            }
+            return 'ok';
+        }, 3);
+        if (result !== 'ok' || Date.now() - started > 500) {
+            throw new Error('Retry-After: 0 should retry immediately instead of backing off');
+        }
+
+        attempts = 0;
+        try {
+            await RetryUtility.withRetry(async () => {
+                attempts++;
+                throw Object.assign(new Error('Too many requests'), { response: { status: 429, headers: { 'retry-after': '3600' } } });
+            }, 3);
+        } catch (error) {
+            // expected
+        }
+        if (attempts !== 1) {
+            throw new Error('A long Retry-After should stop retrying immediately');
+        }
+    });
+
+    // Test 8m: Article extraction strips boilerplate and reads metadata
+    await runner.test('Article Extraction', async () => {
+        const paragraph = 'Researchers announced a new battery chemistry on Monday, claiming it doubles capacity, lowers cost, and charges in minutes.';
+        const html = `<!DOCTYPE html><html><head>
+            <title>Battery breakthrough | Example News</title>
+            <meta property="og:title" content="Battery breakthrough announced">
+            <meta name="author" content="Jane Doe">
+            <meta property="article:published_time" content="2024-05-10T08:30:00+02:00">
+            <script>var tracking = "<p>not content</p>";</script>
+            <style>p { color: red; }</style>
+        </head><body>
+            <nav><a href="/">Home</a><a href="/world">World</a></nav>
+            <div class="ad-banner"><p>Buy one get one free on all subscriptions, today only, while supplies last.</p></div>
+            <article class="story">
+                <h1>Battery breakthrough</h1>
+                <p>${paragraph}</p>
+                <p>The team said commercial cells could ship next year &amp; cost less than current lithium-ion packs.</p>
+                <div class="share-tools"><a href="#">Share</a><a href="#">Tweet</a></div>
+            </article>
+            <aside class="sidebar"><p>Most read: ten other stories you might like to read right now, all of them.</p></aside>
+            <footer><p>Copyright Example News, all rights reserved worldwide, forever and ever.</p></footer>
+        </body></html>`;
+
+        const article = extractArticle(html);
+        if (article.title !== 'Battery breakthrough announced' || article.byline !== 'Jane Doe') {
+            throw new Error(`Metadata not extracted: ${article.title} / ${article.byline}`);
+        }
+        if (article.publishedAt !== '2024-05-10T06:30:00.000Z') {
+            throw new Error(`Publish date not normalized: ${article.publishedAt}`);
+        }
+        if (!article.text.includes(paragraph) || !article.text.includes('next year & cost')) {
+            throw new Error('Main article text missing');
+        }
+        if (/tracking|Buy one|Most read|Copyright|Home|Tweet/.test(article.text)) {
+            throw new Error(`Boilerplate leaked into text: ${article.text}`);
+        }
+        if (extractArticle(html, { maxContentLength: 40 }).text.length > 41) {
+            throw new Error('Content length limit not applied');
+        }
+    });
+
+    // Test 8n: robots.txt rules
+    await runner.test('Robots.txt Rules', async () => {
+        const robots = [
+            'User-agent: *',
+            'Disallow: /private/',
+            'Allow: /private/open',
+            'Disallow: /*.pdf$',
+            '',
+            'User-agent: OtherBot',
+            'Disallow: /'
+        ].join('\n');
+        const rules = parseRobots(robots, 'DeepResearchMultiApis/1.0');
+        const expectations = { '/news/story': true, '/private/page': false, '/private/open/page': true, '/files/report.pdf': false, '/files/report.pdf?x=1': true };
+        Object.entries(expectations).forEach(([pathname, allowed]) => {
+            if (isPathAllowed(rules, pathname) !== allowed) {
+                throw new Error(`${pathname} should be ${allowed ? 'allowed' : 'disallowed'}`);
+            }
+        });
+        if (isPathAllowed(parseRobots(robots, 'OtherBot/2.0'), '/news/story')) {
+            throw new Error('Agent-specific group should take precedence over *');
+        }
+    });
+
+    // Test 8o: Extractor fetches pages from a local server and attaches content
+    await runner.test('Content Extraction Attach', async () => {
+        const body = '<html><body><article><p>' + 'Local article text with enough words to count as content, really. '.repeat(3) + '</p></article></body></html>';
+        const server = http.createServer((request, response) => {
+            if (request.url === '/robots.txt') {
+                response.writeHead(200, { 'Content-Type': 'text/plain' });
+                response.end('User-agent: *\nDisallow: /blocked');
+            } else if (request.url === '/moved') {
+                response.writeHead(301, { 'Location': '/blocked/story' });
+                response.end();
+            } else if (request.url === '/renamed') {
+                response.writeHead(302, { 'Location': '/article' });
+                response.end();
+            } else if (request.url === '/loop') {
+                response.writeHead(307, { 'Location': '/loop' });
+                response.end();
+            } else if (request.url === '/huge') {
+                response.writeHead(200, { 'Content-Type': 'text/html' });
+                response.end(`<html><body><p>${'x'.repeat(5000)}</p></body></html>`);
+            } else {
+                response.writeHead(200, { 'Content-Type': 'text/html' });
+                response.end(body);
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const extractor = new ContentExtractor({ maxBytes: 2048, timeout: 2000 });
+            const merged = [
+                { url: `${base}/article`, content: '', authors: [], publishedAt: null },
+                { url: `${base}/blocked`, content: '', authors: [], publishedAt: null },
+                { url: `${base}/huge`, content: '', authors: [], publishedAt: null }
+            ];
+            const sourceCopy = { url: `${base}/article/`, content: 'short' };
+            const extracted = await extractor.attachToResults(merged, [sourceCopy]);
+
+            if (extracted !== 1 || !merged[0].content.startsWith('Local article text') || merged[0].extraction.status !== 'ok') {
+                throw new Error('Article content not attached');
+            }
+            if (sourceCopy.content !== merged[0].content) {
+                throw new Error('Duplicate result copies should share the extracted content');
+            }
+            if (merged[1].extraction.status !== 'blocked' || merged[1].content !== '') {
+                throw new Error('robots.txt disallow not respected');
+            }
+            if (merged[2].extraction.status !== 'error') {
+                throw new Error('Oversized page should fail the size limit');
+            }
+
+            // Each redirect hop is checked against robots.txt before it is fetched
+            const [moved, renamed, loop] = await extractor.extractMany([`${base}/moved`, `${base}/renamed`, `${base}/loop`]);
+            if (moved.status !== 'blocked' || moved.url !== `${base}/moved`) {
+                throw new Error(`A redirect to a disallowed path should be blocked: ${JSON.stringify(moved)}`);
+            }
+            if (renamed.status !== 'ok' || !renamed.text.startsWith('Local article text')) {
+                throw new Error(`Allowed redirects should still be followed: ${JSON.stringify(renamed)}`);
+            }
+            if (loop.status !== 'error' || !loop.error.includes('redirects')) {
+                throw new Error(`Redirect loops should give up: ${JSON.stringify(loop)}`);
+            }
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    // Test 8p: Extractive summarizer is deterministic
+    await runner.test('Extractive Summarizer', async () => {
+        const article = 'Dr. Smith announced a major breakthrough in solar panel efficiency on Monday. ' +
+            'The new cells convert 32.5 percent of sunlight, according to the U.S. lab. ' +
+            'Costs are expected to fall. ' +
+            'The team worked for five years on the design with partners. ' +
+            'Critics said more testing is needed before production. ' +
+            'Overall, the study suggests cheaper solar power within a decade.';
+
+        const sentences = splitSentences(article);
+        if (sentences.length !== 6 || !sentences[1].endsWith('U.S. lab.')) {
+            throw new Error(`Sentence splitting broke on abbreviations: ${JSON.stringify(sentences)}`);
+        }
+
+        const bullets = summarizeText(article, { query: 'solar efficiency' });
+        const expected = [sentences[0], sentences[1], sentences[5]];
+        if (JSON.stringify(bullets) !== JSON.stringify(expected)) {
+            throw new Error(`Unexpected bullets: ${JSON.stringify(bullets)}`);
+        }
+        if (JSON.stringify(summarizeText(article, { query: 'solar efficiency' })) !== JSON.stringify(bullets)) {
+            throw new Error('Summaries must be deterministic');
+        }
+
+        const summary = summarizeResearch([
+            { title: 'Solar record', url: 'https://a.example/solar', snippet: '', content: article },
+            { title: 'Lab news', url: 'https://b.example/lab', snippet: 'Dr. Smith announced a major breakthrough in solar panel efficiency on Monday at the lab.', content: '' }
+        ], { query: 'solar' });
+        if (summary.articles.length !== 2 || summary.articles[1].bullets.length !== 1) {
+            throw new Error('Per-article summaries missing');
+        }
+        if (summary.digest[0].text !== sentences[0] || summary.digest[0].sources.join(',') !== '1,2') {
+            throw new Error(`Digest should merge the corroborated sentence: ${JSON.stringify(summary.digest)}`);
+        }
+
+        const text = researcher.generateResultsSummary({
+            query: 'solar', timestamp: new Date().toISOString(), totalResults: 0, sources: {}, errors: [], summary
+        });
+        if (!text.includes('KEY POINTS') || !text.includes(`• ${sentences[0]} [1, 2]`)) {
+            throw new Error('Clipboard summary should include the digest');
+        }
+    });
+
+    // Test 8q: Brief parsing maps numbered citations back to result URLs
+    await runner.test('Synthesis Brief Citations', async () => {
+        const sources = [
+            { title: 'First', url: 'https://a.example/1', provider: 'braveSearch' },
+            { title: 'Second', url: 'https://b.example/2', providers: ['newsAPI', 'googleSearch'] }
+        ];
+        const brief = parseBrief([
+            'SUMMARY: Both outlets agree on the outcome [1, 2].',
+            'FINDINGS:',
+            '- The vote passed [2].',
+            '* A recount was requested [7].'
+        ].join('\n'), sources);
+
+        if (brief.summary !== 'Both outlets agree on the outcome [1, 2].' || brief.findings.length !== 2) {
+            throw new Error(`Brief not parsed: ${JSON.stringify(brief)}`);
+        }
+        if (brief.findings[0].citations.join(',') !== '2' || brief.citations.map(citation => citation.url).join(' ') !== 'https://a.example/1 https://b.example/2') {
+            throw new Error('Citations not mapped to URLs');
+        }
+        if (brief.citations[1].providers.join(',') !== 'newsAPI,googleSearch' || brief.unresolvedCitations.join(',') !== '7') {
+            throw new Error('Unknown citation numbers should be reported');
+        }
+    });
+
+    // Test 8r: OpenAI-compatible backend request shape and synthesize() in comprehensive search
+    await runner.test('Synthesis Backends', async () => {
+        let received = null;
+        const server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                received = { url: request.url, auth: request.headers.authorization, body: JSON.parse(body) };
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'SUMMARY: Local model answer [1].\nFINDINGS:\n- Point [1]' } }] }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const backend = new OpenAICompatibleBackend({ baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, model: 'tiny', apiKey: 'secret' });
+            const synthesizer = new Synthesizer({ backendInstance: backend });
+            const brief = await synthesizer.synthesize('test', [{ title: 'Doc', url: 'https://a.example/doc', content: 'Body text' }]);
+            if (received.url !== '/v1/chat/completions' || received.auth !== 'Bearer secret' || received.body.model !== 'tiny') {
+                throw new Error(`Unexpected request: ${JSON.stringify(received)}`);
+            }
+            if (!received.body.messages[1].content.includes('[1] Doc\nURL: https://a.example/doc')) {
+                throw new Error('Sources should be numbered in the prompt');
+            }
+            if (brief.citations[0].url !== 'https://a.example/doc' || brief.model !== 'tiny') {
+                throw new Error('Brief should cite the result');
+            }
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+
+        const stubResearcher = new DeepResearcher({ synthesizer: new Synthesizer({ backend: 'stub' }), synthesize: true });
+        stubResearcher.runProvider = async name => ({
+            success: true,
+            source: name,
+            resultsCount: 1,
+            results: [{ title: 'Stubbed', url: 'https://a.example/stub', snippet: 'Snippet', provider: name, rank: 1 }]
+        });
+        const result = await stubResearcher.comprehensiveSearch('stub query', { providers: ['braveSearch'] });
+        if (!result.brief || result.brief.backend !== 'stub' || result.brief.citations[0].url !== 'https://a.example/stub') {
+            throw new Error('Stub backend brief missing from results');
+        }
+        if (!stubResearcher.generateResultsSummary(result).includes('[1] Stubbed - https://a.example/stub')) {
+            throw new Error('Brief sources should appear in the summary');
+        }
+    });
+
+    // Test 8s: Follow-up terms come from entities shared across results
+    await runner.test('Query Expansion Terms', async () => {
+        const terms = extractKeyTerms([
+            { title: 'OpenAI and Microsoft expand partnership - Reuters', snippet: 'Microsoft will invest billions. Sam Altman said the deal helps.', publisher: 'Reuters' },
+            { title: 'Sam Altman on the Microsoft deal', snippet: 'The chief executive discussed Azure compute.' },
+            { title: 'What the deal means for Google', snippet: 'Google faces pressure as Azure gains customers.' }
+        ], 'openai partnership', 4);
+        if (JSON.stringify(terms) !== JSON.stringify(['Sam Altman', 'Microsoft', 'Azure', 'deal'])) {
+            throw new Error(`Unexpected expansion terms: ${JSON.stringify(terms)}`);
+        }
+        if (terms.some(term => /reuters|openai|partnership/i.test(term))) {
+            throw new Error('Publisher names and query words must not be suggested');
+        }
+    });
+
+    // Test 8t: Research loop builds a query tree within its budgets
+    await runner.test('Research Loop Budgets', async () => {
+        const fakeResults = query => [1, 2, 3].map(n => ({
+            title: `Story ${n}`,
+            url: `https://example.com/${encodeURIComponent(query)}/${n}`,
+            snippet: `Report ${n} mentions Alpha Corp and Beta Labs.`,
+            providers: ['braveSearch']
+        }));
+        const searched = [];
+        const search = async query => {
+            searched.push(query);
+            return { merged: fakeResults(query), errors: [], skipped: [] };
+        };
+
+        const report = await new ResearchLoop({ search, depth: 2, breadth: 2, maxResults: 100 }).run('widgets');
+        if (report.tree.children.length !== 2 || report.tree.children[0].children.length !== 2) {
+            throw new Error('Tree should have breadth 2 at each level');
+        }
+        if (report.stats.queriesRun !== 7 || report.stats.maxDepthReached !== 2 || report.stats.stopReason !== 'exhausted') {
+            throw new Error(`Unexpected stats: ${JSON.stringify(report.stats)}`);
+        }
+        if (report.results.length !== 21 || !report.results[0].queries || report.results[0].providers[0] !== 'braveSearch') {
+            throw new Error('Consolidated results should keep providers and record their queries');
+        }
+        if (new Set(searched).size !== searched.length) {
+            throw new Error('Sub-queries must not repeat');
+        }
+
+        const limited = await new ResearchLoop({ search, depth: 3, breadth: 3, maxResults: 5 }).run('widgets');
+        if (limited.stats.stopReason !== 'result_budget' || limited.stats.queriesRun !== 2) {
+            throw new Error(`Result budget not enforced: ${JSON.stringify(limited.stats)}`);
+        }
+
+        let clock = 0;
+        const timed = await new ResearchLoop({
+            search: async query => { clock += 1000; return search(query); },
+            now: () => clock,
+            depth: 3,
+            timeBudgetMs: 2500
+        }).run('widgets');
+        if (timed.stats.stopReason !== 'time_budget' || timed.stats.queriesRun !== 3 || timed.stats.queriesPending === 0) {
+            throw new Error(`Time budget not enforced: ${JSON.stringify(timed.stats)}`);
+        }
+    });
+
+    // Test 8u: deepResearch() runs sub-queries through comprehensiveSearch
+    await runner.test('Deep Research Mode', async () => {
+        const deepResearcher = new DeepResearcher();
+        const queries = [];
+        deepResearcher.runProvider = async (name, query) => {
+            queries.push(query);
+            return {
+                success: true,
+                source: name,
+                resultsCount: 2,
+                results: [
+                    { title: `Solar storage from Tesla Energy (${query})`, url: `https://a.example/${queries.length}`, snippet: 'Tesla Energy and Fluence compete.', provider: name, rank: 1 },
+                    { title: 'Shared result about Fluence', url: 'https://b.example/shared', snippet: 'Fluence expands.', provider: name, rank: 2 }
+                ]
+            };
+        };
+        const report = await deepResearcher.deepResearch('solar storage', { providers: ['braveSearch'], depth: 1, breadth: 2 });
+        if (queries.length !== 3 || queries[0] !== 'solar storage' || !queries[1].startsWith('solar storage ')) {
+            throw new Error(`Unexpected sub-queries: ${JSON.stringify(queries)}`);
+        }
+        const shared = report.results.filter(result => result.url === 'https://b.example/shared');
+        if (shared.length !== 1 || shared[0].queries.length !== 3) {
+            throw new Error('Results found by several queries should be merged once');
+        }
+        const text = deepResearcher.generateDeepResearchSummary(report);
+        if (!text.includes('=== QUERY TREE ===') || !text.includes('0.1 "solar storage')) {
+            throw new Error('Report summary should include the query tree');
+        }
+    });
+
+    // Test 8v: CLI flags map onto comprehensiveSearch options
+    await runner.test('CLI Argument Parsing', async () => {
+        const parsed = parseArgs(['search', '--no-news', '-n', '5', '--lang=de', '--site', 'example.com', '--refresh', 'electric', 'cars']);
+        if (parsed.command !== 'search' || parsed.positionals.join(' ') !== 'electric cars' || parsed.flags.news !== false) {
+            throw new Error(`Unexpected parse: ${JSON.stringify(parsed)}`);
+        }
+        const options = buildSearchOptions(parsed.flags, researcher.providers);
+        if (options.includeNews !== false || options.braveOptions.count !== 5 || options.fallbackOptions.size !== 5 ||
+            options.newsOptions.language !== 'de' || options.googleOptions.siteSearch !== 'example.com' || options.cacheMode !== 'refresh') {
+            throw new Error(`Flags not mapped: ${JSON.stringify(options)}`);
+        }
+        if (buildSearchOptions(parseArgs(['-p', 'brave,google']).flags, researcher.providers).providers.join(',') !== 'braveSearch,googleSearch') {
+            throw new Error('Provider aliases should resolve to registry names');
+        }
+        if (parseArgs(['--json', 'foo']).positionals.join(' ') !== 'foo' || parseArgs(['--config']).command !== 'config') {
+            throw new Error('Flags must not leak into the query');
+        }
+        if (parseArgs(['history']).command !== 'history' || parseArgs(['search', 'history']).positionals[0] !== 'history') {
+            throw new Error('Subcommands should be recognized');
+        }
+    });
+
+    // Test 8w: CLI exit codes distinguish success, partial and total failure
+    await runner.test('CLI Exit Codes', async () => {
+        const output = [];
+        const io = { out: text => output.push(text), err: text => output.push(text) };
+        let nextResults = null;
+        const fakeResearcher = {
+            providers: researcher.providers,
+            comprehensiveSearch: async (query, options) => ({ query, options, ...nextResults }),
+            formatResults: (results, format) => (format === 'text' ? 'summary text' : JSON.stringify(results))
+        };
+        const run = argv => runCli(argv, { createResearcher: () => fakeResearcher, paths: {}, io });
+
+        nextResults = { sources: { braveSearch: {} }, errors: [], skipped: [] };
+        if (await run(['search', 'ok']) !== EXIT_CODES.OK || JSON.parse(output.pop()).query !== 'ok') {
+            throw new Error('Full success should exit 0 and print JSON');
+        }
+        nextResults = { sources: { braveSearch: {} }, errors: [{ api: 'newsAPI', error: 'x' }], skipped: [] };
+        if (await run(['partial', '--text']) !== EXIT_CODES.PARTIAL || output.pop() !== 'summary text') {
+            throw new Error('Partial failure should exit 2');
+        }
+        nextResults = { sources: {}, errors: [{ api: 'braveSearch', error: 'x' }], skipped: [] };
+        if (await run(['search', 'fail']) !== EXIT_CODES.FAILURE) {
+            throw new Error('Total failure should exit 1');
+        }
+        if (await run(['search', '--count', 'many', 'x']) !== EXIT_CODES.USAGE || await run(['-p', 'nope', 'x']) !== EXIT_CODES.USAGE ||
+            await run(['--format', 'pdf', 'x']) !== EXIT_CODES.USAGE) {
+            throw new Error('Usage errors should exit 64');
+        }
+        if (await run(['--help']) !== EXIT_CODES.OK || !output.pop().includes('Usage: deep-research')) {
+            throw new Error('--help should print usage');
+        }
+    });
+
+    // Test 8x: Output formats
+    await runner.test('Output Formatters', async () => {
+        const results = {
+            query: 'fish & chips',
+            timestamp: '2024-05-10T12:00:00.000Z',
+            sources: {},
+            errors: [],
+            merged: [
+                { title: 'Best <b>fish</b>', url: 'https://a.example/fish', snippet: 'Crispy, "golden" batter', publisher: 'Food Weekly', publishedAt: '2024-05-09T08:00:00.000Z', authors: ['Ann Lee'], providers: ['braveSearch', 'newsAPI'], rank: 1 },
+                { title: '=HYPERLINK("http://evil")', url: 'https://b.example/chips', snippet: 'Line one\nline two', publisher: null, publishedAt: null, authors: [], providers: ['newsAPI'], rank: 2 }
+            ]
+        };
+        const labels = { braveSearch: 'Brave Search', newsAPI: 'NewsAPI' };
+
+        const markdown = formatResults(results, 'md', { labels });
+        if (!markdown.includes('## Brave Search') || !markdown.includes('## NewsAPI') ||
+            !markdown.includes('1. [Best \\<b\\>fish\\</b\\>](https://a.example/fish) — Food Weekly, 2024-05-09')) {
+            throw new Error(`Markdown output wrong:\n${markdown}`);
+        }
+
+        const html = formatResults(results, 'html', { labels });
+        if (!html.startsWith('<!DOCTYPE html>') || html.includes('<b>fish</b>') || !html.includes('<title>Research: fish &amp; chips</title>')) {
+            throw new Error('HTML output must be standalone and escaped');
+        }
+
+        const csvLines = formatResults(results, 'csv').split('\r\n');
+        if (csvLines[0] !== 'rank,title,url,publisher,publishedAt,providers,snippet' ||
+            csvLines[1] !== '1,Best <b>fish</b>,https://a.example/fish,Food Weekly,2024-05-09T08:00:00.000Z,braveSearch; newsAPI,"Crispy, ""golden"" batter"' ||
+            !csvLines[2].startsWith('2,"\'=HYPERLINK(""http://evil"")"')) {
+            throw new Error(`CSV output wrong:\n${csvLines.join('\n')}`);
+        }
+
+        const jsonl = formatResults(results, 'jsonl').trim().split('\n').map(line => JSON.parse(line));
+        if (jsonl.length !== 2 || jsonl[0].query !== 'fish & chips' || jsonl[1].url !== 'https://b.example/chips') {
+            throw new Error('JSONL should have one result per line');
+        }
+
+        const rss = formatResults(results, 'rss', { labels });
+        if (!rss.includes('<rss version="2.0">') || !rss.includes('<pubDate>Thu, 09 May 2024 08:00:00 GMT</pubDate>') ||
+            !rss.includes('<title>Deep Research: fish &amp; chips</title>') || (rss.match(/<item>/g) || []).length !== 2) {
+            throw new Error(`RSS output wrong:\n${rss}`);
+        }
+
+        const atom = formatResults(results, 'atom');
+        if (!atom.includes('<feed xmlns="http://www.w3.org/2005/Atom">') || !atom.includes('<author><name>Ann Lee</name></author>') ||
+            !atom.includes('<updated>2024-05-10T12:00:00.000Z</updated>')) {
+            throw new Error(`Atom output wrong:\n${atom}`);
+        }
+
+        // Unsafe schemes stay out of feeds, and Markdown link targets survive parentheses and spaces
+        const risky = {
+            ...results,
+            merged: [
+                { title: 'Script', url: 'javascript:alert(1)', providers: ['newsAPI'], rank: 1 },
+                { title: 'Wiki', url: 'https://w.example/Fish_(food) and chips', providers: ['newsAPI'], rank: 2 }
+            ]
+        };
+        const riskyRss = formatResults(risky, 'rss');
+        const riskyAtom = formatResults(risky, 'atom');
+        if (riskyRss.includes('javascript:') || riskyAtom.includes('javascript:') ||
+            !riskyAtom.includes('<id>urn:deep-research:fish%20%26%20chips:2024-05-10T12:00:00.000Z:1</id>')) {
+            throw new Error(`Feeds must not carry javascript: links:\n${riskyRss}\n${riskyAtom}`);
+        }
+        const riskyMarkdown = formatResults(risky, 'md');
+        if (!riskyMarkdown.includes('1. [Script](#)') || !riskyMarkdown.includes('2. [Wiki](https://w.example/Fish_%28food%29%20and%20chips)')) {
+            throw new Error(`Markdown link targets should be encoded:\n${riskyMarkdown}`);
+        }
+
+        if (!researcher.formatResults(results, 'markdown').includes('## Brave Search')) {
+            throw new Error('DeepResearcher should label sources with provider names');
+        }
+    });
+
+    // Test 8y: Config wizard, schema validation and masked output
+    await runner.test('Config Wizard', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-config-'));
+        const configFile = path.join(directory, 'config.json');
+        const output = [];
+        const io = { out: text => output.push(text), err: text => output.push(text) };
+        const scripted = answers => ({ ask: async question => (output.push(question), answers.length > 0 ? answers.shift() : null) });
+        const requests = [];
+        let keyStatus = 200;
+        const fakeHttp = async request => {
+            requests.push(request);
+            if (keyStatus !== 200) {
+                throw Object.assign(new Error(`Request failed with status code ${keyStatus}`), { response: { status: keyStatus } });
+            }
+            return { status: 200, data: {} };
+        };
+        const wizardResearcher = {
+            config: {
+                braveSearch: { apiKey: '', baseUrl: 'https://api.search.brave.com/res/v1/web/search', timeout: 10000, retries: 3 },
+                cache: { enabled: false }
+            },
+            providers: { list: () => [researcher.providers.get('braveSearch'), researcher.providers.get('googleSearch')] }
+        };
+        const run = (argv, answers) => runCli(argv, {
+            createResearcher: () => wizardResearcher,
+            paths: { configFile },
+            io,
+            prompt: scripted(answers),
+            http: fakeHttp
+        });
+
+        fs.writeFileSync(configFile, JSON.stringify({ cache: { enabled: false } }));
+        try {
+            // Brave: key, an invalid timeout then a valid one, default retries. Google: skipped. Then test keys.
+            const code = await run(['config', 'init'], ['brave-key-123456', 'soon', '5000', '', '', '', '', '', 'y']);
+            if (code !== EXIT_CODES.OK) {
+                throw new Error(`config init should succeed, got ${code}:\n${output.join('\n')}`);
+            }
+            if (!output.some(line => line.includes('Enter a whole number between 1000 and 120000'))) {
+                throw new Error('Invalid numbers should be re-asked');
+            }
+            if (requests.length !== 1 || requests[0].headers['X-Subscription-Token'] !== 'brave-key-123456' || requests[0].params.count !== 1) {
+                throw new Error('Only the configured key should be tested, with a one-result search');
+            }
+            const saved = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            if (saved.braveSearch.apiKey !== 'brave-key-123456' || saved.braveSearch.timeout !== 5000 || saved.braveSearch.retries !== 3 ||
+                saved.cache.enabled !== false || saved.googleSearch.searchEngineId !== '') {
+                throw new Error(`Wizard saved the wrong config: ${JSON.stringify(saved)}`);
+            }
+            if (process.platform !== 'win32' && (fs.statSync(configFile).mode & 0o777) !== 0o600) {
+                throw new Error('config.json should be written with mode 600');
+            }
+
+            // A rejected key is reported and nothing is saved unless confirmed
+            keyStatus = 401;
+            output.length = 0;
+            wizardResearcher.config = saved;
+            if (await run(['config', 'init', '--test'], ['other-key-987654', '', '', '', '', '', '', '']) !== EXIT_CODES.FAILURE ||
+                !output.some(line => line.includes('Invalid API key')) ||
+                JSON.parse(fs.readFileSync(configFile, 'utf8')).braveSearch.apiKey !== 'brave-key-123456') {
+                throw new Error(`A failed key test should not save without confirmation:\n${output.join('\n')}`);
+            }
+
+            // ${VAR} references in the file are tested with their value and saved as written
+            keyStatus = 200;
+            requests.length = 0;
+            process.env.DR_WIZARD_BRAVE_KEY = 'env-brave-key-4242';
+            fs.writeFileSync(configFile, JSON.stringify({ ...saved, braveSearch: { ...saved.braveSearch, apiKey: '${DR_WIZARD_BRAVE_KEY}' } }));
+            const referenced = await run(['config', 'init', '--test'], ['', '', '', '', '', '', '']);
+            delete process.env.DR_WIZARD_BRAVE_KEY;
+            if (referenced !== EXIT_CODES.OK || requests[0].headers['X-Subscription-Token'] !== 'env-brave-key-4242' ||
+                JSON.parse(fs.readFileSync(configFile, 'utf8')).braveSearch.apiKey !== '${DR_WIZARD_BRAVE_KEY}') {
+                throw new Error(`\${VAR} keys should be tested expanded and saved as references:\n${output.join('\n')}`);
+            }
+
+            // So are secret:<name> references, through the researcher's secret store
+            requests.length = 0;
+            wizardResearcher.secrets = new SecretStore({ backendInstance: new EnvSecretBackend({ env: { BRAVE_KEY: 'stored-brave-key-7777' } }) });
+            fs.writeFileSync(configFile, JSON.stringify({ ...saved, braveSearch: { ...saved.braveSearch, apiKey: 'secret:BRAVE_KEY' } }));
+            const stored = await run(['config', 'init', '--test'], ['', '', '', '', '', '', '']);
+            delete wizardResearcher.secrets;
+            if (stored !== EXIT_CODES.OK || requests[0].headers['X-Subscription-Token'] !== 'stored-brave-key-7777' ||
+                JSON.parse(fs.readFileSync(configFile, 'utf8')).braveSearch.apiKey !== 'secret:BRAVE_KEY') {
+                throw new Error(`secret: keys should be tested resolved and saved as references:\n${output.join('\n')}`);
+            }
+
+            output.length = 0;
+            await run(['config', 'show'], []);
+            if (output.join('\n').includes('brave-key-123456') || !output.join('\n').includes('••••3456')) {
+                throw new Error('config show must mask API keys');
+            }
+            if (maskSecrets({ synthesis: { apiKey: 'short', maxTokens: 800 } }).synthesis.maxTokens !== 800) {
+                throw new Error('Only secret fields should be masked');
+            }
+
+            const errors = validateConfig({ newsAPI: { timeout: '10s', retries: 50 }, research: { expansion: 'magic' }, customProviders: [{ name: 'x' }] });
+            const paths = errors.map(error => error.path);
+            if (errors.length !== 4 || !paths.includes('newsAPI.timeout') || !paths.includes('newsAPI.retries') ||
+                !paths.includes('research.expansion') || !paths.includes('customProviders[0].baseUrl')) {
+                throw new Error(`Unexpected validation errors: ${JSON.stringify(errors)}`);
+            }
+            fs.writeFileSync(configFile, JSON.stringify({ braveSearch: { timeout: 'fast' } }));
+            if (await run(['config', 'validate'], []) !== EXIT_CODES.FAILURE || !output.pop().includes('braveSearch.timeout must be an integer')) {
+                throw new Error('config validate should report schema errors');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8z: Layered configuration with provenance
+    await runner.test('Layered Config', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-layers-'));
+        const userFile = path.join(directory, 'user.json');
+        const projectFile = path.join(directory, 'config.json');
+        try {
+            fs.writeFileSync(userFile, JSON.stringify({ newsAPI: { apiKey: 'user-news-key', timeout: 20000 }, research: { depth: 1 } }));
+            // The project file has no newsdataIO block and blank placeholders, like config.example.json
+            fs.writeFileSync(projectFile, JSON.stringify({
+                braveSearch: { apiKey: '${TEST_BRAVE_KEY}', retries: 5 },
+                newsAPI: { apiKey: '' },
+                googleSearch: { searchEngineId: '${TEST_ENGINE:-cx-default}' },
+                research: { depth: 2 }
+            }));
+            const env = { TEST_BRAVE_KEY: 'brave-from-env', NEWSDATA_API_KEY: 'newsdata-env', DEEP_RESEARCH__braveSearch__timeout: '7000' };
+            const { config, sources, warnings } = loadLayeredConfig({
+                files: [{ layer: 'user', file: userFile }, { layer: 'project', file: projectFile }],
+                env,
+                overrides: parseOverrides(['research.depth=3', 'synthesis.enabled=true'])
+            });
+
+            if (config.newsdataIO.apiKey !== 'newsdata-env' || config.newsdataIO.baseUrl !== 'https://newsdata.io/api/1/news') {
+                throw new Error('Missing blocks should come from defaults with env keys applied');
+            }
+            if (config.braveSearch.apiKey !== 'brave-from-env' || config.braveSearch.retries !== 5 || config.braveSearch.timeout !== 7000 ||
+                !config.braveSearch.baseUrl.startsWith('https://api.search.brave.com')) {
+                throw new Error(`Provider blocks should deep merge: ${JSON.stringify(config.braveSearch)}`);
+            }
+            if (config.newsAPI.apiKey !== 'user-news-key' || config.newsAPI.timeout !== 20000) {
+                throw new Error('Blank project values must not hide the user config');
+            }
+            if (config.googleSearch.searchEngineId !== 'cx-default' || config.research.depth !== 3 || config.synthesis.enabled !== true) {
+                throw new Error('Interpolation fallbacks and --set overrides should apply');
+            }
+            if (warnings.length !== 0) {
+                throw new Error(`Unexpected warnings: ${warnings.join('; ')}`);
+            }
+
+            const explained = {};
+            explainConfig(config, sources).forEach(row => {
+                explained[row.path] = row.origin ? `${row.layer}:${row.origin}` : row.layer;
+            });
+            const expected = {
+                'braveSearch.apiKey': `project:${projectFile}`,
+                'braveSearch.timeout': 'env:DEEP_RESEARCH__braveSearch__timeout',
+                'braveSearch.baseUrl': 'default',
+                'newsAPI.apiKey': `user:${userFile}`,
+                'newsdataIO.apiKey': 'env:NEWSDATA_API_KEY',
+                'research.depth': 'cli:--set'
+            };
+            Object.entries(expected).forEach(([key, source]) => {
+                if (explained[key] !== source) {
+                    throw new Error(`${key} should come from ${source}, got ${explained[key]}`);
+                }
+            });
+
+            const missing = loadLayeredConfig({ files: [{ layer: 'project', file: projectFile }], env: {} });
+            if (missing.config.braveSearch.apiKey !== '' || !missing.warnings[0].includes('${TEST_BRAVE_KEY}')) {
+                throw new Error('Unset references should resolve to empty with a warning');
+            }
+
+            const output = [];
+            const explainResearcher = { config, configSources: sources, providers: researcher.providers };
+            const code = await runCli(['config', 'explain', 'braveSearch'], {
+                createResearcher: () => explainResearcher,
+                paths: { configFile: projectFile },
+                io: { out: text => output.push(text), err: text => output.push(text) }
+            });
+            if (code !== EXIT_CODES.OK || output.length !== 4 || output.join('\n').includes('brave-from-env') ||
+                !output.some(line => line.startsWith('braveSearch.timeout') && line.includes('env (DEEP_RESEARCH__braveSearch__timeout)'))) {
+                throw new Error(`config explain output wrong:\n${output.join('\n')}`);
+            }
+            let received = null;
+            await runCli(['providers', '--set', 'braveSearch.timeout=3000'], {
+                createResearcher: options => (received = options, explainResearcher),
+                paths: {},
+                io: { out: () => {}, err: () => {} }
+            });
+            if (received.configOverrides.braveSearch.timeout !== 3000) {
+                throw new Error('--set should reach the researcher as config overrides');
+            }
+            let rejected = false;
+            try {
+                parseArgs(['--set', 'oops']);
+            } catch (error) {
+                rejected = error.name === 'UsageError';
+            }
+            if (!rejected) {
+                throw new Error('--set without "=" should be a usage error');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8aa: Secret backends and lazy "secret:<name>" resolution
+    await runner.test('Secret Storage', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-secrets-'));
+        const file = path.join(directory, 'keystore.json');
+        const server = http.createServer((request, response) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ web: { results: [{ title: `Token ${request.headers['x-subscription-token']}`, url: 'https://secret.example.com', description: 'd' }] } }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            // Cheap scrypt cost keeps the test fast
+            const keystore = new KeystoreSecretBackend({ file, passphrase: 'correct horse', scrypt: { N: 1024 } });
+            await keystore.set('BRAVE_KEY', 'brave-secret-value');
+            await keystore.set('NEWS_KEY', 'news-secret-value');
+            const raw = fs.readFileSync(file, 'utf8');
+            if (raw.includes('brave-secret-value') || (process.platform !== 'win32' && (fs.statSync(file).mode & 0o777) !== 0o600)) {
+                throw new Error('Keystore must be encrypted and private');
+            }
+            const reopened = new KeystoreSecretBackend({ file, passphrase: 'correct horse' });
+            if (await reopened.get('BRAVE_KEY') !== 'brave-secret-value' || await reopened.get('MISSING') !== null ||
+                (await reopened.list()).join(',') !== 'BRAVE_KEY,NEWS_KEY') {
+                throw new Error('Keystore should round-trip secrets');
+            }
+            if (!await reopened.delete('NEWS_KEY') || (await reopened.list()).length !== 1) {
+                throw new Error('Keystore delete failed');
+            }
+            for (const [backend, expected] of [
+                [new KeystoreSecretBackend({ file, passphrase: 'wrong' }), 'wrong passphrase'],
+                [new KeystoreSecretBackend({ file, env: {} }), 'set DEEP_RESEARCH_PASSPHRASE']
+            ]) {
+                const message = await backend.get('BRAVE_KEY').then(() => '', error => error.message);
+                if (!message.includes(expected)) {
+                    throw new Error(`Expected "${expected}", got "${message}"`);
+                }
+            }
+
+            const calls = [];
+            const secretService = new SecretServiceBackend({
+                run: async (command, args, input) => {
+                    calls.push({ command, args, input });
+                    if (args[0] === 'lookup' && args[4] === 'STORED') {
+                        return 'from-keyring\n';
+                    }
+                    if (args[0] === 'lookup') {
+                        throw Object.assign(new Error('exit 1'), { code: 1, stderr: '' });
+                    }
+                    return '';
+                }
+            });
+            await secretService.set('STORED', 'typed-value');
+            if (calls[0].command !== 'secret-tool' || calls[0].args.join(' ') !== 'store --label=Deep Research: STORED service deep-research key STORED' ||
+                calls[0].input !== 'typed-value') {
+                throw new Error('secret-tool store should receive the secret on stdin, not argv');
+            }
+            if (await secretService.get('STORED') !== 'from-keyring' || await secretService.get('OTHER') !== null) {
+                throw new Error('secret-tool lookup results not parsed');
+            }
+
+            // Nothing is looked up until a provider runs
+            let lookups = 0;
+            const backend = new EnvSecretBackend({ env: { BRAVE_KEY: 'env-resolved-key' } });
+            const secrets = new SecretStore({ backendInstance: { name: 'counting', get: name => (lookups++, backend.get(name)) } });
+            const secretResearcher = new DeepResearcher({ secrets });
+            secretResearcher.config.braveSearch = {
+                ...secretResearcher.config.braveSearch,
+                apiKey: 'secret:BRAVE_KEY',
+                baseUrl: `http://127.0.0.1:${server.address().port}/search`,
+                retries: 1
+            };
+            secretResearcher.cacheMode = 'off';
+            if (lookups !== 0) {
+                throw new Error('Secrets should not be resolved at startup');
+            }
+            const envelope = await secretResearcher.braveSearch('secret query');
+            await secretResearcher.braveSearch('secret query again');
+            if (!envelope.success || envelope.results[0].title !== 'Token env-resolved-key' || lookups !== 1) {
+                throw new Error(`Provider should run with the resolved key, looked up once (${lookups} lookups)`);
+            }
+            secretResearcher.config.braveSearch.apiKey = 'secret:NOT_THERE';
+            const missing = await secretResearcher.braveSearch('secret query');
+            if (missing.success || !missing.error.includes('Secret "NOT_THERE" not found')) {
+                throw new Error('A missing secret should fail that provider only');
+            }
+            if (maskSecrets({ braveSearch: { apiKey: 'secret:BRAVE_KEY' } }).braveSearch.apiKey !== 'secret:BRAVE_KEY') {
+                throw new Error('Secret references are not secrets and should stay readable');
+            }
+        } finally {
+            server.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8ab: Several keys per provider with failover, quota per key and quarantine
+    await runner.test('API Key Rotation', async () => {
+        const seen = [];
+        const server = http.createServer((request, response) => {
+            const key = request.headers['x-subscription-token'];
+            seen.push(key);
+            if (key === 'bad-key') {
+                response.writeHead(401, { 'Content-Type': 'application/json' });
+                response.end('{"error":"unauthorized"}');
+            } else if (key === 'limited-key') {
+                response.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '3600' });
+                response.end('{"error":"rate limited"}');
+            } else {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify({ web: { results: [{ title: `Via ${key}`, url: 'https://keys.example.com', description: 'd' }] } }));
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const warnings = [];
+        const originalWarn = Logger.warn;
+        Logger.warn = message => warnings.push(message);
+        try {
+            const rotating = new DeepResearcher();
+            rotating.config.braveSearch = {
+                ...rotating.config.braveSearch,
+                apiKey: '',
+                apiKeys: ['bad-key', 'limited-key', 'good-key'],
+                baseUrl: `http://127.0.0.1:${server.address().port}/search`,
+                retries: 1
+            };
+            rotating.cacheMode = 'off';
+            rotating.quota = new QuotaTracker();
+            rotating.keyPool = new KeyPool({ quarantineAfter: 2 });
+
+            const first = await rotating.braveSearch('rotation');
+            if (!first.success || first.results[0].title !== 'Via good-key' || seen.join(',') !== 'bad-key,limited-key,good-key') {
+                throw new Error(`Expected failover through every key, saw ${seen.join(',')}`);
+            }
+            // limited-key is now blocked for an hour by its own Retry-After; the others are not
+            for (let call = 0; call < 4; call++) {
+                await rotating.braveSearch('rotation');
+            }
+            const later = seen.slice(3);
+            if (later.includes('limited-key') || later.join(',') !== 'good-key,good-key,bad-key,good-key,good-key') {
+                throw new Error(`Rotation should skip the rate-limited key and quarantine the bad one, saw ${later.join(',')}`);
+            }
+            const status = rotating.keyPool.status('braveSearch', ['bad-key', 'good-key']);
+            if (!status[0].quarantinedUntil || status[1].quarantinedUntil || status[0].key.includes('bad')) {
+                throw new Error('bad-key should be quarantined after two 401s');
+            }
+            if (warnings.some(message => /(bad|limited|good)-key/.test(message)) || !warnings.some(message => message.includes('Quarantining key '))) {
+                throw new Error(`Key identities must be masked in logs: ${warnings.join(' | ')}`);
+            }
+
+            const pool = new KeyPool();
+            const usage = { a: 5, b: 1, c: 3 };
+            const order = pool.order('newsAPI', ['a', 'b', 'c'], { strategy: 'least-used', quota: { usage: (name, key) => ({ today: usage[key] }) } });
+            if (order.join('') !== 'bca') {
+                throw new Error(`least-used should prefer the key with the fewest requests today, got ${order.join('')}`);
+            }
+            if (pool.order('newsAPI', ['a', 'b', 'c']).join('') !== 'abc' || pool.order('newsAPI', ['a', 'b', 'c']).join('') !== 'bca') {
+                throw new Error('round-robin should rotate the starting key');
+            }
+
+            // One 401 per CLI run still adds up to a quarantine, since key health is kept on disk
+            const healthFile = path.join(stateDirectory, 'key-health-test.json');
+            const runs = [1, 2, 3].map(() => new KeyPool({ file: healthFile }).reportFailure('newsAPI', 'revoked-key', 401));
+            const nextRun = new KeyPool({ file: healthFile });
+            if (runs.join(',') !== 'false,false,true' || nextRun.order('newsAPI', ['revoked-key', 'other-key']).join(',') !== 'other-key' ||
+                fs.readFileSync(healthFile, 'utf8').includes('revoked-key')) {
+                throw new Error(`Quarantine should carry over between runs under the hashed key: ${runs.join(',')}`);
+            }
+            nextRun.reportSuccess('newsAPI', 'revoked-key');
+            if (new KeyPool({ file: healthFile }).isQuarantined('newsAPI', 'revoked-key')) {
+                throw new Error('A successful request should clear the stored quarantine');
+            }
+        } finally {
+            Logger.warn = originalWarn;
+            server.close();
+        }
+    });
+
+    // Test 8ac: Search history with show, rerun, diff and export
+    await runner.test('Search History', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-history-'));
+        let call = 0;
+        const server = http.createServer((request, response) => {
+            call++;
+            // The second page of results swaps one article for another
+            const results = [
+                { title: 'Kept story', url: 'https://news.example.com/kept?utm_source=x', description: 'k' },
+                call === 1
+                    ? { title: 'Old story', url: 'https://news.example.com/old', description: 'o' }
+                    : { title: 'New story', url: 'https://news.example.com/new', description: 'n' }
+            ];
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ web: { results } }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        try {
+            const history = new HistoryStore({ file: path.join(directory, 'history.jsonl'), maxEntries: 3 });
+            const recorder = new DeepResearcher({ history });
+            recorder.config.braveSearch = { ...recorder.config.braveSearch, apiKey: 'history-key', baseUrl: `http://127.0.0.1:${server.address().port}/search`, retries: 1 };
+            recorder.cacheMode = 'off';
+            recorder.quota = new QuotaTracker();
+
+            const first = await recorder.comprehensiveSearch('history test', { providers: ['braveSearch'], braveOptions: { count: 2 } });
+            await recorder.comprehensiveSearch('not recorded', { providers: ['braveSearch'], history: false });
+            const stored = history.get(first.historyId);
+            if (first.historyId !== 1 || history.entries().length !== 1 || stored.mode !== 'search' ||
+                stored.options.braveOptions.count !== 2 || stored.providers.braveSearch.status !== 'ok' ||
+                stored.providers.braveSearch.resultsCount !== 2 || !Number.isInteger(stored.durationMs)) {
+                throw new Error(`Unexpected history entry: ${JSON.stringify(stored)}`);
+            }
+
+            const output = [];
+            const errors = [];
+            const io = { out: text => output.push(text), err: text => errors.push(text) };
+            const run = argv => runCli(argv, { createResearcher: () => recorder, paths: {}, io });
+
+            if (await run(['history', 'rerun', '1', '--text']) !== EXIT_CODES.OK || !output.pop().includes('New story') ||
+                !errors.pop().startsWith('Compared with #1: 1 new, 1 dropped')) {
+                throw new Error('rerun should repeat the search and compare it with the original');
+            }
+            if (history.get('last').options.braveOptions.count !== 2) {
+                throw new Error('rerun should reuse the recorded options');
+            }
+
+            await run(['history', 'diff', '1', 'last', '--json']);
+            const diff = JSON.parse(output.pop());
+            if (diff.added.map(item => item.title).join() !== 'New story' || diff.dropped.map(item => item.title).join() !== 'Old story' || diff.unchanged !== 1) {
+                throw new Error(`diff should compare canonical URLs: ${JSON.stringify(diff)}`);
+            }
+
+            await run(['history', 'show', '1', '-f', 'csv']);
+            const csv = output.pop().split('\r\n');
+            if (csv.length !== 4 || !csv[2].includes('https://news.example.com/old')) {
+                throw new Error('show --format should export the stored results');
+            }
+            await run(['history', 'list', 'HISTORY']);
+            const listed = output.splice(-2);
+            if (!/^ {3}2 .* search {2}\s+2 results {2}history test$/.test(listed[0]) || !listed[1].startsWith('   1 ')) {
+                throw new Error('list should show the newest run first');
+            }
+            if (await run(['history', 'show', '99']) !== EXIT_CODES.FAILURE || await run(['history', 'show', 'abc']) !== EXIT_CODES.USAGE ||
+                await run(['history', 'diff', '1']) !== EXIT_CODES.USAGE || await run(['history', 'forget']) !== EXIT_CODES.USAGE) {
+                throw new Error('Missing entries and bad arguments should fail');
+            }
+
+            await recorder.comprehensiveSearch('third', { providers: ['braveSearch'] });
+            await recorder.comprehensiveSearch('fourth', { providers: ['braveSearch'] });
+            const ids = history.entries().map(entry => entry.id);
+            if (ids.join() !== '2,3,4') {
+                throw new Error(`maxEntries should drop the oldest entries, kept ${ids.join()}`);
+            }
+        } finally {
+            server.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8ad: Saved-query watches alert only on new URLs, honoring quiet hours and digests
+    await runner.test('Watch Mode', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-watch-'));
+        try {
+            let clock = new Date(2026, 0, 5, 12, 0).getTime();
+            let urls = ['https://w.example/a', 'https://w.example/b'];
+            const searches = [];
+            const alerts = [];
+            const watches = new WatchManager({
+                file: path.join(directory, 'watches.json'),
+                search: async (query, options) => {
+                    searches.push({ query, options });
+                    return { query, sources: { newsAPI: {} }, errors: [], merged: urls.map(url => ({ title: `Story ${new URL(url).pathname.slice(1)}`, url })) };
+                },
+                notifier: { notify: (title, message) => alerts.push({ title, message }) },
+                now: () => clock
+            });
+            const minutes = count => {
+                clock += count * 60 * 1000;
+            };
+
+            const plain = watches.add({ name: 'chips', query: 'chip exports', options: { providers: ['newsAPI'] }, intervalMinutes: 30 });
+            const baseline = await watches.run(plain);
+            if (!baseline.baseline || alerts.length !== 0 || searches[0].options.notify !== false || searches[0].options.history !== false ||
+                searches[0].options.providers[0] !== 'newsAPI') {
+                throw new Error('The first run should only record a silent baseline with the watch options');
+            }
+            urls = ['https://w.example/c?utm_source=feed', 'https://w.example/a', 'https://w.example/b'];
+            minutes(10);
+            if ((await watches.runDue()).length !== 0) {
+                throw new Error('A watch should not run before its interval is up');
+            }
+            minutes(20);
+            const second = await watches.runDue();
+            if (second[0].newItems.length !== 1 || alerts.length !== 1 || alerts[0].title !== 'Watch "chips": 1 new result' || alerts[0].message !== 'Story c') {
+                throw new Error(`Only the new URL should alert: ${JSON.stringify(alerts)}`);
+            }
+            urls = ['https://w.example/c', 'https://w.example/a'];
+            minutes(30);
+            await watches.runDue();
+            if (alerts.length !== 1) {
+                throw new Error('URLs already seen, even with tracking parameters removed, must not alert again');
+            }
+
+            // Quiet hours hold alerts until they end
+            watches.remove('chips');
+            clock = new Date(2026, 0, 5, 22, 0).getTime();
+            const quiet = watches.add({ name: 'night', query: 'night', intervalMinutes: 600, quietHours: '21:30-07:00' });
+            await watches.run(quiet);
+            urls = ['https://w.example/n1', ...urls];
+            minutes(60);
+            const held = await watches.run(watches.get('night'));
+            if (held.held !== 1 || held.notified !== 0 || alerts.length !== 1) {
+                throw new Error('Alerts inside quiet hours should be held');
+            }
+            clock = new Date(2026, 0, 6, 7, 5).getTime();
+            if ((await watches.runDue()).length !== 0 || alerts.length !== 2 || !alerts[1].title.includes('1 new result')) {
+                throw new Error('Held alerts should go out once quiet hours end, even when the watch is not due');
+            }
+            if (!isQuietTime('21:30-07:00', new Date(2026, 0, 6, 3, 0)) || isQuietTime('21:30-07:00', new Date(2026, 0, 6, 12, 0))) {
+                throw new Error('Quiet hours should wrap around midnight');
+            }
+
+            // Digest mode batches alerts into one per interval
+            watches.remove('night');
+            const digest = watches.add({ name: 'digest', query: 'digest', intervalMinutes: 10, digestMinutes: 60 });
+            await watches.run(digest);
+            const before = alerts.length;
+            for (const url of ['https://w.example/d1', 'https://w.example/d2', 'https://w.example/d3']) {
+                urls = [url, ...urls];
+                minutes(10);
+                await watches.runDue();
+            }
+            if (alerts.length !== before + 1 || watches.get('digest').pending.length !== 2) {
+                throw new Error('Alerts after the first should wait for the digest interval');
+            }
+            minutes(50);
+            await watches.runDue();
+            const last = alerts[alerts.length - 1];
+            if (alerts.length !== before + 2 || last.title !== 'Watch "digest" digest: 2 new results' || last.message !== 'Story d2; Story d3') {
+                throw new Error(`Digest should batch the held alerts: ${JSON.stringify(last)}`);
+            }
+            if (JSON.parse(fs.readFileSync(path.join(directory, 'watches.json'), 'utf8')).watches[0].seen.length !== urls.length) {
+                throw new Error('Watch state should be saved to disk');
+            }
+
+            // A failed first run must not end the baseline, or the next good run alerts on everything
+            let down = true;
+            const flaky = new WatchManager({
+                file: path.join(directory, 'flaky-watches.json'),
+                search: async query => (down
+                    ? { query, sources: {}, errors: [{ api: 'newsAPI', error: 'HTTP 503' }], merged: [] }
+                    : { query, sources: { newsAPI: {} }, errors: [], merged: urls.map(url => ({ title: 'Old story', url })) }),
+                notifier: { notify: (title, message) => alerts.push({ title, message }) },
+                now: () => clock
+            });
+            const outage = flaky.add({ name: 'outage', query: 'outage', intervalMinutes: 30 });
+            const failed = await flaky.run(outage);
+            if (!failed.error || flaky.get('outage').lastRunAt || flaky.get('outage').seen.length !== 0 || flaky.isDue(flaky.get('outage'))) {
+                throw new Error('A failed run should not count as the baseline, but should wait for the next interval');
+            }
+            down = false;
+            const alertsBefore = alerts.length;
+            minutes(30);
+            const recovered = await flaky.runDue();
+            if (recovered.length !== 1 || !recovered[0].baseline || recovered[0].newItems.length !== 0 || alerts.length !== alertsBefore ||
+                flaky.get('outage').seen.length !== urls.length) {
+                throw new Error(`The first run that succeeds should be the silent baseline: ${JSON.stringify(recovered)}`);
+            }
+            down = true;
+            minutes(30);
+            await flaky.runDue();
+            if (flaky.get('outage').seen.length !== urls.length) {
+                throw new Error('A failed run must leave the seen URLs alone');
+            }
+
+            // Runs inside the response cache TTL still reach the API, and still refresh the cache
+            let braveUrls = ['https://c.example/1'];
+            const cachedWatcher = new DeepResearcher({
+                configOverrides: { braveSearch: { apiKey: 'watch-key', retries: 1 } },
+                http: async () => ({ status: 200, headers: {}, data: { web: { results: braveUrls.map(url => ({ title: 'Cached story', url, description: 'd' })) } } }),
+                history: new HistoryStore()
+            });
+            cachedWatcher.cache = new ResponseCache({ directory: path.join(directory, 'cache') });
+            cachedWatcher.quota = new QuotaTracker();
+            const cachedWatches = new WatchManager({
+                file: path.join(directory, 'cached-watches.json'),
+                search: (query, options) => cachedWatcher.comprehensiveSearch(query, options),
+                notifier: { notify() {} },
+                now: () => clock
+            });
+            await cachedWatches.run(cachedWatches.add({ name: 'cached', query: 'cached watch', options: { providers: ['braveSearch'] }, intervalMinutes: 1 }));
+            braveUrls = ['https://c.example/2', ...braveUrls];
+            minutes(1);
+            const refreshed = await cachedWatches.runDue();
+            if (refreshed.length !== 1 || refreshed[0].newItems.length !== 1 || refreshed[0].newItems[0].url !== 'https://c.example/2') {
+                throw new Error(`A watch run inside the cache TTL should see the new item: ${JSON.stringify(refreshed)}`);
+            }
+            if (cachedWatcher.cache.stats().entries !== 1) {
+                throw new Error('Watch runs should still store their responses in the cache');
+            }
+
+            const scheduler = watches.start({ tickMs: 5 });
+            await new Promise(resolve => setTimeout(resolve, 20));
+            scheduler.stop();
+            await scheduler.done;
+
+            // CLI
+            const output = [];
+            const io = { out: text => output.push(text), err: text => output.push(text) };
+            const cliWatches = new WatchManager({ file: path.join(directory, 'cli-watches.json'), search: async () => ({}), notifier: { notify() {} } });
+            const run = argv => runCli(argv, {
+                createResearcher: () => ({ providers: researcher.providers, watches: cliWatches }),
+                paths: { script: '/opt/deep-research/deepResearch.js' },
+                io
+            });
+            if (await run(['watch', 'add', 'grid', 'grid', 'storage', '-p', 'news', '--every', '15', '--quiet', '22:00-06:30', '--digest', '120']) !== EXIT_CODES.OK) {
+                throw new Error(`watch add failed: ${output.pop()}`);
+            }
+            const saved = cliWatches.get('grid');
+            if (saved.query !== 'grid storage' || saved.options.providers[0] !== 'newsAPI' || saved.options.cacheMode || saved.intervalMinutes !== 15 ||
+                saved.quietHours !== '22:00-06:30' || saved.digestMinutes !== 120) {
+                throw new Error(`watch add stored the wrong settings: ${JSON.stringify(saved)}`);
+            }
+            await run(['watch', 'schedule']);
+            if (!output.pop().startsWith('*/15 * * * * cd /opt/deep-research && ')) {
+                throw new Error('schedule should print a crontab line for the shortest interval');
+            }
+            await run(['watch', 'schedule', '--systemd']);
+            if (!output.some(text => text.includes('OnUnitActiveSec=15min')) || !output.some(text => text.includes('deepResearch.js watch run'))) {
+                throw new Error('schedule --systemd should print a timer and service');
+            }
+            // Install paths with spaces (or quotes and %) must survive the shell, cron and systemd
+            const spaced = { node: '/opt/node js/bin/node', script: "/home/me/My Tools/it's 100%/deepResearch.js", minutes: 15 };
+            if (cronLine(spaced) !== "*/15 * * * * cd '/home/me/My Tools/it'\\''s 100\\%' && '/opt/node js/bin/node' " +
+                "'/home/me/My Tools/it'\\''s 100\\%/deepResearch.js' watch run") {
+                throw new Error(`cron line paths should be shell-quoted: ${cronLine(spaced)}`);
+            }
+            const units = systemdUnits(spaced).service;
+            if (!units.includes('ExecStart="/opt/node js/bin/node" "/home/me/My Tools/it\'s 100%%/deepResearch.js" watch run') ||
+                !units.includes("WorkingDirectory=/home/me/My Tools/it's 100%%\n")) {
+                throw new Error(`systemd units should quote ExecStart paths: ${units}`);
+            }
+            if (await run(['watch', 'add', 'grid', 'again']) !== EXIT_CODES.USAGE || await run(['watch', 'add', 'late', 'x', '--quiet', '25:00-01:00']) !== EXIT_CODES.USAGE ||
+                await run(['watch', 'remove', 'nope']) !== EXIT_CODES.FAILURE || await run(['watch', 'remove', 'grid']) !== EXIT_CODES.OK ||
+                cliWatches.list().length !== 0) {
+                throw new Error('watch add/remove should validate and delete');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8ae: HTTP API with validation and bearer-token auth
+    await runner.test('HTTP API Server', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-api-'));
+        const history = new HistoryStore({ file: path.join(directory, 'history.jsonl') });
+        history.record({ query: 'stored run', sources: {}, totalResults: 0, merged: [], errors: [], skipped: [] }, { mode: 'search', options: {}, startedAt: Date.now() });
+        const calls = [];
+        const fakeResearcher = {
+            providers: researcher.providers,
+            config: researcher.config,
+            history,
+            comprehensiveSearch: async (query, options) => {
+                calls.push({ query, options });
+                return { query, sources: {}, totalResults: 0, errors: [], skipped: [], merged: [] };
+            },
+            deepResearch: async query => ({ query, tree: {}, results: [], errors: [], stats: {} })
+        };
+        const send = (port, method, route, { body, headers = {} } = {}) => new Promise((resolve, reject) => {
+            const request = http.request({ host: '127.0.0.1', port, method, path: route, headers }, response => {
+                let text = '';
+                response.on('data', chunk => {
+                    text += chunk;
+                });
+                response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text ? JSON.parse(text) : null }));
+            });
+            request.on('error', reject);
+            request.end(body);
+        });
+        const json = { 'Content-Type': 'application/json' };
+
+        const server = createApiServer(fakeResearcher, { token: 'sesame', version: '9.9.9' });
+        const { port } = await listen(server, { port: 0 });
+        try {
+            const auth = { Authorization: 'Bearer sesame' };
+            const health = await send(port, 'GET', '/health');
+            if (health.status !== 200 || health.body.status !== 'ok' || health.body.version !== '9.9.9') {
+                throw new Error('/health should answer without a token');
+            }
+            const denied = await send(port, 'GET', '/providers', { headers: { Authorization: 'Bearer wrong' } });
+            if (denied.status !== 401 || denied.headers['www-authenticate'] !== 'Bearer' || denied.body.error.status !== 401) {
+                throw new Error('A wrong token should get 401');
+            }
+            const providers = await send(port, 'GET', '/providers', { headers: auth });
+            if (providers.status !== 200 || !providers.body.providers.some(provider => provider.name === 'braveSearch')) {
+                throw new Error('/providers should list the registry');
+            }
+
+            const search = await send(port, 'POST', '/search', {
+                headers: { ...auth, ...json },
+                body: JSON.stringify({ query: '  grid storage ', providers: ['braveSearch'], braveOptions: { count: 3 }, cacheMode: 'refresh' })
+            });
+            if (search.status !== 200 || search.body.query !== 'grid storage' || calls[0].options.braveOptions.count !== 3 ||
+                calls[0].options.cacheMode !== 'refresh' || 'query' in calls[0].options) {
+                throw new Error(`POST /search should map the body onto comprehensiveSearch options: ${JSON.stringify(calls)}`);
+            }
+            const deep = await send(port, 'POST', '/search', { headers: { ...auth, ...json }, body: JSON.stringify({ query: 'deep one', deep: true, depth: 1 }) });
+            if (deep.status !== 200 || !deep.body.tree) {
+                throw new Error('"deep": true should run deepResearch()');
+            }
+
+            const invalid = await send(port, 'POST', '/search', {
+                headers: { ...auth, ...json },
+                body: JSON.stringify({ query: 'x', providers: ['nope'], depth: 9, color: 'red' })
+            });
+            const paths = invalid.status === 400 ? invalid.body.error.details.map(detail => detail.path).sort().join() : '';
+            if (paths !== 'color,depth,providers[0]') {
+                throw new Error(`Invalid bodies should get 400 with details: ${JSON.stringify(invalid.body)}`);
+            }
+            if ((await send(port, 'POST', '/search', { headers: { ...auth, ...json }, body: '{"query":' })).status !== 400 ||
+                (await send(port, 'POST', '/search', { headers: { ...auth, ...json }, body: '{"query":"   "}' })).status !== 400 ||
+                (await send(port, 'POST', '/search', { headers: { ...auth, 'Content-Type': 'text/plain' }, body: 'q' })).status !== 415 ||
+                (await send(port, 'POST', '/search', { headers: { ...auth, ...json }, body: JSON.stringify({ query: 'x'.repeat(70000) }) })).status !== 413) {
+                throw new Error('Malformed JSON, blank queries, other content types and oversized bodies should be rejected');
+            }
+            const wrongMethod = await send(port, 'GET', '/search', { headers: auth });
+            if (wrongMethod.status !== 405 || wrongMethod.headers.allow !== 'POST' || (await send(port, 'GET', '/nothing', { headers: auth })).status !== 404) {
+                throw new Error('Unknown routes get 404 and wrong methods 405');
+            }
+            // A request target URL cannot parse must get 400, not an unhandled rejection that ends the process
+            const raw = await new Promise((resolve, reject) => {
+                const socket = net.connect(port, '127.0.0.1', () => socket.write('GET http://[bad/health HTTP/1.1\r\nHost: x\r\nConnection: close\r\n\r\n'));
+                let text = '';
+                socket.on('data', chunk => {
+                    text += chunk;
+                });
+                socket.on('end', () => resolve(text));
+                socket.on('error', reject);
+            });
+            if (!raw.startsWith('HTTP/1.1 400') || (await send(port, 'GET', '/health')).status !== 200) {
+                throw new Error(`A malformed request target should get 400 and leave the server up: ${raw.split('\r\n')[0]}`);
+            }
+
+            const entry = await send(port, 'GET', '/history/1', { headers: auth });
+            const list = await send(port, 'GET', '/history?limit=5', { headers: auth });
+            if (entry.status !== 200 || entry.body.query !== 'stored run' || list.body.entries.length !== 1 ||
+                (await send(port, 'GET', '/history/42', { headers: auth })).status !== 404) {
+                throw new Error('History routes should return stored runs');
+            }
+            if (calls.length !== 1) {
+                throw new Error('Rejected requests must not reach the researcher');
+            }
+        } finally {
+            server.close();
+        }
+
+        // serve resolves a secret token, binds and stops on SIGINT
+        const output = [];
+        const serving = runCli(['serve', '--port', '0'], {
+            createResearcher: () => ({
+                ...fakeResearcher,
+                config: { ...researcher.config, server: { token: 'secret:api-token' } },
+                secrets: new SecretStore({ backendInstance: new EnvSecretBackend({ env: { 'api-token': 'from-env' } }) })
+            }),
+            paths: {},
+            io: { out: text => output.push(text), err: text => output.push(text) }
+        });
+        for (let wait = 0; wait < 50 && output.length === 0; wait++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        const servePort = Number((/:(\d+)/.exec(output[0] || '') || [])[1]);
+        const served = servePort ? await send(servePort, 'GET', '/providers', { headers: { Authorization: 'Bearer from-env' } }) : null;
+        process.emit('SIGINT');
+        if (await serving !== EXIT_CODES.OK || !served || served.status !== 200 || !output[0].includes('bearer token required')) {
+            throw new Error(`serve should listen with the resolved token: ${output.join(' | ')}`);
+        }
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    // Test 8af: Streaming results as each provider answers (iterator, NDJSON CLI and SSE)
+    await runner.test('Streaming Search', async () => {
+        const server = http.createServer((request, response) => {
+            const slow = request.url.startsWith('/news');
+            setTimeout(() => {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(slow
+                    ? { status: 'ok', totalResults: 1, articles: [{ title: 'Slow news', url: 'https://stream.example/news', description: 'n', source: { name: 'Wire' } }] }
+                    : { web: { results: [{ title: 'Fast web', url: 'https://stream.example/web', description: 'w' }] } }));
+            }, slow ? 150 : 0);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const streamer = new DeepResearcher({ history: new HistoryStore() });
+        streamer.config.braveSearch = { ...streamer.config.braveSearch, apiKey: 'stream-key', baseUrl: `${base}/brave`, retries: 1 };
+        streamer.config.newsAPI = { ...streamer.config.newsAPI, apiKey: 'stream-key', baseUrl: `${base}/news`, retries: 1 };
+        streamer.cacheMode = 'off';
+        streamer.quota = new QuotaTracker();
+        const options = { providers: ['braveSearch', 'newsAPI'] };
+        let api;
+        try {
+            const events = [];
+            const seenAt = {};
+            for await (const event of streamer.streamSearch('streaming', options)) {
+                events.push(event);
+                seenAt[event.api || event.type] = seenAt[event.api || event.type] || Date.now();
+            }
+            const order = events.map(event => (event.api ? `${event.type}:${event.api}` : event.type)).join(',');
+            if (order !== 'start,provider:braveSearch,merged,provider:newsAPI,merged,done') {
+                throw new Error(`Unexpected event order: ${order}`);
+            }
+            if (seenAt.newsAPI - seenAt.braveSearch < 100) {
+                throw new Error('Brave results should arrive before the slow provider finishes');
+            }
+            if (events[2].merged.length !== 1 || events[2].pending !== 1 || events[4].merged.length !== 2 || events[4].pending !== 0 ||
+                events[5].results.merged.length !== 2 || events[5].results.totalResults !== 2) {
+                throw new Error('merged updates should grow as providers finish and done should carry the full results');
+            }
+            const viaSearch = await streamer.comprehensiveSearch('streaming', options);
+            if (Object.keys(viaSearch.sources).join() !== 'braveSearch,newsAPI' || viaSearch.merged.length !== 2) {
+                throw new Error('comprehensiveSearch() should return the same results as the stream');
+            }
+
+            const output = [];
+            const code = await runCli(['search', 'streaming', '-p', 'brave,news', '--stream'], {
+                createResearcher: () => streamer,
+                paths: {},
+                io: { out: text => output.push(text), err: text => output.push(text) }
+            });
+            const lines = output.map(line => JSON.parse(line));
+            if (code !== EXIT_CODES.OK || lines[0].type !== 'start' || lines[lines.length - 1].type !== 'done' || lines.length !== 6) {
+                throw new Error(`--stream should print one JSON event per line: ${output.join('\n')}`);
+            }
+            if (await runCli(['search', 'x', '--stream', '--deep'], { createResearcher: () => streamer, paths: {}, io: { out() {}, err() {} } }) !== EXIT_CODES.USAGE) {
+                throw new Error('--stream with --deep should be a usage error');
+            }
+
+            api = createApiServer(streamer);
+            const { port } = await listen(api, { port: 0 });
+            const sse = await new Promise((resolve, reject) => {
+                http.get({ host: '127.0.0.1', port, path: '/search/stream?query=streaming&providers=braveSearch,newsAPI' }, response => {
+                    let text = '';
+                    response.on('data', chunk => {
+                        text += chunk;
+                    });
+                    response.on('end', () => resolve({ type: response.headers['content-type'], text }));
+                }).on('error', reject);
+            });
+            const sseEvents = sse.text.trim().split('\n\n');
+            if (!sse.type.startsWith('text/event-stream') || sseEvents.length !== 6 || !sseEvents[1].startsWith('event: provider\ndata: {"type":"provider","api":"braveSearch"') ||
+                !sseEvents[5].startsWith('event: done\n')) {
+                throw new Error(`Unexpected SSE stream: ${sse.text.slice(0, 300)}`);
+            }
+        } finally {
+            server.close();
+            if (api) {
+                api.close();
+            }
+        }
+    });
+
+    // Test 8ag: Offline HTTP fixtures (mock APIs, record with scrubbed keys, deterministic replay)
+    await runner.test('Offline HTTP Fixtures', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-fixtures-'));
+        const silent = { notifier: { notify() {} } };
+        const offline = (apiKey, http) => {
+            const overrides = mockApis.config(apiKey);
+            Object.values(overrides).forEach(block => Object.assign(block, { retries: 1, timeout: 1000 }));
+            if (http) {
+                overrides.http = http;
+            }
+            const offlineResearcher = new DeepResearcher({ configOverrides: overrides, cacheMode: 'off', history: new HistoryStore() });
+            offlineResearcher.quota = new QuotaTracker();
+            return offlineResearcher;
+        };
+        try {
+            const healthy = await offline('mock-key').comprehensiveSearch('solar storms', { notify: false });
+            if (Object.keys(healthy.sources).length !== 4 || healthy.errors.length !== 0) {
+                throw new Error(`Every mocked provider should answer: ${JSON.stringify(healthy.errors)}`);
+            }
+            const shared = healthy.merged.find(item => item.url === 'https://news.example.com/solar-storms/1');
+            if (!shared || shared.providers.length !== 2) {
+                throw new Error('NewsAPI and Newsdata.io mocks should return overlapping articles');
+            }
+
+            const failures = [
+                ['mock-401', 'braveSearch', 401],
+                ['mock-403', 'newsdataFallback', 403],
+                ['mock-426', 'newsAPI', 426],
+                ['mock-429', 'braveSearch', 429],
+                ['mock-timeout', 'newsAPI', 'ECONNABORTED']
+            ];
+            for (const [apiKey, provider, expected] of failures) {
+                const result = await offline(apiKey).runProvider(provider, 'failure case', {}, silent);
+                if (result.success !== false || result.errorCode !== expected) {
+                    throw new Error(`${apiKey} on ${provider} should fail with ${expected}, got ${result.errorCode}`);
+                }
+            }
+            const limited = offline('mock-429');
+            await limited.runProvider('braveSearch', 'rate limited', {}, silent);
+            const deferred = limited.quota.check('braveSearch', 'mock-429', limited.config.braveSearch);
+            if (deferred.allowed || deferred.reason !== 'rate_limited') {
+                throw new Error(`The mocked Retry-After should block the key: ${JSON.stringify(deferred)}`);
+            }
+
+            const secretKey = 'sk-live-0123456789abcdef';
+            const recordHttp = { mode: 'record', fixtures: directory };
+            const recorded = await offline(secretKey, recordHttp).comprehensiveSearch('fixture query', { notify: false });
+            await offline('mock-401', recordHttp).runProvider('braveSearch', 'denied query', {}, silent);
+            const files = fs.readdirSync(directory);
+            if (files.length !== 5) {
+                throw new Error(`Expected five fixture files, got ${files.join(', ')}`);
+            }
+            const contents = files.map(file => fs.readFileSync(path.join(directory, file), 'utf8'));
+            if (contents.some(text => text.includes(secretKey) || text.includes('mock-401'))) {
+                throw new Error('Fixture files must not contain API keys');
+            }
+            const newsdataFixture = contents.map(text => JSON.parse(text)).find(fixture => fixture.request.url.endsWith('/api/1/news'));
+            if (newsdataFixture.request.params.apikey !== REDACTED) {
+                throw new Error('Key params should be stored as [REDACTED]');
+            }
+
+            const requestsBefore = mockApis.requests.length;
+            const replayHttp = { mode: 'replay', fixtures: directory };
+            const replayed = await offline('another-key', replayHttp).comprehensiveSearch('fixture query', { notify: false });
+            if (JSON.stringify(replayed.merged.map(item => item.url)) !== JSON.stringify(recorded.merged.map(item => item.url))) {
+                throw new Error('Replay should return the recorded results');
+            }
+            const denied = await offline('another-key', replayHttp).runProvider('braveSearch', 'denied query', {}, silent);
+            if (denied.errorCode !== 401) {
+                throw new Error(`Recorded failures should replay with their status, got ${denied.errorCode}`);
+            }
+            const missing = await offline('another-key', replayHttp).runProvider('braveSearch', 'never recorded', {}, silent);
+            if (missing.success !== false || !missing.error.includes('No recorded fixture')) {
+                throw new Error(`A missing fixture should fail clearly: ${missing.error}`);
+            }
+            if (mockApis.requests.length !== requestsBefore) {
+                throw new Error('Replay mode must not send requests');
+            }
+
+            // Custom providers name their key param and header freely; both are scrubbed and left out of the fixture key
+            const customDirectory = path.join(directory, 'custom');
+            const keyed = createJsonProvider({ name: 'keyedSource', baseUrl: 'https://keyed.example/api', apiKeyParam: 'access_key', apiKeyHeader: 'X-Appid', resultsPath: 'items' });
+            const runKeyed = (apiKey, mode) => executeProvider(keyed, 'keyed query', {}, {
+                config: { keyedSource: { apiKey, retries: 1 } },
+                logger: { debug() {}, info() {}, warn() {}, error() {} },
+                notifier: { notify() {} },
+                retry: RetryUtility,
+                http: createHttpClient({
+                    mode,
+                    fixtures: customDirectory,
+                    transport: async request => ({
+                        status: 200,
+                        headers: {},
+                        data: { items: [{ title: 'Keyed', url: 'https://keyed.example/1' }], echo: `${request.params.access_key}/${request.headers['X-Appid']}` }
+                    })
+                })
+            });
+            await runKeyed('SUPERSECRETKEY1', 'record');
+            const customFixture = fs.readFileSync(path.join(customDirectory, fs.readdirSync(customDirectory)[0]), 'utf8');
+            if (customFixture.includes('SUPERSECRETKEY1') || JSON.parse(customFixture).request.params.access_key !== REDACTED) {
+                throw new Error(`A custom provider's key param should be scrubbed: ${customFixture}`);
+            }
+            const keyedReplay = await runKeyed('APPIDSECRET22', 'replay');
+            if (!keyedReplay.success || keyedReplay.results[0].title !== 'Keyed') {
+                throw new Error(`Replay with another key should find the fixture: ${keyedReplay.error}`);
+            }
+            let rejected = false;
+            try {
+                createHttpClient({ mode: 'offline' });
+            } catch (error) {
+                rejected = error.message.includes('Unknown http mode');
+            }
+            if (!rejected) {
+                throw new Error('Unknown http modes should be rejected');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8ah: Structured logging (JSON records, levels, redaction, quiet mode, rotation)
+    await runner.test('Structured Logging', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-logging-'));
+        const file = path.join(directory, 'research.log');
+        const records = () => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        const origLog = console.log;
+        let consoleLines = 0;
+        console.log = () => { consoleLines++; };
+        try {
+            const logger = new StructuredLogger({ file, secrets: ['sk-live-secret-value'] });
+            logger.log('debug', 'dropped at the default level');
+            logger.log('info', 'GET https://newsdata.io/api/1/news?apikey=abc123def456&q=ai', null, { provider: 'newsdataFallback', queryId: 'q1', status: 200 });
+            logger.log('info', 'Using sk-live-secret-value with Authorization: Bearer eyJhbGciOi.payload', null, { headers: { 'X-Api-Key': 'plain-key-123' } });
+            let written = records();
+            if (written.length !== 2 || consoleLines !== 2) {
+                throw new Error(`Debug records should be dropped by default: ${written.length} records, ${consoleLines} console lines`);
+            }
+            if (written[0].provider !== 'newsdataFallback' || written[0].queryId !== 'q1' || written[0].status !== 200 || !written[0].time) {
+                throw new Error(`Fields missing from the JSON record: ${JSON.stringify(written[0])}`);
+            }
+            const text = fs.readFileSync(file, 'utf8');
+            if (['abc123def456', 'sk-live-secret-value', 'eyJhbGciOi', 'plain-key-123'].some(secret => text.includes(secret)) ||
+                !written[0].message.includes(`apikey=${REDACTED}`) || written[1].headers['X-Api-Key'] !== REDACTED) {
+                throw new Error(`Secrets should be redacted: ${text}`);
+            }
+
+            logger.configure({ level: 'warn', quiet: true });
+            logger.log('info', 'below warn');
+            logger.log('error', 'kept quietly', new Error('boom'));
+            written = records();
+            if (written.length !== 3 || written[2].error.message !== 'boom' || consoleLines !== 2) {
+                throw new Error('Level and quiet mode not applied');
+            }
+
+            // A key that only lives in the keystore is redacted once resolved, and stays so after reconfiguring
+            const keystore = new KeystoreSecretBackend({ file: path.join(directory, 'keystore.json'), passphrase: 'pass phrase', scrypt: { N: 1024 } });
+            await keystore.set('BRAVE_KEY', 'ks-backed-key-0042');
+            const store = new SecretStore({ backendInstance: keystore });
+            store.onResolve(secret => logger.addSecrets([secret]));
+            await store.resolveConfig({ apiKey: 'secret:BRAVE_KEY' });
+            logger.configure({ quiet: true });
+            logger.log('error', 'GET https://api.example/search/ks-backed-key-0042 failed');
+            if (fs.readFileSync(file, 'utf8').includes('ks-backed-key-0042')) {
+                throw new Error('Keys resolved from the keystore should be redacted');
+            }
+            new DeepResearcher({ configOverrides: { logging: { quiet: true } }, secrets: store, cacheMode: 'off', history: new HistoryStore() });
+            if (!Logger.instance.secrets.includes('ks-backed-key-0042')) {
+                throw new Error('DeepResearcher should register resolved secrets with Logger');
+            }
+
+            let now = Date.parse('2024-05-01T00:00:00Z');
+            const rotating = new StructuredLogger({ file: path.join(directory, 'rotating.log'), quiet: true, maxBytes: 400, maxFiles: 2, now: () => now });
+            for (let index = 0; index < 20; index++) {
+                rotating.log('info', `record number ${index} with some padding to fill the file`);
+            }
+            const rotated = fs.readdirSync(directory).filter(name => name.startsWith('rotating.log')).sort();
+            if (JSON.stringify(rotated) !== JSON.stringify(['rotating.log', 'rotating.log.1', 'rotating.log.2'])) {
+                throw new Error(`Size rotation should keep two old files: ${rotated.join(', ')}`);
+            }
+            const aged = new StructuredLogger({ file: path.join(directory, 'aged.log'), quiet: true, maxAgeHours: 24, now: () => now });
+            aged.log('info', 'first day');
+            now += 25 * 60 * 60 * 1000;
+            aged.log('info', 'second day');
+            if (!fs.existsSync(path.join(directory, 'aged.log.1')) || !fs.readFileSync(path.join(directory, 'aged.log'), 'utf8').includes('second day')) {
+                throw new Error('Files older than maxAgeHours should rotate');
+            }
+
+            const captured = [];
+            const capture = {};
+            ['debug', 'info', 'warn'].forEach(level => {
+                capture[level] = (message, fields) => captured.push({ level, message, fields });
+            });
+            capture.error = (message, error, fields) => captured.push({ level: 'error', message, fields });
+            const brave = { ...mockApis.config('mock-key').braveSearch, retries: 1, timeout: 1000 };
+            await executeProvider(researcher.providers.get('braveSearch'), 'logged query', {}, {
+                config: { braveSearch: brave },
+                logger: capture,
+                notifier: { notify() {} },
+                retry: RetryUtility,
+                queryId: 'abcd1234'
+            });
+            const success = captured.find(entry => entry.message.includes('Successfully retrieved'));
+            if (!success || success.fields.provider !== 'braveSearch' || success.fields.queryId !== 'abcd1234' ||
+                success.fields.status !== 200 || typeof success.fields.durationMs !== 'number') {
+                throw new Error(`Provider records should carry provider, queryId, status and duration: ${JSON.stringify(success)}`);
+            }
+
+            consoleLines = 0;
+            const output = [];
+            const cliDeps = {
+                createResearcher: options => new DeepResearcher(options),
+                paths: { configFile: path.join(directory, 'config.json'), logFile: file },
+                io: { out: text => output.push(text), err: text => output.push(text) }
+            };
+            await runCli(['search', 'quiet', 'query', '-p', 'brave', '--no-cache'], cliDeps);
+            if (consoleLines !== 0 || !JSON.parse(output[0]).query) {
+                throw new Error(`search should keep log lines off stdout, saw ${consoleLines}`);
+            }
+            if (await runCli(['providers', '--log-level', 'verbose'], cliDeps) !== EXIT_CODES.USAGE) {
+                throw new Error('An unknown --log-level should be a usage error');
+            }
+        } finally {
+            console.log = origLog;
+            Logger.configure();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8ai: Error classification, retry policy and circuit breaker
+    await runner.test('Retry Policy and Circuit Breaker', async () => {
+        const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+            response: { status, headers }
+        });
+        const kinds = [
+            httpError(401), httpError(429), httpError(400), httpError(503),
+            Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+            Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' })
+        ].map(error => classifyError(error));
+        if (JSON.stringify(kinds.map(kind => kind.kind)) !== JSON.stringify(['auth', 'quota', 'client', 'server', 'network', 'timeout']) ||
+            JSON.stringify(kinds.map(kind => kind.retryable)) !== JSON.stringify([false, true, false, true, true, true])) {
+            throw new Error(`Unexpected classification: ${JSON.stringify(kinds)}`);
+        }
+        if (backoffDelay(10, { baseDelay: 1000, maxDelay: 4000 }, () => 0.999) > 4000 || backoffDelay(1, { baseDelay: 1000 }, () => 0) !== 0) {
+            throw new Error('Backoff should be full jitter below the cap');
+        }
+
+        const delays = [];
+        const quietly = { sleep: async ms => { delays.push(ms); }, random: () => 1 };
+        let attempts = 0;
+        await withRetry(async () => {
+            attempts++;
+            throw httpError(401);
+        }, { maxRetries: 3, ...quietly }).catch(() => {});
+        if (attempts !== 1) {
+            throw new Error(`Auth failures should not be retried, saw ${attempts} attempts`);
+        }
+        attempts = 0;
+        const result = await withRetry(async () => {
+            attempts++;
+            if (attempts < 4) {
+                throw httpError(500);
+            }
+            return 'ok';
+        }, { maxRetries: 4, baseDelay: 1000, maxDelay: 3000, ...quietly });
+        if (result !== 'ok' || JSON.stringify(delays) !== JSON.stringify([1000, 2000, 3000])) {
+            throw new Error(`Server errors should back off up to maxDelay: ${JSON.stringify(delays)}`);
+        }
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-breaker-'));
+        try {
+            let now = Date.parse('2024-05-01T00:00:00Z');
+            const file = path.join(directory, 'circuit-state.json');
+            const breaker = new CircuitBreaker({ file, failureThreshold: 3, cooldownMs: 60000, now: () => now });
+            const brave = { ...mockApis.config('mock-key').braveSearch, retries: 1 };
+            let calls = 0;
+            const run = http => executeProvider(researcher.providers.get('braveSearch'), 'breaker query', {}, {
+                config: { braveSearch: brave },
+                logger: { debug() {}, info() {}, warn() {}, error() {} },
+                notifier: { notify() {} },
+                retry: RetryUtility,
+                breaker,
+                http: async request => {
+                    calls++;
+                    return http(request);
+                }
+            });
+            const failing = async () => {
+                throw httpError(502);
+            };
+            const rejected = await run(async () => {
+                throw httpError(401);
+            });
+            if (rejected.errorKind !== 'auth' || breaker.list().length !== 0) {
+                throw new Error('Auth failures should not count toward the circuit');
+            }
+            for (let index = 0; index < 3; index++) {
+                await run(failing);
+            }
+            calls = 0;
+            const skipped = await run(failing);
+            if (!skipped.skipped || skipped.skipReason.reason !== 'circuit_open' || calls !== 0 ||
+                skipped.skipReason.retryAt !== new Date(now + 60000).toISOString()) {
+                throw new Error(`An open circuit should skip without a request: ${JSON.stringify(skipped)}`);
+            }
+
+            // Persisted across runs, and comprehensiveSearch() reports it like a quota skip
+            const reloaded = new CircuitBreaker({ file, cooldownMs: 60000, now: () => now });
+            if (reloaded.list().length !== 1 || reloaded.list()[0].state !== 'open') {
+                throw new Error('Circuit state should survive a restart');
+            }
+            const searcher = new DeepResearcher({ configOverrides: { braveSearch: { apiKey: 'mock-key' } }, cacheMode: 'off', history: new HistoryStore() });
+            searcher.breaker = reloaded;
+            const search = await searcher.comprehensiveSearch('breaker query', { providers: ['braveSearch'] });
+            if (!search.skipped.some(skip => skip.api === 'braveSearch' && skip.reason === 'circuit_open')) {
+                throw new Error(`comprehensiveSearch should skip the open circuit: ${JSON.stringify(search.skipped)}`);
+            }
+
+            // After the cooldown one trial goes through: a failure reopens, a success closes
+            now += 60000;
+            const trial = await run(failing);
+            if (calls !== 1 || trial.skipped || breaker.check(breaker.list()[0].id).allowed) {
+                throw new Error('A failed half-open trial should reopen the circuit');
+            }
+            now += 60000;
+            const recovered = await run(request => Promise.resolve({ status: 200, data: { web: { results: [{ title: 'Back', url: 'https://example.com/back' }] } } }));
+            if (!recovered.success || breaker.list().length !== 0) {
+                throw new Error('A successful trial should close the circuit');
+            }
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    // Test 8aj: Deadlines and cancellation return what finished in time
+    await runner.test('Deadline and Cancellation', async () => {
+        const overrides = { ...mockApis.config('mock-key'), logging: { quiet: true } };
+        overrides.newsAPI.apiKey = 'mock-timeout';
+        const stopping = new DeepResearcher({ configOverrides: overrides, cacheMode: 'off', history: new HistoryStore() });
+        const options = { providers: ['braveSearch', 'newsAPI'] };
+        try {
+            let started = Date.now();
+            const timed = await stopping.comprehensiveSearch('deadline query', { ...options, deadlineMs: 400 });
+            if (Date.now() - started > 2000 || timed.stopReason !== 'deadline' || !timed.sources.braveSearch ||
+                !timed.errors.some(error => error.api === 'newsAPI' && error.timedOut)) {
+                throw new Error(`The deadline should return Brave and mark NewsAPI timed out: ${JSON.stringify(timed.errors)}`);
+            }
+            if (exitCodeForResults(timed) !== EXIT_CODES.PARTIAL) {
+                throw new Error('A search cut off by its deadline has partial results');
+            }
+
+            const controller = new AbortController();
+            const events = [];
+            started = Date.now();
+            for await (const event of stopping.streamSearch('cancelled query', { ...options, signal: controller.signal })) {
+                events.push(event);
+                if (event.type === 'provider') {
+                    controller.abort();
+                }
+            }
+            const done = events[events.length - 1].results;
+            if (Date.now() - started > 2000 || done.stopReason !== 'cancelled' || !events.some(event => event.type === 'error' && event.cancelled)) {
+                throw new Error(`Aborting should stop the stream with the answers so far: ${JSON.stringify(done.errors)}`);
+            }
+            if (exitCodeForResults(done) !== EXIT_CODES.INTERRUPTED) {
+                throw new Error('A cancelled search should exit with 130');
+            }
+
+            const deepController = new AbortController();
+            setTimeout(() => deepController.abort(), 200);
+            const report = await stopping.deepResearch('cancelled deep query', { ...options, depth: 2, signal: deepController.signal });
+            if (report.stats.stopReason !== 'cancelled' || report.stats.queriesRun !== 1) {
+                throw new Error(`Deep research should stop after the step in flight: ${JSON.stringify(report.stats)}`);
+            }
+
+            // A consumer that stops reading early aborts the providers still in flight
+            const abandoned = new DeepResearcher({ configOverrides: overrides, cacheMode: 'off', history: new HistoryStore() });
+            const signals = [];
+            abandoned.runProvider = (name, query, providerOptions, runOptions) => {
+                signals.push(runOptions.signal);
+                return new Promise(resolve => runOptions.signal.addEventListener('abort', () => resolve({ success: false, cancelled: true })));
+            };
+            for await (const event of abandoned.streamSearch('abandoned query', options)) {
+                if (event.type === 'start') {
+                    break;
+                }
+            }
+            if (signals.length !== 2 || !signals.every(signal => signal.aborted)) {
+                throw new Error('Breaking out of streamSearch should abort the provider requests');
+            }
+
+            // Retry waits end as soon as the signal fires
+            const retryController = new AbortController();
+            let attempts = 0;
+            started = Date.now();
+            setTimeout(() => retryController.abort(), 100);
+            const retried = await RetryUtility.withRetry(async () => {
+                attempts++;
+                throw Object.assign(new Error('Service unavailable'), { response: { status: 503, headers: { 'retry-after': '20' } } });
+            }, 3, 1000, { signal: retryController.signal }).catch(error => error);
+            if (attempts !== 1 || Date.now() - started > 1000 || retried.name !== 'AbortError') {
+                throw new Error(`An aborted retry wait should end at once: ${attempts} attempts, ${retried.message}`);
+            }
+
+            if (buildSearchOptions({ deadline: 1500 }, researcher.providers).deadlineMs !== 1500) {
+                throw new Error('--deadline should set deadlineMs');
+            }
+            const errors = [];
+            const code = await runCli(['search', 'x', '--deadline', '0'], {
+                createResearcher: () => researcher,
+                paths: {},
+                io: { out() {}, err: text => errors.push(text) }
+            });
+            if (code !== EXIT_CODES.USAGE) {
+                throw new Error('--deadline 0 should be a usage error');
+            }
+        } finally {
+            Logger.configure();
+        }
+    });
+
+    // Test 8ak: Notification channels deliver by severity, event and template
+    await runner.test('Notification Channels', async () => {
+        if (severityOf('warning') !== 'alert' || severityOf('error') !== 'error' || severityOf(undefined) !== 'info' ||
+            renderTemplate('{{title}} on {{ host }}{{missing}}', { title: 'Done', host: 'box' }) !== 'Done on box') {
+            throw new Error('Severity mapping or template rendering is wrong');
+        }
+
+        const receiver = await startNotificationReceiver();
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deep-research-notify-'));
+        const channels = receiver.channels().map(channel => {
+            if (channel.type === 'webhook') {
+                return { ...channel, title: '[{{type}}] {{query}}', message: '{{message}} ({{event}})' };
+            }
+            if (channel.type === 'slack') {
+                return { ...channel, events: ['watch'] };
+            }
+            return channel.type === 'email' ? { ...channel, minSeverity: 'error' } : channel;
+        });
+        const notifying = new DeepResearcher({
+            configOverrides: {
+                ...mockApis.config('mock-key'),
+                logging: { quiet: true },
+                notifications: { desktop: { enabled: false }, channels }
+            },
+            cacheMode: 'off',
+            history: new HistoryStore()
+        });
+        const paths = message => message.path || 'smtp';
+        try {
+            await notifying.comprehensiveSearch('notify query', { providers: ['braveSearch'] });
+            await NotificationManager.flush();
+            const received = receiver.messages.map(paths).sort();
+            if (received.join(',') !== '/gotify/message,/ntfy/deep-research,/webhook') {
+                throw new Error(`A finished search should reach the info channels listening for search events only: ${received}`);
+            }
+            const hook = receiver.messages.find(message => message.path === '/webhook').body;
+            if (hook.title !== '[info] notify query' || !hook.message.endsWith('(search)') || hook.event !== 'search' || hook.type !== 'info') {
+                throw new Error(`Webhook templates should be filled in: ${JSON.stringify(hook)}`);
+            }
+            const push = receiver.messages.find(message => message.path === '/ntfy/deep-research');
+            const gotify = receiver.messages.find(message => message.path === '/gotify/message');
+            if (push.headers.priority !== '3' || push.headers.title !== 'Comprehensive Search Complete' ||
+                gotify.headers['x-gotify-key'] !== 'receiver-app-token' || gotify.body.priority !== 5) {
+                throw new Error('ntfy and Gotify should get the title, priority and token');
+            }
+
+            // Watch alerts are severity "alert" and also reach the channel that only listens for watches
+            receiver.messages.length = 0;
+            let urls = ['https://n.example/a'];
+            const watches = new WatchManager({
+                file: path.join(directory, 'watches.json'),
+                search: async query => ({ query, sources: { newsAPI: {} }, errors: [], merged: urls.map(url => ({ title: 'Chip story', url })) }),
+                notifier: NotificationManager
+            });
+            const watch = watches.add({ name: 'chips', query: 'chip exports' });
+            await watches.run(watch);
+            urls = ['https://n.example/b', ...urls];
+            await watches.run(watches.get('chips'));
+            await NotificationManager.flush();
+            const slack = receiver.messages.find(message => message.path === '/slack');
+            const alert = receiver.messages.find(message => message.path === '/webhook');
+            if (!slack || slack.body.text !== '*Watch "chips": 1 new result*\nChip story' || receiver.messages.some(message => message.kind === 'smtp')) {
+                throw new Error(`Watch alerts should reach Slack but not the error-only mailbox: ${receiver.messages.map(paths)}`);
+            }
+            if (alert.body.type !== 'alert' || alert.body.watch !== 'chips' || alert.body.items[0].url !== 'https://n.example/b') {
+                throw new Error(`Webhook watch alerts should carry the watch and its new items: ${JSON.stringify(alert.body)}`);
+            }
+
+            // Errors reach the mailbox too
+            receiver.messages.length = 0;
+            await NotificationManager.notify('Comprehensive Search Failed', 'All APIs failed – check the keys', 'error', { event: 'search' });
+            const mail = receiver.messages.find(message => message.kind === 'smtp');
+            if (!mail || mail.subject !== 'Comprehensive Search Failed' || mail.text !== 'All APIs failed – check the keys' ||
+                mail.to[0] !== 'you@localhost' || mail.user !== 'receiver') {
+                throw new Error(`Error notifications should be mailed: ${JSON.stringify(mail)}`);
+            }
+
+            // A dead endpoint is reported per channel and never throws
+            const unreachable = new NotificationDispatcher({ channels: [{ name: 'gone', type: 'webhook', url: 'http://127.0.0.1:1/hook' }, { name: 'broken', type: 'ntfy' }] });
+            const outcomes = await unreachable.send({ title: 'x', message: 'y', type: 'error' });
+            if (outcomes.some(outcome => outcome.ok) || !/url is required/.test(outcomes[1].error)) {
+                throw new Error(`Failing channels should be reported, not thrown: ${JSON.stringify(outcomes)}`);
+            }
+
+            receiver.messages.length = 0;
+            const output = [];
+            const run = argv => runCli(argv, { createResearcher: () => notifying, paths: {}, io: { out: text => output.push(text), err: text => output.push(text) } });
+            if (await run(['notify', 'test', 'slack', 'email']) !== EXIT_CODES.OK || receiver.messages.length !== 2 ||
+                !output.every(line => line.startsWith('✅'))) {
+                throw new Error(`notify test should reach the named channels whatever their filters: ${output.join('\n')}`);
+            }
+            output.length = 0;
+            if (await run(['notify']) !== EXIT_CODES.OK || output.length !== channels.length ||
+                !output.some(line => /^email\s+email\s+error/.test(line))) {
+                throw new Error(`notify should list the channels: ${output.join('\n')}`);
+            }
+            if (await run(['notify', 'test', 'nope']) !== EXIT_CODES.USAGE) {
+                throw new Error('Testing an unknown channel is a usage error');
+            }
+
+            // Webhook URLs and header values carry credentials, so printed config masks them
+            const hookConfig = {
+                ...notifying.config,
+                notifications: {
+                    channels: [
+                        { name: 'team', type: 'slack', url: 'https://hooks.slack.com/services/T000/B000/hooksecret123' },
+                        { name: 'hook', type: 'webhook', url: 'https://hooks.example.com/in?sig=querysecret456', headers: { 'X-Hook-Signature': 'headersecret789' } }
+                    ]
+                }
+            };
+            const hookResearcher = { ...notifying, config: hookConfig, secrets: notifying.secrets };
+            output.length = 0;
+            await runCli(['notify', 'list', '--json'], { createResearcher: () => hookResearcher, paths: {}, io: { out: text => output.push(text), err() {} } });
+            await runCli(['config', 'show'], { createResearcher: () => hookResearcher, paths: {}, io: { out: text => output.push(text), err() {} } });
+            const printed = output.join('\n');
+            if (/hooksecret123|querysecret456|headersecret789/.test(printed) || !printed.includes('https://hooks.slack.com/••••')) {
+                throw new Error(`notify list --json and config show should mask channel URLs and headers: ${printed}`);
+            }
+        } finally {
+            NotificationManager.configure();
+            Logger.configure();
+            await receiver.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
     });
 
     // Test 9: Comprehensive search
@@ -231,6 +2428,9 @@ async function runTests() {
         if (!result.hasOwnProperty('totalResults')) {
             throw new Error('Result should have totalResults property');
         }
+        if (!Array.isArray(result.merged)) {
+            throw new Error('Result should have a merged results list');
+        }
     });
 
     // Test 10: Results summary generation
@@ -245,7 +2445,7 @@ async function runTests() {
                     results: [{
                         title: 'Test Title',
                         url: 'https://example.com',
-                        description: 'Test description'
+                        snippet: 'Test description'
                     }]
                 }
             },
@@ -271,11 +2471,11 @@ async function runTests() {
                 testapi: {
                     resultsCount: 5,
                     results: [
-                        { title: 'Title1', url: 'https://1.com', description: 'd1' },
-                        { title: 'Title2', url: 'https://2.com', description: 'd2' },
-                        { title: 'Title3', url: 'https://3.com', description: 'd3' },
-                        { title: 'Title4', url: 'https://4.com', description: 'd4' },
-                        { title: 'Title5', url: 'https://5.com', description: 'd5' }
+                        { title: 'Title1', url: 'https://1.com', snippet: 'd1' },
+                        { title: 'Title2', url: 'https://2.com', snippet: 'd2' },
+                        { title: 'Title3', url: 'https://3.com', snippet: 'd3' },
+                        { title: 'Title4', url: 'https://4.com', snippet: 'd4' },
+                        { title: 'Title5', url: 'https://5.com', snippet: 'd5' }
                     ]
                 }
             },
@@ -288,6 +2488,9 @@ async function runTests() {
         }
     });
 
+    await mockApis.close();
+    mockEnv.forEach(name => delete process.env[name]);
+    fs.rmSync(stateDirectory, { recursive: true, force: true });
     runner.summary();
 }
 
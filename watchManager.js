@@ -0,0 +1,382 @@
+/**
+ * Saved-Query Watches
+ * A watch is a named query that runs on an interval, either from the
+ * in-process scheduler (`deep-research watch start`) or from cron / a systemd
+ * timer calling `deep-research watch run`. Each run is compared with every URL
+ * the watch has already seen (canonical URL identity, see resultMerger.js) and
+ * only genuinely new results raise a notification. Alerts that fall inside the
+ * watch's quiet hours, or before its digest interval is up, are held and sent
+ * together later. Watches and their state live in one JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { canonicalizeUrl } = require('./resultMerger');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+// Enough to remember a busy topic for weeks without the file growing forever
+const MAX_SEEN = 2000;
+const TITLES_PER_ALERT = 3;
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function urlKey(item) {
+    return canonicalizeUrl(item.url) || item.title;
+}
+
+/**
+ * Parse quiet hours written as "HH:MM-HH:MM" (local time, may wrap midnight).
+ *
+ * @param {string} text
+ * @returns {{start: number, end: number}} Minutes after midnight.
+ * @throws {Error} When the range is malformed.
+ */
+function parseQuietHours(text) {
+    const match = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    const minutes = match && [[match[1], match[2]], [match[3], match[4]]].map(([hours, mins]) => {
+        const [h, m] = [Number(hours), Number(mins)];
+        return h < 24 && m < 60 ? h * 60 + m : NaN;
+    });
+    if (!minutes || minutes.some(isNaN) || minutes[0] === minutes[1]) {
+        throw new Error(`Quiet hours must look like 22:00-07:00, got "${text}"`);
+    }
+    return { start: minutes[0], end: minutes[1] };
+}
+
+function isQuietTime(quietHours, date) {
+    if (!quietHours) {
+        return false;
+    }
+    const { start, end } = parseQuietHours(quietHours);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// Paths with nothing a shell or systemd would reinterpret are left as they are
+const PLAIN_WORD = /^[A-Za-z0-9_\/.,:@+=-]+$/;
+
+// POSIX shell quoting; cron also turns an unescaped % into a newline
+function shellQuote(value) {
+    const quoted = PLAIN_WORD.test(value) ? value : `'${value.replace(/'/g, `'\\''`)}'`;
+    return quoted.replace(/%/g, '\\%');
+}
+
+// ExecStart= quoting, with % (specifiers) and $ (variables) escaped
+function systemdQuote(value) {
+    if (PLAIN_WORD.test(value)) {
+        return value;
+    }
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/%/g, '%%').replace(/\$/g, '$$$$')}"`;
+}
+
+/**
+ * crontab line that runs due watches.
+ *
+ * @param {{node: string, script: string, minutes: number}} options - minutes is the shortest watch interval.
+ * @returns {string}
+ */
+function cronLine(options) {
+    // Longer intervals are handled by the due check, so hourly is often enough
+    const schedule = options.minutes < 60 ? `*/${options.minutes} * * * *` : '0 * * * *';
+    return `${schedule} cd ${shellQuote(path.dirname(options.script))} && ${shellQuote(options.node)} ${shellQuote(options.script)} watch run`;
+}
+
+/**
+ * systemd user service and timer that run due watches.
+ *
+ * @param {{node: string, script: string, minutes: number}} options
+ * @returns {{service: string, timer: string}} Unit file contents.
+ */
+function systemdUnits(options) {
+    const service = [
+        '[Unit]',
+        'Description=Deep Research saved-query watches',
+        '',
+        '[Service]',
+        'Type=oneshot',
+        // WorkingDirectory takes the rest of the line as the path; only specifiers need escaping
+        `WorkingDirectory=${path.dirname(options.script).replace(/%/g, '%%')}`,
+        `ExecStart=${systemdQuote(options.node)} ${systemdQuote(options.script)} watch run`,
+        ''
+    ].join('\n');
+    const timer = [
+        '[Unit]',
+        `Description=Run Deep Research watches every ${options.minutes} minutes`,
+        '',
+        '[Timer]',
+        'OnBootSec=2min',
+        `OnUnitActiveSec=${options.minutes}min`,
+        '',
+        '[Install]',
+        'WantedBy=timers.target',
+        ''
+    ].join('\n');
+    return { service, timer };
+}
+
+function alertText(items) {
+    const titles = items.slice(0, TITLES_PER_ALERT).map(item => item.title);
+    const more = items.length > TITLES_PER_ALERT ? ` and ${items.length - TITLES_PER_ALERT} more` : '';
+    return `${titles.join('; ')}${more}`;
+}
+
+class WatchManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Where watches and their state are kept.
+     * @param {function(string, Object): Promise<Object>} options.search - comprehensiveSearch().
+     * @param {{notify: function(string, string, string=, Object=)}} options.notifier - Alerts go out as type "alert", event "watch".
+     * @param {Object} [options.logger]
+     * @param {function(): number} [options.now]
+     */
+    constructor(options) {
+        this.file = options.file;
+        this.search = options.search;
+        this.notifier = options.notifier;
+        this.logger = options.logger || null;
+        this.now = options.now || (() => Date.now());
+        this.state = null;
+    }
+
+    load() {
+        if (!this.state) {
+            this.state = fs.existsSync(this.file) ? JSON.parse(fs.readFileSync(this.file, 'utf8')) : { watches: [] };
+        }
+        return this.state;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, `${JSON.stringify(this.state, null, 2)}\n`);
+        fs.renameSync(temporary, this.file);
+    }
+
+    list() {
+        return this.load().watches;
+    }
+
+    get(name) {
+        return this.list().find(watch => watch.name === name) || null;
+    }
+
+    /**
+     * Save a new watch.
+     *
+     * @param {Object} definition
+     * @param {string} definition.name
+     * @param {string} definition.query
+     * @param {Object} [definition.options] - comprehensiveSearch() options, e.g. { providers: ['newsAPI'] }.
+     * @param {number} [definition.intervalMinutes=60]
+     * @param {string} [definition.quietHours] - "HH:MM-HH:MM", local time.
+     * @param {number} [definition.digestMinutes] - Batch alerts and send at most one per this many minutes.
+     * @returns {Object} The stored watch.
+     * @throws {Error} On invalid settings or a duplicate name.
+     */
+    add(definition) {
+        if (!NAME_PATTERN.test(definition.name || '')) {
+            throw new Error(`Invalid watch name "${definition.name}": use letters, digits, "_", "." or "-"`);
+        }
+        if (this.get(definition.name)) {
+            throw new Error(`A watch named "${definition.name}" already exists`);
+        }
+        if (!definition.query || !definition.query.trim()) {
+            throw new Error('A watch needs a query');
+        }
+        const intervalMinutes = definition.intervalMinutes ?? DEFAULT_INTERVAL_MINUTES;
+        if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1) {
+            throw new Error('The watch interval must be at least 1 minute');
+        }
+        if (definition.quietHours) {
+            parseQuietHours(definition.quietHours);
+        }
+        const watch = {
+            name: definition.name,
+            query: definition.query.trim(),
+            options: definition.options || {},
+            intervalMinutes,
+            quietHours: definition.quietHours || null,
+            digestMinutes: definition.digestMinutes || null,
+            createdAt: new Date(this.now()).toISOString(),
+            lastRunAt: null,
+            lastAttemptAt: null,
+            lastNotifiedAt: null,
+            lastError: null,
+            seen: [],
+            pending: []
+        };
+        this.load().watches.push(watch);
+        this.save();
+        return watch;
+    }
+
+    remove(name) {
+        const state = this.load();
+        const before = state.watches.length;
+        state.watches = state.watches.filter(watch => watch.name !== name);
+        if (state.watches.length === before) {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    // A failed run counts too, so a provider outage is retried on the interval rather than every tick
+    isDue(watch, now = this.now()) {
+        const last = watch.lastAttemptAt || watch.lastRunAt;
+        return !last || now - Date.parse(last) >= watch.intervalMinutes * 60 * 1000;
+    }
+
+    /**
+     * Run one watch now and deliver whatever alerts are due.
+     *
+     * @param {Object} watch - From list() or get().
+     * @returns {Promise<{name: string, baseline: boolean, resultsCount: number, newItems: Array<Object>, notified: number, held: number, error: string|null}>}
+     */
+    async run(watch) {
+        const now = this.now();
+        const outcome = { name: watch.name, baseline: !watch.lastRunAt, resultsCount: 0, newItems: [], notified: 0, held: 0, error: null };
+        // Watch alerts replace the usual search notifications, and interval runs would crowd the history.
+        // Cached responses outlive short intervals, so every run asks the APIs and refreshes the cache
+        // instead (a watch added with --no-cache keeps the cache out entirely)
+        const cacheMode = watch.options.cacheMode === 'off' ? 'off' : 'refresh';
+        const results = await this.search(watch.query, { ...watch.options, cacheMode, notify: false, history: false });
+        const succeeded = Object.keys(results.sources || {}).length > 0;
+        watch.lastAttemptAt = new Date(now).toISOString();
+        watch.lastError = succeeded ? null : (results.errors || []).map(error => `${error.api}: ${error.error}`).join('; ') || 'No provider answered';
+        outcome.error = watch.lastError;
+        outcome.resultsCount = (results.merged || []).length;
+
+        // lastRunAt and seen only move on runs where a provider answered, so a failed
+        // first run does not end the baseline with nothing learned
+        if (succeeded) {
+            watch.lastRunAt = watch.lastAttemptAt;
+            const seen = new Set(watch.seen);
+            const fresh = [];
+            (results.merged || []).forEach(item => {
+                const key = urlKey(item);
+                if (key && !seen.has(key)) {
+                    seen.add(key);
+                    fresh.push(item);
+                }
+            });
+            watch.seen = [...fresh.map(urlKey), ...watch.seen].slice(0, MAX_SEEN);
+
+            // The first run only learns what is already out there
+            if (!outcome.baseline) {
+                outcome.newItems = fresh;
+                watch.pending.push(...fresh.map(({ title, url, publishedAt, providers }) => ({ title, url, publishedAt, providers, foundAt: watch.lastRunAt })));
+            }
+        }
+        outcome.notified = this.deliver(watch, now);
+        outcome.held = watch.pending.length;
+        this.save();
+        return outcome;
+    }
+
+    // Send held alerts unless quiet hours or the digest interval say to keep waiting
+    deliver(watch, now) {
+        if (watch.pending.length === 0 || isQuietTime(watch.quietHours, new Date(now))) {
+            return 0;
+        }
+        const digestDue = !watch.digestMinutes || !watch.lastNotifiedAt ||
+            now - Date.parse(watch.lastNotifiedAt) >= watch.digestMinutes * 60 * 1000;
+        if (!digestDue) {
+            return 0;
+        }
+        const items = watch.pending;
+        const title = watch.digestMinutes
+            ? `Watch "${watch.name}" digest: ${items.length} new result${items.length === 1 ? '' : 's'}`
+            : `Watch "${watch.name}": ${items.length} new result${items.length === 1 ? '' : 's'}`;
+        this.notifier.notify(title, alertText(items), 'alert', {
+            event: 'watch',
+            watch: watch.name,
+            query: watch.query,
+            count: items.length,
+            items: items.map(item => ({ title: item.title, url: item.url }))
+        });
+        watch.pending = [];
+        watch.lastNotifiedAt = new Date(now).toISOString();
+        return items.length;
+    }
+
+    /**
+     * Run every watch that is due, one after another. A failing watch does not
+     * stop the others. Watches that are not due still get a chance to flush
+     * alerts held by quiet hours or a digest.
+     *
+     * @returns {Promise<Array<Object>>} One outcome per watch that ran.
+     */
+    async runDue() {
+        // Re-read so watches added from another shell are picked up by a running scheduler
+        this.state = null;
+        const outcomes = [];
+        for (const watch of this.list()) {
+            if (!this.isDue(watch)) {
+                if (this.deliver(watch, this.now()) > 0) {
+                    this.save();
+                }
+                continue;
+            }
+            try {
+                outcomes.push(await this.run(watch));
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.error(`Watch "${watch.name}" failed`, error);
+                }
+                outcomes.push({ name: watch.name, baseline: false, resultsCount: 0, newItems: [], notified: 0, held: watch.pending.length, error: error.message });
+            }
+        }
+        return outcomes;
+    }
+
+    /**
+     * In-process scheduler: checks for due watches every tickMs until stop() is called.
+     *
+     * @param {{tickMs?: number, onRun?: function(Array<Object>)}} [options]
+     * @returns {{stop: function(), done: Promise<void>}}
+     */
+    start(options = {}) {
+        let timer = null;
+        let running = false;
+        let finish;
+        const done = new Promise(resolve => {
+            finish = resolve;
+        });
+        const tick = async () => {
+            // A slow search must not overlap the next tick
+            if (running) {
+                return;
+            }
+            running = true;
+            try {
+                const outcomes = await this.runDue();
+                if (options.onRun && outcomes.length > 0) {
+                    options.onRun(outcomes);
+                }
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.error('Watch scheduler tick failed', error);
+                }
+            } finally {
+                running = false;
+            }
+        };
+        timer = setInterval(tick, options.tickMs || 60 * 1000);
+        tick();
+        return {
+            stop() {
+                clearInterval(timer);
+                finish();
+            },
+            done
+        };
+    }
+}
+
+module.exports = {
+    WatchManager,
+    parseQuietHours,
+    isQuietTime,
+    cronLine,
+    systemdUnits
+};